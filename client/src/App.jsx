@@ -6,17 +6,25 @@ import {
   selectToken, 
   loginSuccess, 
   logout,
-  setPermissions 
+  setPermissions,
+  setEmailVerificationRequired
 } from './store/slices/authSlice'
 import { authAPI } from './services/api'
 import Layout from './components/Layout'
 import Login from './pages/Login'
+import ForgotPassword from './pages/ForgotPassword'
+import ResetPassword from './pages/ResetPassword'
+import VerifyEmail from './pages/VerifyEmail'
 import Dashboard from './pages/Dashboard'
 import Users from './pages/Users'
 import Groups from './pages/Groups'
 import Roles from './pages/Roles'
+import SeparationOfDuties from './pages/SeparationOfDuties'
 import Modules from './pages/Modules'
 import Permissions from './pages/Permissions'
+import Security from './pages/Security'
+import Settings from './pages/Settings'
+import Tenants from './pages/Tenants'
 
 function App() {
   const dispatch = useDispatch()
@@ -28,10 +36,11 @@ function App() {
       if (token && !isAuthenticated) {
         try {
           const response = await authAPI.getPermissions()
-          const { user, permissions } = response.data
+          const { user, emailVerificationRequired } = response.data
           
-          dispatch(loginSuccess({ user, token }))
-          dispatch(setPermissions(permissions))
+          dispatch(loginSuccess({ user }))
+          dispatch(setPermissions(response.data))
+          dispatch(setEmailVerificationRequired(emailVerificationRequired))
         } catch (error) {
           dispatch(logout())
         }
@@ -50,6 +59,10 @@ function App() {
             isAuthenticated ? <Navigate to="/dashboard" replace /> : <Login />
           } 
         />
+
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
         
         <Route
           path="/*"
@@ -61,8 +74,12 @@ function App() {
                   <Route path="/users" element={<Users />} />
                   <Route path="/groups" element={<Groups />} />
                   <Route path="/roles" element={<Roles />} />
+                  <Route path="/separation-of-duties" element={<SeparationOfDuties />} />
                   <Route path="/modules" element={<Modules />} />
                   <Route path="/permissions" element={<Permissions />} />
+                  <Route path="/settings" element={<Settings />} />
+                  <Route path="/tenants" element={<Tenants />} />
+                  <Route path="/security" element={<Security />} />
                   <Route path="/" element={<Navigate to="/dashboard" replace />} />
                 </Routes>
               </Layout>
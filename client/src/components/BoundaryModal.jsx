@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react'
+import { X, ShieldAlert } from 'lucide-react'
+import { usersAPI } from '../services/api'
+import toast from 'react-hot-toast'
+import PolicyEditor, { jsonError } from './PolicyEditor'
+
+const boundaryTemplate = JSON.stringify({
+  Version: '2024-01-01',
+  Statement: [
+    { Effect: 'Allow', Action: ['Groups:read', 'Groups:update'] }
+  ]
+}, null, 2)
+
+// Validation failures list each problem in details
+const errorMessage = (error, fallback) =>
+  error.response?.data?.details?.join(', ') || error.response?.data?.error || fallback
+
+// The permission boundary of one user: a policy document capping what they
+// may grant to others through roles, groups and policies
+const BoundaryModal = ({ user, onClose }) => {
+  const [text, setText] = useState(boundaryTemplate)
+  const [hasBoundary, setHasBoundary] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    fetchBoundary()
+  }, [user.id])
+
+  const fetchBoundary = async () => {
+    try {
+      const response = await usersAPI.getById(user.id)
+      const boundary = response.data.permission_boundary
+      setHasBoundary(!!boundary)
+      if (boundary) {
+        setText(JSON.stringify(boundary, null, 2))
+      }
+    } catch (error) {
+      toast.error('Failed to fetch permission boundary')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const saveBoundary = async (document) => {
+    try {
+      setSaving(true)
+      const response = await usersAPI.setPermissionBoundary(user.id, document)
+      toast.success(response.data.message)
+      onClose()
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to update permission boundary'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSave = () => {
+    if (jsonError(text)) {
+      toast.error('The boundary is not valid JSON')
+      return
+    }
+    saveBoundary(JSON.parse(text))
+  }
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-5 border w-full max-w-3xl shadow-lg rounded-md bg-white mb-10">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-medium text-gray-900 flex items-center">
+            <ShieldAlert className="h-5 w-5 mr-2 text-gray-500" />
+            Permission Boundary for {user.username}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          {hasBoundary
+            ? 'This user may only grant what this boundary allows, whatever their own permissions.'
+            : 'Without a boundary this user may grant only permissions they hold themselves. A boundary replaces that limit with the statements below.'}
+        </p>
+
+        {loading ? (
+          <div className="p-4 text-center text-gray-500">Loading...</div>
+        ) : (
+          <PolicyEditor value={text} onChange={setText} disabled={saving} minRows={10} />
+        )}
+
+        <div className="mt-4 flex justify-between">
+          <div>
+            {hasBoundary && (
+              <button
+                onClick={() => saveBoundary(null)}
+                disabled={saving}
+                className="px-4 py-2 text-sm font-medium text-red-700 bg-red-50 border border-red-200 rounded-md hover:bg-red-100 disabled:opacity-50"
+              >
+                Remove Boundary
+              </button>
+            )}
+          </div>
+          <div className="flex space-x-3">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving || loading}
+              className="px-4 py-2 text-sm font-medium text-white bg-primary-600 border border-transparent rounded-md hover:bg-primary-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Boundary'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default BoundaryModal
@@ -0,0 +1,120 @@
+import { useState } from 'react'
+import { Eye, EyeOff } from 'lucide-react'
+import { authAPI } from '../services/api'
+import PasswordRequirements, { usePasswordPolicy, meetsPasswordPolicy } from './PasswordRequirements'
+
+// Change the current user's password. Pass passwordChangeToken when a login
+// requires a new password, or resetToken from an emailed reset link; otherwise
+// the current password is asked for. onSuccess receives the response, which
+// carries a fresh session except after a reset.
+const ChangePasswordForm = ({ passwordChangeToken, resetToken, username, email, onSuccess, onCancel }) => {
+  const [currentPassword, setCurrentPassword] = useState('')
+  const [newPassword, setNewPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [showPassword, setShowPassword] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+  const policy = usePasswordPolicy()
+
+  const mismatch = confirmPassword.length > 0 && confirmPassword !== newPassword
+  const needsCurrentPassword = !passwordChangeToken && !resetToken
+  const canSubmit = (!needsCurrentPassword || currentPassword)
+    && meetsPasswordPolicy(policy, newPassword, { username, email })
+    && newPassword === confirmPassword
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+
+    try {
+      let response
+      if (resetToken) {
+        response = await authAPI.resetPassword({ token: resetToken, newPassword })
+      } else {
+        response = await authAPI.changePassword(passwordChangeToken
+          ? { passwordChangeToken, newPassword }
+          : { currentPassword, newPassword })
+      }
+      await onSuccess(response.data)
+    } catch (error) {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {needsCurrentPassword && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Current password
+          </label>
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={currentPassword}
+            onChange={(e) => setCurrentPassword(e.target.value)}
+            className="input"
+            placeholder="Enter your current password"
+          />
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          New password
+        </label>
+        <div className="relative">
+          <input
+            type={showPassword ? 'text' : 'password'}
+            autoComplete="new-password"
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            className="input pr-10"
+            placeholder="Enter a new password"
+          />
+          <button
+            type="button"
+            className="absolute inset-y-0 right-0 pr-3 flex items-center"
+            onClick={() => setShowPassword(!showPassword)}
+          >
+            {showPassword ? (
+              <EyeOff className="h-5 w-5 text-gray-400" />
+            ) : (
+              <Eye className="h-5 w-5 text-gray-400" />
+            )}
+          </button>
+        </div>
+        <PasswordRequirements policy={policy} password={newPassword} username={username} email={email} />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Confirm new password
+        </label>
+        <input
+          type={showPassword ? 'text' : 'password'}
+          autoComplete="new-password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          className={`input ${mismatch ? 'border-red-500' : ''}`}
+          placeholder="Re-enter the new password"
+        />
+        {mismatch && (
+          <p className="mt-1 text-sm text-red-600">Passwords do not match</p>
+        )}
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="btn btn-secondary">
+            Cancel
+          </button>
+        )}
+        <button type="submit" disabled={!canSubmit || submitting} className="btn btn-primary disabled:opacity-50">
+          {submitting ? 'Saving...' : resetToken ? 'Reset Password' : 'Change Password'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default ChangePasswordForm
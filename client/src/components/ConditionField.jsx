@@ -0,0 +1,36 @@
+import { Filter } from 'lucide-react'
+
+// Input for a grant's condition; empty means the grant always applies
+const ConditionField = ({ value, onChange, disabled }) => (
+  <div>
+    <label className="block text-xs font-medium text-gray-700 mb-1">Condition</label>
+    <textarea
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      rows={2}
+      placeholder="e.g. user.department == 'finance' and cidr(request.ip, '10.0.0.0/8')"
+      className="input text-sm font-mono"
+    />
+    <p className="mt-1 text-xs text-gray-500">
+      Optional. The grant only applies while this is true. Use user.*, resource.* and request.ip, request.time, request.weekday.
+    </p>
+  </div>
+)
+
+// Badge showing a grant's condition; renders nothing for unconditional grants
+export const ConditionBadge = ({ item }) => {
+  if (!item.condition) return null
+
+  return (
+    <span
+      className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium normal-case bg-purple-100 text-purple-800 max-w-xs"
+      title={item.condition}
+    >
+      <Filter className="h-3 w-3 mr-1 flex-shrink-0" />
+      <span className="font-mono truncate">if {item.condition}</span>
+    </span>
+  )
+}
+
+export default ConditionField
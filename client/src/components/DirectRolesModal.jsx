@@ -0,0 +1,184 @@
+import { useState, useEffect } from 'react'
+import { X, Key } from 'lucide-react'
+import { usersAPI, rolesAPI } from '../services/api'
+import toast from 'react-hot-toast'
+import { fromInputValue } from '../utils/validity'
+import ValidityFields, { ValidityBadge } from './ValidityFields'
+
+// Roles assigned to one user outside of any group. While the policy is
+// disabled existing assignments can only be removed.
+const DirectRolesModal = ({ user, enabled, onClose }) => {
+  const [assigned, setAssigned] = useState([])
+  const [roles, setRoles] = useState([])
+  const [selected, setSelected] = useState([])
+  const [validity, setValidity] = useState({ validFrom: '', validUntil: '' })
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetchAssigned()
+    fetchRoles()
+  }, [user.id])
+
+  const fetchAssigned = async () => {
+    try {
+      const response = await usersAPI.getById(user.id)
+      setAssigned(response.data.roles || [])
+    } catch (error) {
+      toast.error('Failed to fetch direct roles')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchRoles = async () => {
+    try {
+      const response = await rolesAPI.getAll()
+      setRoles(response.data)
+    } catch (error) {
+      console.error('Failed to fetch roles:', error)
+    }
+  }
+
+  const toggleRole = (roleId) => {
+    setSelected(prev =>
+      prev.includes(roleId)
+        ? prev.filter(id => id !== roleId)
+        : [...prev, roleId]
+    )
+  }
+
+  const handleAssign = async () => {
+    try {
+      setLoading(true)
+      await usersAPI.assignRoles(user.id, selected, {
+        validFrom: fromInputValue(validity.validFrom),
+        validUntil: fromInputValue(validity.validUntil)
+      })
+      toast.success(`${selected.length} role(s) assigned successfully`)
+      setSelected([])
+      fetchAssigned()
+    } catch (error) {
+      const message = error.response?.data?.error || 'Assignment failed'
+      toast.error(message)
+      setLoading(false)
+    }
+  }
+
+  const handleRemove = async (roleId) => {
+    try {
+      setLoading(true)
+      await usersAPI.removeRoles(user.id, [roleId])
+      toast.success('Role removed successfully')
+      fetchAssigned()
+    } catch (error) {
+      const message = error.response?.data?.error || 'Removal failed'
+      toast.error(message)
+      setLoading(false)
+    }
+  }
+
+  const available = roles.filter(role => !assigned.some(item => item.id === role.id))
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-full max-w-2xl shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-medium text-gray-900">
+            Direct Roles: {user.username}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {!enabled && (
+          <p className="mb-4 text-sm text-orange-700 bg-orange-50 rounded-md p-3">
+            Direct role assignment is disabled in Settings, so these roles currently grant nothing.
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="space-y-3">
+            <h4 className="text-md font-medium text-gray-900 flex items-center">
+              <Key className="h-4 w-4 mr-2" />
+              Assigned ({assigned.length})
+            </h4>
+            <div className="border rounded-md max-h-60 overflow-y-auto divide-y divide-gray-200">
+              {assigned.length === 0 ? (
+                <div className="p-4 text-center text-sm text-gray-500">No roles assigned directly</div>
+              ) : (
+                assigned.map((role) => (
+                  <div key={role.id} className="p-3 flex justify-between items-center">
+                    <div>
+                      <div className="text-sm font-medium text-gray-900">{role.name}</div>
+                      {role.description && (
+                        <div className="text-xs text-gray-500">{role.description}</div>
+                      )}
+                      <div className="mt-1">
+                        <ValidityBadge item={role} />
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => handleRemove(role.id)}
+                      disabled={loading}
+                      className="text-red-600 hover:text-red-800 text-sm"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+
+          {enabled && (
+            <div className="space-y-3">
+              <h4 className="text-md font-medium text-gray-900">
+                Available ({available.length})
+              </h4>
+              <div className="border rounded-md max-h-60 overflow-y-auto divide-y divide-gray-200">
+                {available.map((role) => (
+                  <label key={role.id} className="p-3 flex items-center space-x-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(role.id)}
+                      onChange={() => toggleRole(role.id)}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                    />
+                    <span className="text-sm text-gray-900">{role.name}</span>
+                  </label>
+                ))}
+              </div>
+              {selected.length > 0 && (
+                <div className="space-y-3">
+                  <ValidityFields
+                    validFrom={validity.validFrom}
+                    validUntil={validity.validUntil}
+                    onChange={setValidity}
+                    disabled={loading}
+                  />
+                  <button
+                    onClick={handleAssign}
+                    disabled={loading}
+                    className="w-full px-4 py-2 text-sm font-medium text-white bg-primary-600 border border-transparent rounded-md hover:bg-primary-700 disabled:opacity-50"
+                  >
+                    {loading ? 'Assigning...' : `Assign ${selected.length} Role(s)`}
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <p className="mt-4 text-xs text-gray-500">
+          Direct roles apply alongside the roles the user gets through group membership.
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default DirectRolesModal
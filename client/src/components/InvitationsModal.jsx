@@ -0,0 +1,272 @@
+import { useState, useEffect } from 'react'
+import { X, Send, Copy, RotateCw, Ban } from 'lucide-react'
+import { invitationsAPI } from '../services/api'
+import toast from 'react-hot-toast'
+
+const statusStyles = {
+  pending: 'bg-blue-100 text-blue-800',
+  accepted: 'bg-green-100 text-green-800',
+  expired: 'bg-gray-100 text-gray-700',
+  revoked: 'bg-red-100 text-red-800'
+}
+
+const emptyForm = { email: '', groupIds: [], expiresInDays: 7, sendEmail: true }
+
+// Invite people by email, optionally straight into groups, and manage
+// outstanding invitations
+const InvitationsModal = ({ groups, canManage, onClose }) => {
+  const [invitations, setInvitations] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [form, setForm] = useState(emptyForm)
+  const [submitting, setSubmitting] = useState(false)
+  // Redeem links are only returned when an invitation is created or renewed
+  const [lastLink, setLastLink] = useState(null)
+
+  useEffect(() => {
+    fetchInvitations()
+  }, [])
+
+  const fetchInvitations = async () => {
+    try {
+      const response = await invitationsAPI.getAll()
+      setInvitations(response.data)
+    } catch (error) {
+      toast.error('Failed to fetch invitations')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggleGroup = (groupId) => {
+    setForm((current) => ({
+      ...current,
+      groupIds: current.groupIds.includes(groupId)
+        ? current.groupIds.filter(id => id !== groupId)
+        : [...current.groupIds, groupId]
+    }))
+  }
+
+  // The invitation is saved even when its email could not be sent; the link
+  // shown below can be shared instead
+  const notifyDelivery = (data, sendEmail) => {
+    if (sendEmail && !data.emailSent) {
+      toast.error(data.message)
+    } else {
+      toast.success(data.message)
+    }
+  }
+
+  const handleInvite = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+
+    try {
+      const response = await invitationsAPI.create({
+        ...form,
+        expiresInDays: parseInt(form.expiresInDays, 10)
+      })
+      notifyDelivery(response.data, form.sendEmail)
+      setLastLink({ email: form.email, url: response.data.inviteUrl })
+      setForm(emptyForm)
+      fetchInvitations()
+    } catch (error) {
+      console.error('Failed to create invitation:', error)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleResend = async (invitation) => {
+    try {
+      const response = await invitationsAPI.resend(invitation.id)
+      notifyDelivery(response.data, true)
+      setLastLink({ email: invitation.email, url: response.data.inviteUrl })
+      fetchInvitations()
+    } catch (error) {
+      console.error('Failed to resend invitation:', error)
+    }
+  }
+
+  const handleRevoke = async (invitation) => {
+    try {
+      await invitationsAPI.revoke(invitation.id)
+      toast.success(`Invitation to ${invitation.email} revoked`)
+      fetchInvitations()
+    } catch (error) {
+      console.error('Failed to revoke invitation:', error)
+    }
+  }
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(lastLink.url)
+      toast.success('Invitation link copied')
+    } catch (error) {
+      toast.error('Could not copy the link')
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-full max-w-3xl shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-medium text-gray-900">Invitations</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {canManage && (
+          <form onSubmit={handleInvite} className="space-y-4 mb-6 pb-6 border-b border-gray-200">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                <input
+                  type="email"
+                  value={form.email}
+                  onChange={(e) => setForm({ ...form, email: e.target.value })}
+                  className="input"
+                  placeholder="name@example.com"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Expires after (days)</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="30"
+                  value={form.expiresInDays}
+                  onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+                  className="input"
+                />
+              </div>
+            </div>
+
+            {groups.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Add to groups</label>
+                <div className="flex flex-wrap gap-3">
+                  {groups.map((group) => (
+                    <label key={group.id} className="flex items-center">
+                      <input
+                        type="checkbox"
+                        checked={form.groupIds.includes(group.id)}
+                        onChange={() => toggleGroup(group.id)}
+                        className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                      />
+                      <span className="ml-2 text-sm text-gray-700">{group.name}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="flex items-center justify-between">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={form.sendEmail}
+                  onChange={(e) => setForm({ ...form, sendEmail: e.target.checked })}
+                  className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                />
+                <span className="ml-2 text-sm text-gray-700">Email the invitation</span>
+              </label>
+              <button
+                type="submit"
+                disabled={submitting || !form.email}
+                className="btn btn-primary flex items-center disabled:opacity-50"
+              >
+                <Send className="h-4 w-4 mr-2" />
+                {submitting ? 'Inviting...' : 'Invite'}
+              </button>
+            </div>
+
+            {lastLink && (
+              <div className="p-3 bg-gray-50 rounded-md">
+                <p className="text-xs text-gray-500 mb-1">
+                  Invitation link for {lastLink.email}. It is only shown once.
+                </p>
+                <div className="flex items-center space-x-2">
+                  <input readOnly value={lastLink.url} className="input text-xs" onFocus={(e) => e.target.select()} />
+                  <button type="button" onClick={copyLink} className="btn btn-secondary flex-shrink-0" title="Copy link">
+                    <Copy className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            )}
+          </form>
+        )}
+
+        {loading ? (
+          <div className="text-center py-8">Loading invitations...</div>
+        ) : invitations.length === 0 ? (
+          <p className="text-sm text-gray-500 py-4 text-center">No invitations yet.</p>
+        ) : (
+          <div className="max-h-96 overflow-y-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Groups</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {invitations.map((invitation) => (
+                  <tr key={invitation.id}>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                      {invitation.email}
+                      {invitation.invited_by_username && (
+                        <div className="text-xs text-gray-500">by {invitation.invited_by_username}</div>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-500">
+                      {invitation.groups.map(group => group.name).join(', ') || '—'}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      <span
+                        className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${statusStyles[invitation.status]}`}
+                        title={invitation.accepted_username ? `Accepted by ${invitation.accepted_username}` : undefined}
+                      >
+                        {invitation.status}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">
+                      {new Date(invitation.expires_at).toLocaleDateString()}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap text-right">
+                      <div className="flex justify-end space-x-2">
+                        {canManage && (invitation.status === 'pending' || invitation.status === 'expired') && (
+                          <button
+                            onClick={() => handleResend(invitation)}
+                            className="text-primary-600 hover:text-primary-900"
+                            title="Send again with a new link"
+                          >
+                            <RotateCw className="h-4 w-4" />
+                          </button>
+                        )}
+                        {canManage && invitation.status === 'pending' && (
+                          <button
+                            onClick={() => handleRevoke(invitation)}
+                            className="text-red-600 hover:text-red-900"
+                            title="Revoke invitation"
+                          >
+                            <Ban className="h-4 w-4" />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default InvitationsModal
@@ -1,4 +1,4 @@
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
 import { Link, useLocation, useNavigate } from 'react-router-dom'
 import { useDispatch, useSelector } from 'react-redux'
 import { 
@@ -10,9 +10,29 @@ import {
   Key, 
   Settings, 
   Lock,
-  LogOut 
+  LogOut,
+  ShieldCheck,
+  SlidersHorizontal,
+  Mail,
+  Scale,
+  Building2
 } from 'lucide-react'
-import { logout, selectUser, selectPermissions } from '../store/slices/authSlice'
+import toast from 'react-hot-toast'
+import {
+  logout,
+  setPermissions,
+  tenantSwitched,
+  selectUser,
+  selectTenant,
+  selectIsSuperAdmin,
+  selectPermissions,
+  selectDeniedPermissions,
+  selectResourcePermissions,
+  selectRefreshToken,
+  selectEmailVerificationRequired
+} from '../store/slices/authSlice'
+import { isAllowedOnAny } from '../utils/permissions'
+import { authAPI, tenantsAPI } from '../services/api'
 
 const Layout = ({ children }) => {
   const [sidebarOpen, setSidebarOpen] = useState(false)
@@ -21,14 +41,76 @@ const Layout = ({ children }) => {
   const dispatch = useDispatch()
   const user = useSelector(selectUser)
   const permissions = useSelector(selectPermissions)
+  const deniedPermissions = useSelector(selectDeniedPermissions)
+  const resourcePermissions = useSelector(selectResourcePermissions)
+  const refreshToken = useSelector(selectRefreshToken)
+  const emailVerificationRequired = useSelector(selectEmailVerificationRequired)
+  const tenant = useSelector(selectTenant)
+  const isSuperAdmin = useSelector(selectIsSuperAdmin)
+  const [resending, setResending] = useState(false)
+  const [tenants, setTenants] = useState([])
+  const [switching, setSwitching] = useState(false)
 
-  const handleLogout = () => {
+  // Super-admins can act in any tenant
+  useEffect(() => {
+    if (isSuperAdmin) {
+      fetchTenants()
+    }
+  }, [isSuperAdmin])
+
+  const fetchTenants = async () => {
+    try {
+      const response = await tenantsAPI.getAll()
+      setTenants(response.data)
+    } catch (error) {
+      console.error('Failed to fetch tenants:', error)
+    }
+  }
+
+  const handleSwitchTenant = async (tenantId) => {
+    setSwitching(true)
+    try {
+      const response = await tenantsAPI.switch(tenantId)
+      dispatch(tenantSwitched(response.data))
+      const permissionsResponse = await authAPI.getPermissions()
+      dispatch(setPermissions(permissionsResponse.data))
+      toast.success(response.data.message)
+      navigate('/dashboard')
+    } catch (error) {
+      console.error('Failed to switch tenant:', error)
+    } finally {
+      setSwitching(false)
+    }
+  }
+
+  const handleLogout = async () => {
+    // Revoke the session server-side; log out locally even if that fails
+    if (refreshToken) {
+      try {
+        await authAPI.logout(refreshToken)
+      } catch (error) {
+        console.error('Failed to revoke session:', error)
+      }
+    }
     dispatch(logout())
     navigate('/login')
   }
 
+  const handleResendVerification = async () => {
+    setResending(true)
+    try {
+      await authAPI.resendVerification(user.email, tenant?.slug)
+      toast.success(`Verification email sent to ${user.email}`)
+    } catch (error) {
+      console.error('Failed to resend verification email:', error)
+    } finally {
+      setResending(false)
+    }
+  }
+
+  // Grants on single groups or roles are enough to show their page
   const hasPermission = (module, action) => {
-    return permissions[module] && permissions[module].includes(action)
+    return isAllowedOnAny(permissions, deniedPermissions, resourcePermissions, module, action)
   }
 
   const navigation = [
@@ -51,6 +133,12 @@ const Layout = ({ children }) => {
       icon: Key, 
       show: hasPermission('Roles', 'read') 
     },
+    { 
+      name: 'Separation of Duties', 
+      href: '/separation-of-duties', 
+      icon: Scale, 
+      show: hasPermission('Roles', 'read') 
+    },
     { 
       name: 'Modules', 
       href: '/modules', 
@@ -63,6 +151,19 @@ const Layout = ({ children }) => {
       icon: Lock, 
       show: hasPermission('Permissions', 'read') 
     },
+    { 
+      name: 'Settings', 
+      href: '/settings', 
+      icon: SlidersHorizontal, 
+      show: hasPermission('Users', 'read') 
+    },
+    { 
+      name: 'Tenants', 
+      href: '/tenants', 
+      icon: Building2, 
+      show: isSuperAdmin 
+    },
+    { name: 'Security', href: '/security', icon: ShieldCheck, show: true },
   ].filter(item => item.show)
 
   return (
@@ -150,7 +251,31 @@ const Layout = ({ children }) => {
               <Menu className="h-6 w-6" />
             </button>
             
-            <div className="flex-1 flex justify-end">
+            <div className="flex-1 flex items-center justify-end space-x-4">
+              {/* Tenant switcher: super-admins pick any tenant, everyone
+                  else sees the one they belong to */}
+              {tenant && (
+                <div className="flex items-center text-sm text-gray-600">
+                  <Building2 className="h-4 w-4 mr-2 text-gray-400" />
+                  {isSuperAdmin && tenants.length > 0 ? (
+                    <select
+                      value={tenant.id}
+                      onChange={(e) => handleSwitchTenant(Number(e.target.value))}
+                      disabled={switching}
+                      className="input py-1 text-sm"
+                      title="Switch tenant"
+                      // Picks up tenants created since the list was loaded
+                      onFocus={fetchTenants}
+                    >
+                      {tenants.map(option => (
+                        <option key={option.id} value={option.id}>{option.name}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span className="font-medium">{tenant.name}</span>
+                  )}
+                </div>
+              )}
               <span className="text-sm text-gray-500">
                 Welcome back, {user?.username}
               </span>
@@ -158,8 +283,26 @@ const Layout = ({ children }) => {
           </div>
         </header>
 
+        {/* Permissions are withheld until the email address is verified */}
+        {emailVerificationRequired && (
+          <div className="bg-yellow-50 border-b border-yellow-200 px-6 py-3 flex items-center justify-between">
+            <div className="flex items-center text-sm text-yellow-800">
+              <Mail className="h-4 w-4 mr-2 flex-shrink-0" />
+              Verify your email address to get access. Check {user?.email} for the link.
+            </div>
+            <button
+              onClick={handleResendVerification}
+              disabled={resending}
+              className="text-sm font-medium text-yellow-800 hover:text-yellow-900 underline disabled:opacity-50"
+            >
+              {resending ? 'Sending...' : 'Resend email'}
+            </button>
+          </div>
+        )}
+
         {/* Page content */}
-        <main className="flex-1 overflow-auto p-6">
+        {/* Keyed by tenant so a switch reloads the page's data */}
+        <main key={tenant?.id} className="flex-1 overflow-auto p-6">
           {children}
         </main>
       </div>
@@ -0,0 +1,146 @@
+import { useEffect, useState } from 'react'
+import toast from 'react-hot-toast'
+import { Smartphone, Copy } from 'lucide-react'
+import { mfaAPI } from '../services/api'
+
+// Recovery codes are only ever shown once, right after they are generated
+export const RecoveryCodes = ({ codes, onDone, doneLabel = 'Done' }) => {
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'))
+      toast.success('Recovery codes copied')
+    } catch (error) {
+      toast.error('Could not copy to clipboard')
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Save these recovery codes somewhere safe. Each code can be used once to sign in
+        if you lose access to your authenticator app. They will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-4 bg-gray-50 rounded-md font-mono text-sm">
+        {codes.map((code) => (
+          <span key={code} className="text-gray-900">{code}</span>
+        ))}
+      </div>
+      <div className="flex justify-end space-x-3">
+        <button type="button" onClick={copyCodes} className="btn btn-secondary flex items-center">
+          <Copy className="h-4 w-4 mr-2" />
+          Copy
+        </button>
+        <button type="button" onClick={onDone} className="btn btn-primary">
+          {doneLabel}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+// Scan-and-verify flow. Pass mfaToken when enrolling as part of a login;
+// onComplete receives the verify response (recovery codes, plus a session
+// when enrolling during login) once the user has seen the recovery codes.
+const MfaEnrollment = ({ mfaToken, onComplete, onCancel }) => {
+  const [enrollment, setEnrollment] = useState(null)
+  const [code, setCode] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [result, setResult] = useState(null)
+
+  useEffect(() => {
+    const startEnrollment = async () => {
+      try {
+        const response = await mfaAPI.setup(mfaToken)
+        setEnrollment(response.data)
+      } catch (error) {
+        onCancel?.()
+      }
+    }
+
+    startEnrollment()
+  }, [mfaToken])
+
+  const handleVerify = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+
+    try {
+      const response = await mfaAPI.verify(code, mfaToken)
+      toast.success('Two-factor authentication enabled')
+      setResult(response.data)
+    } catch (error) {
+      setCode('')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (result) {
+    return (
+      <RecoveryCodes
+        codes={result.recoveryCodes}
+        onDone={() => onComplete(result)}
+        doneLabel={mfaToken ? 'Continue' : 'Done'}
+      />
+    )
+  }
+
+  if (!enrollment) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={handleVerify} className="space-y-4">
+      <div className="flex items-start">
+        <Smartphone className="h-5 w-5 text-primary-600 mr-2 mt-0.5 flex-shrink-0" />
+        <p className="text-sm text-gray-600">
+          Scan this QR code with an authenticator app such as Google Authenticator,
+          1Password or Authy, then enter the 6-digit code it shows.
+        </p>
+      </div>
+
+      <div className="flex justify-center">
+        <img src={enrollment.qrCode} alt="MFA QR code" className="h-48 w-48" />
+      </div>
+
+      <div>
+        <p className="text-xs text-gray-500">Can't scan? Enter this key manually:</p>
+        <p className="mt-1 font-mono text-sm text-gray-900 break-all">{enrollment.secret}</p>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Verification code
+        </label>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={6}
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+          className="input tracking-widest"
+          placeholder="123456"
+          autoFocus
+        />
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="btn btn-secondary">
+            Cancel
+          </button>
+        )}
+        <button type="submit" disabled={submitting || code.length !== 6} className="btn btn-primary disabled:opacity-50">
+          {submitting ? 'Verifying...' : 'Verify'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default MfaEnrollment
@@ -0,0 +1,88 @@
+import { useEffect, useState } from 'react'
+import { Check, Circle } from 'lucide-react'
+import { authAPI } from '../services/api'
+
+// Fetch the server's password policy once per form
+export const usePasswordPolicy = () => {
+  const [policy, setPolicy] = useState(null)
+
+  useEffect(() => {
+    const fetchPolicy = async () => {
+      try {
+        const response = await authAPI.getPasswordPolicy()
+        setPolicy(response.data)
+      } catch (error) {
+        console.error('Failed to fetch password policy:', error)
+      }
+    }
+
+    fetchPolicy()
+  }, [])
+
+  return policy
+}
+
+const containsUserInfo = (password, { username, email }) => {
+  const normalized = password.toLowerCase()
+  return [username, email && email.split('@')[0]]
+    .filter(part => part && part.length >= 3)
+    .some(part => normalized.includes(part.toLowerCase()))
+}
+
+// Rules that can be checked in the browser; the common-password and reuse
+// checks only happen on the server
+export const getPasswordChecks = (policy, password = '', { username, email } = {}) => {
+  if (!policy) {
+    return []
+  }
+
+  return [
+    { label: `At least ${policy.minLength} characters`, met: password.length >= policy.minLength },
+    policy.requireUppercase && { label: 'An uppercase letter', met: /[A-Z]/.test(password) },
+    policy.requireLowercase && { label: 'A lowercase letter', met: /[a-z]/.test(password) },
+    policy.requireDigit && { label: 'A number', met: /\d/.test(password) },
+    policy.requireSymbol && { label: 'A symbol', met: /[^A-Za-z0-9]/.test(password) },
+    policy.disallowUserInfo && {
+      label: 'Does not contain your username or email',
+      met: password.length > 0 && !containsUserInfo(password, { username, email })
+    },
+  ].filter(Boolean)
+}
+
+export const meetsPasswordPolicy = (policy, password, userInfo) => {
+  return getPasswordChecks(policy, password, userInfo).every(check => check.met)
+}
+
+// Pass showHistory={false} for new accounts, which have no previous passwords
+const PasswordRequirements = ({ policy, password, username, email, showHistory = true }) => {
+  const checks = getPasswordChecks(policy, password, { username, email })
+  if (checks.length === 0) {
+    return null
+  }
+
+  return (
+    <ul className="mt-2 space-y-1">
+      {checks.map((check) => (
+        <li
+          key={check.label}
+          className={`flex items-center text-xs ${check.met ? 'text-green-600' : 'text-gray-500'}`}
+        >
+          {check.met ? (
+            <Check className="h-3 w-3 mr-1.5" />
+          ) : (
+            <Circle className="h-3 w-3 mr-1.5" />
+          )}
+          {check.label}
+        </li>
+      ))}
+      {(policy.blockCommon || (showHistory && policy.historyCount > 0)) && (
+        <li className="text-xs text-gray-400">
+          {policy.blockCommon && 'Common passwords are not allowed. '}
+          {showHistory && policy.historyCount > 0 && `Your last ${policy.historyCount} passwords cannot be reused.`}
+        </li>
+      )}
+    </ul>
+  )
+}
+
+export default PasswordRequirements
@@ -0,0 +1,297 @@
+import { useState, useEffect } from 'react'
+import { X, FileJson, Plus, History } from 'lucide-react'
+import { rolesAPI } from '../services/api'
+import toast from 'react-hot-toast'
+import PolicyEditor, { jsonError } from './PolicyEditor'
+
+const newPolicyTemplate = JSON.stringify({
+  Version: '2024-01-01',
+  Statement: [
+    { Sid: 'ReadUsers', Effect: 'Allow', Action: ['Users:read'], Resource: '*' }
+  ]
+}, null, 2)
+
+const formatDocument = (document) => JSON.stringify(document, null, 2)
+
+// Validation failures list each problem in details
+const errorMessage = (error, fallback) =>
+  error.response?.data?.details?.join(', ') || error.response?.data?.error || fallback
+
+// The JSON policy documents attached to one role. Saving an existing policy
+// adds a version; any earlier version can be put back in force.
+const PoliciesModal = ({ role, onClose }) => {
+  const [policies, setPolicies] = useState([])
+  const [selectedId, setSelectedId] = useState(null)
+  const [name, setName] = useState('')
+  const [text, setText] = useState(newPolicyTemplate)
+  const [versions, setVersions] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    fetchPolicies()
+  }, [role.id])
+
+  const fetchPolicies = async (selectId) => {
+    try {
+      const response = await rolesAPI.getPolicies(role.id)
+      setPolicies(response.data)
+      const selected = response.data.find(policy => policy.id === selectId)
+      if (selected) {
+        selectPolicy(selected)
+      }
+    } catch (error) {
+      toast.error('Failed to fetch policies')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const selectPolicy = (policy) => {
+    setSelectedId(policy.id)
+    setName(policy.name)
+    setText(formatDocument(policy.document))
+    setVersions(null)
+  }
+
+  const startNewPolicy = () => {
+    setSelectedId(null)
+    setName('')
+    setText(newPolicyTemplate)
+    setVersions(null)
+  }
+
+  const handleSave = async () => {
+    if (jsonError(text)) {
+      toast.error('The policy is not valid JSON')
+      return
+    }
+    if (!selectedId && !name.trim()) {
+      toast.error('Please name the policy')
+      return
+    }
+
+    try {
+      setSaving(true)
+      const document = JSON.parse(text)
+      if (selectedId) {
+        const response = await rolesAPI.updatePolicy(role.id, selectedId, document)
+        toast.success(response.data.message)
+        fetchPolicies(selectedId)
+      } else {
+        const response = await rolesAPI.createPolicy(role.id, name.trim(), document)
+        toast.success(response.data.message)
+        fetchPolicies(response.data.id)
+      }
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save policy'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    try {
+      setSaving(true)
+      await rolesAPI.deletePolicy(role.id, selectedId)
+      toast.success('Policy removed successfully')
+      startNewPolicy()
+      fetchPolicies()
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to remove policy'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const toggleVersions = async () => {
+    if (versions) {
+      setVersions(null)
+      return
+    }
+    try {
+      const response = await rolesAPI.getPolicyVersions(role.id, selectedId)
+      setVersions(response.data.versions)
+    } catch (error) {
+      toast.error('Failed to fetch policy versions')
+    }
+  }
+
+  const handleRestore = async (version) => {
+    try {
+      setSaving(true)
+      const response = await rolesAPI.restorePolicyVersion(role.id, selectedId, version)
+      toast.success(response.data.message)
+      fetchPolicies(selectedId)
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to restore version'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const selected = policies.find(policy => policy.id === selectedId)
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-5 border w-4/5 max-w-6xl shadow-lg rounded-md bg-white mb-10">
+        <div className="flex justify-between items-center mb-6">
+          <h3 className="text-lg font-medium text-gray-900">
+            Policy Documents for "{role.name}"
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          {/* Attached policies */}
+          <div className="space-y-2">
+            <button
+              onClick={startNewPolicy}
+              className={`w-full flex items-center px-3 py-2 text-sm rounded-md border ${
+                selectedId === null ? 'border-primary-500 bg-primary-50 text-primary-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              New policy
+            </button>
+            {loading ? (
+              <div className="p-2 text-sm text-gray-500">Loading...</div>
+            ) : policies.length === 0 ? (
+              <div className="p-2 text-sm text-gray-500">No policies attached</div>
+            ) : (
+              policies.map(policy => (
+                <button
+                  key={policy.id}
+                  onClick={() => selectPolicy(policy)}
+                  className={`w-full text-left px-3 py-2 rounded-md border ${
+                    policy.id === selectedId ? 'border-primary-500 bg-primary-50' : 'border-gray-200 hover:bg-gray-50'
+                  }`}
+                >
+                  <div className="flex items-center text-sm font-medium text-gray-900">
+                    <FileJson className="h-4 w-4 mr-2 text-gray-400" />
+                    {policy.name}
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    v{policy.current_version} · {policy.document.Statement.length} statement(s)
+                  </div>
+                </button>
+              ))
+            )}
+          </div>
+
+          {/* Editor */}
+          <div className="lg:col-span-3 space-y-3">
+            {selectedId === null ? (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="e.g. support-read-only"
+                  className="input"
+                />
+              </div>
+            ) : (
+              <div className="flex items-center justify-between">
+                <div className="text-sm text-gray-700">
+                  <span className="font-medium">{selected?.name}</span>
+                  <span className="ml-2 text-gray-500">
+                    version {selected?.current_version} in force
+                    {selected?.created_by_username && `, saved by ${selected.created_by_username}`}
+                  </span>
+                </div>
+                <button
+                  onClick={toggleVersions}
+                  className="flex items-center text-sm text-gray-600 hover:text-gray-800"
+                >
+                  <History className="h-4 w-4 mr-1" />
+                  {versions ? 'Hide history' : 'History'}
+                </button>
+              </div>
+            )}
+
+            {versions && (
+              <div className="border rounded-md divide-y max-h-48 overflow-y-auto">
+                {versions.map(version => (
+                  <div key={version.version} className="flex items-center justify-between px-3 py-2 text-sm">
+                    <span className="text-gray-700">
+                      Version {version.version}
+                      <span className="ml-2 text-xs text-gray-500">
+                        {new Date(version.created_at).toLocaleString()}
+                        {version.created_by_username && ` by ${version.created_by_username}`}
+                      </span>
+                    </span>
+                    <div className="flex space-x-3">
+                      <button
+                        onClick={() => setText(formatDocument(version.document))}
+                        className="text-gray-600 hover:text-gray-800 text-xs"
+                      >
+                        Load
+                      </button>
+                      {version.version === selected?.current_version ? (
+                        <span className="text-xs font-medium text-green-700">In force</span>
+                      ) : (
+                        <button
+                          onClick={() => handleRestore(version.version)}
+                          disabled={saving}
+                          className="text-primary-600 hover:text-primary-800 text-xs"
+                        >
+                          Restore
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <PolicyEditor value={text} onChange={setText} disabled={saving} />
+
+            <p className="text-xs text-gray-500">
+              Each statement has an Effect (Allow or Deny) and an Action such as Users:read, Users:* or *:read, and
+              optionally a Resource id pattern and a Condition expression. Denies override allows, including
+              those of the role's permission grants.
+            </p>
+
+            <div className="flex justify-between">
+              <div>
+                {selectedId !== null && (
+                  <button
+                    onClick={handleDelete}
+                    disabled={saving}
+                    className="px-4 py-2 text-sm font-medium text-red-700 bg-red-50 border border-red-200 rounded-md hover:bg-red-100 disabled:opacity-50"
+                  >
+                    Remove Policy
+                  </button>
+                )}
+              </div>
+              <div className="flex space-x-3">
+                <button
+                  onClick={onClose}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200"
+                >
+                  Close
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={saving}
+                  className="px-4 py-2 text-sm font-medium text-white bg-primary-600 border border-transparent rounded-md hover:bg-primary-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : selectedId === null ? 'Attach Policy' : 'Save New Version'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PoliciesModal
@@ -0,0 +1,89 @@
+// JSON tokens and the colours they are drawn in; keys are strings followed by a colon
+const tokenPattern = /("(?:\\.|[^"\\\n])*"(?=\s*:))|("(?:\\.|[^"\\\n])*"?)|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|(\btrue\b|\bfalse\b|\bnull\b)|([{}[\],:])/g
+
+const tokenStyles = ['text-indigo-700', 'text-green-700', 'text-orange-600', 'text-purple-700', 'text-gray-500']
+
+// Policy keywords stand out among the string values
+const keywordStyles = {
+  '"Allow"': 'text-green-700 font-semibold',
+  '"Deny"': 'text-red-700 font-semibold'
+}
+
+const highlight = (text) => {
+  const parts = []
+  let last = 0
+
+  for (const match of text.matchAll(tokenPattern)) {
+    if (match.index > last) {
+      parts.push(text.slice(last, match.index))
+    }
+    const group = match.slice(1).findIndex(Boolean)
+    parts.push(
+      <span key={match.index} className={keywordStyles[match[0]] || tokenStyles[group]}>
+        {match[0]}
+      </span>
+    )
+    last = match.index + match[0].length
+  }
+
+  parts.push(text.slice(last))
+  return parts
+}
+
+// Where a JSON document fails to parse, or null when it parses
+export const jsonError = (text) => {
+  try {
+    JSON.parse(text)
+    return null
+  } catch (error) {
+    return error.message
+  }
+}
+
+// Textarea over a highlighted copy of its text: the textarea's own text is
+// transparent, so the caret and selection stay native while the colours
+// come from the layer underneath. It grows with its content rather than
+// scrolling, which keeps the two layers aligned.
+const PolicyEditor = ({ value, onChange, disabled, minRows = 12 }) => {
+  // Indent with spaces rather than leaving the editor on Tab
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Tab') return
+    e.preventDefault()
+    const { selectionStart, selectionEnd } = e.target
+    const next = `${value.slice(0, selectionStart)}  ${value.slice(selectionEnd)}`
+    onChange(next)
+    requestAnimationFrame(() => {
+      e.target.selectionStart = e.target.selectionEnd = selectionStart + 2
+    })
+  }
+
+  const error = value.trim() ? jsonError(value) : null
+  const sharedClasses = 'font-mono text-sm leading-5 p-3 whitespace-pre-wrap break-words'
+
+  return (
+    <div>
+      <div className={`relative border rounded-md bg-gray-50 ${error ? 'border-red-400' : 'border-gray-300'}`}>
+        <pre
+          aria-hidden="true"
+          className={`${sharedClasses} absolute inset-0 m-0 overflow-hidden pointer-events-none text-gray-900`}
+        >
+          {highlight(value)}
+          {/* Keeps a trailing newline from collapsing */}
+          {'\n'}
+        </pre>
+        <textarea
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+          disabled={disabled}
+          rows={Math.max(minRows, value.split('\n').length + 1)}
+          spellCheck={false}
+          className={`${sharedClasses} relative block w-full resize-none overflow-hidden bg-transparent text-transparent caret-gray-900 focus:outline-none`}
+        />
+      </div>
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  )
+}
+
+export default PolicyEditor
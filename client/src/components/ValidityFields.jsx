@@ -0,0 +1,50 @@
+import { CalendarClock } from 'lucide-react'
+import { validityStatus, describeValidity } from '../utils/validity'
+
+const statusStyles = {
+  scheduled: 'bg-blue-100 text-blue-800',
+  active: 'bg-yellow-100 text-yellow-800',
+  expired: 'bg-gray-100 text-gray-600'
+}
+
+// Start and end inputs for an assignment's validity window; empty leaves
+// that end open. Values are datetime-local strings.
+const ValidityFields = ({ validFrom, validUntil, onChange, disabled }) => (
+  <div className="grid grid-cols-2 gap-3">
+    <div>
+      <label className="block text-xs font-medium text-gray-700 mb-1">Starts</label>
+      <input
+        type="datetime-local"
+        value={validFrom}
+        onChange={(e) => onChange({ validFrom: e.target.value, validUntil })}
+        disabled={disabled}
+        className="input text-sm"
+      />
+    </div>
+    <div>
+      <label className="block text-xs font-medium text-gray-700 mb-1">Expires</label>
+      <input
+        type="datetime-local"
+        value={validUntil}
+        onChange={(e) => onChange({ validFrom, validUntil: e.target.value })}
+        disabled={disabled}
+        className="input text-sm"
+      />
+    </div>
+  </div>
+)
+
+// Badge describing a time-bound assignment; renders nothing for permanent ones
+export const ValidityBadge = ({ item }) => {
+  const description = describeValidity(item)
+  if (!description) return null
+
+  return (
+    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium normal-case ${statusStyles[validityStatus(item)]}`}>
+      <CalendarClock className="h-3 w-3 mr-1" />
+      {description}
+    </span>
+  )
+}
+
+export default ValidityFields
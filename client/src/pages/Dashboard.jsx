@@ -13,23 +13,52 @@ import {
   XCircle,
   Play
 } from 'lucide-react'
-import { selectUser, selectPermissions } from '../store/slices/authSlice'
-import { authAPI, usersAPI } from '../services/api'
+import { selectUser, selectPermissions, selectDeniedPermissions, selectResourcePermissions } from '../store/slices/authSlice'
+import { isAllowedOnAny, WILDCARD } from '../utils/permissions'
+import { authAPI, usersAPI, modulesAPI } from '../services/api'
+import { fromInputValue } from '../utils/validity'
+
+const crudActions = ['create', 'read', 'update', 'delete']
+
+// Used when the current user cannot read the module catalogue
+const defaultModuleActions = {
+  Users: crudActions,
+  Groups: crudActions,
+  Roles: crudActions,
+  Modules: crudActions,
+  Permissions: crudActions
+}
 
 const Dashboard = () => {
   const navigate = useNavigate()
   const user = useSelector(selectUser)
   const permissions = useSelector(selectPermissions)
+  const deniedPermissions = useSelector(selectDeniedPermissions)
+  const resourcePermissions = useSelector(selectResourcePermissions)
   const [users, setUsers] = useState([])
+  const [moduleActions, setModuleActions] = useState(defaultModuleActions)
   const [simulation, setSimulation] = useState(null)
   const [loading, setLoading] = useState(false)
 
-  const { register, handleSubmit, reset } = useForm()
+  const { register, handleSubmit, watch } = useForm()
+  const selectedModule = watch('module')
 
   useEffect(() => {
     fetchUsers()
+    fetchModules()
   }, [])
 
+  const fetchModules = async () => {
+    try {
+      const response = await modulesAPI.getAll()
+      setModuleActions(Object.fromEntries(response.data
+        .filter(module => module.name !== WILDCARD)
+        .map(module => [module.name, module.actions])))
+    } catch (error) {
+      // Ignore error - fall back to the built-in modules
+    }
+  }
+
   const fetchUsers = async () => {
     try {
       const response = await usersAPI.getAll()
@@ -45,7 +74,10 @@ const Dashboard = () => {
       const response = await authAPI.simulateAction({
         userId: parseInt(data.userId),
         module: data.module,
-        action: data.action
+        action: data.action,
+        resource: data.resource?.trim() || undefined,
+        ip: data.ip?.trim() || undefined,
+        at: fromInputValue(data.at) || undefined
       })
       setSimulation(response.data)
       toast.success('Simulation completed')
@@ -59,8 +91,11 @@ const Dashboard = () => {
   const permissionCount = Object.values(permissions).reduce((total, actions) => total + actions.length, 0)
   const moduleCount = Object.keys(permissions).length
 
-  const modules = ['Users', 'Groups', 'Roles', 'Modules', 'Permissions']
-  const actions = ['create', 'read', 'update', 'delete']
+  // Grants limited to single resources, e.g. update on one group
+  const scopedGrants = resourcePermissions.filter(grant => grant.effect === 'allow')
+
+  const modules = Object.keys(moduleActions)
+  const actions = moduleActions[selectedModule] || []
 
   return (
     <div className="space-y-6">
@@ -117,7 +152,7 @@ const Dashboard = () => {
             Your Permissions
           </h2>
           
-          {Object.keys(permissions).length === 0 ? (
+          {Object.keys(permissions).length === 0 && scopedGrants.length === 0 ? (
             <div className="text-center py-8">
               <XCircle className="h-12 w-12 text-gray-400 mx-auto mb-4" />
               <p className="text-gray-500">You don't have any permissions assigned yet.</p>
@@ -141,6 +176,22 @@ const Dashboard = () => {
                   </div>
                 </div>
               ))}
+              {scopedGrants.length > 0 && (
+                <div className="border border-gray-200 rounded-lg p-4">
+                  <h3 className="font-medium text-gray-900 mb-2">Specific resources</h3>
+                  <div className="flex flex-wrap gap-2">
+                    {scopedGrants.map((grant) => (
+                      <span
+                        key={`${grant.module}-${grant.action}-${grant.resource}`}
+                        className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800"
+                      >
+                        <CheckCircle className="h-3 w-3 mr-1" />
+                        {grant.module}:{grant.action} #{grant.resource}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -195,6 +246,43 @@ const Dashboard = () => {
               </select>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Resource ID (optional)
+              </label>
+              <input
+                type="text"
+                {...register('resource')}
+                placeholder="e.g. 7 to test one group"
+                className="input"
+              />
+            </div>
+
+            {/* Request attributes that grant conditions can test */}
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Source IP (optional)
+                </label>
+                <input
+                  type="text"
+                  {...register('ip')}
+                  placeholder="Your address"
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  At (optional)
+                </label>
+                <input
+                  type="datetime-local"
+                  {...register('at')}
+                  className="input"
+                />
+              </div>
+            </div>
+
             <button
               type="submit"
               disabled={loading}
@@ -222,8 +310,32 @@ const Dashboard = () => {
               }`}>
                 {simulation.message}
               </p>
+              {simulation.grants && simulation.grants.length > 0 && (
+                <ul className="mt-2 space-y-1">
+                  {simulation.grants.map((grant) => (
+                    <li key={`${grant.group_id}-${grant.role_id}-${grant.module}-${grant.action}-${grant.resource}-${grant.inherited_by}-${grant.policy_name}-${grant.statement}`} className="text-xs text-gray-600">
+                      <span className={grant.effect === 'deny' ? 'font-medium text-red-700' : 'font-medium text-green-700'}>
+                        {grant.effect === 'deny' ? 'Deny' : 'Allow'}
+                      </span>
+                      {grant.resource !== '*' && ` on #${grant.resource}`}
+                      {' '}from role {grant.role_name}
+                      {grant.policy_name && ` (policy ${grant.policy_name} v${grant.policy_version}, statement ${grant.statement})`}
+                      {grant.inherited_by && ` (inherited by ${grant.inherited_by})`}
+                      {grant.direct ? ' assigned directly' : ` via group ${grant.group_name}`}
+                      {grant.via_subgroup && ` (through subgroup ${grant.via_subgroup})`}
+                      {grant.condition && (
+                        <span className={grant.condition_met ? 'text-green-700' : 'text-gray-500'}>
+                          {' '}if <code>{grant.condition}</code> ({grant.condition_met ? 'met' : 'not met'})
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
               <div className="mt-2 text-xs text-gray-500">
                 User ID: {simulation.userId} | Module: {simulation.module} | Action: {simulation.action}
+                {simulation.resource && ` | Resource: ${simulation.resource}`}
+                {simulation.request && ` | From ${simulation.request.ip || 'unknown address'} on ${simulation.request.weekday} ${simulation.request.date} ${simulation.request.time}`}
               </div>
             </div>
           )}
@@ -242,7 +354,7 @@ const Dashboard = () => {
             { name: 'Permissions', icon: Lock, path: '/permissions', module: 'Permissions' },
           ].map((item) => {
             const Icon = item.icon
-            const hasAccess = permissions[item.module] && permissions[item.module].includes('read')
+            const hasAccess = isAllowedOnAny(permissions, deniedPermissions, resourcePermissions, item.module, 'read')
             
             return (
               <div
@@ -0,0 +1,131 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useForm } from 'react-hook-form'
+import { yupResolver } from '@hookform/resolvers/yup'
+import * as yup from 'yup'
+import { KeyRound, Mail } from 'lucide-react'
+import { authAPI } from '../services/api'
+
+const forgotPasswordSchema = yup.object({
+  // Blank means the default organization
+  tenant: yup.string().trim().lowercase(),
+  email: yup.string().email('Invalid email').required('Email is required'),
+})
+
+const ForgotPassword = () => {
+  // The address a link was sent to, once the request has gone through
+  const [sentTo, setSentTo] = useState(null)
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting }
+  } = useForm({
+    resolver: yupResolver(forgotPasswordSchema)
+  })
+
+  const onSubmit = async (data) => {
+    try {
+      await authAPI.forgotPassword(data.email, data.tenant)
+      setSentTo(data.email)
+    } catch (error) {
+      console.error('Failed to request password reset:', error)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <div className="mx-auto h-12 w-12 flex items-center justify-center rounded-full bg-primary-600">
+            <KeyRound className="h-6 w-6 text-white" />
+          </div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Forgot your password?
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            {sentTo
+              ? 'Check your inbox'
+              : "Enter your account's email and we'll send you a reset link"}
+          </p>
+        </div>
+
+        {sentTo ? (
+          <div className="card space-y-4">
+            <div className="flex items-start">
+              <Mail className="h-5 w-5 text-primary-600 mr-3 mt-0.5 flex-shrink-0" />
+              <p className="text-sm text-gray-700">
+                If an account uses <span className="font-medium">{sentTo}</span>, we've sent it a link
+                to reset the password. The link works once and expires shortly.
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => setSentTo(null)}
+              className="text-primary-600 hover:text-primary-500 text-sm font-medium"
+            >
+              Didn't get it? Send another link
+            </button>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            <div>
+              <label htmlFor="tenant" className="block text-sm font-medium text-gray-700">
+                Organization
+              </label>
+              <input
+                {...register('tenant')}
+                id="tenant"
+                type="text"
+                autoCapitalize="none"
+                className={`input mt-1 ${errors.tenant ? 'border-red-500' : ''}`}
+                placeholder="Leave blank for the default organization"
+              />
+              {errors.tenant && (
+                <p className="mt-1 text-sm text-red-600">{errors.tenant.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                Email
+              </label>
+              <input
+                {...register('email')}
+                id="email"
+                type="email"
+                autoComplete="email"
+                className={`input mt-1 ${errors.email ? 'border-red-500' : ''}`}
+                placeholder="Enter your email"
+                autoFocus
+              />
+              {errors.email && (
+                <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSubmitting ? (
+                <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+              ) : (
+                'Send Reset Link'
+              )}
+            </button>
+          </form>
+        )}
+
+        <div className="text-center">
+          <Link to="/login" className="text-gray-600 hover:text-gray-500 text-sm font-medium">
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ForgotPassword
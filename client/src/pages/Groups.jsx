@@ -10,26 +10,97 @@ import {
   Shield, 
   X, 
   Users as UsersIcon,
-  Key as RoleIcon 
+  Key as RoleIcon,
+  ShieldCheck,
+  FolderTree
 } from 'lucide-react'
-import { selectPermissions } from '../store/slices/authSlice'
+import { selectPermissions, selectDeniedPermissions, selectResourcePermissions } from '../store/slices/authSlice'
+import { isAllowed, isAllowedOn, isAllowedOnAny } from '../utils/permissions'
+import { toInputValue, fromInputValue } from '../utils/validity'
+import ValidityFields, { ValidityBadge } from '../components/ValidityFields'
 import { groupsAPI, usersAPI, rolesAPI } from '../services/api'
 import toast from 'react-hot-toast'
 
 // Validation schema
 const groupSchema = yup.object({
   name: yup.string().min(3, 'Group name must be at least 3 characters').required('Group name is required'),
-  description: yup.string().max(500, 'Description cannot exceed 500 characters')
+  description: yup.string().max(500, 'Description cannot exceed 500 characters'),
+  mfaRequired: yup.boolean()
 })
 
+// Ids of every group that contains the given group, directly or not
+const getContainingGroupIds = (groupId, groups) => {
+  const containing = new Set()
+  const queue = [groupId]
+
+  while (queue.length > 0) {
+    const current = groups.find(group => group.id === queue.shift())
+    const parentIds = current?.parent_group_ids || []
+    parentIds
+      .filter(id => !containing.has(id))
+      .forEach(id => {
+        containing.add(id)
+        queue.push(id)
+      })
+  }
+
+  return containing
+}
+
+// Labels and API calls for each kind of assignment the modal manages
+const assignmentTypes = {
+  users: {
+    title: 'Users',
+    label: 'User',
+    current: 'Members',
+    noun: 'user',
+    responseKey: 'users',
+    timeBound: true,
+    assign: groupsAPI.assignUsers,
+    remove: groupsAPI.removeUsers
+  },
+  roles: {
+    title: 'Roles',
+    label: 'Role',
+    current: 'Roles',
+    noun: 'role',
+    responseKey: 'roles',
+    timeBound: true,
+    assign: groupsAPI.assignRoles,
+    remove: groupsAPI.removeRoles
+  },
+  subgroups: {
+    title: 'Subgroups',
+    label: 'Subgroup',
+    current: 'Subgroups',
+    noun: 'subgroup',
+    responseKey: 'subgroups',
+    timeBound: false,
+    assign: groupsAPI.addSubgroups,
+    remove: groupsAPI.removeSubgroups
+  }
+}
+
 // Assignment Modal Component
-const AssignmentModal = ({ group, type, users, roles, onClose, onSuccess }) => {
+const AssignmentModal = ({ group, type, users, roles, groups, onClose, onSuccess }) => {
   const [selectedItems, setSelectedItems] = useState([])
   const [currentAssignments, setCurrentAssignments] = useState([])
+  const [inheritedUsers, setInheritedUsers] = useState([])
   const [loading, setLoading] = useState(false)
+  const [validity, setValidity] = useState({ validFrom: '', validUntil: '' })
+  const [editingValidityId, setEditingValidityId] = useState(null)
+  const [editedValidity, setEditedValidity] = useState({ validFrom: '', validUntil: '' })
 
-  const items = type === 'users' ? users : roles
   const isUsers = type === 'users'
+  const config = assignmentTypes[type]
+
+  // A group cannot contain itself or a group it is already part of
+  const containingIds = getContainingGroupIds(group.id, groups)
+  const items = {
+    users,
+    roles,
+    subgroups: groups.filter(item => item.id !== group.id && !containingIds.has(item.id))
+  }[type]
 
   useEffect(() => {
     fetchCurrentAssignments()
@@ -38,18 +109,13 @@ const AssignmentModal = ({ group, type, users, roles, onClose, onSuccess }) => {
   const fetchCurrentAssignments = async () => {
     try {
       setLoading(true)
-      if (isUsers) {
-        // Get users in this group
-        const response = await groupsAPI.getById(group.id)
-        setCurrentAssignments(response.data.users || [])
-      } else {
-        // Get roles in this group
-        const response = await groupsAPI.getById(group.id)
-        setCurrentAssignments(response.data.roles || [])
-      }
+      const response = await groupsAPI.getById(group.id)
+      setCurrentAssignments(response.data[config.responseKey] || [])
+      setInheritedUsers(response.data.inheritedUsers || [])
     } catch (error) {
       console.error('Failed to fetch current assignments:', error)
       setCurrentAssignments([])
+      setInheritedUsers([])
     } finally {
       setLoading(false)
     }
@@ -75,13 +141,11 @@ const AssignmentModal = ({ group, type, users, roles, onClose, onSuccess }) => {
 
     try {
       setLoading(true)
-      if (isUsers) {
-        await groupsAPI.assignUsers(group.id, selectedItems)
-        toast.success(`${selectedItems.length} user(s) assigned successfully`)
-      } else {
-        await groupsAPI.assignRoles(group.id, selectedItems)
-        toast.success(`${selectedItems.length} role(s) assigned successfully`)
-      }
+      await config.assign(group.id, selectedItems, {
+        validFrom: fromInputValue(validity.validFrom),
+        validUntil: fromInputValue(validity.validUntil)
+      })
+      toast.success(`${selectedItems.length} ${config.noun}(s) assigned successfully`)
       onSuccess()
     } catch (error) {
       const message = error.response?.data?.error || 'Assignment failed'
@@ -94,13 +158,8 @@ const AssignmentModal = ({ group, type, users, roles, onClose, onSuccess }) => {
   const handleRemove = async (itemId) => {
     try {
       setLoading(true)
-      if (isUsers) {
-        await groupsAPI.removeUsers(group.id, [itemId])
-        toast.success('User removed successfully')
-      } else {
-        await groupsAPI.removeRoles(group.id, [itemId])
-        toast.success('Role removed successfully')
-      }
+      await config.remove(group.id, [itemId])
+      toast.success(`${config.label} removed successfully`)
       fetchCurrentAssignments()
     } catch (error) {
       const message = error.response?.data?.error || 'Removal failed'
@@ -110,6 +169,32 @@ const AssignmentModal = ({ group, type, users, roles, onClose, onSuccess }) => {
     }
   }
 
+  const openValidityEditor = (item) => {
+    setEditingValidityId(item.id)
+    setEditedValidity({
+      validFrom: toInputValue(item.valid_from),
+      validUntil: toInputValue(item.valid_until)
+    })
+  }
+
+  // Re-assigning an item replaces its validity window
+  const handleSaveValidity = async () => {
+    try {
+      setLoading(true)
+      await config.assign(group.id, [editingValidityId], {
+        validFrom: fromInputValue(editedValidity.validFrom),
+        validUntil: fromInputValue(editedValidity.validUntil)
+      })
+      toast.success('Access dates updated successfully')
+      setEditingValidityId(null)
+      fetchCurrentAssignments()
+    } catch (error) {
+      const message = error.response?.data?.error || 'Update failed'
+      toast.error(message)
+      setLoading(false)
+    }
+  }
+
   const unassignedItems = items.filter(item => !isAssigned(item.id))
 
   return (
@@ -117,7 +202,7 @@ const AssignmentModal = ({ group, type, users, roles, onClose, onSuccess }) => {
       <div className="relative top-10 mx-auto p-5 border w-4/5 max-w-4xl shadow-lg rounded-md bg-white">
         <div className="flex justify-between items-center mb-6">
           <h3 className="text-lg font-medium text-gray-900">
-            Manage {isUsers ? 'Users' : 'Roles'} for "{group.name}"
+            Manage {config.title} for "{group.name}"
           </h3>
           <button
             onClick={onClose}
@@ -131,8 +216,10 @@ const AssignmentModal = ({ group, type, users, roles, onClose, onSuccess }) => {
           {/* Current Assignments */}
           <div className="space-y-4">
             <h4 className="text-md font-medium text-gray-900 flex items-center">
-              {isUsers ? <UsersIcon className="h-4 w-4 mr-2" /> : <RoleIcon className="h-4 w-4 mr-2" />}
-              Current {isUsers ? 'Members' : 'Roles'} ({currentAssignments.length})
+              {isUsers && <UsersIcon className="h-4 w-4 mr-2" />}
+              {type === 'roles' && <RoleIcon className="h-4 w-4 mr-2" />}
+              {type === 'subgroups' && <FolderTree className="h-4 w-4 mr-2" />}
+              Current {config.current} ({currentAssignments.length})
             </h4>
             
             <div className="border rounded-md max-h-60 overflow-y-auto">
@@ -140,47 +227,111 @@ const AssignmentModal = ({ group, type, users, roles, onClose, onSuccess }) => {
                 <div className="p-4 text-center text-gray-500">Loading...</div>
               ) : currentAssignments.length === 0 ? (
                 <div className="p-4 text-center text-gray-500">
-                  No {isUsers ? 'users' : 'roles'} assigned
+                  No {config.noun}s assigned
                 </div>
               ) : (
                 <div className="divide-y divide-gray-200">
                   {currentAssignments.map((item) => (
-                    <div key={item.id} className="p-3 flex justify-between items-center">
-                      <div>
-                        <div className="text-sm font-medium text-gray-900">
-                          {isUsers ? item.username : item.name}
+                    <div key={item.id} className="p-3">
+                      <div className="flex justify-between items-center">
+                        <div>
+                          <div className="text-sm font-medium text-gray-900">
+                            {isUsers ? item.username : item.name}
+                          </div>
+                          {isUsers && (
+                            <div className="text-xs text-gray-500">{item.email}</div>
+                          )}
+                          {!isUsers && item.description && (
+                            <div className="text-xs text-gray-500">{item.description}</div>
+                          )}
+                          {config.timeBound && (
+                            <div className="mt-1">
+                              <ValidityBadge item={item} />
+                            </div>
+                          )}
+                        </div>
+                        <div className="flex space-x-3">
+                          {config.timeBound && (
+                            <button
+                              onClick={() => openValidityEditor(item)}
+                              disabled={loading}
+                              className="text-gray-600 hover:text-gray-800 text-sm"
+                            >
+                              Dates
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleRemove(item.id)}
+                            disabled={loading}
+                            className="text-red-600 hover:text-red-800 text-sm"
+                          >
+                            Remove
+                          </button>
                         </div>
-                        {isUsers && (
-                          <div className="text-xs text-gray-500">{item.email}</div>
-                        )}
-                        {!isUsers && item.description && (
-                          <div className="text-xs text-gray-500">{item.description}</div>
-                        )}
                       </div>
-                      <button
-                        onClick={() => handleRemove(item.id)}
-                        disabled={loading}
-                        className="text-red-600 hover:text-red-800 text-sm"
-                      >
-                        Remove
-                      </button>
+                      {editingValidityId === item.id && (
+                        <div className="mt-3 space-y-2">
+                          <ValidityFields
+                            validFrom={editedValidity.validFrom}
+                            validUntil={editedValidity.validUntil}
+                            onChange={setEditedValidity}
+                            disabled={loading}
+                          />
+                          <div className="flex justify-end space-x-2">
+                            <button
+                              onClick={() => setEditingValidityId(null)}
+                              className="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200"
+                            >
+                              Cancel
+                            </button>
+                            <button
+                              onClick={handleSaveValidity}
+                              disabled={loading}
+                              className="px-3 py-1 text-xs font-medium text-white bg-primary-600 border border-transparent rounded-md hover:bg-primary-700 disabled:opacity-50"
+                            >
+                              Save Dates
+                            </button>
+                          </div>
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
               )}
             </div>
+
+            {/* Members of nested subgroups (read-only; managed on the subgroup) */}
+            {isUsers && inheritedUsers.length > 0 && (
+              <>
+                <h4 className="text-md font-medium text-gray-900 flex items-center">
+                  <FolderTree className="h-4 w-4 mr-2" />
+                  Inherited Members ({inheritedUsers.length})
+                </h4>
+                <div className="border rounded-md max-h-48 overflow-y-auto divide-y divide-gray-200">
+                  {inheritedUsers.map((item) => (
+                    <div key={item.id} className="p-3 flex justify-between items-center">
+                      <div>
+                        <div className="text-sm font-medium text-gray-900">{item.username}</div>
+                        <div className="text-xs text-gray-500">{item.email}</div>
+                      </div>
+                      <span className="text-xs text-gray-500">via {item.group_name}</span>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
           </div>
 
           {/* Available for Assignment */}
           <div className="space-y-4">
             <h4 className="text-md font-medium text-gray-900">
-              Available {isUsers ? 'Users' : 'Roles'} ({unassignedItems.length})
+              Available {config.title} ({unassignedItems.length})
             </h4>
             
             <div className="border rounded-md max-h-60 overflow-y-auto">
               {unassignedItems.length === 0 ? (
                 <div className="p-4 text-center text-gray-500">
-                  All {isUsers ? 'users' : 'roles'} are already assigned
+                  All {config.noun}s are already assigned
                 </div>
               ) : (
                 <div className="divide-y divide-gray-200">
@@ -212,13 +363,28 @@ const AssignmentModal = ({ group, type, users, roles, onClose, onSuccess }) => {
             </div>
 
             {selectedItems.length > 0 && (
-              <button
-                onClick={handleAssign}
-                disabled={loading}
-                className="w-full px-4 py-2 text-sm font-medium text-white bg-primary-600 border border-transparent rounded-md hover:bg-primary-700 disabled:opacity-50"
-              >
-                {loading ? 'Assigning...' : `Assign ${selectedItems.length} ${isUsers ? 'User(s)' : 'Role(s)'}`}
-              </button>
+              <div className="space-y-3">
+                {config.timeBound && (
+                  <div>
+                    <ValidityFields
+                      validFrom={validity.validFrom}
+                      validUntil={validity.validUntil}
+                      onChange={setValidity}
+                      disabled={loading}
+                    />
+                    <p className="mt-1 text-xs text-gray-500">
+                      Leave empty for access that starts now and never expires.
+                    </p>
+                  </div>
+                )}
+                <button
+                  onClick={handleAssign}
+                  disabled={loading}
+                  className="w-full px-4 py-2 text-sm font-medium text-white bg-primary-600 border border-transparent rounded-md hover:bg-primary-700 disabled:opacity-50"
+                >
+                  {loading ? 'Assigning...' : `Assign ${selectedItems.length} ${config.label}(s)`}
+                </button>
+              </div>
             )}
           </div>
         </div>
@@ -247,8 +413,10 @@ const Groups = () => {
   const [groupToDelete, setGroupToDelete] = useState(null)
   const [showAssignModal, setShowAssignModal] = useState(false)
   const [assigningGroup, setAssigningGroup] = useState(null)
-  const [assignType, setAssignType] = useState('users') // 'users' or 'roles'
+  const [assignType, setAssignType] = useState('users') // 'users', 'roles' or 'subgroups'
   const permissions = useSelector(selectPermissions)
+  const deniedPermissions = useSelector(selectDeniedPermissions)
+  const resourcePermissions = useSelector(selectResourcePermissions)
 
   const isEdit = !!editingGroup
   
@@ -261,8 +429,15 @@ const Groups = () => {
     resolver: yupResolver(groupSchema)
   })
 
-  const hasPermission = (action) => {
-    return permissions.Groups && permissions.Groups.includes(action)
+  // With a group id, whether the action is allowed on that group; without one,
+  // whether it is allowed on any (creating is never scoped to a group)
+  const hasPermission = (action, groupId) => {
+    if (groupId !== undefined) {
+      return isAllowedOn(permissions, deniedPermissions, resourcePermissions, 'Groups', action, groupId)
+    }
+    return action === 'create'
+      ? isAllowed(permissions, deniedPermissions, 'Groups', action)
+      : isAllowedOnAny(permissions, deniedPermissions, resourcePermissions, 'Groups', action)
   }
 
   useEffect(() => {
@@ -308,7 +483,8 @@ const Groups = () => {
     setEditingGroup(null)
     reset({
       name: '',
-      description: ''
+      description: '',
+      mfaRequired: false
     })
     setShowModal(true)
   }
@@ -317,7 +493,8 @@ const Groups = () => {
     setEditingGroup(group)
     reset({
       name: group.name,
-      description: group.description || ''
+      description: group.description || '',
+      mfaRequired: !!group.mfa_required
     })
     setShowModal(true)
   }
@@ -382,6 +559,8 @@ const Groups = () => {
     setAssignType('users')
   }
 
+  const groupName = (groupId) => groups.find(group => group.id === groupId)?.name
+
   if (!hasPermission('read')) {
     return (
       <div className="text-center py-12">
@@ -445,6 +624,9 @@ const Groups = () => {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Roles
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Subgroups
+                  </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Created
                   </th>
@@ -461,7 +643,23 @@ const Groups = () => {
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center">
                         <Shield className="h-5 w-5 text-gray-400 mr-3" />
-                        <div className="text-sm font-medium text-gray-900">{group.name}</div>
+                        <div>
+                          <div className="text-sm font-medium text-gray-900">{group.name}</div>
+                          {group.parent_group_ids?.length > 0 && (
+                            <div className="text-xs text-gray-500">
+                              Part of {group.parent_group_ids.map(groupName).filter(Boolean).join(', ')}
+                            </div>
+                          )}
+                        </div>
+                        {!!group.mfa_required && (
+                          <span
+                            className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800"
+                            title="Members must use two-factor authentication"
+                          >
+                            <ShieldCheck className="h-3 w-3 mr-1" />
+                            MFA
+                          </span>
+                        )}
                       </div>
                     </td>
                     <td className="px-6 py-4">
@@ -473,7 +671,7 @@ const Groups = () => {
                       <div className="flex items-center">
                         <UsersIcon className="h-4 w-4 text-gray-400 mr-1" />
                         <span className="text-sm text-gray-900">{group.user_count || 0}</span>
-                        {hasPermission('update') && (
+                        {hasPermission('update', group.id) && (
                           <button
                             onClick={() => openAssignModal(group, 'users')}
                             className="ml-2 text-xs text-primary-600 hover:text-primary-800"
@@ -487,7 +685,7 @@ const Groups = () => {
                       <div className="flex items-center">
                         <RoleIcon className="h-4 w-4 text-gray-400 mr-1" />
                         <span className="text-sm text-gray-900">{group.role_count || 0}</span>
-                        {hasPermission('update') && (
+                        {hasPermission('update', group.id) && (
                           <button
                             onClick={() => openAssignModal(group, 'roles')}
                             className="ml-2 text-xs text-primary-600 hover:text-primary-800"
@@ -497,13 +695,27 @@ const Groups = () => {
                         )}
                       </div>
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center">
+                        <FolderTree className="h-4 w-4 text-gray-400 mr-1" />
+                        <span className="text-sm text-gray-900">{group.subgroup_ids?.length || 0}</span>
+                        {hasPermission('update', group.id) && (
+                          <button
+                            onClick={() => openAssignModal(group, 'subgroups')}
+                            className="ml-2 text-xs text-primary-600 hover:text-primary-800"
+                          >
+                            Manage
+                          </button>
+                        )}
+                      </div>
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {new Date(group.created_at).toLocaleDateString()}
                     </td>
                     {(hasPermission('update') || hasPermission('delete')) && (
                       <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                         <div className="flex justify-end space-x-2">
-                          {hasPermission('update') && (
+                          {hasPermission('update', group.id) && (
                             <button 
                               onClick={() => openEditModal(group)}
                               className="text-indigo-600 hover:text-indigo-900"
@@ -512,7 +724,7 @@ const Groups = () => {
                               <Edit className="h-4 w-4" />
                             </button>
                           )}
-                          {hasPermission('delete') && (
+                          {hasPermission('delete', group.id) && (
                             <button 
                               onClick={() => openDeleteModal(group)}
                               className="text-red-600 hover:text-red-900"
@@ -579,6 +791,20 @@ const Groups = () => {
                 )}
               </div>
 
+              <label className="flex items-start">
+                <input
+                  {...register('mfaRequired')}
+                  type="checkbox"
+                  className="h-4 w-4 mt-0.5 text-primary-600 border-gray-300 rounded"
+                />
+                <span className="ml-2">
+                  <span className="block text-sm font-medium text-gray-700">Require MFA</span>
+                  <span className="block text-xs text-gray-500">
+                    Members must set up two-factor authentication before they can sign in
+                  </span>
+                </span>
+              </label>
+
               <div className="flex justify-end space-x-3">
                 <button
                   type="button"
@@ -636,6 +862,7 @@ const Groups = () => {
           type={assignType}
           users={users}
           roles={roles}
+          groups={groups}
           onClose={closeAssignModal}
           onSuccess={() => {
             fetchGroups()
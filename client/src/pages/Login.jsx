@@ -1,38 +1,65 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { useDispatch, useSelector } from 'react-redux'
-import { Navigate } from 'react-router-dom'
+import { Navigate, Link, useSearchParams } from 'react-router-dom'
 import { useForm } from 'react-hook-form'
 import { yupResolver } from '@hookform/resolvers/yup'
 import * as yup from 'yup'
 import toast from 'react-hot-toast'
-import { Lock, User, Eye, EyeOff } from 'lucide-react'
+import { Lock, User, Eye, EyeOff, ShieldCheck, KeyRound, Mail, Building2 } from 'lucide-react'
 import { 
   loginStart, 
   loginSuccess, 
   loginFailure,
+  setLoading,
   setPermissions,
+  setEmailVerificationRequired,
   selectAuthLoading,
   selectIsAuthenticated 
 } from '../store/slices/authSlice'
-import { authAPI } from '../services/api'
+import { authAPI, invitationsAPI } from '../services/api'
+import MfaEnrollment from '../components/MfaEnrollment'
+import ChangePasswordForm from '../components/ChangePasswordForm'
+import PasswordRequirements, { usePasswordPolicy, meetsPasswordPolicy } from '../components/PasswordRequirements'
+
+// Blank means the default organization
+const tenantField = yup.string().trim().lowercase()
 
 const loginSchema = yup.object({
+  tenant: tenantField,
   username: yup.string().required('Username is required'),
   password: yup.string().required('Password is required'),
 })
 
 const registerSchema = yup.object({
+  tenant: tenantField,
   username: yup.string().min(3, 'Username must be at least 3 characters').required('Username is required'),
   email: yup.string().email('Invalid email').required('Email is required'),
-  password: yup.string().min(6, 'Password must be at least 6 characters').required('Password is required'),
+  // Strength rules come from the server's password policy
+  password: yup.string().required('Password is required'),
 })
 
 const Login = () => {
   const [isRegister, setIsRegister] = useState(false)
   const [showPassword, setShowPassword] = useState(false)
+  // Second login step: { type: 'challenge' | 'enroll', mfaToken, username }
+  const [mfaStep, setMfaStep] = useState(null)
+  // Set when the password must be changed before signing in: { token, username, reason }
+  const [passwordChange, setPasswordChange] = useState(null)
+  // Set when the email address must be verified before signing in: { email }
+  const [verificationPending, setVerificationPending] = useState(null)
+  const [resending, setResending] = useState(false)
+  // Who may sign up: { mode: 'open' | 'domain' | 'invite', allowedDomains }
+  const [registration, setRegistration] = useState(null)
+  // Set when following an invitation link: { token, email }
+  const [invitation, setInvitation] = useState(null)
+  const [searchParams] = useSearchParams()
+  const inviteToken = searchParams.get('invite')
+  const [mfaCode, setMfaCode] = useState('')
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
   const dispatch = useDispatch()
   const loading = useSelector(selectAuthLoading)
   const isAuthenticated = useSelector(selectIsAuthenticated)
+  const passwordPolicy = usePasswordPolicy()
 
   const schema = isRegister ? registerSchema : loginSchema
   
@@ -40,53 +67,358 @@ const Login = () => {
     register,
     handleSubmit,
     formState: { errors },
-    reset
+    reset,
+    watch,
+    setError,
+    setValue
   } = useForm({
     resolver: yupResolver(schema)
   })
 
+  useEffect(() => {
+    const fetchRegistration = async () => {
+      try {
+        const response = await authAPI.getRegistration()
+        setRegistration(response.data)
+      } catch (error) {
+        console.error('Failed to fetch registration settings:', error)
+      }
+    }
+
+    fetchRegistration()
+  }, [])
+
+  // An invitation link opens the sign-up form for the invited address
+  useEffect(() => {
+    if (!inviteToken) {
+      return
+    }
+
+    const verifyInvitation = async () => {
+      try {
+        const response = await invitationsAPI.verify(inviteToken)
+        setInvitation({ token: inviteToken, email: response.data.email })
+        setIsRegister(true)
+        setValue('email', response.data.email)
+      } catch (error) {
+        setInvitation(null)
+      }
+    }
+
+    verifyInvitation()
+  }, [inviteToken, setValue])
+
+  // Without an invitation the sign-up form is only offered when registration is open
+  const canRegister = !!invitation || (registration && registration.mode !== 'invite')
+
   if (isAuthenticated) {
     return <Navigate to="/dashboard" replace />
   }
 
+  const completeLogin = async ({ user, token, refreshToken }) => {
+    dispatch(loginSuccess({ user, token, refreshToken }))
+    
+    // Get permissions
+    const permissionsResponse = await authAPI.getPermissions()
+    dispatch(setPermissions(permissionsResponse.data))
+    dispatch(setEmailVerificationRequired(permissionsResponse.data.emailVerificationRequired))
+    
+    toast.success('Login successful!')
+  }
+
+  // The last login step either starts a session or asks for a new password
+  const handleLoginResult = async (data, username) => {
+    if (data.passwordChangeRequired) {
+      dispatch(setLoading(false))
+      setMfaStep(null)
+      setPasswordChange({ token: data.passwordChangeToken, username, reason: data.reason })
+      return
+    }
+
+    await completeLogin(data)
+  }
+
   const onSubmit = async (data) => {
     dispatch(loginStart())
     
     try {
       if (isRegister) {
+        if (!meetsPasswordPolicy(passwordPolicy, data.password, data)) {
+          dispatch(setLoading(false))
+          setError('password', { message: 'Password does not meet the requirements' })
+          return
+        }
+
         // Register user
-        const registerResponse = await authAPI.register(data)
+        const registerResponse = await authAPI.register(invitation
+          ? { ...data, inviteToken: invitation.token }
+          : data)
+
+        // The address has to be confirmed before the first sign-in
+        if (registerResponse.data.emailVerificationRequired) {
+          dispatch(setLoading(false))
+          setVerificationPending({ email: data.email, tenant: data.tenant })
+          return
+        }
+
         toast.success('Registration successful! You are now logged in.')
         
         // Auto-login after registration
-        const { user, token } = registerResponse.data
-        dispatch(loginSuccess({ user, token }))
+        const { user, token, refreshToken } = registerResponse.data
+        dispatch(loginSuccess({ user, token, refreshToken }))
         
         // Get permissions
         const permissionsResponse = await authAPI.getPermissions()
-        dispatch(setPermissions(permissionsResponse.data.permissions))
+        dispatch(setPermissions(permissionsResponse.data))
+        dispatch(setEmailVerificationRequired(permissionsResponse.data.emailVerificationRequired))
       } else {
         // Login user
         const loginResponse = await authAPI.login(data)
-        const { user, token } = loginResponse.data
-        
-        dispatch(loginSuccess({ user, token }))
-        
-        // Get permissions
-        const permissionsResponse = await authAPI.getPermissions()
-        dispatch(setPermissions(permissionsResponse.data.permissions))
-        
-        toast.success('Login successful!')
+        const { mfaRequired, mfaEnrollmentRequired, mfaToken } = loginResponse.data
+
+        // Password was correct but a second factor is still needed
+        if (mfaRequired || mfaEnrollmentRequired) {
+          dispatch(setLoading(false))
+          setMfaStep({ type: mfaRequired ? 'challenge' : 'enroll', mfaToken, username: data.username })
+          return
+        }
+
+        await handleLoginResult(loginResponse.data, data.username)
       }
     } catch (error) {
+      if (error.response?.data?.emailVerificationRequired) {
+        dispatch(setLoading(false))
+        setVerificationPending({ email: '', tenant: data.tenant })
+        return
+      }
+
       const message = error.response?.data?.error || 'Authentication failed'
       dispatch(loginFailure(message))
     }
   }
 
+  const handleResendVerification = async (e) => {
+    e.preventDefault()
+    setResending(true)
+
+    try {
+      const response = await authAPI.resendVerification(verificationPending.email, verificationPending.tenant)
+      toast.success(response.data.message)
+    } catch (error) {
+      console.error('Failed to resend verification email:', error)
+    } finally {
+      setResending(false)
+    }
+  }
+
+  const onSubmitMfa = async (e) => {
+    e.preventDefault()
+    dispatch(loginStart())
+
+    try {
+      const response = await authAPI.loginMfa({
+        mfaToken: mfaStep.mfaToken,
+        ...(useRecoveryCode ? { recoveryCode: mfaCode.trim() } : { code: mfaCode })
+      })
+      await handleLoginResult(response.data, mfaStep.username)
+    } catch (error) {
+      const message = error.response?.data?.error || 'Authentication failed'
+      dispatch(loginFailure(message))
+      setMfaCode('')
+      // The challenge token has expired, so start over from the password step
+      if (message.includes('expired')) {
+        cancelMfa()
+      }
+    }
+  }
+
+  const cancelMfa = () => {
+    setMfaStep(null)
+    setMfaCode('')
+    setUseRecoveryCode(false)
+    reset()
+  }
+
+  const cancelPasswordChange = () => {
+    setPasswordChange(null)
+    reset()
+  }
+
+  const cancelVerification = () => {
+    setVerificationPending(null)
+    setIsRegister(false)
+    reset()
+  }
+
   const toggleMode = () => {
     setIsRegister(!isRegister)
-    reset()
+    reset(invitation ? { email: invitation.email } : undefined)
+  }
+
+  if (verificationPending) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <div className="mx-auto h-12 w-12 flex items-center justify-center rounded-full bg-primary-600">
+              <Mail className="h-6 w-6 text-white" />
+            </div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Verify your email
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              Open the link we emailed you to confirm your address, then sign in.
+            </p>
+          </div>
+
+          <form className="card space-y-4" onSubmit={handleResendVerification}>
+            <label htmlFor="verificationEmail" className="block text-sm font-medium text-gray-700">
+              Didn't get the email? Send it again to
+            </label>
+            <input
+              id="verificationEmail"
+              type="email"
+              value={verificationPending.email}
+              onChange={(e) => setVerificationPending({ email: e.target.value })}
+              className="input"
+              placeholder="Enter your email"
+            />
+            <div className="flex justify-between items-center">
+              <button
+                type="button"
+                onClick={cancelVerification}
+                className="text-gray-600 hover:text-gray-500 text-sm font-medium"
+              >
+                Back to sign in
+              </button>
+              <button
+                type="submit"
+                disabled={resending || !verificationPending.email}
+                className="btn btn-primary disabled:opacity-50"
+              >
+                {resending ? 'Sending...' : 'Resend Email'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    )
+  }
+
+  if (passwordChange) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <div className="mx-auto h-12 w-12 flex items-center justify-center rounded-full bg-primary-600">
+              <KeyRound className="h-6 w-6 text-white" />
+            </div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Choose a new password
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {passwordChange.reason === 'expired'
+                ? 'Your password has expired. Set a new one to continue.'
+                : 'You must set a new password before continuing.'}
+            </p>
+          </div>
+
+          <div className="card">
+            <ChangePasswordForm
+              passwordChangeToken={passwordChange.token}
+              username={passwordChange.username}
+              onSuccess={completeLogin}
+              onCancel={cancelPasswordChange}
+            />
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  if (mfaStep) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <div className="mx-auto h-12 w-12 flex items-center justify-center rounded-full bg-primary-600">
+              <ShieldCheck className="h-6 w-6 text-white" />
+            </div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              {mfaStep.type === 'challenge' ? 'Two-factor authentication' : 'Set up two-factor authentication'}
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {mfaStep.type === 'challenge'
+                ? useRecoveryCode
+                  ? 'Enter one of your recovery codes'
+                  : 'Enter the 6-digit code from your authenticator app'
+                : 'Your group policy requires two-factor authentication'}
+            </p>
+          </div>
+
+          {mfaStep.type === 'enroll' ? (
+            <div className="card">
+              <MfaEnrollment
+                mfaToken={mfaStep.mfaToken}
+                onComplete={(data) => handleLoginResult(data, mfaStep.username)}
+                onCancel={cancelMfa}
+              />
+            </div>
+          ) : (
+            <form className="mt-8 space-y-6" onSubmit={onSubmitMfa}>
+              <div>
+                <label htmlFor="mfaCode" className="block text-sm font-medium text-gray-700">
+                  {useRecoveryCode ? 'Recovery code' : 'Verification code'}
+                </label>
+                <input
+                  id="mfaCode"
+                  type="text"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  value={mfaCode}
+                  onChange={(e) => setMfaCode(useRecoveryCode ? e.target.value : e.target.value.replace(/\D/g, '').slice(0, 6))}
+                  className="input mt-1 tracking-widest"
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  autoFocus
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading || !mfaCode}
+                className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? (
+                  <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+                ) : (
+                  'Verify'
+                )}
+              </button>
+
+              <div className="flex justify-between">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode)
+                    setMfaCode('')
+                  }}
+                  className="text-primary-600 hover:text-primary-500 text-sm font-medium"
+                >
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </button>
+                <button
+                  type="button"
+                  onClick={cancelMfa}
+                  className="text-gray-600 hover:text-gray-500 text-sm font-medium"
+                >
+                  Back to sign in
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    )
   }
 
   return (
@@ -106,6 +438,30 @@ const Login = () => {
         
         <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
           <div className="space-y-4">
+            {/* An invitation already names the organization */}
+            {!invitation && (
+              <div>
+                <label htmlFor="tenant" className="block text-sm font-medium text-gray-700">
+                  Organization
+                </label>
+                <div className="mt-1 relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Building2 className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    {...register('tenant')}
+                    type="text"
+                    autoCapitalize="none"
+                    className={`input pl-10 ${errors.tenant ? 'border-red-500' : ''}`}
+                    placeholder="Leave blank for the default organization"
+                  />
+                </div>
+                {errors.tenant && (
+                  <p className="mt-1 text-sm text-red-600">{errors.tenant.message}</p>
+                )}
+              </div>
+            )}
+
             <div>
               <label htmlFor="username" className="block text-sm font-medium text-gray-700">
                 Username
@@ -134,12 +490,20 @@ const Login = () => {
                 <input
                   {...register('email')}
                   type="email"
-                  className={`input ${errors.email ? 'border-red-500' : ''}`}
+                  readOnly={!!invitation}
+                  className={`input ${errors.email ? 'border-red-500' : ''} ${invitation ? 'bg-gray-100' : ''}`}
                   placeholder="Enter your email"
                 />
                 {errors.email && (
                   <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
                 )}
+                {invitation ? (
+                  <p className="mt-1 text-xs text-gray-500">You were invited at this address</p>
+                ) : registration?.mode === 'domain' && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    Sign-up is open to addresses at {registration.allowedDomains.join(', ')}
+                  </p>
+                )}
               </div>
             )}
 
@@ -169,6 +533,22 @@ const Login = () => {
               {errors.password && (
                 <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
               )}
+              {!isRegister && (
+                <div className="mt-2 text-right">
+                  <Link to="/forgot-password" className="text-primary-600 hover:text-primary-500 text-sm font-medium">
+                    Forgot your password?
+                  </Link>
+                </div>
+              )}
+              {isRegister && (
+                <PasswordRequirements
+                  policy={passwordPolicy}
+                  password={watch('password')}
+                  username={watch('username')}
+                  email={watch('email')}
+                  showHistory={false}
+                />
+              )}
             </div>
           </div>
 
@@ -186,22 +566,24 @@ const Login = () => {
             </button>
           </div>
 
-          <div className="text-center">
-            <button
-              type="button"
-              onClick={toggleMode}
-              className="text-primary-600 hover:text-primary-500 text-sm font-medium"
-            >
-              {isRegister 
-                ? 'Already have an account? Sign in' 
-                : "Don't have an account? Sign up"
-              }
-            </button>
-          </div>
+          {(canRegister || isRegister) && (
+            <div className="text-center">
+              <button
+                type="button"
+                onClick={toggleMode}
+                className="text-primary-600 hover:text-primary-500 text-sm font-medium"
+              >
+                {isRegister 
+                  ? 'Already have an account? Sign in' 
+                  : "Don't have an account? Sign up"
+                }
+              </button>
+            </div>
+          )}
         </form>
 
         {/* Demo credentials info */}
-        {!isRegister && (
+        {!isRegister && canRegister && (
           <div className="mt-6 p-4 bg-blue-50 rounded-md">
             <h3 className="text-sm font-medium text-blue-800">Demo Access</h3>
             <p className="text-xs text-blue-600 mt-1">
@@ -8,10 +8,22 @@ import {
   Search,
   X,
   AlertTriangle,
-  Package
+  Package,
+  Tag
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 import { modulesAPI } from '../services/api'
+import { selectHasPermission } from '../store/slices/authSlice'
+import { WILDCARD } from '../utils/permissions'
+
+const DEFAULT_ACTIONS = 'create, read, update, delete'
+
+const emptyForm = { name: '', description: '', actions: DEFAULT_ACTIONS }
+
+const parseActions = (value) => [...new Set(value
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean))]
 
 const Modules = () => {
   const [modules, setModules] = useState([])
@@ -22,19 +34,12 @@ const Modules = () => {
   const [showDeleteModal, setShowDeleteModal] = useState(false)
   const [selectedModule, setSelectedModule] = useState(null)
   const [moduleDetails, setModuleDetails] = useState(null)
-  const [formData, setFormData] = useState({
-    name: '',
-    description: ''
-  })
-
-  const { user, permissions } = useSelector((state) => state.auth)
-
-  // Permissions are stored as an object: { "Modules": ["create", "read", ...] }
-  const modulePermissions = permissions.Modules || []
+  const [formData, setFormData] = useState(emptyForm)
+  const [newAction, setNewAction] = useState({ name: '', description: '' })
 
-  const canCreate = modulePermissions.includes('create')
-  const canUpdate = modulePermissions.includes('update')
-  const canDelete = modulePermissions.includes('delete')
+  const canCreate = useSelector((state) => selectHasPermission(state, 'Modules', 'create'))
+  const canUpdate = useSelector((state) => selectHasPermission(state, 'Modules', 'update'))
+  const canDelete = useSelector((state) => selectHasPermission(state, 'Modules', 'delete'))
 
   useEffect(() => {
     fetchModules()
@@ -62,13 +67,16 @@ const Modules = () => {
     }
   }
 
+  // The reserved * module can only have its action catalogue edited
+  const isWildcard = showEditModal && selectedModule?.name === WILDCARD
+
   const filteredModules = modules.filter(module =>
     module.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
     (module.description && module.description.toLowerCase().includes(searchTerm.toLowerCase()))
   )
 
   const handleAddModule = () => {
-    setFormData({ name: '', description: '' })
+    setFormData(emptyForm)
     setShowAddModal(true)
   }
 
@@ -76,8 +84,10 @@ const Modules = () => {
     setSelectedModule(module)
     setFormData({
       name: module.name,
-      description: module.description || ''
+      description: module.description || '',
+      actions: ''
     })
+    setNewAction({ name: '', description: '' })
     await fetchModuleDetails(module.id)
     setShowEditModal(true)
   }
@@ -95,18 +105,25 @@ const Modules = () => {
       return
     }
 
+    const moduleData = { name: formData.name, description: formData.description }
+
     try {
       if (showAddModal) {
-        await modulesAPI.create(formData)
+        const actions = parseActions(formData.actions)
+        if (actions.length === 0) {
+          toast.error('A module needs at least one action')
+          return
+        }
+        await modulesAPI.create({ ...moduleData, actions })
         toast.success('Module created successfully')
         setShowAddModal(false)
       } else if (showEditModal) {
-        await modulesAPI.update(selectedModule.id, formData)
+        await modulesAPI.update(selectedModule.id, moduleData)
         toast.success('Module updated successfully')
         setShowEditModal(false)
       }
       
-      setFormData({ name: '', description: '' })
+      setFormData(emptyForm)
       setSelectedModule(null)
       setModuleDetails(null)
       fetchModules()
@@ -127,13 +144,43 @@ const Modules = () => {
     }
   }
 
+  const handleAddAction = async () => {
+    if (!newAction.name.trim()) {
+      return
+    }
+
+    try {
+      await modulesAPI.addAction(selectedModule.id, {
+        name: newAction.name.trim(),
+        description: newAction.description.trim()
+      })
+      toast.success(`Action "${newAction.name.trim()}" added`)
+      setNewAction({ name: '', description: '' })
+      fetchModuleDetails(selectedModule.id)
+      fetchModules()
+    } catch (error) {
+      console.error('Error adding action:', error)
+    }
+  }
+
+  const handleRemoveAction = async (action) => {
+    try {
+      await modulesAPI.removeAction(selectedModule.id, action)
+      toast.success(`Action "${action}" removed`)
+      fetchModuleDetails(selectedModule.id)
+      fetchModules()
+    } catch (error) {
+      console.error('Error removing action:', error)
+    }
+  }
+
   const closeModals = () => {
     setShowAddModal(false)
     setShowEditModal(false)
     setShowDeleteModal(false)
     setSelectedModule(null)
     setModuleDetails(null)
-    setFormData({ name: '', description: '' })
+    setFormData(emptyForm)
   }
 
   if (loading) {
@@ -191,6 +238,9 @@ const Modules = () => {
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Description
               </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Catalogue
+              </th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Permissions
               </th>
@@ -207,7 +257,7 @@ const Modules = () => {
           <tbody className="bg-white divide-y divide-gray-200">
             {filteredModules.length === 0 ? (
               <tr>
-                <td colSpan="5" className="px-6 py-8 text-center text-gray-500">
+                <td colSpan="6" className="px-6 py-8 text-center text-gray-500">
                   {searchTerm ? 'No modules found matching your search.' : 'No modules available.'}
                 </td>
               </tr>
@@ -233,6 +283,18 @@ const Modules = () => {
                       {module.description || <span className="text-gray-400 italic">No description</span>}
                     </div>
                   </td>
+                  <td className="px-6 py-4">
+                    <div className="flex flex-wrap gap-1 max-w-xs">
+                      {module.actions.map((action) => (
+                        <span
+                          key={action}
+                          className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700"
+                        >
+                          {action}
+                        </span>
+                      ))}
+                    </div>
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
                       {module.permission_count} permissions
@@ -251,7 +313,7 @@ const Modules = () => {
                           <Edit2 className="h-4 w-4" />
                         </button>
                       )}
-                      {canDelete && (
+                      {canDelete && module.name !== WILDCARD && (
                         <button
                           onClick={() => handleDeleteModule(module)}
                           className="text-red-600 hover:text-red-900"
@@ -297,7 +359,13 @@ const Modules = () => {
                     className="input"
                     placeholder="Enter module name"
                     required
+                    disabled={isWildcard}
                   />
+                  <p className="text-xs text-gray-500 mt-1">
+                    {isWildcard
+                      ? 'The wildcard module stands for every module and cannot be renamed'
+                      : 'Use / for sub-modules, e.g. Billing/Invoices. Permissions on a module also cover its sub-modules.'}
+                  </p>
                 </div>
 
                 <div>
@@ -310,33 +378,83 @@ const Modules = () => {
                     className="input"
                     rows="3"
                     placeholder="Enter module description"
+                    disabled={isWildcard}
                   />
                 </div>
 
-                {showEditModal && moduleDetails && moduleDetails.permissions && (
+                {showEditModal && moduleDetails && moduleDetails.actions && (
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Current Permissions
+                      Action Catalogue
                     </label>
-                    <div className="bg-gray-50 rounded-md p-3">
-                      <div className="grid grid-cols-2 gap-2">
-                        {moduleDetails.permissions.map((permission) => (
-                          <span
-                            key={permission.id}
-                            className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800"
-                          >
-                            {permission.action}
-                          </span>
-                        ))}
+                    <div className="bg-gray-50 rounded-md p-3 space-y-2">
+                      {moduleDetails.actions.map((action) => {
+                        const hasPermission = moduleDetails.permissions.some(permission => permission.action === action.name)
+                        return (
+                          <div key={action.id} className="flex items-center justify-between">
+                            <div className="flex items-center">
+                              <Tag className="h-3 w-3 text-gray-400 mr-2" />
+                              <span className="text-sm text-gray-900">{action.name}</span>
+                              {!hasPermission && (
+                                <span className="ml-2 text-xs text-gray-400 italic">no permission</span>
+                              )}
+                            </div>
+                            <button
+                              type="button"
+                              onClick={() => handleRemoveAction(action.name)}
+                              className="text-gray-400 hover:text-red-600"
+                              title="Remove action and its permission"
+                            >
+                              <X className="h-4 w-4" />
+                            </button>
+                          </div>
+                        )
+                      })}
+
+                      <div className="flex space-x-2 pt-2 border-t border-gray-200">
+                        <input
+                          type="text"
+                          value={newAction.name}
+                          onChange={(e) => setNewAction({ ...newAction, name: e.target.value })}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') {
+                              e.preventDefault()
+                              handleAddAction()
+                            }
+                          }}
+                          className="input text-sm"
+                          placeholder="New action, e.g. approve"
+                        />
+                        <button
+                          type="button"
+                          onClick={handleAddAction}
+                          disabled={!newAction.name.trim()}
+                          className="btn btn-secondary flex-shrink-0 disabled:opacity-50"
+                        >
+                          Add
+                        </button>
                       </div>
+                      <p className="text-xs text-gray-500">
+                        Adding an action also creates its permission. Removing one deletes its permission from every role.
+                      </p>
                     </div>
                   </div>
                 )}
 
                 {showAddModal && (
-                  <div className="bg-blue-50 border border-blue-200 rounded-md p-3">
-                    <p className="text-sm text-blue-700">
-                      Default permissions (create, read, update, delete) will be automatically created for this module.
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Actions *
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.actions}
+                      onChange={(e) => setFormData({ ...formData, actions: e.target.value })}
+                      className="input"
+                      placeholder={DEFAULT_ACTIONS}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Comma-separated, e.g. read, export, approve. A permission is created for each action.
                     </p>
                   </div>
                 )}
@@ -350,12 +468,14 @@ const Modules = () => {
                 >
                   Cancel
                 </button>
-                <button
-                  type="submit"
-                  className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md font-medium transition-colors"
-                >
-                  {showAddModal ? 'Create Module' : 'Update Module'}
-                </button>
+                {!isWildcard && (
+                  <button
+                    type="submit"
+                    className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md font-medium transition-colors"
+                  >
+                    {showAddModal ? 'Create Module' : 'Update Module'}
+                  </button>
+                )}
               </div>
             </form>
           </div>
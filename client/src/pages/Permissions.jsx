@@ -14,6 +14,9 @@ import {
 } from 'lucide-react'
 import toast from 'react-hot-toast'
 import { permissionsAPI, modulesAPI } from '../services/api'
+import { selectHasPermission } from '../store/slices/authSlice'
+import { WILDCARD } from '../utils/permissions'
+import { ConditionBadge } from '../components/ConditionField'
 
 const Permissions = () => {
   const [permissions, setPermissions] = useState([])
@@ -31,16 +34,9 @@ const Permissions = () => {
     module_id: ''
   })
 
-  const { user, permissions: userPermissions } = useSelector((state) => state.auth)
-
-  // Permissions are stored as an object: { "Permissions": ["create", "read", ...] }
-  const permissionModulePermissions = userPermissions.Permissions || []
-
-  const canCreate = permissionModulePermissions.includes('create')
-  const canUpdate = permissionModulePermissions.includes('update')
-  const canDelete = permissionModulePermissions.includes('delete')
-
-  const actionOptions = ['create', 'read', 'update', 'delete']
+  const canCreate = useSelector((state) => selectHasPermission(state, 'Permissions', 'create'))
+  const canUpdate = useSelector((state) => selectHasPermission(state, 'Permissions', 'update'))
+  const canDelete = useSelector((state) => selectHasPermission(state, 'Permissions', 'delete'))
 
   useEffect(() => {
     fetchData()
@@ -185,6 +181,10 @@ const Permissions = () => {
     setFormData({ action: '', module_id: '' })
   }
 
+  const selectedModuleData = modules.find(module => module.id === parseInt(formData.module_id))
+  // Actions come from the selected module's catalogue, plus * for all of them
+  const actionOptions = selectedModuleData ? [WILDCARD, ...selectedModuleData.actions] : []
+
   const getActionColor = (action) => {
     const colors = {
       create: 'bg-green-100 text-green-800',
@@ -376,7 +376,7 @@ const Permissions = () => {
                   </label>
                   <select
                     value={formData.module_id}
-                    onChange={(e) => setFormData({ ...formData, module_id: e.target.value })}
+                    onChange={(e) => setFormData({ ...formData, module_id: e.target.value, action: '' })}
                     className="input"
                     required
                     disabled={showEditModal} // Can't change module in edit mode
@@ -404,14 +404,18 @@ const Permissions = () => {
                     onChange={(e) => setFormData({ ...formData, action: e.target.value })}
                     className="input"
                     required
+                    disabled={!selectedModuleData}
                   >
-                    <option value="">Select action</option>
+                    <option value="">{selectedModuleData ? 'Select action' : 'Select a module first'}</option>
                     {actionOptions.map((action) => (
                       <option key={action} value={action}>
-                        {action}
+                        {action === WILDCARD ? '* (every action)' : action}
                       </option>
                     ))}
                   </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Actions are defined per module on the Modules page
+                  </p>
                 </div>
 
                 {showEditModal && permissionDetails && permissionDetails.roles && (
@@ -425,8 +429,25 @@ const Permissions = () => {
                       ) : (
                         <div className="space-y-2">
                           {permissionDetails.roles.map((role) => (
-                            <div key={role.id} className="flex items-center justify-between">
-                              <span className="text-sm font-medium text-gray-900">{role.name}</span>
+                            <div key={`${role.id}-${role.resource}`} className="flex items-center justify-between">
+                              <span className="text-sm font-medium text-gray-900">
+                                {role.name}
+                                {role.resource !== '*' && (
+                                  <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                                    #{role.resource}
+                                  </span>
+                                )}
+                                {role.effect === 'deny' && (
+                                  <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                                    Deny
+                                  </span>
+                                )}
+                                {role.condition && (
+                                  <span className="ml-2">
+                                    <ConditionBadge item={role} />
+                                  </span>
+                                )}
+                              </span>
                               <span className="text-xs text-gray-500">{role.description}</span>
                             </div>
                           ))}
@@ -0,0 +1,95 @@
+import { useState, useEffect } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { KeyRound } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { authAPI } from '../services/api'
+import ChangePasswordForm from '../components/ChangePasswordForm'
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  // 'checking' | 'valid' | 'invalid'
+  const [status, setStatus] = useState(token ? 'checking' : 'invalid')
+  const [user, setUser] = useState(null)
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    if (!token) {
+      return
+    }
+
+    const verifyToken = async () => {
+      try {
+        const response = await authAPI.verifyResetToken(token)
+        setUser(response.data.user)
+        setStatus('valid')
+      } catch (error) {
+        setStatus('invalid')
+      }
+    }
+
+    verifyToken()
+  }, [token])
+
+  // Resetting signs out every session, so the user signs in again from scratch
+  const handleReset = () => {
+    toast.success('Password reset. Sign in with your new password.')
+    navigate('/login', { replace: true })
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <div className="mx-auto h-12 w-12 flex items-center justify-center rounded-full bg-primary-600">
+            <KeyRound className="h-6 w-6 text-white" />
+          </div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Reset your password
+          </h2>
+          {status === 'valid' && (
+            <p className="mt-2 text-center text-sm text-gray-600">
+              Choose a new password for <span className="font-medium">{user.username}</span>
+            </p>
+          )}
+        </div>
+
+        {status === 'checking' && (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+          </div>
+        )}
+
+        {status === 'invalid' && (
+          <div className="card space-y-4">
+            <p className="text-sm text-gray-700">
+              This reset link is invalid or has expired. Links can only be used once.
+            </p>
+            <Link to="/forgot-password" className="text-primary-600 hover:text-primary-500 text-sm font-medium">
+              Request a new link
+            </Link>
+          </div>
+        )}
+
+        {status === 'valid' && (
+          <div className="card">
+            <ChangePasswordForm
+              resetToken={token}
+              username={user.username}
+              email={user.email}
+              onSuccess={handleReset}
+            />
+          </div>
+        )}
+
+        <div className="text-center">
+          <Link to="/login" className="text-gray-600 hover:text-gray-500 text-sm font-medium">
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ResetPassword
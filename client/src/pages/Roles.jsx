@@ -10,9 +10,19 @@ import {
   Key, 
   X, 
   Lock,
-  Shield 
+  Shield,
+  Ban,
+  List,
+  GitBranch,
+  CornerDownRight,
+  FileJson
 } from 'lucide-react'
-import { selectPermissions } from '../store/slices/authSlice'
+import { selectPermissions, selectDeniedPermissions, selectResourcePermissions } from '../store/slices/authSlice'
+import { isAllowed, isAllowedOn, isAllowedOnAny } from '../utils/permissions'
+import { toInputValue, fromInputValue, currentValidity } from '../utils/validity'
+import ValidityFields, { ValidityBadge } from '../components/ValidityFields'
+import ConditionField, { ConditionBadge } from '../components/ConditionField'
+import PoliciesModal from '../components/PoliciesModal'
 import { rolesAPI, permissionsAPI } from '../services/api'
 import toast from 'react-hot-toast'
 
@@ -22,11 +32,67 @@ const roleSchema = yup.object({
   description: yup.string().max(500, 'Description cannot exceed 500 characters')
 })
 
+// Ids of every role that inherits from the given role, directly or not
+const getDescendantIds = (roleId, roles) => {
+  const descendants = new Set()
+  const queue = [roleId]
+
+  while (queue.length > 0) {
+    const current = queue.shift()
+    roles
+      .filter(role => role.parent_ids?.includes(current) && !descendants.has(role.id))
+      .forEach(role => {
+        descendants.add(role.id)
+        queue.push(role.id)
+      })
+  }
+
+  return descendants
+}
+
+// One role in the inheritance tree, followed by the roles that extend it
+const RoleTreeNode = ({ role, roles, depth, path }) => {
+  const children = roles.filter(child => child.parent_ids?.includes(role.id) && !path.includes(child.id))
+
+  return (
+    <div>
+      <div className="flex items-center py-2" style={{ paddingLeft: `${depth * 1.5}rem` }}>
+        {depth > 0 ? (
+          <CornerDownRight className="h-4 w-4 text-gray-300 mr-2" />
+        ) : (
+          <Key className="h-4 w-4 text-gray-400 mr-2" />
+        )}
+        <span className="text-sm font-medium text-gray-900">{role.name}</span>
+        <span className="ml-3 text-xs text-gray-500">
+          {role.permission_count || 0} direct permission(s)
+        </span>
+      </div>
+      {children.map(child => (
+        <RoleTreeNode
+          key={child.id}
+          role={child}
+          roles={roles}
+          depth={depth + 1}
+          path={[...path, child.id]}
+        />
+      ))}
+    </div>
+  )
+}
+
 // Permission Assignment Modal Component
 const PermissionModal = ({ role, permissions, onClose, onSuccess }) => {
   const [selectedPermissions, setSelectedPermissions] = useState([])
+  const [effect, setEffect] = useState('allow')
+  const [resource, setResource] = useState('')
   const [currentPermissions, setCurrentPermissions] = useState([])
+  const [inheritedPermissions, setInheritedPermissions] = useState([])
   const [loading, setLoading] = useState(false)
+  const [validity, setValidity] = useState({ validFrom: '', validUntil: '' })
+  const [condition, setCondition] = useState('')
+  const [editingGrantId, setEditingGrantId] = useState(null)
+  const [editedValidity, setEditedValidity] = useState({ validFrom: '', validUntil: '' })
+  const [editedCondition, setEditedCondition] = useState('')
 
   useEffect(() => {
     fetchCurrentPermissions()
@@ -37,18 +103,24 @@ const PermissionModal = ({ role, permissions, onClose, onSuccess }) => {
       setLoading(true)
       const response = await rolesAPI.getById(role.id)
       setCurrentPermissions(response.data.permissions || [])
+      setInheritedPermissions(response.data.inheritedPermissions || [])
     } catch (error) {
       console.error('Failed to fetch current permissions:', error)
       setCurrentPermissions([])
+      setInheritedPermissions([])
     } finally {
       setLoading(false)
     }
   }
 
+  // A permission can be granted module-wide and on single resources; only a
+  // module-wide grant takes it off the available list
   const isAssigned = (permissionId) => {
-    return currentPermissions.some(perm => perm.id === permissionId)
+    return currentPermissions.some(perm => perm.id === permissionId && perm.resource === '*')
   }
 
+  const grantKey = (perm) => `${perm.id}-${perm.resource}`
+
   const handleToggle = (permissionId) => {
     setSelectedPermissions(prev => 
       prev.includes(permissionId) 
@@ -65,8 +137,15 @@ const PermissionModal = ({ role, permissions, onClose, onSuccess }) => {
 
     try {
       setLoading(true)
-      await rolesAPI.assignPermissions(role.id, selectedPermissions)
-      toast.success(`${selectedPermissions.length} permission(s) assigned successfully`)
+      await rolesAPI.assignPermissions(role.id, selectedPermissions, effect, {
+        resource: resource.trim() || '*',
+        validFrom: fromInputValue(validity.validFrom),
+        validUntil: fromInputValue(validity.validUntil),
+        condition: condition.trim() || null
+      })
+      toast.success(effect === 'deny'
+        ? `${selectedPermissions.length} permission(s) denied successfully`
+        : `${selectedPermissions.length} permission(s) assigned successfully`)
       onSuccess()
     } catch (error) {
       const message = error.response?.data?.error || 'Assignment failed'
@@ -76,10 +155,60 @@ const PermissionModal = ({ role, permissions, onClose, onSuccess }) => {
     }
   }
 
-  const handleRemove = async (permissionId) => {
+  // Re-granting a permission replaces its effect; keep its window and condition
+  const handleToggleEffect = async (perm) => {
+    const nextEffect = perm.effect === 'deny' ? 'allow' : 'deny'
     try {
       setLoading(true)
-      await rolesAPI.removePermissions(role.id, [permissionId])
+      await rolesAPI.assignPermissions(role.id, [perm.id], nextEffect, {
+        resource: perm.resource,
+        ...currentValidity(perm),
+        condition: perm.condition
+      })
+      toast.success(nextEffect === 'deny' ? 'Permission is now denied' : 'Permission is now allowed')
+      fetchCurrentPermissions()
+    } catch (error) {
+      const message = error.response?.data?.error || 'Update failed'
+      toast.error(message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openGrantEditor = (perm) => {
+    setEditingGrantId(grantKey(perm))
+    setEditedValidity({
+      validFrom: toInputValue(perm.valid_from),
+      validUntil: toInputValue(perm.valid_until)
+    })
+    setEditedCondition(perm.condition || '')
+  }
+
+  // Re-granting a permission with its current effect replaces its window and condition
+  const handleSaveGrant = async (perm) => {
+    try {
+      setLoading(true)
+      await rolesAPI.assignPermissions(role.id, [perm.id], perm.effect, {
+        resource: perm.resource,
+        validFrom: fromInputValue(editedValidity.validFrom),
+        validUntil: fromInputValue(editedValidity.validUntil),
+        condition: editedCondition.trim() || null
+      })
+      toast.success('Grant updated successfully')
+      setEditingGrantId(null)
+      fetchCurrentPermissions()
+    } catch (error) {
+      const message = error.response?.data?.error || 'Update failed'
+      toast.error(message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRemove = async (perm) => {
+    try {
+      setLoading(true)
+      await rolesAPI.removePermissions(role.id, [perm.id], perm.resource)
       toast.success('Permission removed successfully')
       fetchCurrentPermissions()
     } catch (error) {
@@ -150,15 +279,81 @@ const PermissionModal = ({ role, permissions, onClose, onSuccess }) => {
                       </h5>
                       <div className="space-y-2">
                         {perms.map((perm) => (
-                          <div key={perm.id} className="flex justify-between items-center bg-gray-50 p-2 rounded">
-                            <span className="text-sm text-gray-700 capitalize">{perm.action}</span>
-                            <button
-                              onClick={() => handleRemove(perm.id)}
-                              disabled={loading}
-                              className="text-red-600 hover:text-red-800 text-sm"
-                            >
-                              Remove
-                            </button>
+                          <div
+                            key={grantKey(perm)}
+                            className={`p-2 rounded ${perm.effect === 'deny' ? 'bg-red-50' : 'bg-gray-50'}`}
+                          >
+                            <div className="flex justify-between items-center">
+                              <span className="text-sm text-gray-700 capitalize flex flex-wrap items-center gap-2">
+                                {perm.action}
+                                {perm.resource !== '*' && (
+                                  <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium normal-case bg-indigo-100 text-indigo-800">
+                                    #{perm.resource}
+                                  </span>
+                                )}
+                                {perm.effect === 'deny' && (
+                                  <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium normal-case bg-red-100 text-red-800">
+                                    <Ban className="h-3 w-3 mr-1" />
+                                    Deny
+                                  </span>
+                                )}
+                                <ValidityBadge item={perm} />
+                                <ConditionBadge item={perm} />
+                              </span>
+                              <div className="flex space-x-3">
+                                <button
+                                  onClick={() => handleToggleEffect(perm)}
+                                  disabled={loading}
+                                  className="text-gray-600 hover:text-gray-800 text-sm"
+                                >
+                                  {perm.effect === 'deny' ? 'Allow' : 'Deny'}
+                                </button>
+                                <button
+                                  onClick={() => openGrantEditor(perm)}
+                                  disabled={loading}
+                                  className="text-gray-600 hover:text-gray-800 text-sm"
+                                >
+                                  Edit
+                                </button>
+                                <button
+                                  onClick={() => handleRemove(perm)}
+                                  disabled={loading}
+                                  className="text-red-600 hover:text-red-800 text-sm"
+                                >
+                                  Remove
+                                </button>
+                              </div>
+                            </div>
+                            {editingGrantId === grantKey(perm) && (
+                              <div className="mt-3 space-y-2">
+                                <ValidityFields
+                                  validFrom={editedValidity.validFrom}
+                                  validUntil={editedValidity.validUntil}
+                                  onChange={setEditedValidity}
+                                  disabled={loading}
+                                />
+                                <ConditionField
+                                  value={editedCondition}
+                                  onChange={setEditedCondition}
+                                  disabled={loading}
+                                />
+                                <div className="flex justify-end space-x-2">
+                                  <button
+                                    onClick={() => setEditingGrantId(null)}
+                                    className="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200"
+                                  >
+                                    Cancel
+                                  </button>
+                                  <button
+                                    onClick={() => handleSaveGrant(perm)}
+                                    disabled={loading}
+                                    className="px-3 py-1 text-xs font-medium text-white bg-primary-600 border border-transparent rounded-md hover:bg-primary-700 disabled:opacity-50"
+                                  >
+                                    Save
+                                  </button>
+                                </div>
+                              </div>
+                            )}
                           </div>
                         ))}
                       </div>
@@ -167,6 +362,42 @@ const PermissionModal = ({ role, permissions, onClose, onSuccess }) => {
                 </div>
               )}
             </div>
+
+            {/* Inherited Permissions (read-only; managed on the parent role) */}
+            {inheritedPermissions.length > 0 && (
+              <>
+                <h4 className="text-md font-medium text-gray-900 flex items-center">
+                  <GitBranch className="h-4 w-4 mr-2" />
+                  Inherited Permissions ({inheritedPermissions.length})
+                </h4>
+                <div className="border rounded-md max-h-64 overflow-y-auto p-4 space-y-2">
+                  {inheritedPermissions.map((perm) => (
+                    <div
+                      key={`${perm.role_id}-${grantKey(perm)}`}
+                      className={`flex justify-between items-center p-2 rounded ${perm.effect === 'deny' ? 'bg-red-50' : 'bg-gray-50'}`}
+                    >
+                      <span className="text-sm text-gray-700 flex flex-wrap items-center gap-2">
+                        {perm.module_name}:{perm.action}
+                        {perm.resource !== '*' && (
+                          <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                            #{perm.resource}
+                          </span>
+                        )}
+                        {perm.effect === 'deny' && (
+                          <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                            <Ban className="h-3 w-3 mr-1" />
+                            Deny
+                          </span>
+                        )}
+                        <ValidityBadge item={perm} />
+                        <ConditionBadge item={perm} />
+                      </span>
+                      <span className="text-xs text-gray-500">from {perm.role_name}</span>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
           </div>
 
           {/* Available Permissions */}
@@ -210,13 +441,72 @@ const PermissionModal = ({ role, permissions, onClose, onSuccess }) => {
             </div>
 
             {selectedPermissions.length > 0 && (
-              <button
-                onClick={handleAssign}
-                disabled={loading}
-                className="w-full px-4 py-2 text-sm font-medium text-white bg-primary-600 border border-transparent rounded-md hover:bg-primary-700 disabled:opacity-50"
-              >
-                {loading ? 'Assigning...' : `Assign ${selectedPermissions.length} Permission(s)`}
-              </button>
+              <div className="space-y-3">
+                <div className="flex items-center space-x-6">
+                  <label className="flex items-center">
+                    <input
+                      type="radio"
+                      name="effect"
+                      value="allow"
+                      checked={effect === 'allow'}
+                      onChange={() => setEffect('allow')}
+                      className="h-4 w-4 text-primary-600 border-gray-300"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">Allow</span>
+                  </label>
+                  <label className="flex items-center">
+                    <input
+                      type="radio"
+                      name="effect"
+                      value="deny"
+                      checked={effect === 'deny'}
+                      onChange={() => setEffect('deny')}
+                      className="h-4 w-4 text-primary-600 border-gray-300"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">Deny</span>
+                  </label>
+                </div>
+                {effect === 'deny' && (
+                  <p className="text-xs text-gray-500">
+                    A denied permission is withheld from every member of this role, even when another role allows it.
+                  </p>
+                )}
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Applies to</label>
+                  <input
+                    type="text"
+                    value={resource}
+                    onChange={(e) => setResource(e.target.value)}
+                    placeholder="* (every resource)"
+                    className="input text-sm"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    An id such as 7 limits the grant to that one resource, e.g. one group; * in a pattern matches anything.
+                  </p>
+                </div>
+                <ValidityFields
+                  validFrom={validity.validFrom}
+                  validUntil={validity.validUntil}
+                  onChange={setValidity}
+                  disabled={loading}
+                />
+                <ConditionField
+                  value={condition}
+                  onChange={setCondition}
+                  disabled={loading}
+                />
+                <button
+                  onClick={handleAssign}
+                  disabled={loading}
+                  className={`w-full px-4 py-2 text-sm font-medium text-white border border-transparent rounded-md disabled:opacity-50 ${
+                    effect === 'deny' ? 'bg-red-600 hover:bg-red-700' : 'bg-primary-600 hover:bg-primary-700'
+                  }`}
+                >
+                  {loading
+                    ? 'Assigning...'
+                    : `${effect === 'deny' ? 'Deny' : 'Assign'} ${selectedPermissions.length} Permission(s)`}
+                </button>
+              </div>
             )}
           </div>
         </div>
@@ -244,7 +534,12 @@ const Roles = () => {
   const [roleToDelete, setRoleToDelete] = useState(null)
   const [showPermissionModal, setShowPermissionModal] = useState(false)
   const [managingRole, setManagingRole] = useState(null)
+  const [policiesRole, setPoliciesRole] = useState(null)
+  const [viewMode, setViewMode] = useState('list')
+  const [parentIds, setParentIds] = useState([])
   const userPermissions = useSelector(selectPermissions)
+  const deniedPermissions = useSelector(selectDeniedPermissions)
+  const resourcePermissions = useSelector(selectResourcePermissions)
 
   const isEdit = !!editingRole
   
@@ -257,8 +552,15 @@ const Roles = () => {
     resolver: yupResolver(roleSchema)
   })
 
-  const hasPermission = (action) => {
-    return userPermissions.Roles && userPermissions.Roles.includes(action)
+  // With a role id, whether the action is allowed on that role; without one,
+  // whether it is allowed on any (creating is never scoped to a role)
+  const hasPermission = (action, roleId) => {
+    if (roleId !== undefined) {
+      return isAllowedOn(userPermissions, deniedPermissions, resourcePermissions, 'Roles', action, roleId)
+    }
+    return action === 'create'
+      ? isAllowed(userPermissions, deniedPermissions, 'Roles', action)
+      : isAllowedOnAny(userPermissions, deniedPermissions, resourcePermissions, 'Roles', action)
   }
 
   useEffect(() => {
@@ -296,6 +598,7 @@ const Roles = () => {
       name: '',
       description: ''
     })
+    setParentIds([])
     setShowModal(true)
   }
 
@@ -305,6 +608,7 @@ const Roles = () => {
       name: role.name,
       description: role.description || ''
     })
+    setParentIds(role.parent_ids || [])
     setShowModal(true)
   }
 
@@ -314,13 +618,30 @@ const Roles = () => {
     reset()
   }
 
+  const toggleParent = (roleId) => {
+    setParentIds(prev =>
+      prev.includes(roleId)
+        ? prev.filter(id => id !== roleId)
+        : [...prev, roleId]
+    )
+  }
+
   const onSubmit = async (data) => {
     try {
       if (isEdit) {
         await rolesAPI.update(editingRole.id, data)
+        const currentParents = editingRole.parent_ids || []
+        const parentsChanged = currentParents.length !== parentIds.length ||
+          parentIds.some(id => !currentParents.includes(id))
+        if (parentsChanged) {
+          await rolesAPI.setParents(editingRole.id, parentIds)
+        }
         toast.success('Role updated successfully')
       } else {
-        await rolesAPI.create(data)
+        const response = await rolesAPI.create(data)
+        if (parentIds.length > 0) {
+          await rolesAPI.setParents(response.data.id, parentIds)
+        }
         toast.success('Role created successfully')
       }
       
@@ -366,6 +687,14 @@ const Roles = () => {
     setManagingRole(null)
   }
 
+  // A role cannot inherit from itself or from a role that already extends it
+  const excludedParentIds = editingRole ? getDescendantIds(editingRole.id, roles) : new Set()
+  const parentOptions = roles.filter(role =>
+    role.id !== editingRole?.id && !excludedParentIds.has(role.id)
+  )
+
+  const roleName = (roleId) => roles.find(role => role.id === roleId)?.name
+
   if (!hasPermission('read')) {
     return (
       <div className="text-center py-12">
@@ -383,15 +712,35 @@ const Roles = () => {
           <h1 className="text-2xl font-bold text-gray-900">Roles</h1>
           <p className="text-gray-600">Manage roles and permission assignments</p>
         </div>
-        {hasPermission('create') && (
-          <button 
-            onClick={openAddModal} 
-            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-colors"
-          >
-            <Plus className="h-4 w-4 mr-2" />
-            Add Role
-          </button>
-        )}
+        <div className="flex items-center space-x-3">
+          <div className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+            <button
+              onClick={() => setViewMode('list')}
+              className={`inline-flex items-center px-3 py-2 text-sm ${viewMode === 'list' ? 'bg-gray-100 text-gray-900' : 'bg-white text-gray-500 hover:text-gray-700'}`}
+              title="List view"
+            >
+              <List className="h-4 w-4 mr-1" />
+              List
+            </button>
+            <button
+              onClick={() => setViewMode('tree')}
+              className={`inline-flex items-center px-3 py-2 text-sm border-l border-gray-300 ${viewMode === 'tree' ? 'bg-gray-100 text-gray-900' : 'bg-white text-gray-500 hover:text-gray-700'}`}
+              title="Inheritance tree"
+            >
+              <GitBranch className="h-4 w-4 mr-1" />
+              Tree
+            </button>
+          </div>
+          {hasPermission('create') && (
+            <button 
+              onClick={openAddModal} 
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-colors"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              Add Role
+            </button>
+          )}
+        </div>
       </div>
 
       <div className="card">
@@ -412,6 +761,14 @@ const Roles = () => {
               </button>
             )}
           </div>
+        ) : viewMode === 'tree' ? (
+          <div className="divide-y divide-gray-100">
+            {roles
+              .filter(role => !role.parent_ids?.length)
+              .map(role => (
+                <RoleTreeNode key={role.id} role={role} roles={roles} depth={0} path={[role.id]} />
+              ))}
+          </div>
         ) : (
           <div className="overflow-x-auto">
             <table className="min-w-full divide-y divide-gray-200">
@@ -442,7 +799,14 @@ const Roles = () => {
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center">
                         <Key className="h-5 w-5 text-gray-400 mr-3" />
-                        <div className="text-sm font-medium text-gray-900">{role.name}</div>
+                        <div>
+                          <div className="text-sm font-medium text-gray-900">{role.name}</div>
+                          {role.parent_ids?.length > 0 && (
+                            <div className="text-xs text-gray-500">
+                              Inherits from {role.parent_ids.map(roleName).filter(Boolean).join(', ')}
+                            </div>
+                          )}
+                        </div>
                       </div>
                     </td>
                     <td className="px-6 py-4">
@@ -454,7 +818,7 @@ const Roles = () => {
                       <div className="flex items-center">
                         <Lock className="h-4 w-4 text-gray-400 mr-1" />
                         <span className="text-sm text-gray-900">{role.permission_count || 0}</span>
-                        {hasPermission('update') && (
+                        {hasPermission('update', role.id) && (
                           <button
                             onClick={() => openPermissionModal(role)}
                             className="ml-2 text-xs text-primary-600 hover:text-primary-800"
@@ -463,6 +827,18 @@ const Roles = () => {
                           </button>
                         )}
                       </div>
+                      <div className="flex items-center mt-1">
+                        <FileJson className="h-4 w-4 text-gray-400 mr-1" />
+                        <span className="text-xs text-gray-500">{role.policy_count || 0} policy document(s)</span>
+                        {hasPermission('update', role.id) && (
+                          <button
+                            onClick={() => setPoliciesRole(role)}
+                            className="ml-2 text-xs text-primary-600 hover:text-primary-800"
+                          >
+                            Edit
+                          </button>
+                        )}
+                      </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {new Date(role.created_at).toLocaleDateString()}
@@ -470,7 +846,7 @@ const Roles = () => {
                     {(hasPermission('update') || hasPermission('delete')) && (
                       <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                         <div className="flex justify-end space-x-2">
-                          {hasPermission('update') && (
+                          {hasPermission('update', role.id) && (
                             <button 
                               onClick={() => openEditModal(role)}
                               className="text-indigo-600 hover:text-indigo-900"
@@ -479,7 +855,7 @@ const Roles = () => {
                               <Edit className="h-4 w-4" />
                             </button>
                           )}
-                          {hasPermission('delete') && (
+                          {hasPermission('delete', role.id) && (
                             <button 
                               onClick={() => openDeleteModal(role)}
                               className="text-red-600 hover:text-red-900"
@@ -546,6 +922,30 @@ const Roles = () => {
                 )}
               </div>
 
+              {parentOptions.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Inherits From
+                  </label>
+                  <div className="border rounded-md max-h-40 overflow-y-auto p-2 space-y-1">
+                    {parentOptions.map(role => (
+                      <label key={role.id} className="flex items-center space-x-2 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={parentIds.includes(role.id)}
+                          onChange={() => toggleParent(role.id)}
+                          className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                        />
+                        <span className="text-sm text-gray-700">{role.name}</span>
+                      </label>
+                    ))}
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    The role receives every permission (and deny) of the roles it inherits from.
+                  </p>
+                </div>
+              )}
+
               <div className="flex justify-end space-x-3">
                 <button
                   type="button"
@@ -608,6 +1008,17 @@ const Roles = () => {
           }}
         />
       )}
+
+      {/* Policy Document Editor */}
+      {policiesRole && (
+        <PoliciesModal
+          role={policiesRole}
+          onClose={() => {
+            setPoliciesRole(null)
+            fetchRoles()
+          }}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,251 @@
+import { useState, useEffect } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { ShieldCheck, ShieldOff, KeyRound, Lock, X } from 'lucide-react'
+import { tokensRefreshed, selectUser } from '../store/slices/authSlice'
+import { mfaAPI } from '../services/api'
+import MfaEnrollment, { RecoveryCodes } from '../components/MfaEnrollment'
+import ChangePasswordForm from '../components/ChangePasswordForm'
+import toast from 'react-hot-toast'
+
+const Security = () => {
+  const [status, setStatus] = useState(null)
+  const [loading, setLoading] = useState(true)
+  // Which modal is open: 'password' | 'enroll' | 'disable' | 'recovery'
+  const [modal, setModal] = useState(null)
+  const [password, setPassword] = useState('')
+  const [code, setCode] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const dispatch = useDispatch()
+  const user = useSelector(selectUser)
+
+  useEffect(() => {
+    fetchStatus()
+  }, [])
+
+  const fetchStatus = async () => {
+    try {
+      const response = await mfaAPI.getStatus()
+      setStatus(response.data)
+    } catch (error) {
+      toast.error('Failed to fetch MFA status')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const closeModal = () => {
+    setModal(null)
+    setPassword('')
+    setCode('')
+    setRecoveryCodes(null)
+  }
+
+  const handleEnrolled = () => {
+    closeModal()
+    fetchStatus()
+  }
+
+  // Changing the password signs out every session, this one included, and
+  // returns a fresh one
+  const handlePasswordChanged = ({ token, refreshToken }) => {
+    dispatch(tokensRefreshed({ token, refreshToken }))
+    toast.success('Password changed. Other sessions have been signed out.')
+    closeModal()
+  }
+
+  const handleDisable = async (e) => {
+    e.preventDefault()
+
+    try {
+      await mfaAPI.disable(password)
+      toast.success('Two-factor authentication disabled')
+      closeModal()
+      fetchStatus()
+    } catch (error) {
+      setPassword('')
+    }
+  }
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault()
+
+    try {
+      const response = await mfaAPI.regenerateRecoveryCodes(code)
+      setRecoveryCodes(response.data.recoveryCodes)
+      fetchStatus()
+    } catch (error) {
+      setCode('')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Security</h1>
+        <p className="text-gray-600">Manage how you sign in to your account</p>
+      </div>
+
+      <div className="card">
+        <div className="flex items-start justify-between">
+          <div className="flex items-start">
+            <Lock className="h-8 w-8 text-gray-400 mr-4 flex-shrink-0" />
+            <div>
+              <h3 className="text-lg font-medium text-gray-900">Password</h3>
+              <p className="text-sm text-gray-500">
+                Changing your password signs you out on every other device.
+              </p>
+            </div>
+          </div>
+          <button onClick={() => setModal('password')} className="btn btn-secondary flex-shrink-0">
+            Change password
+          </button>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="flex items-start justify-between">
+          <div className="flex items-start">
+            {status?.enabled ? (
+              <ShieldCheck className="h-8 w-8 text-green-600 mr-4 flex-shrink-0" />
+            ) : (
+              <ShieldOff className="h-8 w-8 text-gray-400 mr-4 flex-shrink-0" />
+            )}
+            <div>
+              <h3 className="text-lg font-medium text-gray-900">Two-factor authentication</h3>
+              <p className="text-sm text-gray-500">
+                {status?.enabled
+                  ? 'Enabled. You will be asked for a code from your authenticator app when signing in.'
+                  : 'Add a second step to sign in using an authenticator app.'}
+              </p>
+              {status?.enabled && (
+                <p className="mt-1 text-sm text-gray-500">
+                  {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} remaining
+                </p>
+              )}
+              {status?.required && (
+                <span className="inline-flex items-center mt-2 px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                  Required by group policy
+                </span>
+              )}
+            </div>
+          </div>
+
+          <div className="flex space-x-3 flex-shrink-0">
+            {status?.enabled ? (
+              <>
+                <button onClick={() => setModal('recovery')} className="btn btn-secondary flex items-center">
+                  <KeyRound className="h-4 w-4 mr-2" />
+                  New recovery codes
+                </button>
+                {!status.required && (
+                  <button onClick={() => setModal('disable')} className="btn btn-danger">
+                    Disable
+                  </button>
+                )}
+              </>
+            ) : (
+              <button onClick={() => setModal('enroll')} className="btn btn-primary">
+                Enable
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {modal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-medium text-gray-900">
+                {modal === 'password' && 'Change Password'}
+                {modal === 'enroll' && 'Enable Two-Factor Authentication'}
+                {modal === 'disable' && 'Disable Two-Factor Authentication'}
+                {modal === 'recovery' && 'Regenerate Recovery Codes'}
+              </h3>
+              <button onClick={closeModal} className="text-gray-400 hover:text-gray-600">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            {modal === 'password' && (
+              <ChangePasswordForm
+                username={user?.username}
+                email={user?.email}
+                onSuccess={handlePasswordChanged}
+                onCancel={closeModal}
+              />
+            )}
+
+            {modal === 'enroll' && (
+              <MfaEnrollment onComplete={handleEnrolled} onCancel={closeModal} />
+            )}
+
+            {modal === 'disable' && (
+              <form onSubmit={handleDisable} className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  Confirm your password to turn off two-factor authentication.
+                  Your recovery codes will stop working.
+                </p>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="input"
+                  placeholder="Enter your password"
+                  autoFocus
+                />
+                <div className="flex justify-end space-x-3">
+                  <button type="button" onClick={closeModal} className="btn btn-secondary">
+                    Cancel
+                  </button>
+                  <button type="submit" disabled={!password} className="btn btn-danger disabled:opacity-50">
+                    Disable
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {modal === 'recovery' && (recoveryCodes ? (
+              <RecoveryCodes codes={recoveryCodes} onDone={closeModal} />
+            ) : (
+              <form onSubmit={handleRegenerate} className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  Enter a code from your authenticator app. Your existing recovery codes
+                  will be replaced.
+                </p>
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                  className="input tracking-widest"
+                  placeholder="123456"
+                  autoFocus
+                />
+                <div className="flex justify-end space-x-3">
+                  <button type="button" onClick={closeModal} className="btn btn-secondary">
+                    Cancel
+                  </button>
+                  <button type="submit" disabled={code.length !== 6} className="btn btn-primary disabled:opacity-50">
+                    Regenerate
+                  </button>
+                </div>
+              </form>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Security
@@ -0,0 +1,411 @@
+import { useState, useEffect } from 'react'
+import { useSelector } from 'react-redux'
+import {
+  Scale,
+  Plus,
+  Edit2,
+  Trash2,
+  X,
+  AlertTriangle,
+  User,
+  Shield
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+import { sodRulesAPI, rolesAPI } from '../services/api'
+import { selectHasPermission } from '../store/slices/authSlice'
+
+const emptyForm = { name: '', description: '', roleA: '', roleB: '' }
+
+// Rules naming pairs of roles no user may hold together, and the users and
+// groups that break them today
+const SeparationOfDuties = () => {
+  const [rules, setRules] = useState([])
+  const [roles, setRoles] = useState([])
+  const [violations, setViolations] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showFormModal, setShowFormModal] = useState(false)
+  const [showDeleteModal, setShowDeleteModal] = useState(false)
+  const [selectedRule, setSelectedRule] = useState(null)
+  const [formData, setFormData] = useState(emptyForm)
+
+  const canUpdate = useSelector((state) => selectHasPermission(state, 'Roles', 'update'))
+
+  useEffect(() => {
+    fetchData()
+  }, [])
+
+  const fetchData = async () => {
+    try {
+      const [rulesResponse, rolesResponse, violationsResponse] = await Promise.all([
+        sodRulesAPI.getAll(),
+        rolesAPI.getAll(),
+        sodRulesAPI.getViolations()
+      ])
+      setRules(rulesResponse.data)
+      setRoles(rolesResponse.data)
+      setViolations(violationsResponse.data)
+    } catch (error) {
+      console.error('Failed to fetch separation-of-duties rules:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleAddRule = () => {
+    setSelectedRule(null)
+    setFormData(emptyForm)
+    setShowFormModal(true)
+  }
+
+  const handleEditRule = (rule) => {
+    setSelectedRule(rule)
+    setFormData({
+      name: rule.name,
+      description: rule.description || '',
+      roleA: String(rule.role_a_id),
+      roleB: String(rule.role_b_id)
+    })
+    setShowFormModal(true)
+  }
+
+  const handleDeleteRule = (rule) => {
+    setSelectedRule(rule)
+    setShowDeleteModal(true)
+  }
+
+  const closeModals = () => {
+    setShowFormModal(false)
+    setShowDeleteModal(false)
+    setSelectedRule(null)
+    setFormData(emptyForm)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!formData.roleA || !formData.roleB) {
+      toast.error('Please choose two roles')
+      return
+    }
+    if (formData.roleA === formData.roleB) {
+      toast.error('A rule must name two different roles')
+      return
+    }
+
+    const ruleData = {
+      name: formData.name,
+      description: formData.description,
+      roleIds: [Number(formData.roleA), Number(formData.roleB)]
+    }
+
+    try {
+      const response = selectedRule
+        ? await sodRulesAPI.update(selectedRule.id, ruleData)
+        : await sodRulesAPI.create(ruleData)
+      toast.success(response.data.message)
+      // Rules only block new assignments, so point out existing conflicts
+      if (response.data.violations > 0) {
+        toast.error(`${response.data.violations} existing assignment(s) already break this rule`)
+      }
+      closeModals()
+      fetchData()
+    } catch (error) {
+      console.error('Error saving rule:', error)
+    }
+  }
+
+  const handleDelete = async () => {
+    try {
+      await sodRulesAPI.delete(selectedRule.id)
+      toast.success('Rule deleted successfully')
+      closeModals()
+      fetchData()
+    } catch (error) {
+      console.error('Error deleting rule:', error)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        <span className="ml-2 text-gray-600">Loading rules...</span>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Separation of Duties</h1>
+          <p className="text-gray-600">Pairs of roles no user may hold together, directly or through groups</p>
+        </div>
+        {canUpdate && (
+          <button
+            onClick={handleAddRule}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md font-medium transition-colors flex items-center space-x-2"
+          >
+            <Plus className="h-4 w-4" />
+            <span>Add Rule</span>
+          </button>
+        )}
+      </div>
+
+      {/* Rules Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Rule
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Conflicting Roles
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Violations
+              </th>
+              {canUpdate && (
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              )}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {rules.length === 0 ? (
+              <tr>
+                <td colSpan="4" className="px-6 py-8 text-center text-gray-500">
+                  No separation-of-duties rules defined.
+                </td>
+              </tr>
+            ) : (
+              rules.map((rule) => {
+                const count = violations.filter(violation => violation.rule_id === rule.id).length
+                return (
+                  <tr key={rule.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <div className="flex items-center">
+                        <div className="flex-shrink-0 h-8 w-8 rounded-full bg-primary-100 flex items-center justify-center">
+                          <Scale className="h-4 w-4 text-primary-600" />
+                        </div>
+                        <div className="ml-4">
+                          <div className="text-sm font-medium text-gray-900">{rule.name}</div>
+                          {rule.description && (
+                            <div className="text-sm text-gray-500">{rule.description}</div>
+                          )}
+                        </div>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700">
+                        {rule.role_a_name}
+                      </span>
+                      <span className="mx-2 text-gray-400">×</span>
+                      <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700">
+                        {rule.role_b_name}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                        count > 0 ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
+                      }`}>
+                        {count > 0 ? `${count} violation(s)` : 'None'}
+                      </span>
+                    </td>
+                    {canUpdate && (
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                        <button
+                          onClick={() => handleEditRule(rule)}
+                          className="text-primary-600 hover:text-primary-900"
+                        >
+                          <Edit2 className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteRule(rule)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                )
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Violations Report */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900 flex items-center">
+            <AlertTriangle className="h-5 w-5 mr-2 text-gray-500" />
+            Current Violations
+          </h2>
+          <p className="text-sm text-gray-500">
+            Assignments made before a rule existed. New assignments that would break a rule are refused.
+          </p>
+        </div>
+        {violations.length === 0 ? (
+          <div className="px-6 py-8 text-center text-gray-500">No user or group breaks a rule.</div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {violations.map((violation) => (
+              <li
+                key={`${violation.rule_id}-${violation.user_id || `g${violation.group_id}`}`}
+                className="px-6 py-3 flex items-center justify-between"
+              >
+                <div className="flex items-center text-sm text-gray-900">
+                  {violation.user_id ? (
+                    <User className="h-4 w-4 mr-2 text-gray-400" />
+                  ) : (
+                    <Shield className="h-4 w-4 mr-2 text-gray-400" />
+                  )}
+                  <span className="font-medium">
+                    {violation.user_id ? violation.username : `Group ${violation.group_name}`}
+                  </span>
+                  <span className="ml-2 text-gray-600">
+                    holds both {violation.roles[0]} and {violation.roles[1]}
+                  </span>
+                </div>
+                <span className="text-xs text-gray-500">{violation.rule_name}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Add/Edit Rule Modal */}
+      {showFormModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-medium text-gray-900">
+                {selectedRule ? 'Edit Rule' : 'Add New Rule'}
+              </h3>
+              <button
+                onClick={closeModals}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleSubmit}>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Rule Name *
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    className="input"
+                    placeholder="e.g. Payment approval"
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Description
+                  </label>
+                  <textarea
+                    value={formData.description}
+                    onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                    className="input"
+                    rows="2"
+                    placeholder="Why these roles are kept apart"
+                  />
+                </div>
+
+                {['roleA', 'roleB'].map((field, index) => (
+                  <div key={field}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {index === 0 ? 'Role *' : 'Conflicts with *'}
+                    </label>
+                    <select
+                      value={formData[field]}
+                      onChange={(e) => setFormData({ ...formData, [field]: e.target.value })}
+                      className="input"
+                      required
+                    >
+                      <option value="">Select a role</option>
+                      {roles.map(role => (
+                        <option key={role.id} value={role.id}>{role.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+
+                <p className="text-xs text-gray-500">
+                  The rule covers roles held directly, through groups and nested groups, and through inheritance.
+                </p>
+              </div>
+
+              <div className="flex justify-end space-x-3 mt-6">
+                <button
+                  type="button"
+                  onClick={closeModals}
+                  className="bg-gray-200 hover:bg-gray-300 text-gray-900 px-4 py-2 rounded-md font-medium transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md font-medium transition-colors"
+                >
+                  {selectedRule ? 'Update Rule' : 'Create Rule'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Delete Confirmation Modal */}
+      {showDeleteModal && selectedRule && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Delete Rule</h3>
+              <button
+                onClick={closeModals}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            <p className="text-sm text-gray-900 mb-6">
+              Are you sure you want to delete the rule <strong>"{selectedRule.name}"</strong>? Users will then be
+              able to hold both {selectedRule.role_a_name} and {selectedRule.role_b_name}.
+            </p>
+
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={closeModals}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-900 px-4 py-2 rounded-md font-medium transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleDelete}
+                className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-md font-medium transition-colors"
+              >
+                Delete Rule
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SeparationOfDuties
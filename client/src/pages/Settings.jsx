@@ -0,0 +1,545 @@
+import { useState, useEffect } from 'react'
+import { useSelector } from 'react-redux'
+import { useForm } from 'react-hook-form'
+import { yupResolver } from '@hookform/resolvers/yup'
+import * as yup from 'yup'
+import { SlidersHorizontal, KeyRound, MailCheck, UserPlus, Key } from 'lucide-react'
+import { selectPermissions, selectDeniedPermissions, selectIsSuperAdmin } from '../store/slices/authSlice'
+import { isAllowed } from '../utils/permissions'
+import { settingsAPI } from '../services/api'
+import toast from 'react-hot-toast'
+
+// Validation schema
+const passwordPolicySchema = yup.object({
+  minLength: yup.number().typeError('Enter a number').integer().min(6, 'At least 6').max(128, 'At most 128').required(),
+  historyCount: yup.number().typeError('Enter a number').integer().min(0, 'Cannot be negative').max(24, 'At most 24').required(),
+  maxAgeDays: yup.number().typeError('Enter a number').integer().min(0, 'Cannot be negative').max(3650, 'At most 3650').required(),
+  requireUppercase: yup.boolean(),
+  requireLowercase: yup.boolean(),
+  requireDigit: yup.boolean(),
+  requireSymbol: yup.boolean(),
+  disallowUserInfo: yup.boolean(),
+  blockCommon: yup.boolean()
+})
+
+const ruleToggles = [
+  { name: 'requireUppercase', label: 'Require an uppercase letter' },
+  { name: 'requireLowercase', label: 'Require a lowercase letter' },
+  { name: 'requireDigit', label: 'Require a number' },
+  { name: 'requireSymbol', label: 'Require a symbol' },
+  { name: 'disallowUserInfo', label: 'Reject passwords containing the username or email' },
+  { name: 'blockCommon', label: 'Reject common and breached passwords' },
+]
+
+const verificationModes = [
+  { value: 'off', label: 'Off', description: 'Accounts can be used straight away; no verification email is sent' },
+  { value: 'limit', label: 'Limit permissions', description: 'Unverified accounts can sign in but hold no permissions' },
+  { value: 'block', label: 'Block sign-in', description: 'Unverified accounts cannot sign in' },
+]
+
+// What self-registered accounts may do before confirming their email address
+const EmailVerificationSettings = ({ canEdit }) => {
+  const [policy, setPolicy] = useState(null)
+  const [defaults, setDefaults] = useState(null)
+  const [mode, setMode] = useState('')
+
+  useEffect(() => {
+    fetchPolicy()
+  }, [])
+
+  const applyPolicy = (next) => {
+    setPolicy(next)
+    setMode(next.mode)
+  }
+
+  const fetchPolicy = async () => {
+    try {
+      const response = await settingsAPI.getVerificationPolicy()
+      applyPolicy(response.data.policy)
+      setDefaults(response.data.defaults)
+    } catch (error) {
+      toast.error('Failed to fetch email verification policy')
+    }
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      const response = await settingsAPI.updateVerificationPolicy({ mode })
+      applyPolicy(response.data.policy)
+      toast.success('Email verification policy updated successfully')
+    } catch (error) {
+      console.error('Failed to update email verification policy:', error)
+    }
+  }
+
+  const handleReset = async () => {
+    try {
+      const response = await settingsAPI.resetVerificationPolicy()
+      applyPolicy(response.data.policy)
+      toast.success('Email verification policy reset to default')
+    } catch (error) {
+      console.error('Failed to reset email verification policy:', error)
+    }
+  }
+
+  if (!policy) {
+    return null
+  }
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-4">
+        <MailCheck className="h-5 w-5 text-gray-400 mr-2" />
+        <h3 className="text-lg font-medium text-gray-900">Email Verification</h3>
+      </div>
+
+      <form onSubmit={handleSave} className="space-y-6">
+        <fieldset disabled={!canEdit} className="space-y-3">
+          {verificationModes.map((option) => (
+            <label key={option.value} className="flex items-start">
+              <input
+                type="radio"
+                name="verificationMode"
+                value={option.value}
+                checked={mode === option.value}
+                onChange={(e) => setMode(e.target.value)}
+                className="mt-0.5 h-4 w-4 text-primary-600 border-gray-300"
+              />
+              <span className="ml-2">
+                <span className="block text-sm font-medium text-gray-700">{option.label}</span>
+                <span className="block text-xs text-gray-500">{option.description}</span>
+              </span>
+            </label>
+          ))}
+        </fieldset>
+
+        <p className="text-xs text-gray-500">
+          Applies to self-registered accounts. Accounts created by an administrator count as verified.
+          {defaults && ` The server default is "${verificationModes.find(option => option.value === defaults.mode)?.label}".`}
+        </p>
+
+        {canEdit && (
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={handleReset} className="btn btn-secondary">
+              Reset to Default
+            </button>
+            <button type="submit" disabled={mode === policy.mode} className="btn btn-primary disabled:opacity-50">
+              Save
+            </button>
+          </div>
+        )}
+      </form>
+    </div>
+  )
+}
+
+const registrationModes = [
+  { value: 'open', label: 'Open', description: 'Anyone can create an account' },
+  { value: 'domain', label: 'Allowed domains', description: 'Only addresses at the listed domains can register' },
+  { value: 'invite', label: 'Invite only', description: 'Accounts can only be created from an invitation' },
+]
+
+const parseDomains = (value) => value
+  .split(',')
+  .map(domain => domain.trim().toLowerCase())
+  .filter(Boolean)
+
+// Who may create an account from the sign-in page
+const RegistrationSettings = ({ canEdit }) => {
+  const [policy, setPolicy] = useState(null)
+  const [defaults, setDefaults] = useState(null)
+  const [mode, setMode] = useState('')
+  const [domains, setDomains] = useState('')
+
+  useEffect(() => {
+    fetchPolicy()
+  }, [])
+
+  const applyPolicy = (next) => {
+    setPolicy(next)
+    setMode(next.mode)
+    setDomains(next.allowedDomains.join(', '))
+  }
+
+  const fetchPolicy = async () => {
+    try {
+      const response = await settingsAPI.getRegistrationPolicy()
+      applyPolicy(response.data.policy)
+      setDefaults(response.data.defaults)
+    } catch (error) {
+      toast.error('Failed to fetch registration policy')
+    }
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      const response = await settingsAPI.updateRegistrationPolicy({ mode, allowedDomains: parseDomains(domains) })
+      applyPolicy(response.data.policy)
+      toast.success('Registration policy updated successfully')
+    } catch (error) {
+      console.error('Failed to update registration policy:', error)
+    }
+  }
+
+  const handleReset = async () => {
+    try {
+      const response = await settingsAPI.resetRegistrationPolicy()
+      applyPolicy(response.data.policy)
+      toast.success('Registration policy reset to default')
+    } catch (error) {
+      console.error('Failed to reset registration policy:', error)
+    }
+  }
+
+  if (!policy) {
+    return null
+  }
+
+  const isDirty = mode !== policy.mode || parseDomains(domains).join(',') !== policy.allowedDomains.join(',')
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-4">
+        <UserPlus className="h-5 w-5 text-gray-400 mr-2" />
+        <h3 className="text-lg font-medium text-gray-900">Registration</h3>
+      </div>
+
+      <form onSubmit={handleSave} className="space-y-6">
+        <fieldset disabled={!canEdit} className="space-y-3">
+          {registrationModes.map((option) => (
+            <label key={option.value} className="flex items-start">
+              <input
+                type="radio"
+                name="registrationMode"
+                value={option.value}
+                checked={mode === option.value}
+                onChange={(e) => setMode(e.target.value)}
+                className="mt-0.5 h-4 w-4 text-primary-600 border-gray-300"
+              />
+              <span className="ml-2">
+                <span className="block text-sm font-medium text-gray-700">{option.label}</span>
+                <span className="block text-xs text-gray-500">{option.description}</span>
+              </span>
+            </label>
+          ))}
+        </fieldset>
+
+        {mode === 'domain' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Allowed domains</label>
+            <input
+              type="text"
+              value={domains}
+              onChange={(e) => setDomains(e.target.value)}
+              disabled={!canEdit}
+              className="input"
+              placeholder="example.com, example.org"
+            />
+            <p className="mt-1 text-xs text-gray-500">Comma-separated. Subdomains must be listed separately.</p>
+          </div>
+        )}
+
+        <p className="text-xs text-gray-500">
+          Invitations sent from the Users page work in every mode.
+          {defaults && ` The server default is "${registrationModes.find(option => option.value === defaults.mode)?.label}".`}
+        </p>
+
+        {canEdit && (
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={handleReset} className="btn btn-secondary">
+              Reset to Default
+            </button>
+            <button type="submit" disabled={!isDirty} className="btn btn-primary disabled:opacity-50">
+              Save
+            </button>
+          </div>
+        )}
+      </form>
+    </div>
+  )
+}
+
+// Whether roles can be assigned to users directly as well as through groups
+const DirectRoleSettings = ({ canEdit }) => {
+  const [policy, setPolicy] = useState(null)
+  const [defaults, setDefaults] = useState(null)
+  const [enabled, setEnabled] = useState(false)
+
+  useEffect(() => {
+    fetchPolicy()
+  }, [])
+
+  const applyPolicy = (next) => {
+    setPolicy(next)
+    setEnabled(next.enabled)
+  }
+
+  const fetchPolicy = async () => {
+    try {
+      const response = await settingsAPI.getDirectRolePolicy()
+      applyPolicy(response.data.policy)
+      setDefaults(response.data.defaults)
+    } catch (error) {
+      toast.error('Failed to fetch direct role policy')
+    }
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      const response = await settingsAPI.updateDirectRolePolicy({ enabled })
+      applyPolicy(response.data.policy)
+      toast.success('Direct role policy updated successfully')
+    } catch (error) {
+      console.error('Failed to update direct role policy:', error)
+    }
+  }
+
+  const handleReset = async () => {
+    try {
+      const response = await settingsAPI.resetDirectRolePolicy()
+      applyPolicy(response.data.policy)
+      toast.success('Direct role policy reset to default')
+    } catch (error) {
+      console.error('Failed to reset direct role policy:', error)
+    }
+  }
+
+  if (!policy) {
+    return null
+  }
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-4">
+        <Key className="h-5 w-5 text-gray-400 mr-2" />
+        <h3 className="text-lg font-medium text-gray-900">Direct Role Assignment</h3>
+      </div>
+
+      <form onSubmit={handleSave} className="space-y-6">
+        <label className="flex items-start">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => setEnabled(e.target.checked)}
+            disabled={!canEdit}
+            className="mt-0.5 h-4 w-4 text-primary-600 border-gray-300 rounded"
+          />
+          <span className="ml-2">
+            <span className="block text-sm font-medium text-gray-700">Allow roles to be assigned to users directly</span>
+            <span className="block text-xs text-gray-500">
+              Direct roles apply alongside group membership. When turned off, existing direct assignments are kept but grant nothing.
+            </span>
+          </span>
+        </label>
+
+        {defaults && (
+          <p className="text-xs text-gray-500">
+            The server default is {defaults.enabled ? 'on' : 'off'}.
+          </p>
+        )}
+
+        {canEdit && (
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={handleReset} className="btn btn-secondary">
+              Reset to Default
+            </button>
+            <button type="submit" disabled={enabled === policy.enabled} className="btn btn-primary disabled:opacity-50">
+              Save
+            </button>
+          </div>
+        )}
+      </form>
+    </div>
+  )
+}
+
+const Settings = () => {
+  const [loading, setLoading] = useState(true)
+  const [defaults, setDefaults] = useState(null)
+  const permissions = useSelector(selectPermissions)
+  const deniedPermissions = useSelector(selectDeniedPermissions)
+  const isSuperAdmin = useSelector(selectIsSuperAdmin)
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isDirty },
+    reset
+  } = useForm({
+    resolver: yupResolver(passwordPolicySchema)
+  })
+
+  const hasPermission = (action) => {
+    return isAllowed(permissions, deniedPermissions, 'Users', action)
+  }
+
+  // Settings apply to every tenant, so only super-admins change them
+  const canEdit = isSuperAdmin
+
+  useEffect(() => {
+    if (hasPermission('read')) {
+      fetchPolicy()
+    } else {
+      setLoading(false)
+    }
+  }, [])
+
+  const fetchPolicy = async () => {
+    try {
+      const response = await settingsAPI.getPasswordPolicy()
+      reset(response.data.policy)
+      setDefaults(response.data.defaults)
+    } catch (error) {
+      toast.error('Failed to fetch password policy')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const onSubmit = async (data) => {
+    try {
+      const response = await settingsAPI.updatePasswordPolicy(data)
+      reset(response.data.policy)
+      toast.success('Password policy updated successfully')
+    } catch (error) {
+      console.error('Failed to update password policy:', error)
+    }
+  }
+
+  const handleReset = async () => {
+    try {
+      const response = await settingsAPI.resetPasswordPolicy()
+      reset(response.data.policy)
+      toast.success('Password policy reset to defaults')
+    } catch (error) {
+      console.error('Failed to reset password policy:', error)
+    }
+  }
+
+  if (!hasPermission('read')) {
+    return (
+      <div className="text-center py-12">
+        <SlidersHorizontal className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+        <h3 className="text-lg font-medium text-gray-900">Access Denied</h3>
+        <p className="text-gray-500">You don't have permission to view settings.</p>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Settings</h1>
+        <p className="text-gray-600">System-wide account and sign-in settings</p>
+      </div>
+
+      <div className="card">
+        <div className="flex items-center mb-4">
+          <KeyRound className="h-5 w-5 text-gray-400 mr-2" />
+          <h3 className="text-lg font-medium text-gray-900">Password Policy</h3>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+          <fieldset disabled={!canEdit} className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Minimum length
+                </label>
+                <input
+                  {...register('minLength', { valueAsNumber: true })}
+                  type="number"
+                  className={`input ${errors.minLength ? 'border-red-500' : ''}`}
+                />
+                {errors.minLength && (
+                  <p className="mt-1 text-sm text-red-600">{errors.minLength.message}</p>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Previous passwords blocked
+                </label>
+                <input
+                  {...register('historyCount', { valueAsNumber: true })}
+                  type="number"
+                  className={`input ${errors.historyCount ? 'border-red-500' : ''}`}
+                />
+                <p className="mt-1 text-xs text-gray-500">0 allows reuse</p>
+                {errors.historyCount && (
+                  <p className="mt-1 text-sm text-red-600">{errors.historyCount.message}</p>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Maximum age (days)
+                </label>
+                <input
+                  {...register('maxAgeDays', { valueAsNumber: true })}
+                  type="number"
+                  className={`input ${errors.maxAgeDays ? 'border-red-500' : ''}`}
+                />
+                <p className="mt-1 text-xs text-gray-500">0 means passwords never expire</p>
+                {errors.maxAgeDays && (
+                  <p className="mt-1 text-sm text-red-600">{errors.maxAgeDays.message}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {ruleToggles.map((rule) => (
+                <label key={rule.name} className="flex items-center">
+                  <input
+                    {...register(rule.name)}
+                    type="checkbox"
+                    className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                  />
+                  <span className="ml-2 text-sm text-gray-700">{rule.label}</span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          {defaults && (
+            <p className="text-xs text-gray-500">
+              Defaults come from the server environment (minimum length {defaults.minLength},
+              {' '}{defaults.historyCount} previous passwords blocked,
+              {' '}{defaults.maxAgeDays ? `expiry after ${defaults.maxAgeDays} days` : 'no expiry'}).
+            </p>
+          )}
+
+          {canEdit && (
+            <div className="flex justify-end space-x-3">
+              <button type="button" onClick={handleReset} className="btn btn-secondary">
+                Reset to Defaults
+              </button>
+              <button type="submit" disabled={!isDirty} className="btn btn-primary disabled:opacity-50">
+                Save Policy
+              </button>
+            </div>
+          )}
+        </form>
+      </div>
+
+      <EmailVerificationSettings canEdit={canEdit} />
+
+      <RegistrationSettings canEdit={canEdit} />
+
+      <DirectRoleSettings canEdit={canEdit} />
+    </div>
+  )
+}
+
+export default Settings
@@ -0,0 +1,322 @@
+import { useState, useEffect } from 'react'
+import { useSelector } from 'react-redux'
+import {
+  Building2,
+  Plus,
+  Edit2,
+  Trash2,
+  X
+} from 'lucide-react'
+import toast from 'react-hot-toast'
+import { tenantsAPI } from '../services/api'
+import { selectTenant, selectUser } from '../store/slices/authSlice'
+
+const emptyForm = { name: '', slug: '' }
+
+// Suggest a slug from a tenant name, e.g. "Acme Corp" -> "acme-corp"
+const toSlug = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 50)
+
+// Organizations and the data they own; super-admins only. Switching tenants
+// is done from the top bar.
+const Tenants = () => {
+  const [tenants, setTenants] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showFormModal, setShowFormModal] = useState(false)
+  const [showDeleteModal, setShowDeleteModal] = useState(false)
+  const [selectedTenant, setSelectedTenant] = useState(null)
+  const [formData, setFormData] = useState(emptyForm)
+
+  const currentTenant = useSelector(selectTenant)
+  const user = useSelector(selectUser)
+
+  useEffect(() => {
+    fetchTenants()
+  }, [])
+
+  const fetchTenants = async () => {
+    try {
+      const response = await tenantsAPI.getAll()
+      setTenants(response.data)
+    } catch (error) {
+      console.error('Failed to fetch tenants:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleAddTenant = () => {
+    setSelectedTenant(null)
+    setFormData(emptyForm)
+    setShowFormModal(true)
+  }
+
+  const handleEditTenant = (tenant) => {
+    setSelectedTenant(tenant)
+    setFormData({ name: tenant.name, slug: tenant.slug })
+    setShowFormModal(true)
+  }
+
+  const handleDeleteTenant = (tenant) => {
+    setSelectedTenant(tenant)
+    setShowDeleteModal(true)
+  }
+
+  const closeModals = () => {
+    setShowFormModal(false)
+    setShowDeleteModal(false)
+    setSelectedTenant(null)
+    setFormData(emptyForm)
+  }
+
+  const handleNameChange = (name) => {
+    // Keep suggesting a slug until it is edited by hand
+    const slugFollowsName = !selectedTenant && formData.slug === toSlug(formData.name)
+    setFormData({ name, slug: slugFollowsName ? toSlug(name) : formData.slug })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    try {
+      const response = selectedTenant
+        ? await tenantsAPI.update(selectedTenant.id, formData)
+        : await tenantsAPI.create(formData)
+      toast.success(response.data.message)
+      closeModals()
+      fetchTenants()
+    } catch (error) {
+      console.error('Error saving tenant:', error)
+    }
+  }
+
+  const handleDelete = async () => {
+    try {
+      await tenantsAPI.delete(selectedTenant.id)
+      toast.success('Tenant deleted successfully')
+      closeModals()
+      fetchTenants()
+    } catch (error) {
+      console.error('Error deleting tenant:', error)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        <span className="ml-2 text-gray-600">Loading tenants...</span>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Tenants</h1>
+          <p className="text-gray-600">Organizations, each with its own users, groups, roles and modules</p>
+        </div>
+        <button
+          onClick={handleAddTenant}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md font-medium transition-colors flex items-center space-x-2"
+        >
+          <Plus className="h-4 w-4" />
+          <span>Add Tenant</span>
+        </button>
+      </div>
+
+      {/* Tenants Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Tenant
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Users
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Groups
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Roles
+              </th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {tenants.map((tenant) => {
+              // The default tenant and the user's own cannot be deleted
+              const canDelete = tenant.slug !== 'default' && tenant.id !== user?.tenantId
+              return (
+                <tr key={tenant.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4">
+                    <div className="flex items-center">
+                      <div className="flex-shrink-0 h-8 w-8 rounded-full bg-primary-100 flex items-center justify-center">
+                        <Building2 className="h-4 w-4 text-primary-600" />
+                      </div>
+                      <div className="ml-4">
+                        <div className="text-sm font-medium text-gray-900 flex items-center">
+                          {tenant.name}
+                          {tenant.id === currentTenant?.id && (
+                            <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                              Current
+                            </span>
+                          )}
+                        </div>
+                        <div className="text-sm text-gray-500">{tenant.slug}</div>
+                      </div>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{tenant.user_count}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{tenant.group_count}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{tenant.role_count}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                    <button
+                      onClick={() => handleEditTenant(tenant)}
+                      className="text-primary-600 hover:text-primary-900"
+                    >
+                      <Edit2 className="h-4 w-4" />
+                    </button>
+                    {canDelete && (
+                      <button
+                        onClick={() => handleDeleteTenant(tenant)}
+                        className="text-red-600 hover:text-red-900"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Add/Edit Tenant Modal */}
+      {showFormModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-medium text-gray-900">
+                {selectedTenant ? 'Edit Tenant' : 'Add New Tenant'}
+              </h3>
+              <button
+                onClick={closeModals}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleSubmit}>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Name *
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => handleNameChange(e.target.value)}
+                    className="input"
+                    placeholder="e.g. Acme Retail"
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Slug *
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.slug}
+                    onChange={(e) => setFormData({ ...formData, slug: e.target.value })}
+                    className="input"
+                    placeholder="e.g. acme-retail"
+                    required
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Users enter this as their organization when signing in.
+                  </p>
+                </div>
+
+                {!selectedTenant && (
+                  <p className="text-xs text-gray-500">
+                    The tenant starts with the default modules, an Admin role and an Administrators group.
+                    Switch to it from the top bar to add its first users.
+                  </p>
+                )}
+              </div>
+
+              <div className="flex justify-end space-x-3 mt-6">
+                <button
+                  type="button"
+                  onClick={closeModals}
+                  className="bg-gray-200 hover:bg-gray-300 text-gray-900 px-4 py-2 rounded-md font-medium transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md font-medium transition-colors"
+                >
+                  {selectedTenant ? 'Update Tenant' : 'Create Tenant'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Delete Confirmation Modal */}
+      {showDeleteModal && selectedTenant && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Delete Tenant</h3>
+              <button
+                onClick={closeModals}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            <p className="text-sm text-gray-900 mb-6">
+              Are you sure you want to delete <strong>"{selectedTenant.name}"</strong>? Its {selectedTenant.user_count} user(s),
+              groups, roles and modules are deleted with it. This cannot be undone.
+            </p>
+
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={closeModals}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-900 px-4 py-2 rounded-md font-medium transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleDelete}
+                className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-md font-medium transition-colors"
+              >
+                Delete Tenant
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Tenants
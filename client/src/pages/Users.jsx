@@ -3,22 +3,62 @@ import { useSelector } from 'react-redux'
 import { useForm } from 'react-hook-form'
 import { yupResolver } from '@hookform/resolvers/yup'
 import * as yup from 'yup'
-import { Plus, Edit, Trash2, Users as UsersIcon, X, Eye, EyeOff } from 'lucide-react'
-import { selectPermissions } from '../store/slices/authSlice'
-import { usersAPI, groupsAPI } from '../services/api'
+import { Plus, Edit, Trash2, Users as UsersIcon, X, Eye, EyeOff, LogOut, Lock, Unlock, KeyRound, MailCheck, MailWarning, Mail, Key, ShieldAlert, Crown } from 'lucide-react'
+import { selectPermissions, selectDeniedPermissions, selectUser, selectIsSuperAdmin } from '../store/slices/authSlice'
+import { isAllowed } from '../utils/permissions'
+import { usersAPI, groupsAPI, settingsAPI } from '../services/api'
 import toast from 'react-hot-toast'
+import InvitationsModal from '../components/InvitationsModal'
+import DirectRolesModal from '../components/DirectRolesModal'
+import BoundaryModal from '../components/BoundaryModal'
+import PasswordRequirements, { usePasswordPolicy, meetsPasswordPolicy } from '../components/PasswordRequirements'
 
 // Validation schemas
 const userSchema = yup.object({
   username: yup.string().min(3, 'Username must be at least 3 characters').required('Username is required'),
   email: yup.string().email('Invalid email').required('Email is required'),
-  password: yup.string().min(6, 'Password must be at least 6 characters').when('isEdit', {
+  // Strength rules come from the server's password policy
+  password: yup.string().when('isEdit', {
     is: false,
     then: (schema) => schema.required('Password is required'),
     otherwise: (schema) => schema
-  })
+  }),
+  mustChangePassword: yup.boolean(),
+  attributes: yup.string()
 })
 
+// User attributes are edited as key=value lines; grant conditions read them as user.<key>
+const formatAttributes = (attributes = {}) =>
+  Object.entries(attributes).map(([key, value]) => `${key}=${value}`).join('\n')
+
+// Numbers and true/false keep their type; anything else is a string
+const parseAttributeValue = (value) => {
+  if (value === 'true' || value === 'false') return value === 'true'
+  if (value !== '' && !isNaN(value)) return Number(value)
+  return value
+}
+
+// Returns the attributes object, or null when a line is malformed
+const parseAttributes = (text = '') => {
+  const attributes = {}
+  for (const line of text.split('\n').map(l => l.trim()).filter(Boolean)) {
+    const match = line.match(/^([A-Za-z_]\w*)\s*=\s*(.*)$/)
+    if (!match) return null
+    attributes[match[1]] = parseAttributeValue(match[2])
+  }
+  return attributes
+}
+
+// Labels for the reasons recorded with failed logins
+const failureReasons = {
+  unknown_user: 'Unknown user',
+  invalid_password: 'Wrong password',
+  invalid_mfa_code: 'Wrong MFA code',
+  invalid_recovery_code: 'Wrong recovery code',
+  account_locked: 'Attempt while locked',
+  throttled: 'Attempt too soon'
+}
+
 const Users = () => {
   const [users, setUsers] = useState([])
   const [groups, setGroups] = useState([])
@@ -28,7 +68,17 @@ const Users = () => {
   const [showDeleteModal, setShowDeleteModal] = useState(false)
   const [userToDelete, setUserToDelete] = useState(null)
   const [showPassword, setShowPassword] = useState(false)
+  const [failuresUser, setFailuresUser] = useState(null)
+  const [failures, setFailures] = useState([])
+  const [showInvitations, setShowInvitations] = useState(false)
+  const [directRolesEnabled, setDirectRolesEnabled] = useState(false)
+  const [rolesUser, setRolesUser] = useState(null)
+  const [boundaryUser, setBoundaryUser] = useState(null)
   const permissions = useSelector(selectPermissions)
+  const deniedPermissions = useSelector(selectDeniedPermissions)
+  const currentUser = useSelector(selectUser)
+  const isSuperAdmin = useSelector(selectIsSuperAdmin)
+  const passwordPolicy = usePasswordPolicy()
 
   const isEdit = !!editingUser
   
@@ -37,20 +87,23 @@ const Users = () => {
     handleSubmit,
     formState: { errors },
     reset,
-    setValue
+    setValue,
+    watch,
+    setError
   } = useForm({
     resolver: yupResolver(userSchema),
     context: { isEdit }
   })
 
   const hasPermission = (action) => {
-    return permissions.Users && permissions.Users.includes(action)
+    return isAllowed(permissions, deniedPermissions, 'Users', action)
   }
 
   useEffect(() => {
     if (hasPermission('read')) {
       fetchUsers()
       fetchGroups()
+      fetchDirectRolePolicy()
     } else {
       setLoading(false)
     }
@@ -76,13 +129,24 @@ const Users = () => {
     }
   }
 
+  const fetchDirectRolePolicy = async () => {
+    try {
+      const response = await settingsAPI.getDirectRolePolicy()
+      setDirectRolesEnabled(response.data.policy.enabled)
+    } catch (error) {
+      console.error('Failed to fetch direct role policy:', error)
+    }
+  }
+
   const openAddModal = () => {
     setEditingUser(null)
     setShowPassword(false)
     reset({
       username: '',
       email: '',
-      password: ''
+      password: '',
+      mustChangePassword: true,
+      attributes: ''
     })
     setShowModal(true)
   }
@@ -93,7 +157,9 @@ const Users = () => {
     reset({
       username: user.username,
       email: user.email,
-      password: ''
+      password: '',
+      mustChangePassword: user.id !== currentUser?.id,
+      attributes: formatAttributes(user.attributes)
     })
     setShowModal(true)
   }
@@ -105,19 +171,31 @@ const Users = () => {
   }
 
   const onSubmit = async (data) => {
+    if (data.password && !meetsPasswordPolicy(passwordPolicy, data.password, data)) {
+      setError('password', { message: 'Password does not meet the requirements' })
+      return
+    }
+
+    const attributes = parseAttributes(data.attributes)
+    if (!attributes) {
+      setError('attributes', { message: 'Use one key=value per line' })
+      return
+    }
+
     try {
       if (isEdit) {
         // Update user
         const updateData = {
           username: data.username,
           email: data.email,
-          ...(data.password && { password: data.password })
+          attributes,
+          ...(data.password && { password: data.password, mustChangePassword: data.mustChangePassword })
         }
         await usersAPI.update(editingUser.id, updateData)
         toast.success('User updated successfully')
       } else {
         // Create user
-        await usersAPI.create(data)
+        await usersAPI.create({ ...data, attributes })
         toast.success('User created successfully')
       }
       
@@ -153,6 +231,64 @@ const Users = () => {
     }
   }
 
+  const handleRevokeSessions = async (user) => {
+    try {
+      await usersAPI.revokeSessions(user.id)
+      toast.success(`${user.username} has been signed out everywhere`)
+    } catch (error) {
+      const message = error.response?.data?.error || 'Failed to sign out user'
+      toast.error(message)
+    }
+  }
+
+  const handleUnlock = async (user) => {
+    try {
+      await usersAPI.unlock(user.id)
+      toast.success(`${user.username} has been unlocked`)
+      fetchUsers()
+    } catch (error) {
+      const message = error.response?.data?.error || 'Failed to unlock user'
+      toast.error(message)
+    }
+  }
+
+  const handleVerifyEmail = async (user) => {
+    try {
+      await usersAPI.verifyEmail(user.id)
+      toast.success(`${user.email} marked as verified`)
+      fetchUsers()
+    } catch (error) {
+      const message = error.response?.data?.error || 'Failed to verify email address'
+      toast.error(message)
+    }
+  }
+
+  const handleToggleSuperAdmin = async (user) => {
+    try {
+      const response = await usersAPI.setSuperAdmin(user.id, !user.is_super_admin)
+      toast.success(response.data.message)
+      fetchUsers()
+    } catch (error) {
+      const message = error.response?.data?.error || 'Failed to update super-admin rights'
+      toast.error(message)
+    }
+  }
+
+  const openFailuresModal = async (user) => {
+    try {
+      const response = await usersAPI.getLoginFailures(user.id)
+      setFailures(response.data.failures)
+      setFailuresUser(user)
+    } catch (error) {
+      toast.error('Failed to fetch login failures')
+    }
+  }
+
+  const closeFailuresModal = () => {
+    setFailuresUser(null)
+    setFailures([])
+  }
+
   if (!hasPermission('read')) {
     return (
       <div className="text-center py-12">
@@ -170,15 +306,26 @@ const Users = () => {
           <h1 className="text-2xl font-bold text-gray-900">Users</h1>
           <p className="text-gray-600">Manage system users and their access</p>
         </div>
-        {hasPermission('create') && (
-          <button 
-            onClick={openAddModal} 
-            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-colors"
-          >
-            <Plus className="h-4 w-4 mr-2" />
-            Add User
-          </button>
-        )}
+        <div className="flex space-x-3">
+          {hasPermission('read') && (
+            <button
+              onClick={() => setShowInvitations(true)}
+              className="btn btn-secondary inline-flex items-center"
+            >
+              <Mail className="h-4 w-4 mr-2" />
+              Invitations
+            </button>
+          )}
+          {hasPermission('create') && (
+            <button 
+              onClick={openAddModal} 
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-colors"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              Add User
+            </button>
+          )}
+        </div>
       </div>
 
       <div className="card">
@@ -193,7 +340,10 @@ const Users = () => {
                     User
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Groups
+                    {directRolesEnabled ? 'Groups & Roles' : 'Groups'}
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Created
@@ -221,6 +371,79 @@ const Users = () => {
                             {group}
                           </span>
                         ))}
+                        {user.roles?.map((role) => (
+                          <span
+                            key={`role-${role}`}
+                            className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${directRolesEnabled ? 'bg-purple-100 text-purple-800' : 'bg-gray-100 text-gray-500 line-through'}`}
+                            title={directRolesEnabled ? 'Role assigned directly' : 'Direct role (inactive while direct assignment is disabled)'}
+                          >
+                            <Key className="h-3 w-3 mr-1" />
+                            {role}
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center">
+                        {user.lockout?.locked ? (
+                          <span
+                            className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800"
+                            title={`Locked until ${new Date(user.lockout.lockedUntil).toLocaleString()}`}
+                          >
+                            <Lock className="h-3 w-3 mr-1" />
+                            Locked
+                          </span>
+                        ) : user.lockout?.failedAttempts > 0 ? (
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                            {user.lockout.failedAttempts} failed attempt{user.lockout.failedAttempts === 1 ? '' : 's'}
+                          </span>
+                        ) : (
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                            Active
+                          </span>
+                        )}
+                        {!!user.must_change_password && (
+                          <span
+                            className="ml-1 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700"
+                            title="Must choose a new password at next sign-in"
+                          >
+                            <KeyRound className="h-3 w-3 mr-1" />
+                            Password change
+                          </span>
+                        )}
+                        {!user.email_verified && (
+                          <span
+                            className="ml-1 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800"
+                            title="Email address not verified yet"
+                          >
+                            <MailWarning className="h-3 w-3 mr-1" />
+                            Unverified
+                          </span>
+                        )}
+                        {!!user.has_boundary && (
+                          <span
+                            className="ml-1 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800"
+                            title="May only grant what their permission boundary allows"
+                          >
+                            <ShieldAlert className="h-3 w-3 mr-1" />
+                            Bounded
+                          </span>
+                        )}
+                        {!!user.is_super_admin && (
+                          <span
+                            className="ml-1 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800"
+                            title="Can manage every tenant"
+                          >
+                            <Crown className="h-3 w-3 mr-1" />
+                            Super-admin
+                          </span>
+                        )}
+                        <button
+                          onClick={() => openFailuresModal(user)}
+                          className="ml-2 text-xs text-primary-600 hover:text-primary-800"
+                        >
+                          History
+                        </button>
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
@@ -238,6 +461,60 @@ const Users = () => {
                               <Edit className="h-4 w-4" />
                             </button>
                           )}
+                          {hasPermission('update') && !user.email_verified && (
+                            <button 
+                              onClick={() => handleVerifyEmail(user)}
+                              className="text-orange-600 hover:text-orange-900"
+                              title="Mark email as verified"
+                            >
+                              <MailCheck className="h-4 w-4" />
+                            </button>
+                          )}
+                          {hasPermission('update') && (user.lockout?.locked || user.lockout?.failedAttempts > 0) && (
+                            <button 
+                              onClick={() => handleUnlock(user)}
+                              className="text-green-600 hover:text-green-900"
+                              title="Unlock account"
+                            >
+                              <Unlock className="h-4 w-4" />
+                            </button>
+                          )}
+                          {hasPermission('update') && (directRolesEnabled || user.roles?.length > 0) && (
+                            <button 
+                              onClick={() => setRolesUser(user)}
+                              className="text-purple-600 hover:text-purple-900"
+                              title="Direct roles"
+                            >
+                              <Key className="h-4 w-4" />
+                            </button>
+                          )}
+                          {hasPermission('update') && (
+                            <button 
+                              onClick={() => setBoundaryUser(user)}
+                              className="text-indigo-600 hover:text-indigo-900"
+                              title="Permission boundary"
+                            >
+                              <ShieldAlert className="h-4 w-4" />
+                            </button>
+                          )}
+                          {isSuperAdmin && user.id !== currentUser?.id && (
+                            <button 
+                              onClick={() => handleToggleSuperAdmin(user)}
+                              className="text-purple-600 hover:text-purple-900"
+                              title={user.is_super_admin ? 'Revoke super-admin rights' : 'Make super-admin'}
+                            >
+                              <Crown className="h-4 w-4" />
+                            </button>
+                          )}
+                          {hasPermission('update') && (
+                            <button 
+                              onClick={() => handleRevokeSessions(user)}
+                              className="text-gray-600 hover:text-gray-900"
+                              title="Sign out everywhere"
+                            >
+                              <LogOut className="h-4 w-4" />
+                            </button>
+                          )}
                           {hasPermission('delete') && (
                             <button 
                               onClick={() => openDeleteModal(user)}
@@ -331,6 +608,43 @@ const Users = () => {
                 {errors.password && (
                   <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
                 )}
+                {(!isEdit || watch('password')) && (
+                  <PasswordRequirements
+                    policy={passwordPolicy}
+                    password={watch('password')}
+                    username={watch('username')}
+                    email={watch('email')}
+                    showHistory={isEdit}
+                  />
+                )}
+              </div>
+
+              {(!isEdit || watch('password')) && (
+                <label className="flex items-center">
+                  <input
+                    {...register('mustChangePassword')}
+                    type="checkbox"
+                    className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                  />
+                  <span className="ml-2 text-sm text-gray-700">Require a password change at next sign-in</span>
+                </label>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Attributes
+                </label>
+                <textarea
+                  {...register('attributes')}
+                  rows={3}
+                  className={`input font-mono text-sm ${errors.attributes ? 'border-red-500' : ''}`}
+                  placeholder={'department=finance\nclearance=3'}
+                />
+                {errors.attributes ? (
+                  <p className="mt-1 text-sm text-red-600">{errors.attributes.message}</p>
+                ) : (
+                  <p className="mt-1 text-xs text-gray-500">One key=value per line. Permission conditions can test these as user.&lt;key&gt;.</p>
+                )}
               </div>
 
               <div className="flex justify-end space-x-3">
@@ -353,6 +667,88 @@ const Users = () => {
         </div>
       )}
 
+      {showInvitations && (
+        <InvitationsModal
+          groups={groups}
+          canManage={hasPermission('create')}
+          onClose={() => {
+            setShowInvitations(false)
+            fetchUsers()
+          }}
+        />
+      )}
+
+      {rolesUser && (
+        <DirectRolesModal
+          user={rolesUser}
+          enabled={directRolesEnabled}
+          onClose={() => {
+            setRolesUser(null)
+            fetchUsers()
+          }}
+        />
+      )}
+
+      {boundaryUser && (
+        <BoundaryModal
+          user={boundaryUser}
+          onClose={() => {
+            setBoundaryUser(null)
+            fetchUsers()
+          }}
+        />
+      )}
+
+      {/* Login Failures Modal */}
+      {failuresUser && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-full max-w-2xl shadow-lg rounded-md bg-white">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-medium text-gray-900">
+                Failed Logins: {failuresUser.username}
+              </h3>
+              <button
+                onClick={closeFailuresModal}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            {failures.length === 0 ? (
+              <p className="text-sm text-gray-500 py-4 text-center">No failed logins recorded.</p>
+            ) : (
+              <div className="max-h-96 overflow-y-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP Address</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {failures.map((failure) => (
+                      <tr key={failure.id}>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                          {new Date(failure.attempted_at).toLocaleString()}
+                        </td>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">
+                          {failureReasons[failure.reason] || failure.reason}
+                        </td>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500" title={failure.user_agent}>
+                          {failure.ip_address}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Delete Confirmation Modal */}
       {showDeleteModal && userToDelete && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
@@ -0,0 +1,107 @@
+import { useState, useEffect, useRef } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { useDispatch, useSelector } from 'react-redux'
+import { MailCheck, MailX } from 'lucide-react'
+import { emailVerified, setPermissions, selectIsAuthenticated } from '../store/slices/authSlice'
+import { authAPI } from '../services/api'
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  // 'verifying' | 'verified' | 'invalid'
+  const [status, setStatus] = useState(token ? 'verifying' : 'invalid')
+  const dispatch = useDispatch()
+  const isAuthenticated = useSelector(selectIsAuthenticated)
+  // Tokens are single use, so never send one twice
+  const submitted = useRef(false)
+
+  useEffect(() => {
+    if (!token || submitted.current) {
+      return
+    }
+    submitted.current = true
+
+    const verify = async () => {
+      try {
+        await authAPI.verifyEmail(token)
+        setStatus('verified')
+      } catch (error) {
+        setStatus('invalid')
+      }
+    }
+
+    verify()
+  }, [token])
+
+  // A signed-in user gets their permissions as soon as the address is confirmed
+  useEffect(() => {
+    if (status !== 'verified' || !isAuthenticated) {
+      return
+    }
+
+    const refreshPermissions = async () => {
+      try {
+        const response = await authAPI.getPermissions()
+        dispatch(setPermissions(response.data))
+        dispatch(emailVerified())
+      } catch (error) {
+        console.error('Failed to refresh permissions:', error)
+      }
+    }
+
+    refreshPermissions()
+  }, [status, isAuthenticated, dispatch])
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        {status === 'verifying' && (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+          </div>
+        )}
+
+        {status === 'verified' && (
+          <div>
+            <div className="mx-auto h-12 w-12 flex items-center justify-center rounded-full bg-green-600">
+              <MailCheck className="h-6 w-6 text-white" />
+            </div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Email verified
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              Thanks for confirming your address.
+            </p>
+          </div>
+        )}
+
+        {status === 'invalid' && (
+          <div>
+            <div className="mx-auto h-12 w-12 flex items-center justify-center rounded-full bg-red-600">
+              <MailX className="h-6 w-6 text-white" />
+            </div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Link not valid
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              This verification link is invalid or has expired. Sign in to request a new one.
+            </p>
+          </div>
+        )}
+
+        {status !== 'verifying' && (
+          <div className="text-center">
+            <Link
+              to={isAuthenticated ? '/dashboard' : '/login'}
+              className="text-primary-600 hover:text-primary-500 text-sm font-medium"
+            >
+              {isAuthenticated ? 'Continue to the dashboard' : 'Go to sign in'}
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default VerifyEmail
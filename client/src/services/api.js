@@ -1,5 +1,7 @@
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import store from '../store/store';
+import { tokensRefreshed, logout } from '../store/slices/authSlice';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
@@ -25,15 +27,56 @@ api.interceptors.request.use(
   }
 );
 
+// Single in-flight refresh shared by every request that hits a 401
+let refreshPromise = null;
+
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    // Super-admins stay in the tenant they switched to; the server ignores
+    // it for everyone else
+    const tenantId = Number(localStorage.getItem('tenantId')) || undefined;
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken, tenantId })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        const { token, refreshToken: rotated } = response.data;
+        store.dispatch(tokensRefreshed({ token, refreshToken: rotated }));
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const isAuthEndpoint = (url = '') => ['/auth/login', '/auth/login/mfa', '/auth/register', '/auth/refresh', '/auth/logout']
+  .some((path) => url.endsWith(path));
+
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const original = error.config;
+
+    // Expired access token: refresh once, then replay the request
+    if (error.response?.status === 401 && original && !original._retry && !original.skipAuthRefresh && !isAuthEndpoint(original.url)) {
+      original._retry = true;
+      try {
+        const token = await refreshTokens();
+        original.headers.Authorization = `Bearer ${token}`;
+        return api(original);
+      } catch (refreshError) {
+        store.dispatch(logout());
+        if (window.location.pathname !== '/login') {
+          window.location.href = '/login';
+        }
+        return Promise.reject(error);
+      }
     }
     
     const message = error.response?.data?.error || 'An error occurred';
@@ -47,10 +90,37 @@ api.interceptors.response.use(
 export const authAPI = {
   register: (userData) => api.post('/auth/register', userData),
   login: (credentials) => api.post('/auth/login', credentials),
+  loginMfa: (data) => api.post('/auth/login/mfa', data),
+  logout: (refreshToken) => api.post('/auth/logout', { refreshToken }),
+  logoutAll: () => api.post('/auth/logout-all'),
+  // passwordChangeToken is only passed when a login requires a new password
+  changePassword: (data) => api.post('/auth/change-password', data, { skipAuthRefresh: !!data.passwordChangeToken }),
+  getPasswordPolicy: () => api.get('/auth/password-policy'),
+  getRegistration: () => api.get('/auth/registration'),
+  // tenant is the organization slug; the server defaults to 'default'
+  forgotPassword: (email, tenant) => api.post('/auth/forgot-password', { email, tenant }),
+  verifyResetToken: (token) => api.post('/auth/reset-password/verify', { token }),
+  resetPassword: (data) => api.post('/auth/reset-password', data),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: (email, tenant) => api.post('/auth/verify-email/resend', { email, tenant }),
   getPermissions: () => api.get('/auth/me/permissions'),
   simulateAction: (data) => api.post('/auth/simulate-action', data),
 };
 
+// MFA API - mfaToken is only passed while enrolling as part of a login,
+// where there is no session to refresh
+export const mfaAPI = {
+  getStatus: () => api.get('/auth/mfa/status'),
+  setup: (mfaToken) => mfaToken
+    ? api.post('/auth/mfa/setup', { mfaToken }, { skipAuthRefresh: true })
+    : api.post('/auth/mfa/setup'),
+  verify: (code, mfaToken) => mfaToken
+    ? api.post('/auth/mfa/verify', { code, mfaToken }, { skipAuthRefresh: true })
+    : api.post('/auth/mfa/verify', { code }),
+  regenerateRecoveryCodes: (code) => api.post('/auth/mfa/recovery-codes', { code }),
+  disable: (password) => api.post('/auth/mfa/disable', { password }),
+};
+
 // Users API
 export const usersAPI = {
   getAll: () => api.get('/users'),
@@ -58,6 +128,15 @@ export const usersAPI = {
   create: (userData) => api.post('/users', userData),
   update: (id, userData) => api.put(`/users/${id}`, userData),
   delete: (id) => api.delete(`/users/${id}`),
+  revokeSessions: (id) => api.post(`/users/${id}/revoke-sessions`),
+  unlock: (id) => api.post(`/users/${id}/unlock`),
+  getLoginFailures: (id) => api.get(`/users/${id}/login-failures`),
+  verifyEmail: (id) => api.post(`/users/${id}/verify-email`),
+  assignRoles: (id, roleIds, validity = {}) => api.post(`/users/${id}/roles`, { roleIds, ...validity }),
+  removeRoles: (id, roleIds) => api.delete(`/users/${id}/roles`, { data: { roleIds } }),
+  // A null document removes the boundary
+  setPermissionBoundary: (id, document) => api.put(`/users/${id}/permission-boundary`, { document }),
+  setSuperAdmin: (id, isSuperAdmin) => api.put(`/users/${id}/super-admin`, { isSuperAdmin }),
 };
 
 // Groups API
@@ -67,10 +146,12 @@ export const groupsAPI = {
   create: (groupData) => api.post('/groups', groupData),
   update: (id, groupData) => api.put(`/groups/${id}`, groupData),
   delete: (id) => api.delete(`/groups/${id}`),
-  assignUsers: (id, userIds) => api.post(`/groups/${id}/users`, { userIds }),
+  assignUsers: (id, userIds, validity = {}) => api.post(`/groups/${id}/users`, { userIds, ...validity }),
   removeUsers: (id, userIds) => api.delete(`/groups/${id}/users`, { data: { userIds } }),
-  assignRoles: (id, roleIds) => api.post(`/groups/${id}/roles`, { roleIds }),
+  assignRoles: (id, roleIds, validity = {}) => api.post(`/groups/${id}/roles`, { roleIds, ...validity }),
   removeRoles: (id, roleIds) => api.delete(`/groups/${id}/roles`, { data: { roleIds } }),
+  addSubgroups: (id, groupIds) => api.post(`/groups/${id}/subgroups`, { groupIds }),
+  removeSubgroups: (id, groupIds) => api.delete(`/groups/${id}/subgroups`, { data: { groupIds } }),
 };
 
 // Roles API
@@ -80,8 +161,29 @@ export const rolesAPI = {
   create: (roleData) => api.post('/roles', roleData),
   update: (id, roleData) => api.put(`/roles/${id}`, roleData),
   delete: (id) => api.delete(`/roles/${id}`),
-  assignPermissions: (id, permissionIds) => api.post(`/roles/${id}/permissions`, { permissionIds }),
-  removePermissions: (id, permissionIds) => api.delete(`/roles/${id}/permissions`, { data: { permissionIds } }),
+  // options: resource ('*' or an instance id pattern), condition, validFrom, validUntil
+  assignPermissions: (id, permissionIds, effect = 'allow', options = {}) => api.post(`/roles/${id}/permissions`, { permissionIds, effect, ...options }),
+  // Without a resource, removes the grants on every resource
+  removePermissions: (id, permissionIds, resource) => api.delete(`/roles/${id}/permissions`, { data: { permissionIds, resource } }),
+  setParents: (id, parentRoleIds) => api.put(`/roles/${id}/parents`, { parentRoleIds }),
+  getPolicies: (id) => api.get(`/roles/${id}/policies`),
+  createPolicy: (id, name, document) => api.post(`/roles/${id}/policies`, { name, document }),
+  // Saves the document as the policy's next version
+  updatePolicy: (id, policyId, document) => api.put(`/roles/${id}/policies/${policyId}`, { document }),
+  getPolicyVersions: (id, policyId) => api.get(`/roles/${id}/policies/${policyId}/versions`),
+  restorePolicyVersion: (id, policyId, version) => api.put(`/roles/${id}/policies/${policyId}/version`, { version }),
+  deletePolicy: (id, policyId) => api.delete(`/roles/${id}/policies/${policyId}`),
+};
+
+// Separation-of-duties API
+export const sodRulesAPI = {
+  getAll: () => api.get('/sod-rules'),
+  // Users and groups holding both roles of a rule
+  getViolations: () => api.get('/sod-rules/violations'),
+  // ruleData: name, description, roleIds (two role ids)
+  create: (ruleData) => api.post('/sod-rules', ruleData),
+  update: (id, ruleData) => api.put(`/sod-rules/${id}`, ruleData),
+  delete: (id) => api.delete(`/sod-rules/${id}`),
 };
 
 // Modules API
@@ -91,6 +193,8 @@ export const modulesAPI = {
   create: (moduleData) => api.post('/modules', moduleData),
   update: (id, moduleData) => api.put(`/modules/${id}`, moduleData),
   delete: (id) => api.delete(`/modules/${id}`),
+  addAction: (id, actionData) => api.post(`/modules/${id}/actions`, actionData),
+  removeAction: (id, action) => api.delete(`/modules/${id}/actions/${encodeURIComponent(action)}`),
 };
 
 // Permissions API
@@ -103,4 +207,38 @@ export const permissionsAPI = {
   getGrouped: () => api.get('/permissions/by-module/grouped'),
 };
 
+// Settings API
+export const settingsAPI = {
+  getPasswordPolicy: () => api.get('/settings/password-policy'),
+  updatePasswordPolicy: (policy) => api.put('/settings/password-policy', policy),
+  resetPasswordPolicy: () => api.delete('/settings/password-policy'),
+  getVerificationPolicy: () => api.get('/settings/email-verification'),
+  updateVerificationPolicy: (policy) => api.put('/settings/email-verification', policy),
+  resetVerificationPolicy: () => api.delete('/settings/email-verification'),
+  getRegistrationPolicy: () => api.get('/settings/registration'),
+  updateRegistrationPolicy: (policy) => api.put('/settings/registration', policy),
+  resetRegistrationPolicy: () => api.delete('/settings/registration'),
+  getDirectRolePolicy: () => api.get('/settings/direct-roles'),
+  updateDirectRolePolicy: (policy) => api.put('/settings/direct-roles', policy),
+  resetDirectRolePolicy: () => api.delete('/settings/direct-roles'),
+};
+
+// Invitations API
+export const invitationsAPI = {
+  getAll: () => api.get('/invitations'),
+  create: (data) => api.post('/invitations', data),
+  resend: (id, data = {}) => api.post(`/invitations/${id}/resend`, data),
+  revoke: (id) => api.delete(`/invitations/${id}`),
+  verify: (token) => api.post('/invitations/verify', { token }),
+};
+
+// Tenants API (super-admins only)
+export const tenantsAPI = {
+  getAll: () => api.get('/tenants'),
+  create: (tenantData) => api.post('/tenants', tenantData),
+  update: (id, tenantData) => api.put(`/tenants/${id}`, tenantData),
+  delete: (id) => api.delete(`/tenants/${id}`),
+  switch: (id) => api.post(`/tenants/${id}/switch`),
+};
+
 export default api; 
\ No newline at end of file
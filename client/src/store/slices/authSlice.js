@@ -1,9 +1,20 @@
 import { createSlice } from '@reduxjs/toolkit';
+import { isAllowed } from '../../utils/permissions';
 
 const initialState = {
   user: null,
   token: localStorage.getItem('token'),
+  refreshToken: localStorage.getItem('refreshToken'),
   permissions: {},
+  // Explicit denies, which override matching entries in permissions
+  deniedPermissions: {},
+  // Grants that apply only to some instances of a module
+  resourcePermissions: [],
+  // Unverified email address holding back the user's permissions
+  emailVerificationRequired: false,
+  // The tenant the session acts in, which super-admins can switch
+  tenant: null,
+  isSuperAdmin: false,
   isAuthenticated: false,
   loading: false,
   error: null,
@@ -21,29 +32,83 @@ const authSlice = createSlice({
       state.loading = false;
       state.isAuthenticated = true;
       state.user = action.payload.user;
-      state.token = action.payload.token;
       state.error = null;
+      // Restoring a session only needs the user; tokens are already stored
+      if (action.payload.token) {
+        state.token = action.payload.token;
+        localStorage.setItem('token', action.payload.token);
+      }
+      if (action.payload.refreshToken) {
+        state.refreshToken = action.payload.refreshToken;
+        localStorage.setItem('refreshToken', action.payload.refreshToken);
+      }
+    },
+    tokensRefreshed: (state, action) => {
+      state.token = action.payload.token;
+      state.refreshToken = action.payload.refreshToken;
       localStorage.setItem('token', action.payload.token);
+      localStorage.setItem('refreshToken', action.payload.refreshToken);
     },
     loginFailure: (state, action) => {
       state.loading = false;
       state.isAuthenticated = false;
       state.user = null;
       state.token = null;
+      state.refreshToken = null;
       state.permissions = {};
+      state.deniedPermissions = {};
+      state.resourcePermissions = [];
+      state.emailVerificationRequired = false;
+      state.tenant = null;
+      state.isSuperAdmin = false;
       state.error = action.payload;
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('tenantId');
     },
     logout: (state) => {
       state.isAuthenticated = false;
       state.user = null;
       state.token = null;
+      state.refreshToken = null;
       state.permissions = {};
+      state.deniedPermissions = {};
+      state.resourcePermissions = [];
+      state.emailVerificationRequired = false;
+      state.tenant = null;
+      state.isSuperAdmin = false;
       state.error = null;
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('tenantId');
     },
+    // Takes the GET /auth/me/permissions payload
     setPermissions: (state, action) => {
-      state.permissions = action.payload;
+      state.permissions = action.payload.permissions;
+      state.deniedPermissions = action.payload.deniedPermissions || {};
+      state.resourcePermissions = action.payload.resourcePermissions || [];
+      state.tenant = action.payload.tenant || null;
+      state.isSuperAdmin = !!action.payload.isSuperAdmin;
+      // Refreshes ask to stay in this tenant
+      if (action.payload.tenant) {
+        localStorage.setItem('tenantId', action.payload.tenant.id);
+      }
+    },
+    // Takes the POST /tenants/:id/switch payload; permissions are fetched again
+    tenantSwitched: (state, action) => {
+      state.token = action.payload.token;
+      state.tenant = action.payload.tenant;
+      localStorage.setItem('token', action.payload.token);
+      localStorage.setItem('tenantId', action.payload.tenant.id);
+    },
+    setEmailVerificationRequired: (state, action) => {
+      state.emailVerificationRequired = action.payload;
+    },
+    emailVerified: (state) => {
+      state.emailVerificationRequired = false;
+      if (state.user) {
+        state.user.emailVerified = true;
+      }
     },
     clearError: (state) => {
       state.error = null;
@@ -58,8 +123,12 @@ export const {
   loginStart,
   loginSuccess,
   loginFailure,
+  tokensRefreshed,
   logout,
   setPermissions,
+  tenantSwitched,
+  setEmailVerificationRequired,
+  emailVerified,
   clearError,
   setLoading,
 } = authSlice.actions;
@@ -68,15 +137,21 @@ export const {
 export const selectAuth = (state) => state.auth;
 export const selectUser = (state) => state.auth.user;
 export const selectToken = (state) => state.auth.token;
+export const selectRefreshToken = (state) => state.auth.refreshToken;
 export const selectPermissions = (state) => state.auth.permissions;
+export const selectDeniedPermissions = (state) => state.auth.deniedPermissions;
+export const selectResourcePermissions = (state) => state.auth.resourcePermissions;
+export const selectEmailVerificationRequired = (state) => state.auth.emailVerificationRequired;
+export const selectTenant = (state) => state.auth.tenant;
+export const selectIsSuperAdmin = (state) => state.auth.isSuperAdmin;
 export const selectIsAuthenticated = (state) => state.auth.isAuthenticated;
 export const selectAuthLoading = (state) => state.auth.loading;
 export const selectAuthError = (state) => state.auth.error;
 
-// Check if user has permission for a specific action on a module
+// Check if user has permission for a specific action on a module, resolving
+// wildcard and parent-module grants and explicit denies
 export const selectHasPermission = (state, module, action) => {
-  const permissions = state.auth.permissions;
-  return permissions[module] && permissions[module].includes(action);
+  return isAllowed(state.auth.permissions, state.auth.deniedPermissions, module, action);
 };
 
 export default authSlice.reducer; 
\ No newline at end of file
@@ -0,0 +1,50 @@
+// Permission matching, mirroring server/services/permissionPatterns.js.
+// Permission maps look like { Users: ['read'], 'Reports': ['*'], '*': ['read'] }:
+// a * module covers every module, a module covers the modules below it
+// (Billing covers Billing/Invoices), and a * action covers every action.
+// Resource-scoped grants are listed separately as { module, action, resource,
+// effect }, where resource is an instance id or a pattern using *.
+
+export const WILDCARD = '*'
+
+export const moduleMatches = (pattern, module) =>
+  pattern === WILDCARD || pattern === module || module.startsWith(`${pattern}/`)
+
+export const actionMatches = (pattern, action) => pattern === WILDCARD || pattern === action
+
+export const resourceMatches = (pattern, resource) => {
+  if (pattern === WILDCARD) return true
+  const escaped = pattern.split(WILDCARD)
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')
+  return new RegExp(`^${escaped}$`).test(String(resource))
+}
+
+const mapMatches = (permissions, module, action) =>
+  Object.entries(permissions || {}).some(([pattern, actions]) =>
+    moduleMatches(pattern, module) && actions.some(actionPattern => actionMatches(actionPattern, action))
+  )
+
+const scopedMatches = (resourcePermissions, module, action, effect, resource) =>
+  (resourcePermissions || []).some(grant =>
+    grant.effect === effect &&
+    moduleMatches(grant.module, module) &&
+    actionMatches(grant.action, action) &&
+    (resource === undefined || resourceMatches(grant.resource, resource))
+  )
+
+// Deny overrides allow: allowed only if some grant matches and no deny does
+export const isAllowed = (permissions, deniedPermissions, module, action) =>
+  mapMatches(permissions, module, action) && !mapMatches(deniedPermissions, module, action)
+
+// Whether an action is allowed on one instance of a module: module-wide
+// grants cover every instance, and scoped grants allow or deny single ones
+export const isAllowedOn = (permissions, deniedPermissions, resourcePermissions, module, action, resource) =>
+  !mapMatches(deniedPermissions, module, action) &&
+  !scopedMatches(resourcePermissions, module, action, 'deny', resource) &&
+  (mapMatches(permissions, module, action) || scopedMatches(resourcePermissions, module, action, 'allow', resource))
+
+// Whether an action is allowed on at least one instance of a module
+export const isAllowedOnAny = (permissions, deniedPermissions, resourcePermissions, module, action) =>
+  !mapMatches(deniedPermissions, module, action) &&
+  (mapMatches(permissions, module, action) || scopedMatches(resourcePermissions, module, action, 'allow'))
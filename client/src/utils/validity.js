@@ -0,0 +1,43 @@
+// Helpers for time-bound assignments. The API stores validity windows as
+// epoch milliseconds (valid_from / valid_until) and accepts ISO dates.
+
+// Value for a datetime-local input, in the browser's time zone
+export const toInputValue = (timestamp) => {
+  if (!timestamp) return ''
+  const date = new Date(Number(timestamp))
+  const offset = date.getTimezoneOffset() * 60000
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16)
+}
+
+// ISO date for the API from a datetime-local input, or null when empty
+export const fromInputValue = (value) => (value ? new Date(value).toISOString() : null)
+
+// Where an assignment stands right now: 'scheduled', 'active' or 'expired'
+export const validityStatus = (item, now = Date.now()) => {
+  if (item.valid_from && Number(item.valid_from) > now) return 'scheduled'
+  if (item.valid_until && Number(item.valid_until) <= now) return 'expired'
+  return 'active'
+}
+
+// Short description of a window, or null when it is open-ended
+export const describeValidity = (item) => {
+  const format = (timestamp) => new Date(Number(timestamp)).toLocaleString()
+  const status = validityStatus(item)
+
+  if (status === 'scheduled') {
+    return item.valid_until
+      ? `Starts ${format(item.valid_from)}, ends ${format(item.valid_until)}`
+      : `Starts ${format(item.valid_from)}`
+  }
+  if (status === 'expired') {
+    return `Expired ${format(item.valid_until)}`
+  }
+  return item.valid_until ? `Until ${format(item.valid_until)}` : null
+}
+
+// An assignment's current window in the shape the API accepts, so it can be
+// kept when the assignment is re-granted
+export const currentValidity = (item) => ({
+  validFrom: item.valid_from ? new Date(Number(item.valid_from)).toISOString() : null,
+  validUntil: item.valid_until ? new Date(Number(item.valid_until)).toISOString() : null
+})
@@ -0,0 +1,6 @@
+const { createDriver } = require('./drivers');
+
+// Shared storage driver for the whole server, selected by DB_TYPE
+const db = createDriver();
+
+module.exports = { db };
@@ -0,0 +1,29 @@
+const path = require('path');
+
+// Pick a storage driver based on DB_TYPE
+const createDriver = (env = process.env) => {
+  const type = (env.DB_TYPE || 'sqlite').toLowerCase();
+
+  switch (type) {
+    case 'sqlite': {
+      const { createSqliteDriver } = require('./sqlite');
+      const dbPath = env.DB_PATH || './data/iam.db';
+      return createSqliteDriver({
+        // Relative paths are taken from the server directory
+        filename: dbPath === ':memory:' ? dbPath : path.resolve(__dirname, '..', '..', dbPath)
+      });
+    }
+    case 'postgres':
+    case 'postgresql': {
+      const { createPostgresDriver } = require('./postgres');
+      return createPostgresDriver({
+        connectionString: env.DATABASE_URL,
+        ssl: env.DB_SSL === 'true'
+      });
+    }
+    default:
+      throw new Error(`Unsupported DB_TYPE "${type}". Use "sqlite" or "postgres".`);
+  }
+};
+
+module.exports = { createDriver };
@@ -0,0 +1,91 @@
+const { Pool, types } = require('pg');
+
+// COUNT(*) and other BIGINT results come back as strings by default
+types.setTypeParser(types.builtins.INT8, (value) => parseInt(value, 10));
+
+// Rewrite SQLite-style ? placeholders to $1, $2, ... skipping quoted literals
+const toPositional = (sql) => {
+  let index = 0;
+  return sql.replace(/'(?:[^']|'')*'|\?/g, (match) => (match === '?' ? `$${++index}` : match));
+};
+
+const isInsert = (sql) => /^\s*INSERT\b/i.test(sql) && !/\bRETURNING\b/i.test(sql);
+
+// Query methods bound to a pool or to a single checked-out client
+const createQueryMethods = (client) => ({
+  get: async (sql, params = []) => {
+    const result = await client.query(toPositional(sql), params);
+    return result.rows[0];
+  },
+
+  all: async (sql, params = []) => {
+    const result = await client.query(toPositional(sql), params);
+    return result.rows;
+  },
+
+  // Mirrors sqlite3's { lastID, changes } by returning the inserted row
+  run: async (sql, params = []) => {
+    const text = isInsert(sql) ? `${toPositional(sql)} RETURNING *` : toPositional(sql);
+    const result = await client.query(text, params);
+    return {
+      lastID: isInsert(sql) && result.rows[0] ? result.rows[0].id : undefined,
+      changes: result.rowCount
+    };
+  },
+
+  exec: async (sql) => {
+    await client.query(sql);
+  }
+});
+
+const dialectInfo = {
+  dialect: 'postgres',
+  types: {
+    primaryKey: 'SERIAL PRIMARY KEY',
+    timestamp: 'TIMESTAMP'
+  }
+};
+
+// PostgreSQL driver: same interface as the SQLite driver, backed by a connection pool
+const createPostgresDriver = ({ connectionString, ssl }) => {
+  const pool = new Pool({
+    connectionString,
+    ssl: ssl ? { rejectUnauthorized: false } : undefined
+  });
+
+  const driver = {
+    ...dialectInfo,
+    description: 'PostgreSQL database',
+    ...createQueryMethods(pool),
+
+    // Run fn on a dedicated client inside BEGIN/COMMIT, rolling back if it throws
+    transaction: async (fn) => {
+      const client = await pool.connect();
+      const tx = {
+        ...dialectInfo,
+        description: driver.description,
+        ...createQueryMethods(client),
+        // Nested transactions reuse the outer one
+        transaction: (nestedFn) => nestedFn(tx)
+      };
+
+      try {
+        await client.query('BEGIN');
+        const result = await fn(tx);
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    close: () => pool.end()
+  };
+
+  return driver;
+};
+
+module.exports = { createPostgresDriver, toPositional };
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+
+// SQLite driver: promise API over a single sqlite3 connection
+const createSqliteDriver = ({ filename }) => {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const connection = new sqlite3.Database(filename);
+
+  // SQLite only enforces ON DELETE CASCADE when foreign keys are enabled
+  connection.run('PRAGMA foreign_keys = ON');
+
+  // Raw promise wrappers over the connection
+  const query = {
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      connection.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    }),
+
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      connection.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }),
+
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      connection.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+
+    exec: (sql) => new Promise((resolve, reject) => {
+      connection.exec(sql, (err) => (err ? reject(err) : resolve()));
+    })
+  };
+
+  const dialectInfo = {
+    dialect: 'sqlite',
+    description: `SQLite database at ${filename}`,
+
+    // Column types that differ between dialects, used by migrations
+    types: {
+      primaryKey: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+      timestamp: 'DATETIME'
+    }
+  };
+
+  // There is only one connection, so transactions are queued one after another
+  // and statements issued outside a transaction wait for the queue to drain
+  let transactionQueue = Promise.resolve();
+
+  const afterTransactions = (method) => async (...args) => {
+    let pending;
+    do {
+      pending = transactionQueue;
+      await pending;
+    } while (pending !== transactionQueue);
+
+    return query[method](...args);
+  };
+
+  // Handle passed to transaction callbacks; nested transactions reuse it
+  const tx = {
+    ...dialectInfo,
+    ...query,
+    transaction: (fn) => fn(tx)
+  };
+
+  return {
+    ...dialectInfo,
+    get: afterTransactions('get'),
+    all: afterTransactions('all'),
+    run: afterTransactions('run'),
+    exec: afterTransactions('exec'),
+
+    // Run fn inside BEGIN/COMMIT, rolling back if it throws
+    transaction: (fn) => {
+      const result = transactionQueue.then(async () => {
+        await query.exec('BEGIN');
+        try {
+          const value = await fn(tx);
+          await query.exec('COMMIT');
+          return value;
+        } catch (error) {
+          await query.exec('ROLLBACK');
+          throw error;
+        }
+      });
+
+      transactionQueue = result.catch(() => {});
+      return result;
+    },
+
+    close: () => new Promise((resolve, reject) => {
+      connection.close((err) => (err ? reject(err) : resolve()));
+    })
+  };
+};
+
+module.exports = { createSqliteDriver };
@@ -0,0 +1,114 @@
+// Core IAM schema: users, groups, roles, modules, permissions and their associations
+
+const up = async (db) => {
+  const { primaryKey, timestamp } = db.types;
+
+  // Users table
+  await db.exec(`
+    CREATE TABLE users (
+      id ${primaryKey},
+      username VARCHAR(255) UNIQUE NOT NULL,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Groups table
+  await db.exec(`
+    CREATE TABLE groups (
+      id ${primaryKey},
+      name VARCHAR(255) UNIQUE NOT NULL,
+      description TEXT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Roles table
+  await db.exec(`
+    CREATE TABLE roles (
+      id ${primaryKey},
+      name VARCHAR(255) UNIQUE NOT NULL,
+      description TEXT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Modules table
+  await db.exec(`
+    CREATE TABLE modules (
+      id ${primaryKey},
+      name VARCHAR(255) UNIQUE NOT NULL,
+      description TEXT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Permissions table
+  await db.exec(`
+    CREATE TABLE permissions (
+      id ${primaryKey},
+      action VARCHAR(255) NOT NULL,
+      module_id INTEGER NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (module_id) REFERENCES modules (id) ON DELETE CASCADE,
+      UNIQUE(action, module_id)
+    )
+  `);
+
+  // User-Group associations
+  await db.exec(`
+    CREATE TABLE user_groups (
+      id ${primaryKey},
+      user_id INTEGER NOT NULL,
+      group_id INTEGER NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+      FOREIGN KEY (group_id) REFERENCES groups (id) ON DELETE CASCADE,
+      UNIQUE(user_id, group_id)
+    )
+  `);
+
+  // Group-Role associations
+  await db.exec(`
+    CREATE TABLE group_roles (
+      id ${primaryKey},
+      group_id INTEGER NOT NULL,
+      role_id INTEGER NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (group_id) REFERENCES groups (id) ON DELETE CASCADE,
+      FOREIGN KEY (role_id) REFERENCES roles (id) ON DELETE CASCADE,
+      UNIQUE(group_id, role_id)
+    )
+  `);
+
+  // Role-Permission associations
+  await db.exec(`
+    CREATE TABLE role_permissions (
+      id ${primaryKey},
+      role_id INTEGER NOT NULL,
+      permission_id INTEGER NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (role_id) REFERENCES roles (id) ON DELETE CASCADE,
+      FOREIGN KEY (permission_id) REFERENCES permissions (id) ON DELETE CASCADE,
+      UNIQUE(role_id, permission_id)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS role_permissions');
+  await db.exec('DROP TABLE IF EXISTS group_roles');
+  await db.exec('DROP TABLE IF EXISTS user_groups');
+  await db.exec('DROP TABLE IF EXISTS permissions');
+  await db.exec('DROP TABLE IF EXISTS modules');
+  await db.exec('DROP TABLE IF EXISTS roles');
+  await db.exec('DROP TABLE IF EXISTS groups');
+  await db.exec('DROP TABLE IF EXISTS users');
+};
+
+module.exports = { up, down };
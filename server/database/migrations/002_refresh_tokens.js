@@ -0,0 +1,28 @@
+// Persisted refresh tokens; each login starts a family that rotation extends
+
+const up = async (db) => {
+  const { primaryKey, timestamp } = db.types;
+
+  await db.exec(`
+    CREATE TABLE refresh_tokens (
+      id ${primaryKey},
+      user_id INTEGER NOT NULL,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      family_id VARCHAR(64) NOT NULL,
+      expires_at BIGINT NOT NULL,
+      revoked_at BIGINT,
+      replaced_by INTEGER,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.exec('CREATE INDEX idx_refresh_tokens_family ON refresh_tokens (family_id)');
+  await db.exec('CREATE INDEX idx_refresh_tokens_user ON refresh_tokens (user_id)');
+};
+
+const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS refresh_tokens');
+};
+
+module.exports = { up, down };
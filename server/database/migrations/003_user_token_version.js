@@ -0,0 +1,11 @@
+// Per-user token version embedded in access tokens; bumping it revokes them all
+
+const up = async (db) => {
+  await db.exec('ALTER TABLE users ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0');
+};
+
+const down = async (db) => {
+  await db.exec('ALTER TABLE users DROP COLUMN token_version');
+};
+
+module.exports = { up, down };
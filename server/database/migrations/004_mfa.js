@@ -0,0 +1,36 @@
+// TOTP multi-factor authentication: per-user secrets, recovery codes and a
+// per-group policy forcing MFA for its members
+
+const up = async (db) => {
+  const { primaryKey, timestamp } = db.types;
+
+  await db.exec('ALTER TABLE users ADD COLUMN mfa_enabled INTEGER NOT NULL DEFAULT 0');
+  await db.exec('ALTER TABLE users ADD COLUMN mfa_secret VARCHAR(64)');
+  // Last accepted TOTP time step, so a code cannot be replayed
+  await db.exec('ALTER TABLE users ADD COLUMN mfa_last_step BIGINT');
+
+  await db.exec('ALTER TABLE groups ADD COLUMN mfa_required INTEGER NOT NULL DEFAULT 0');
+
+  await db.exec(`
+    CREATE TABLE mfa_recovery_codes (
+      id ${primaryKey},
+      user_id INTEGER NOT NULL,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at BIGINT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.exec('CREATE INDEX idx_mfa_recovery_codes_user ON mfa_recovery_codes (user_id)');
+};
+
+const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS mfa_recovery_codes');
+  await db.exec('ALTER TABLE groups DROP COLUMN mfa_required');
+  await db.exec('ALTER TABLE users DROP COLUMN mfa_last_step');
+  await db.exec('ALTER TABLE users DROP COLUMN mfa_secret');
+  await db.exec('ALTER TABLE users DROP COLUMN mfa_enabled');
+};
+
+module.exports = { up, down };
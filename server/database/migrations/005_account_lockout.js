@@ -0,0 +1,35 @@
+// Per-account brute-force protection: failed attempt counters, temporary
+// lockouts and a log of failed logins. Times are epoch milliseconds.
+
+const up = async (db) => {
+  const { primaryKey } = db.types;
+
+  await db.exec('ALTER TABLE users ADD COLUMN failed_login_attempts INTEGER NOT NULL DEFAULT 0');
+  await db.exec('ALTER TABLE users ADD COLUMN last_failed_login_at BIGINT');
+  await db.exec('ALTER TABLE users ADD COLUMN locked_until BIGINT');
+
+  // user_id is NULL for attempts against unknown usernames
+  await db.exec(`
+    CREATE TABLE login_failures (
+      id ${primaryKey},
+      user_id INTEGER,
+      username VARCHAR(255) NOT NULL,
+      ip_address VARCHAR(64),
+      user_agent VARCHAR(512),
+      reason VARCHAR(50) NOT NULL,
+      attempted_at BIGINT NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.exec('CREATE INDEX idx_login_failures_user ON login_failures (user_id, attempted_at)');
+};
+
+const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS login_failures');
+  await db.exec('ALTER TABLE users DROP COLUMN locked_until');
+  await db.exec('ALTER TABLE users DROP COLUMN last_failed_login_at');
+  await db.exec('ALTER TABLE users DROP COLUMN failed_login_attempts');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+// Password policy support: when each password was set, previous password
+// hashes for reuse checks, and a key/value store for admin-managed settings
+
+const up = async (db) => {
+  const { primaryKey, timestamp } = db.types;
+
+  // Epoch milliseconds; existing passwords count as set now so they do not
+  // all expire the moment a maximum age is configured
+  await db.exec('ALTER TABLE users ADD COLUMN password_changed_at BIGINT');
+  await db.run('UPDATE users SET password_changed_at = ?', [Date.now()]);
+
+  await db.exec(`
+    CREATE TABLE password_history (
+      id ${primaryKey},
+      user_id INTEGER NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.exec('CREATE INDEX idx_password_history_user ON password_history (user_id)');
+
+  // Values are JSON encoded
+  await db.exec(`
+    CREATE TABLE settings (
+      key VARCHAR(100) PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS settings');
+  await db.exec('DROP TABLE IF EXISTS password_history');
+  await db.exec('ALTER TABLE users DROP COLUMN password_changed_at');
+};
+
+module.exports = { up, down };
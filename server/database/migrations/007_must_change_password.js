@@ -0,0 +1,12 @@
+// Flag forcing a password change at the next sign-in, set for the seeded
+// admin and for passwords chosen by an administrator
+
+const up = async (db) => {
+  await db.exec('ALTER TABLE users ADD COLUMN must_change_password INTEGER NOT NULL DEFAULT 0');
+};
+
+const down = async (db) => {
+  await db.exec('ALTER TABLE users DROP COLUMN must_change_password');
+};
+
+module.exports = { up, down };
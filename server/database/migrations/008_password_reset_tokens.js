@@ -0,0 +1,27 @@
+// Single-use tokens for self-service password reset. Only the SHA-256 of a
+// token is stored; times are epoch milliseconds.
+
+const up = async (db) => {
+  const { primaryKey, timestamp } = db.types;
+
+  await db.exec(`
+    CREATE TABLE password_reset_tokens (
+      id ${primaryKey},
+      user_id INTEGER NOT NULL,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      expires_at BIGINT NOT NULL,
+      used_at BIGINT,
+      requested_ip VARCHAR(64),
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.exec('CREATE INDEX idx_password_reset_tokens_user ON password_reset_tokens (user_id)');
+};
+
+const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS password_reset_tokens');
+};
+
+module.exports = { up, down };
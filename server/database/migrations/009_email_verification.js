@@ -0,0 +1,35 @@
+// Email verification for self-registered accounts: a verified flag on users
+// and single-use verification tokens. Only the SHA-256 of a token is stored;
+// times are epoch milliseconds.
+
+const up = async (db) => {
+  const { primaryKey, timestamp } = db.types;
+
+  await db.exec('ALTER TABLE users ADD COLUMN email_verified INTEGER NOT NULL DEFAULT 0');
+  await db.exec('ALTER TABLE users ADD COLUMN email_verified_at BIGINT');
+  // Accounts that already exist keep working as before
+  await db.run('UPDATE users SET email_verified = 1, email_verified_at = ?', [Date.now()]);
+
+  await db.exec(`
+    CREATE TABLE email_verification_tokens (
+      id ${primaryKey},
+      user_id INTEGER NOT NULL,
+      email VARCHAR(100) NOT NULL,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      expires_at BIGINT NOT NULL,
+      used_at BIGINT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.exec('CREATE INDEX idx_email_verification_tokens_user ON email_verification_tokens (user_id)');
+};
+
+const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS email_verification_tokens');
+  await db.exec('ALTER TABLE users DROP COLUMN email_verified_at');
+  await db.exec('ALTER TABLE users DROP COLUMN email_verified');
+};
+
+module.exports = { up, down };
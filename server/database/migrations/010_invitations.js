@@ -0,0 +1,43 @@
+// Invite-only onboarding: invitations to an email address with groups the new
+// account joins on sign-up. Only the SHA-256 of an invitation token is stored;
+// times are epoch milliseconds.
+
+const up = async (db) => {
+  const { primaryKey, timestamp } = db.types;
+
+  await db.exec(`
+    CREATE TABLE invitations (
+      id ${primaryKey},
+      email VARCHAR(100) NOT NULL,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      invited_by INTEGER,
+      expires_at BIGINT NOT NULL,
+      accepted_at BIGINT,
+      accepted_user_id INTEGER,
+      revoked_at BIGINT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (invited_by) REFERENCES users (id) ON DELETE SET NULL,
+      FOREIGN KEY (accepted_user_id) REFERENCES users (id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.exec('CREATE INDEX idx_invitations_email ON invitations (email)');
+
+  await db.exec(`
+    CREATE TABLE invitation_groups (
+      id ${primaryKey},
+      invitation_id INTEGER NOT NULL,
+      group_id INTEGER NOT NULL,
+      FOREIGN KEY (invitation_id) REFERENCES invitations (id) ON DELETE CASCADE,
+      FOREIGN KEY (group_id) REFERENCES groups (id) ON DELETE CASCADE,
+      UNIQUE(invitation_id, group_id)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS invitation_groups');
+  await db.exec('DROP TABLE IF EXISTS invitations');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,15 @@
+// Grants can allow or explicitly deny a permission. A deny from any of a
+// user's roles overrides every allow for the same permission.
+
+const up = async (db) => {
+  await db.exec(`
+    ALTER TABLE role_permissions
+    ADD COLUMN effect VARCHAR(10) NOT NULL DEFAULT 'allow' CHECK (effect IN ('allow', 'deny'))
+  `);
+};
+
+const down = async (db) => {
+  await db.exec('ALTER TABLE role_permissions DROP COLUMN effect');
+};
+
+module.exports = { up, down };
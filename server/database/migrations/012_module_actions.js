@@ -0,0 +1,41 @@
+// Per-module action catalogues. Permissions can only be created for actions
+// in their module's catalogue. Existing modules get the CRUD actions they
+// used to be limited to, plus any action they already have a permission for.
+
+const CRUD_ACTIONS = ['create', 'read', 'update', 'delete'];
+
+const up = async (db) => {
+  const { primaryKey, timestamp } = db.types;
+
+  await db.exec(`
+    CREATE TABLE module_actions (
+      id ${primaryKey},
+      module_id INTEGER NOT NULL,
+      name VARCHAR(50) NOT NULL,
+      description VARCHAR(255),
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (module_id) REFERENCES modules (id) ON DELETE CASCADE,
+      UNIQUE(module_id, name)
+    )
+  `);
+
+  const modules = await db.all('SELECT id FROM modules ORDER BY id');
+  const permissions = await db.all('SELECT module_id, action FROM permissions ORDER BY id');
+
+  for (const module of modules) {
+    const actions = new Set(CRUD_ACTIONS);
+    permissions
+      .filter(permission => permission.module_id === module.id)
+      .forEach(permission => actions.add(permission.action));
+
+    for (const action of actions) {
+      await db.run('INSERT INTO module_actions (module_id, name) VALUES (?, ?)', [module.id, action]);
+    }
+  }
+};
+
+const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS module_actions');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// Wildcard permissions. The reserved module * stands for every module, and
+// the action * for every action of a module, so *:* grants everything
+// (including modules created later), Reports:* every Reports action and
+// *:read read on every module. The Admin role gets *:* so that it keeps
+// covering new modules.
+
+const CRUD_ACTIONS = ['create', 'read', 'update', 'delete'];
+
+const up = async (db) => {
+  const result = await db.run(
+    'INSERT INTO modules (name, description) VALUES (?, ?)',
+    ['*', 'Every module (wildcard)']
+  );
+  const moduleId = result.lastID;
+
+  const allActions = await db.run('INSERT INTO permissions (action, module_id) VALUES (?, ?)', ['*', moduleId]);
+
+  for (const action of CRUD_ACTIONS) {
+    await db.run('INSERT INTO module_actions (module_id, name) VALUES (?, ?)', [moduleId, action]);
+    await db.run('INSERT INTO permissions (action, module_id) VALUES (?, ?)', [action, moduleId]);
+  }
+
+  const admin = await db.get('SELECT id FROM roles WHERE name = ?', ['Admin']);
+  if (admin) {
+    await db.run('INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)', [admin.id, allActions.lastID]);
+  }
+};
+
+const down = async (db) => {
+  await db.run('DELETE FROM modules WHERE name = ?', ['*']);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// Role inheritance: a role extends its parent roles and holds every grant
+// they hold, directly or through their own parents
+
+const up = async (db) => {
+  const { primaryKey, timestamp } = db.types;
+
+  await db.exec(`
+    CREATE TABLE role_parents (
+      id ${primaryKey},
+      role_id INTEGER NOT NULL,
+      parent_role_id INTEGER NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (role_id) REFERENCES roles (id) ON DELETE CASCADE,
+      FOREIGN KEY (parent_role_id) REFERENCES roles (id) ON DELETE CASCADE,
+      UNIQUE(role_id, parent_role_id)
+    )
+  `);
+
+  await db.exec('CREATE INDEX idx_role_parents_parent ON role_parents (parent_role_id)');
+};
+
+const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS role_parents');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// Nested groups: a group can contain other groups, and members of a
+// subgroup are members of every group that contains it
+
+const up = async (db) => {
+  const { primaryKey, timestamp } = db.types;
+
+  await db.exec(`
+    CREATE TABLE group_subgroups (
+      id ${primaryKey},
+      parent_group_id INTEGER NOT NULL,
+      child_group_id INTEGER NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (parent_group_id) REFERENCES groups (id) ON DELETE CASCADE,
+      FOREIGN KEY (child_group_id) REFERENCES groups (id) ON DELETE CASCADE,
+      UNIQUE(parent_group_id, child_group_id)
+    )
+  `);
+
+  await db.exec('CREATE INDEX idx_group_subgroups_child ON group_subgroups (child_group_id)');
+};
+
+const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS group_subgroups');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// Direct user-to-role assignments, used alongside group membership when the
+// direct role assignment policy is enabled
+
+const up = async (db) => {
+  const { primaryKey, timestamp } = db.types;
+
+  await db.exec(`
+    CREATE TABLE user_roles (
+      id ${primaryKey},
+      user_id INTEGER NOT NULL,
+      role_id INTEGER NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+      FOREIGN KEY (role_id) REFERENCES roles (id) ON DELETE CASCADE,
+      UNIQUE(user_id, role_id)
+    )
+  `);
+
+  await db.exec('CREATE INDEX idx_user_roles_role ON user_roles (role_id)');
+};
+
+const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS user_roles');
+};
+
+module.exports = { up, down };
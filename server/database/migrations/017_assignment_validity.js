@@ -0,0 +1,23 @@
+// Time-bound assignments: group memberships, group roles, direct user roles
+// and role permissions may start and end at set times. Times are epoch
+// milliseconds; NULL leaves that end of the window open.
+
+const TABLES = ['user_groups', 'group_roles', 'user_roles', 'role_permissions'];
+
+const up = async (db) => {
+  for (const table of TABLES) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN valid_from BIGINT`);
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN valid_until BIGINT`);
+    await db.exec(`CREATE INDEX idx_${table}_valid_until ON ${table} (valid_until)`);
+  }
+};
+
+const down = async (db) => {
+  for (const table of TABLES) {
+    await db.exec(`DROP INDEX IF EXISTS idx_${table}_valid_until`);
+    await db.exec(`ALTER TABLE ${table} DROP COLUMN valid_until`);
+    await db.exec(`ALTER TABLE ${table} DROP COLUMN valid_from`);
+  }
+};
+
+module.exports = { up, down };
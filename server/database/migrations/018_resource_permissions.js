@@ -0,0 +1,46 @@
+// Resource-scoped grants: a role permission may apply to a single instance of
+// its module (e.g. Groups:update on group 7) or to instances whose id matches
+// a * pattern. '*' keeps the grant module-wide. The resource becomes part of
+// the grant's identity, so role_permissions is rebuilt with a wider unique key.
+
+const COLUMNS = 'role_id, permission_id, effect, valid_from, valid_until, created_at';
+
+const rebuild = async (db, { withResource }) => {
+  const { primaryKey, timestamp } = db.types;
+
+  const rows = await db.all(withResource
+    ? `SELECT ${COLUMNS} FROM role_permissions`
+    : `SELECT ${COLUMNS} FROM role_permissions WHERE resource = '*'`);
+
+  await db.exec('DROP INDEX IF EXISTS idx_role_permissions_valid_until');
+  await db.exec('DROP TABLE role_permissions');
+  await db.exec(`
+    CREATE TABLE role_permissions (
+      id ${primaryKey},
+      role_id INTEGER NOT NULL,
+      permission_id INTEGER NOT NULL,
+      effect VARCHAR(10) NOT NULL DEFAULT 'allow' CHECK (effect IN ('allow', 'deny')),
+      ${withResource ? "resource VARCHAR(255) NOT NULL DEFAULT '*'," : ''}
+      valid_from BIGINT,
+      valid_until BIGINT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (role_id) REFERENCES roles (id) ON DELETE CASCADE,
+      FOREIGN KEY (permission_id) REFERENCES permissions (id) ON DELETE CASCADE,
+      UNIQUE(role_id, permission_id${withResource ? ', resource' : ''})
+    )
+  `);
+  await db.exec('CREATE INDEX idx_role_permissions_valid_until ON role_permissions (valid_until)');
+
+  for (const row of rows) {
+    await db.run(`INSERT INTO role_permissions (${COLUMNS}) VALUES (?, ?, ?, ?, ?, ?)`,
+      [row.role_id, row.permission_id, row.effect, row.valid_from, row.valid_until, row.created_at]);
+  }
+};
+
+// Existing grants become module-wide
+const up = (db) => rebuild(db, { withResource: true });
+
+// Scoped grants have no module-wide equivalent and are dropped
+const down = (db) => rebuild(db, { withResource: false });
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+// Attribute-based conditions: a role permission may carry a condition
+// expression (see services/conditions) that must hold for the grant to apply,
+// and users get free-form attributes (e.g. department) conditions can test.
+// Attributes are stored as a JSON object.
+
+const up = async (db) => {
+  await db.exec('ALTER TABLE role_permissions ADD COLUMN condition TEXT');
+  await db.exec('ALTER TABLE users ADD COLUMN attributes TEXT');
+};
+
+const down = async (db) => {
+  await db.exec('ALTER TABLE users DROP COLUMN attributes');
+  await db.exec('ALTER TABLE role_permissions DROP COLUMN condition');
+};
+
+module.exports = { up, down };
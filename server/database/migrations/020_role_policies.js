@@ -0,0 +1,42 @@
+// Policy documents: JSON statements (Effect, Action, Resource, Condition)
+// attached to a role alongside its role_permissions rows. Every save adds a
+// version; current_version names the one in force, so an older version can
+// be restored.
+
+const up = async (db) => {
+  const { primaryKey, timestamp } = db.types;
+
+  await db.exec(`
+    CREATE TABLE role_policies (
+      id ${primaryKey},
+      role_id INTEGER NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      current_version INTEGER NOT NULL DEFAULT 1,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (role_id) REFERENCES roles (id) ON DELETE CASCADE,
+      UNIQUE(role_id, name)
+    )
+  `);
+
+  await db.exec(`
+    CREATE TABLE role_policy_versions (
+      id ${primaryKey},
+      policy_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      document TEXT NOT NULL,
+      created_by INTEGER,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (policy_id) REFERENCES role_policies (id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL,
+      UNIQUE(policy_id, version)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS role_policy_versions');
+  await db.exec('DROP TABLE IF EXISTS role_policies');
+};
+
+module.exports = { up, down };
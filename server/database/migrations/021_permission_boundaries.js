@@ -0,0 +1,13 @@
+// Permission boundaries: a policy document (see services/policyDocuments)
+// assigned to a user that caps what they may grant to others, in place of
+// their own effective permissions. Stored as JSON; NULL means no boundary.
+
+const up = async (db) => {
+  await db.exec('ALTER TABLE users ADD COLUMN permission_boundary TEXT');
+};
+
+const down = async (db) => {
+  await db.exec('ALTER TABLE users DROP COLUMN permission_boundary');
+};
+
+module.exports = { up, down };
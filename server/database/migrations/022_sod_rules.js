@@ -0,0 +1,28 @@
+// Separation-of-duties rules: pairs of roles no user may hold together,
+// whether through groups, nested groups, direct assignment or inheritance.
+// role_a_id is always the lower of the two ids.
+
+const up = async (db) => {
+  const { primaryKey, timestamp } = db.types;
+
+  await db.exec(`
+    CREATE TABLE sod_rules (
+      id ${primaryKey},
+      name VARCHAR(100) UNIQUE NOT NULL,
+      description TEXT,
+      role_a_id INTEGER NOT NULL,
+      role_b_id INTEGER NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (role_a_id) REFERENCES roles (id) ON DELETE CASCADE,
+      FOREIGN KEY (role_b_id) REFERENCES roles (id) ON DELETE CASCADE,
+      UNIQUE(role_a_id, role_b_id)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS sod_rules');
+};
+
+module.exports = { up, down };
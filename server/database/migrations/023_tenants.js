@@ -0,0 +1,136 @@
+// Multi-tenancy: users, groups, roles, modules, invitations and
+// separation-of-duties rules each belong to a tenant (organization), and
+// names, usernames and emails are unique within a tenant instead of
+// globally. Everything else (permissions, assignments, policies, tokens)
+// belongs to a tenant through the rows it references. Existing data moves
+// into a Default tenant, and the seeded admin becomes a super-admin, who
+// manages tenants and may act in any of them.
+
+// Tables owned by a tenant, with the columns unique within one
+const TENANT_TABLES = {
+  users: ['username', 'email'],
+  groups: ['name'],
+  roles: ['name'],
+  modules: ['name'],
+  invitations: [],
+  sod_rules: ['name']
+};
+
+const tenantColumn = 'tenant_id INTEGER NOT NULL REFERENCES tenants (id) ON DELETE CASCADE,';
+
+const uniqueColumn = (column) => new RegExp(`\\b${column} (VARCHAR\\(\\d+\\)) UNIQUE NOT NULL`);
+const plainColumn = (column) => new RegExp(`\\b${column} (VARCHAR\\(\\d+\\)) NOT NULL`);
+
+// SQLite cannot drop a column's inline UNIQUE, so the table is rebuilt from
+// its current definition as edited by `edit`, keeping its indexes. The step
+// runs with foreign keys off (see foreignKeys below) so dropping the old
+// table does not cascade to the rows referencing it.
+const rebuildSqliteTable = async (db, table, edit, tenantId) => {
+  const { sql } = await db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+  const indexes = await db.all(
+    "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL",
+    [table]
+  );
+  const columns = (await db.all(`PRAGMA table_info(${table})`))
+    .map(column => column.name)
+    .filter(name => name !== 'tenant_id')
+    .join(', ');
+
+  const rebuilt = edit(sql);
+  if (rebuilt === sql) {
+    throw new Error(`Unexpected definition of table ${table}`);
+  }
+
+  // A renamed table's definition quotes its name
+  await db.exec(rebuilt.replace(new RegExp(`^CREATE TABLE "?${table}"?`), `CREATE TABLE ${table}_rebuilt`));
+  if (tenantId) {
+    await db.run(`INSERT INTO ${table}_rebuilt (tenant_id, ${columns}) SELECT ?, ${columns} FROM ${table}`, [tenantId]);
+  } else {
+    await db.exec(`INSERT INTO ${table}_rebuilt (${columns}) SELECT ${columns} FROM ${table}`);
+  }
+  await db.exec(`DROP TABLE ${table}`);
+  await db.exec(`ALTER TABLE ${table}_rebuilt RENAME TO ${table}`);
+
+  for (const index of indexes) {
+    await db.exec(index.sql);
+  }
+};
+
+const up = async (db) => {
+  const { primaryKey, timestamp } = db.types;
+
+  await db.exec(`
+    CREATE TABLE tenants (
+      id ${primaryKey},
+      name VARCHAR(100) UNIQUE NOT NULL,
+      slug VARCHAR(50) UNIQUE NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const { lastID: tenantId } = await db.run('INSERT INTO tenants (name, slug) VALUES (?, ?)', ['Default', 'default']);
+
+  for (const [table, uniqueColumns] of Object.entries(TENANT_TABLES)) {
+    if (db.dialect === 'sqlite') {
+      await rebuildSqliteTable(db, table, (sql) => uniqueColumns.reduce(
+        (edited, column) => edited.replace(uniqueColumn(column), `${column} $1 NOT NULL`),
+        sql.replace(`${primaryKey},`, `${primaryKey},\n      ${tenantColumn}`)
+      ), tenantId);
+    } else {
+      await db.exec(`ALTER TABLE ${table} ADD COLUMN tenant_id INTEGER REFERENCES tenants (id) ON DELETE CASCADE`);
+      await db.run(`UPDATE ${table} SET tenant_id = ?`, [tenantId]);
+      await db.exec(`ALTER TABLE ${table} ALTER COLUMN tenant_id SET NOT NULL`);
+      for (const column of uniqueColumns) {
+        await db.exec(`ALTER TABLE ${table} DROP CONSTRAINT ${table}_${column}_key`);
+      }
+    }
+
+    for (const column of uniqueColumns) {
+      await db.exec(`CREATE UNIQUE INDEX idx_${table}_tenant_${column} ON ${table} (tenant_id, ${column})`);
+    }
+  }
+
+  // Only the seeded admin, found as it was seeded: the member of
+  // Administrators named ADMIN_USERNAME. Other administrators stay admins of
+  // the Default tenant until a super-admin promotes them.
+  await db.exec('ALTER TABLE users ADD COLUMN is_super_admin INTEGER NOT NULL DEFAULT 0');
+  await db.run(`
+    UPDATE users SET is_super_admin = 1
+    WHERE username = ? AND id IN (
+      SELECT ug.user_id FROM user_groups ug JOIN groups g ON ug.group_id = g.id WHERE g.name = ?
+    )
+  `, [process.env.ADMIN_USERNAME || 'admin', 'Administrators']);
+};
+
+// Only possible while everything still fits in one namespace
+const down = async (db) => {
+  const { count } = await db.get('SELECT COUNT(*) as count FROM tenants');
+  if (count > 1) {
+    throw new Error('Delete every tenant but one before reverting multi-tenancy');
+  }
+
+  await db.exec('ALTER TABLE users DROP COLUMN is_super_admin');
+
+  for (const [table, uniqueColumns] of Object.entries(TENANT_TABLES)) {
+    for (const column of uniqueColumns) {
+      await db.exec(`DROP INDEX idx_${table}_tenant_${column}`);
+    }
+
+    if (db.dialect === 'sqlite') {
+      await rebuildSqliteTable(db, table, (sql) => uniqueColumns.reduce(
+        (edited, column) => edited.replace(plainColumn(column), `${column} $1 UNIQUE NOT NULL`),
+        sql.replace(`\n      ${tenantColumn}`, '')
+      ));
+    } else {
+      for (const column of uniqueColumns) {
+        await db.exec(`ALTER TABLE ${table} ADD CONSTRAINT ${table}_${column}_key UNIQUE (${column})`);
+      }
+      await db.exec(`ALTER TABLE ${table} DROP COLUMN tenant_id`);
+    }
+  }
+
+  await db.exec('DROP TABLE tenants');
+};
+
+// Rebuilding tables that others reference needs foreign keys off in SQLite
+module.exports = { up, down, foreignKeys: false };
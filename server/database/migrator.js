@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Read migration files from disk, ordered by their numeric prefix
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) {
+        return null;
+      }
+
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down() functions`);
+      }
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        up: migration.up,
+        down: migration.down,
+        // false for steps that rebuild tables other tables reference
+        foreignKeys: migration.foreignKeys !== false
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+};
+
+const ensureMigrationsTable = (db) => {
+  return db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedVersions = async (db) => {
+  const rows = await db.all('SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map(row => row.version);
+};
+
+// Run a single migration step inside its own transaction. SQLite turns
+// DROP TABLE into a delete that cascades to the referencing rows, so steps
+// that rebuild referenced tables run with foreign keys off (the pragma is
+// ignored inside a transaction) and are checked before they commit.
+const runStep = async (db, migration, direction) => {
+  const pauseForeignKeys = !migration.foreignKeys && db.dialect === 'sqlite';
+
+  try {
+    if (pauseForeignKeys) {
+      await db.exec('PRAGMA foreign_keys = OFF');
+    }
+
+    await db.transaction(async (tx) => {
+      await migration[direction](tx);
+      if (pauseForeignKeys) {
+        const [violation] = await tx.all('PRAGMA foreign_key_check');
+        if (violation) {
+          throw new Error(`foreign key check failed on ${violation.table}`);
+        }
+      }
+      if (direction === 'up') {
+        await tx.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]);
+      } else {
+        await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      }
+    });
+  } catch (error) {
+    throw new Error(`Migration ${migration.file} (${direction}) failed: ${error.message}`);
+  } finally {
+    if (pauseForeignKeys) {
+      await db.exec('PRAGMA foreign_keys = ON');
+    }
+  }
+};
+
+// Apply all pending migrations, optionally stopping at a target version
+const migrate = async (db, { to } = {}) => {
+  await ensureMigrationsTable(db);
+
+  const applied = new Set(await getAppliedVersions(db));
+  const pending = loadMigrations().filter(migration =>
+    !applied.has(migration.version) && (to === undefined || migration.version <= to)
+  );
+
+  for (const migration of pending) {
+    console.log(`Applying migration ${migration.file}`);
+    await runStep(db, migration, 'up');
+  }
+
+  return pending.map(migration => migration.file);
+};
+
+// Revert the most recently applied migrations
+const rollback = async (db, { steps = 1 } = {}) => {
+  await ensureMigrationsTable(db);
+
+  const applied = await getAppliedVersions(db);
+  const migrations = loadMigrations();
+  const toRevert = applied.slice(-steps).reverse();
+  const reverted = [];
+
+  for (const version of toRevert) {
+    const migration = migrations.find(m => m.version === version);
+    if (!migration) {
+      throw new Error(`Migration file for applied version ${version} not found`);
+    }
+
+    console.log(`Reverting migration ${migration.file}`);
+    await runStep(db, migration, 'down');
+    reverted.push(migration.file);
+  }
+
+  return reverted;
+};
+
+// List every known migration with its applied state
+const status = async (db) => {
+  await ensureMigrationsTable(db);
+
+  const rows = await db.all('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedAt.has(migration.version),
+    appliedAt: appliedAt.get(migration.version) || null
+  }));
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  migrate,
+  rollback,
+  status
+};
@@ -4,15 +4,21 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
-const { initializeDatabase } = require('./database/setup');
+const { initializeDatabase, closeDatabase } = require('./database/setup');
+const { startGrantSweeper, stopGrantSweeper } = require('./services/grantValidity');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const mfaRoutes = require('./routes/mfa');
 const userRoutes = require('./routes/users');
 const groupRoutes = require('./routes/groups');
 const roleRoutes = require('./routes/roles');
 const moduleRoutes = require('./routes/modules');
 const permissionRoutes = require('./routes/permissions');
+const settingsRoutes = require('./routes/settings');
+const invitationRoutes = require('./routes/invitations');
+const sodRuleRoutes = require('./routes/sodRules');
+const tenantRoutes = require('./routes/tenants');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -55,12 +61,17 @@ app.use((req, res, next) => {
 });
 
 // API routes
+app.use('/api/auth/mfa', mfaRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/groups', groupRoutes);
 app.use('/api/roles', roleRoutes);
 app.use('/api/modules', moduleRoutes);
 app.use('/api/permissions', permissionRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/sod-rules', sodRuleRoutes);
+app.use('/api/tenants', tenantRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -112,6 +123,9 @@ const startServer = async () => {
   try {
     console.log('Initializing database...');
     await initializeDatabase();
+
+    // Clear out time-bound assignments once they expire
+    startGrantSweeper();
     
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
@@ -120,6 +134,12 @@ const startServer = async () => {
       console.log('\nAvailable endpoints:');
       console.log('  POST /api/auth/register - Register new user');
       console.log('  POST /api/auth/login - Login user');
+      console.log('  POST /api/auth/login/mfa - Complete login with a second factor');
+      console.log('  *    /api/auth/mfa - MFA enrollment and recovery codes');
+      console.log('  POST /api/auth/change-password - Change password');
+      console.log('  POST /api/auth/forgot-password - Email a password reset link');
+      console.log('  POST /api/auth/reset-password - Reset password with an emailed token');
+      console.log('  POST /api/auth/verify-email - Confirm an email address');
       console.log('  GET  /api/auth/me/permissions - Get user permissions');
       console.log('  POST /api/auth/simulate-action - Test permissions');
       console.log('  CRUD /api/users - User management');
@@ -127,6 +147,11 @@ const startServer = async () => {
       console.log('  CRUD /api/roles - Role management');
       console.log('  CRUD /api/modules - Module management');
       console.log('  CRUD /api/permissions - Permission management');
+      console.log('  *    /api/settings/password-policy - Password policy');
+      console.log('  *    /api/settings/email-verification - Email verification policy');
+      console.log('  *    /api/settings/registration - Registration mode');
+      console.log('  *    /api/settings/direct-roles - Direct role assignment policy');
+      console.log('  CRUD /api/invitations - Invitations');
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -135,14 +160,15 @@ const startServer = async () => {
 };
 
 // Handle graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received. Shutting down gracefully...');
-  process.exit(0);
-});
+const shutdown = (signal) => {
+  console.log(`${signal} received. Shutting down gracefully...`);
+  stopGrantSweeper();
+  closeDatabase()
+    .catch((error) => console.error('Failed to close database:', error))
+    .finally(() => process.exit(0));
+};
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received. Shutting down gracefully...');
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 startServer(); 
\ No newline at end of file
@@ -1,21 +1,64 @@
 const jwt = require('jsonwebtoken');
-const { db } = require('../database/setup');
+const { usersRepo, rolesRepo, groupsRepo, rolePoliciesRepo, tenantsRepo } = require('../repositories');
+const { hasVerifiedAccess } = require('../services/emailVerification');
+const { WILDCARD, grantMatches, grantCovers, isModuleWide } = require('../services/permissionPatterns');
+const { getAncestorIds } = require('../services/hierarchy');
+const { getUserGroups } = require('../services/groupMembership');
+const { getDirectRolePolicy } = require('../services/directRoles');
+const { evaluateCondition, describeRequest } = require('../services/conditions');
+const { documentGrants } = require('../services/policyDocuments');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
-// Generate JWT token
-const generateToken = (user) => {
+// Generate short-lived JWT access token bound to the user's current token
+// version. tid is the tenant the token acts in: the user's own, or for a
+// super-admin any tenant they switched to.
+const generateToken = (user, tenantId = user.tenant_id) => {
   return jwt.sign(
     { 
       id: user.id, 
       username: user.username, 
-      email: user.email 
+      email: user.email,
+      tv: user.token_version || 0,
+      tid: tenantId
     },
     JWT_SECRET,
-    { expiresIn: '24h' }
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
   );
 };
 
+// Generate a short-lived token that only unlocks one step of the login flow
+// (e.g. 'mfa' for the second factor); it is never accepted as an access token
+const generatePurposeToken = (user, purpose, expiresIn = '5m') => {
+  return jwt.sign(
+    { id: user.id, purpose, tv: user.token_version || 0 },
+    JWT_SECRET,
+    { expiresIn }
+  );
+};
+
+// Verify a purpose token; resolves to the user row or null
+const verifyPurposeToken = async (token, purpose) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== purpose) {
+    return null;
+  }
+
+  const user = await usersRepo.findById(payload.id);
+  if (!user || user.token_version !== (payload.tv || 0)) {
+    return null;
+  }
+
+  return user;
+};
+
 // Verify JWT token middleware
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -25,83 +68,507 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    // Purpose tokens from the login flow are not access tokens
+    if (err || user.purpose) {
+      // 401 tells the client to try its refresh token
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    try {
+      // Reject tokens for deleted users or issued before a revocation
+      const state = await usersRepo.findSessionState(user.id);
+      if (!state || state.token_version !== (user.tv || 0)) {
+        return res.status(401).json({ error: 'Session has been revoked' });
+      }
+
+      // Only super-admins act outside their own tenant, and only in one that
+      // still exists
+      const isSuperAdmin = !!state.is_super_admin;
+      if (user.tid !== state.tenant_id && !(isSuperAdmin && await tenantsRepo.findById(user.tid))) {
+        return res.status(401).json({ error: 'Session has been revoked' });
+      }
+
+      req.user = { ...user, isSuperAdmin };
+      req.tenantId = user.tid;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: 'Database error checking session' });
     }
-    req.user = user;
-    next();
   });
 };
 
+// Only super-admins, who manage tenants and global settings
+const requireSuperAdmin = (req, res, next) => {
+  if (!req.user.isSuperAdmin) {
+    return res.status(403).json({ error: 'Super-admin access required' });
+  }
+  next();
+};
+
+// Deny overrides allow: one deny grant outweighs any number of allow grants.
+// Resolves to 'allow', 'deny' or null when nothing matches.
+const resolveEffect = (grants) => {
+  if (grants.some(grant => grant.effect === 'deny')) {
+    return 'deny';
+  }
+  return grants.length > 0 ? 'allow' : null;
+};
+
+// The grants several roles hold themselves, from permission rows and policy
+// documents, each naming its role. Pass a moment to get only the rows in
+// force then.
+const loadRoleGrants = async (roleIds, now) => {
+  const grants = (await rolesRepo.findPermissionsForRoles(roleIds, now))
+    .map(row => ({
+      module: row.module_name,
+      action: row.action,
+      effect: row.effect,
+      resource: row.resource,
+      condition: row.condition,
+      role_id: row.role_id,
+      role_name: row.role_name
+    }));
+
+  for (const policy of await rolePoliciesRepo.findForRoles(roleIds)) {
+    grants.push(...documentGrants(policy.document).map(grant => ({
+      ...grant,
+      role_id: policy.role_id,
+      role_name: policy.role_name,
+      policy_name: policy.name,
+      policy_version: policy.current_version
+    })));
+  }
+
+  return grants;
+};
+
+const SUPER_ADMIN_GRANT = {
+  module: WILDCARD,
+  action: WILDCARD,
+  effect: 'allow',
+  resource: WILDCARD,
+  condition: null,
+  role_id: null,
+  role_name: 'Super-admin',
+  group_id: null,
+  group_name: null,
+  via_subgroup: null,
+  direct: true,
+  inherited_by: null
+};
+
+// Every grant reaching a user, denies first. Each carries the role that holds
+// it and the group it comes through; a grant a role inherits from an ancestor
+// also names the assigned role in inherited_by, and a group the user belongs
+// to only through a subgroup names that subgroup in via_subgroup. Roles
+// assigned to the user directly count while the direct role policy is
+// enabled; their grants have direct set and no group. Time-bound memberships,
+// role assignments and grants count only inside their validity window. A
+// grant's resource is '*' or the instance id pattern it is scoped to, and its
+// condition (or null) an expression that must hold for it to apply. Grants
+// from a role's policy documents are merged in, naming the policy, its
+// version and the statement they come from. A super-admin holds *:* in every
+// tenant instead, whatever their roles.
+const loadUserGrants = async (userId) => {
+  if ((await usersRepo.findSessionState(userId))?.is_super_admin) {
+    return [SUPER_ADMIN_GRANT];
+  }
+
+  const groups = await getUserGroups(userId);
+  const assignments = groups.length > 0
+    ? (await rolesRepo.findGroupAssignments(groups.map(group => group.id)))
+      .map(assignment => ({
+        ...assignment,
+        via_subgroup: groups.find(group => group.id === assignment.group_id).via_group_name,
+        direct: false
+      }))
+    : [];
+
+  if ((await getDirectRolePolicy()).enabled) {
+    const directAssignments = await rolesRepo.findUserAssignments(userId);
+    assignments.push(...directAssignments.map(assignment => ({
+      ...assignment,
+      group_id: null,
+      group_name: null,
+      via_subgroup: null,
+      direct: true
+    })));
+  }
+
+  if (assignments.length === 0) {
+    return [];
+  }
+
+  const links = await rolesRepo.findAllParentLinks();
+  const expanded = assignments.flatMap(assignment => [
+    { ...assignment, source_role_id: assignment.role_id },
+    ...getAncestorIds(assignment.role_id, links).map(ancestorId => ({ ...assignment, source_role_id: ancestorId }))
+  ]);
+
+  const roleIds = [...new Set(expanded.map(entry => entry.source_role_id))];
+  const rows = await loadRoleGrants(roleIds, Date.now());
+
+  const grants = expanded.flatMap(entry => rows
+    .filter(row => row.role_id === entry.source_role_id)
+    .map(row => ({
+      ...row,
+      group_id: entry.group_id,
+      group_name: entry.group_name,
+      via_subgroup: entry.via_subgroup,
+      direct: entry.direct,
+      inherited_by: row.role_id === entry.role_id ? null : entry.role_name
+    })));
+
+  return [
+    ...grants.filter(grant => grant.effect === 'deny'),
+    ...grants.filter(grant => grant.effect !== 'deny')
+  ];
+};
+
+// What conditions see as resource.*, by module, looked up in the tenant of
+// the request
+const resourceLoaders = {
+  Groups: (tenantId, id) => groupsRepo.findById(tenantId, id),
+  Roles: (tenantId, id) => rolesRepo.findById(tenantId, id)
+};
+
+// Evaluate the conditions of some grants, setting condition_met on each
+// conditional grant. Conditions see the user (their attributes plus id,
+// username and email) as user.*, the resource as resource.* and the request
+// as request.*. `context` holds the client ip, the moment to evaluate at
+// (now), the tenant and the resource's attributes when the caller already
+// has them.
+const applyConditions = async (grants, userId, context = {}) => {
+  if (!grants.some(grant => grant.condition)) {
+    return grants;
+  }
+
+  const profile = await usersRepo.findConditionProfile(userId);
+  const attributes = {
+    user: profile ? { ...profile.attributes, id: profile.id, username: profile.username, email: profile.email } : null,
+    resource: context.resourceAttributes || null,
+    request: describeRequest(context)
+  };
+
+  // A deny whose condition is broken still applies, so it fails closed
+  return grants.map(grant => (grant.condition
+    ? { ...grant, condition_met: evaluateCondition(grant.condition, attributes, grant.effect === 'deny') }
+    : grant));
+};
+
+const conditionHolds = (grant) => grant.condition_met !== false;
+
+// Decide whether a user may perform an action, on one instance of the module
+// when a resource id is given, and why. `reason` is one of allowed,
+// explicit_deny, not_granted, condition_not_met or email_unverified; `grants`
+// lists the matching grants (including wildcard, parent-module, inherited and
+// resource-scoped grants) with the role and group each comes through, and
+// whether each conditional grant's condition held. `context` is as for
+// applyConditions.
+const evaluatePermission = async (userId, module, action, resource, context = {}) => {
+  const matching = (await loadUserGrants(userId))
+    .filter(grant => grantMatches(grant, module, action, resource));
+
+  let resourceAttributes = context.resourceAttributes;
+  if (!resourceAttributes && resource !== undefined && matching.some(grant => grant.condition) && resourceLoaders[module]) {
+    resourceAttributes = await resourceLoaders[module](context.tenantId, resource);
+  }
+
+  const grants = await applyConditions(matching, userId, { ...context, resourceAttributes });
+  const effect = resolveEffect(grants.filter(conditionHolds));
+
+  let reason;
+  if (effect === 'deny') {
+    reason = 'explicit_deny';
+  } else if (!effect) {
+    reason = grants.some(grant => grant.effect === 'allow') ? 'condition_not_met' : 'not_granted';
+  } else if (!await hasVerifiedAccess(userId)) {
+    reason = 'email_unverified';
+  } else {
+    reason = 'allowed';
+  }
+
+  return { allowed: reason === 'allowed', reason, grants };
+};
+
+// Whether a user may perform an action: they must hold the permission through
+// group membership (or a direct role) without any role denying it, and an unverified email must
+// not be holding them back
+const userHasPermission = async (userId, module, action, resource, context) => {
+  const { allowed } = await evaluatePermission(userId, module, action, resource, context);
+  return allowed;
+};
+
+// The items of a list a user may perform an action on: all of them under a
+// module-wide grant, otherwise those their resource-scoped grants cover.
+// Conditions see each item as resource.*.
+const filterPermitted = async (userId, module, action, items, context = {}) => {
+  if (!await hasVerifiedAccess(userId)) {
+    return [];
+  }
+
+  const grants = await loadUserGrants(userId);
+
+  const permitted = [];
+  for (const item of items) {
+    const matching = await applyConditions(
+      grants.filter(grant => grantMatches(grant, module, action, item.id)),
+      userId,
+      { ...context, resourceAttributes: item }
+    );
+    if (resolveEffect(matching.filter(conditionHolds)) === 'allow') {
+      permitted.push(item);
+    }
+  }
+  return permitted;
+};
+
+// Facts about a request that conditions can test, and the tenant it acts in
+const requestContext = (req) => ({ ip: req.ip, tenantId: req.tenantId });
+
 // Check permission middleware
 const checkPermission = (module, action) => {
-  return (req, res, next) => {
-    const userId = req.user.id;
-    
-    // Query to check if user has permission through group membership
-    const query = `
-      SELECT COUNT(*) as count
-      FROM user_groups ug
-      JOIN group_roles gr ON ug.group_id = gr.group_id
-      JOIN role_permissions rp ON gr.role_id = rp.role_id
-      JOIN permissions p ON rp.permission_id = p.id
-      JOIN modules m ON p.module_id = m.id
-      WHERE ug.user_id = ? AND m.name = ? AND p.action = ?
-    `;
-
-    db.get(query, [userId, module, action], (err, row) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error checking permissions' });
-      }
-      
-      if (row.count === 0) {
+  return async (req, res, next) => {
+    try {
+      const allowed = await userHasPermission(req.user.id, module, action, undefined, requestContext(req));
+
+      if (!allowed) {
         return res.status(403).json({ 
           error: `Permission denied: ${action} on ${module}` 
         });
       }
-      
+
       next();
-    });
+    } catch (error) {
+      res.status(500).json({ error: 'Database error checking permissions' });
+    }
   };
 };
 
-// Get user permissions
-const getUserPermissions = (userId, callback) => {
-  const query = `
-    SELECT DISTINCT m.name as module, p.action
-    FROM user_groups ug
-    JOIN group_roles gr ON ug.group_id = gr.group_id
-    JOIN role_permissions rp ON gr.role_id = rp.role_id
-    JOIN permissions p ON rp.permission_id = p.id
-    JOIN modules m ON p.module_id = m.id
-    WHERE ug.user_id = ?
-    ORDER BY m.name, p.action
-  `;
-
-  db.all(query, [userId], (err, rows) => {
-    if (err) {
-      callback(err, null);
-      return;
+// Check permission on the instance a request targets, by default the :id
+// route parameter. Module-wide grants cover every instance.
+const checkResourcePermission = (module, action, getResourceId = req => req.params.id) => {
+  return async (req, res, next) => {
+    try {
+      const resource = getResourceId(req);
+      const allowed = await userHasPermission(req.user.id, module, action, resource, requestContext(req));
+
+      if (!allowed) {
+        return res.status(403).json({
+          error: `Permission denied: ${action} on ${module} ${resource}`
+        });
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({ error: 'Database error checking permissions' });
     }
+  };
+};
+
+// Check that a user holds a permission module-wide or on at least one
+// instance; list routes then narrow their results with filterPermitted
+const checkPermissionOnAny = (module, action) => {
+  return async (req, res, next) => {
+    try {
+      // Matching grants on any resource; only a module-wide deny rules out
+      // every instance. Conditions on allows are left to filterPermitted,
+      // since they may depend on the instance.
+      const grants = (await loadUserGrants(req.user.id))
+        .filter(grant => grantMatches({ ...grant, resource: WILDCARD }, module, action));
+      const denies = await applyConditions(
+        grants.filter(grant => grant.effect === 'deny' && isModuleWide(grant)),
+        req.user.id,
+        requestContext(req)
+      );
+      const denied = denies.some(conditionHolds);
+      const granted = grants.some(grant => grant.effect === 'allow');
+
+      if (denied || !granted || !await hasVerifiedAccess(req.user.id)) {
+        return res.status(403).json({
+          error: `Permission denied: ${action} on ${module}`
+        });
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({ error: 'Database error checking permissions' });
+    }
+  };
+};
+
+const addToModule = (map, module, action) => {
+  if (!map[module]) {
+    map[module] = [];
+  }
+  if (!map[module].includes(action)) {
+    map[module].push(action);
+  }
+};
+
+// The user's grants whose conditions hold in a context, evaluated without a
+// resource, for the permission summaries below
+const loadApplicableGrants = async (userId, context) => {
+  const grants = await applyConditions(await loadUserGrants(userId), userId, context);
+  return grants.filter(conditionHolds);
+};
 
-    // Group permissions by module
-    const permissions = {};
-    rows.forEach(row => {
-      if (!permissions[row.module]) {
-        permissions[row.module] = [];
+// Explicitly denied actions grouped by module; denies scoped to a resource
+// are listed by getResourcePermissions instead
+const getDeniedPermissions = async (userId, context = {}) => {
+  const rows = await loadApplicableGrants(userId, context);
+
+  const denied = {};
+  rows
+    .filter(row => row.effect === 'deny' && isModuleWide(row))
+    .forEach(row => addToModule(denied, row.module, row.action));
+
+  return denied;
+};
+
+// Get the user's module-wide allowed grants grouped by module, leaving out any
+// that a deny covers completely. Keys and actions may be wildcard patterns, and
+// a deny that only partly overlaps an allow (e.g. Users:delete under *:*) still
+// applies, so clients must check getDeniedPermissions as well.
+const getUserPermissions = async (userId, context = {}) => {
+  if (!await hasVerifiedAccess(userId)) {
+    return {};
+  }
+
+  const rows = await loadApplicableGrants(userId, context);
+  const denies = rows.filter(row => row.effect === 'deny');
+
+  const permissions = {};
+  rows
+    .filter(row => row.effect === 'allow' && isModuleWide(row) && !denies.some(deny => grantCovers(deny, row)))
+    .forEach(row => addToModule(permissions, row.module, row.action));
+
+  return permissions;
+};
+
+// The user's resource-scoped grants as { module, action, resource, effect },
+// once each; empty while an unverified email holds their permissions back
+const getResourcePermissions = async (userId, context = {}) => {
+  if (!await hasVerifiedAccess(userId)) {
+    return [];
+  }
+
+  const scoped = [];
+  (await loadApplicableGrants(userId, context))
+    .filter(row => !isModuleWide(row))
+    .forEach(({ module, action, resource, effect }) => {
+      if (!scoped.some(grant => grant.module === module && grant.action === action &&
+        grant.resource === resource && grant.effect === effect)) {
+        scoped.push({ module, action, resource, effect });
       }
-      permissions[row.module].push(row.action);
     });
 
-    callback(null, permissions);
-  });
+  return scoped;
+};
+
+// Permission boundaries keep delegated administrators from granting more
+// than they hold. Whatever a request hands out (permission grants, policy
+// documents, inherited roles, role assignments, memberships) must fall within
+// the requester's own effective permissions or, when they have one, within
+// their permission boundary instead. Handing out a deny never widens access,
+// but taking one away does: whatever removes grants, policies, parent roles,
+// role assignments or memberships must not lift a deny over anything the
+// requester could not grant themselves.
+
+// What a user may grant, with conditions evaluated in a context
+const loadGrantableGrants = async (userId, context) => {
+  const boundary = await usersRepo.findPermissionBoundary(userId);
+  if (!boundary) {
+    return { bounded: false, grants: await loadApplicableGrants(userId, context) };
+  }
+
+  const grants = await applyConditions(documentGrants(boundary), userId, context);
+  return { bounded: true, grants: grants.filter(conditionHolds) };
+};
+
+const overlaps = (a, b) => grantCovers(a, b) || grantCovers(b, a);
+
+const describeGrant = (grant) => (isModuleWide(grant)
+  ? `${grant.module}:${grant.action}`
+  : `${grant.module}:${grant.action} on ${grant.resource}`);
+
+// Null when the requesting user may hand out every allow among some grants,
+// otherwise the body of a 403 explaining what doing `what` (e.g. "assign
+// Admin to Support") would grant beyond their permissions or boundary. An
+// allow is within bounds when a grantable allow covers it and no grantable
+// deny overlaps it.
+const checkGrantBoundary = async (req, grants, what) => {
+  const { bounded, grants: grantable } = await loadGrantableGrants(req.user.id, requestContext(req));
+  const allows = grantable.filter(grant => grant.effect === 'allow');
+  const denies = grantable.filter(grant => grant.effect === 'deny');
+
+  const exceeding = [...new Set(grants
+    .filter(grant => grant.effect === 'allow')
+    .filter(grant => !allows.some(allow => grantCovers(allow, grant)) ||
+      denies.some(deny => overlaps(deny, grant)))
+    .map(describeGrant))];
+
+  if (exceeding.length === 0) {
+    return null;
+  }
+
+  const listed = exceeding.length > 5
+    ? `${exceeding.slice(0, 5).join(', ')} and ${exceeding.length - 5} more`
+    : exceeding.join(', ');
+  return {
+    error: `Permission boundary: cannot ${what}, as it would grant ${listed} beyond ${bounded ? 'your permission boundary' : 'your own permissions'}`,
+    reason: bounded ? 'exceeds_boundary' : 'exceeds_own_permissions',
+    exceeding
+  };
+};
+
+// Null when the requesting user may lift the denies among some grants,
+// otherwise the body of a 403 as for checkGrantBoundary. Lifting a deny opens
+// up everything it covered, so it is checked as granting that would be.
+const checkDenyRemoval = (req, grants, what) => checkGrantBoundary(req, grants
+  .filter(grant => grant.effect === 'deny')
+  .map(grant => ({ ...grant, effect: 'allow' })), what);
+
+// What assigning some roles hands out: their grants and those of every role
+// they inherit from, including grants outside their validity window
+const loadAssignableGrants = async (roleIds) => {
+  const links = await rolesRepo.findAllParentLinks();
+  const ids = [...new Set(roleIds.flatMap(id => [id, ...getAncestorIds(id, links)]))];
+  return loadRoleGrants(ids);
+};
+
+// What membership of a group hands out: the grants of the roles assigned to
+// it and to every group containing it
+const loadMembershipGrants = async (groupId) => {
+  const links = await groupsRepo.findAllSubgroupLinks();
+  const roleIds = [];
+  for (const id of [groupId, ...getAncestorIds(groupId, links)]) {
+    roleIds.push(...(await groupsRepo.findRoles(id)).map(role => role.id));
+  }
+  return roleIds.length > 0 ? loadAssignableGrants([...new Set(roleIds)]) : [];
 };
 
 module.exports = {
   generateToken,
+  generatePurposeToken,
+  verifyPurposeToken,
   authenticateToken,
+  requireSuperAdmin,
+  evaluatePermission,
+  loadUserGrants,
+  requestContext,
+  userHasPermission,
+  filterPermitted,
   checkPermission,
+  checkResourcePermission,
+  checkPermissionOnAny,
   getUserPermissions,
+  getResourcePermissions,
+  getDeniedPermissions,
+  checkGrantBoundary,
+  checkDenyRemoval,
+  loadAssignableGrants,
+  loadMembershipGrants,
   JWT_SECRET
 }; 
\ No newline at end of file
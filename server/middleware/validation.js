@@ -1,33 +1,206 @@
 const Joi = require('joi');
 
+// Module action names such as read, approve or bulk-export
+const actionName = Joi.string().max(50).pattern(/^[a-z][a-z0-9_-]*$/).messages({
+  'string.pattern.base': '{#label} must start with a lowercase letter and contain only lowercase letters, digits, - and _'
+});
+
+// A permission's action: an action name, or * for every action of the module
+const permissionAction = Joi.string().max(50).pattern(/^(\*|[a-z][a-z0-9_-]*)$/).messages({
+  'string.pattern.base': '{#label} must be * or start with a lowercase letter and contain only lowercase letters, digits, - and _'
+});
+
+// Module names; / separates levels of a hierarchy such as Billing/Invoices,
+// and * is reserved for the wildcard module
+const moduleName = Joi.string().min(3).max(100).pattern(/^[^/*]+(\/[^/*]+)*$/).messages({
+  'string.pattern.base': '{#label} must not contain * and may only use / between non-empty names'
+});
+
+// Optional validity window for an assignment; either end may be left open.
+// Routes convert the dates with services/grantValidity.parseValidity.
+const validity = {
+  validFrom: Joi.date().iso().allow(null).optional(),
+  validUntil: Joi.date().iso().allow(null).optional()
+    .min('now').messages({ 'date.min': '"validUntil" must be in the future' })
+    .when('validFrom', {
+      is: Joi.date().required(),
+      then: Joi.date().greater(Joi.ref('validFrom')).messages({
+        'date.greater': '"validUntil" must be after "validFrom"'
+      })
+    })
+};
+
+// Instance a grant is scoped to: '*' for the whole module, an id, or an id
+// pattern using * (e.g. 7 or 1*)
+const resource = Joi.string().max(255).pattern(/^[\w.*-]+$/).optional().messages({
+  'string.pattern.base': '{#label} may only contain letters, digits, _, ., - and *'
+});
+
+// Free-form user attributes that grant conditions can test, e.g.
+// { department: 'finance' }
+const attributes = Joi.object()
+  .pattern(/^[A-Za-z_]\w{0,49}$/, Joi.alternatives().try(Joi.string().max(255), Joi.number(), Joi.boolean()))
+  .max(50)
+  .optional();
+
+// Policy documents attached to roles: a list of statements, each allowing or
+// denying some Module:action patterns (* alone for every action of every
+// module), optionally on some resources and under a condition expression.
+// Action and Resource take one string or a list.
+const oneOrMany = (item) => Joi.alternatives().try(item, Joi.array().items(item).min(1).max(50));
+
+const policyStatement = Joi.object({
+  Sid: Joi.string().max(100).pattern(/^\w+$/).optional(),
+  Effect: Joi.string().valid('Allow', 'Deny').required(),
+  Action: oneOrMany(Joi.string().max(150).pattern(/^(\*|[^:*]+(\/[^:*/]+)*:(\*|[a-z][a-z0-9_-]*)|\*:(\*|[a-z][a-z0-9_-]*))$/).messages({
+    'string.pattern.base': '{#label} must be Module:action, where either part may be *'
+  })).required(),
+  Resource: oneOrMany(resource).optional(),
+  Condition: Joi.string().max(1000).optional()
+});
+
+const policyDocument = Joi.object({
+  Version: Joi.string().valid('2024-01-01').required(),
+  Statement: Joi.array().items(policyStatement).min(1).max(100).required()
+});
+
+// Tenant slugs, as typed on the sign-in page: lowercase words joined by -.
+// Left blank, the public auth endpoints use the default tenant.
+const tenantSlug = Joi.string().max(50).pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).messages({
+  'string.pattern.base': '{#label} may only contain lowercase letters, digits and single - between them'
+});
+
 // Validation schemas
 const schemas = {
   register: Joi.object({
     username: Joi.string().alphanum().min(3).max(30).required(),
     email: Joi.string().email().required(),
-    password: Joi.string().min(6).required()
+    // Strength rules come from the password policy service
+    password: Joi.string().max(128).required(),
+    // Lets the sign-up through whatever the registration mode
+    inviteToken: Joi.string().max(128).optional(),
+    tenant: tenantSlug.allow('').optional()
   }),
 
   login: Joi.object({
     username: Joi.string().required(),
+    password: Joi.string().required(),
+    tenant: tenantSlug.allow('').optional()
+  }),
+
+  mfaChallenge: Joi.object({
+    mfaToken: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().max(32)
+  }).xor('code', 'recoveryCode'),
+
+  mfaSetup: Joi.object({
+    mfaToken: Joi.string().optional()
+  }),
+
+  mfaVerify: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required(),
+    mfaToken: Joi.string().optional()
+  }),
+
+  mfaDisable: Joi.object({
     password: Joi.string().required()
   }),
 
+  changePassword: Joi.object({
+    currentPassword: Joi.string(),
+    newPassword: Joi.string().max(128).required(),
+    passwordChangeToken: Joi.string()
+  }),
+
+  // Endpoints that email a link to an address
+  emailLink: Joi.object({
+    email: Joi.string().email().required(),
+    tenant: tenantSlug.allow('').optional()
+  }),
+
+  // Single-use tokens from emailed links
+  emailToken: Joi.object({
+    token: Joi.string().max(128).required()
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().max(128).required(),
+    newPassword: Joi.string().max(128).required()
+  }),
+
+  passwordPolicy: Joi.object({
+    minLength: Joi.number().integer().min(6).max(128),
+    requireUppercase: Joi.boolean(),
+    requireLowercase: Joi.boolean(),
+    requireDigit: Joi.boolean(),
+    requireSymbol: Joi.boolean(),
+    disallowUserInfo: Joi.boolean(),
+    blockCommon: Joi.boolean(),
+    historyCount: Joi.number().integer().min(0).max(24),
+    maxAgeDays: Joi.number().integer().min(0).max(3650)
+  }).min(1),
+
+  verificationPolicy: Joi.object({
+    mode: Joi.string().valid('off', 'limit', 'block').required()
+  }),
+
+  registrationPolicy: Joi.object({
+    mode: Joi.string().valid('open', 'domain', 'invite'),
+    allowedDomains: Joi.array().items(Joi.string().domain()).max(100)
+  }).min(1),
+
+  directRolePolicy: Joi.object({
+    enabled: Joi.boolean().required()
+  }),
+
+  invitation: Joi.object({
+    email: Joi.string().email().required(),
+    groupIds: Joi.array().items(Joi.number().integer().positive()).unique().optional(),
+    expiresInDays: Joi.number().integer().min(1).max(30).optional(),
+    sendEmail: Joi.boolean().optional()
+  }),
+
+  invitationResend: Joi.object({
+    expiresInDays: Joi.number().integer().min(1).max(30).optional(),
+    sendEmail: Joi.boolean().optional()
+  }),
+
+  // tenantId keeps a super-admin in the tenant they switched to
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required(),
+    tenantId: Joi.number().integer().positive().optional()
+  }),
+
+  tenant: Joi.object({
+    name: Joi.string().min(2).max(100).required(),
+    slug: tenantSlug.required()
+  }),
+
+  superAdmin: Joi.object({
+    isSuperAdmin: Joi.boolean().required()
+  }),
+
   user: Joi.object({
     username: Joi.string().alphanum().min(3).max(30).required(),
     email: Joi.string().email().required(),
-    password: Joi.string().min(6).optional()
+    password: Joi.string().max(128).required(),
+    mustChangePassword: Joi.boolean().optional(),
+    attributes
   }),
 
   userUpdate: Joi.object({
     username: Joi.string().alphanum().min(3).max(30).optional(),
     email: Joi.string().email().optional(),
-    password: Joi.string().min(6).optional()
+    password: Joi.string().max(128).optional(),
+    mustChangePassword: Joi.boolean().optional(),
+    attributes
   }),
 
   group: Joi.object({
     name: Joi.string().min(3).max(100).required(),
-    description: Joi.string().max(500).optional()
+    description: Joi.string().max(500).optional(),
+    mfaRequired: Joi.boolean().optional()
   }),
 
   role: Joi.object({
@@ -36,31 +209,94 @@ const schemas = {
   }),
 
   module: Joi.object({
-    name: Joi.string().min(3).max(100).required(),
+    name: moduleName.required(),
     description: Joi.string().max(500).optional()
   }),
 
+  moduleCreate: Joi.object({
+    name: moduleName.required(),
+    description: Joi.string().max(500).optional(),
+    actions: Joi.array().items(actionName).unique().min(1).optional()
+  }),
+
+  moduleAction: Joi.object({
+    name: actionName.required(),
+    description: Joi.string().max(255).allow('').optional(),
+    createPermission: Joi.boolean().optional()
+  }),
+
   permission: Joi.object({
-    action: Joi.string().valid('create', 'read', 'update', 'delete').required(),
+    action: permissionAction.required(),
     module_id: Joi.number().integer().positive().required()
   }),
 
+  permissionUpdate: Joi.object({
+    action: permissionAction.required()
+  }),
+
   assignUsers: Joi.object({
-    userIds: Joi.array().items(Joi.number().integer().positive()).min(1).required()
+    userIds: Joi.array().items(Joi.number().integer().positive()).min(1).required(),
+    ...validity
   }),
 
   assignRoles: Joi.object({
-    roleIds: Joi.array().items(Joi.number().integer().positive()).min(1).required()
+    roleIds: Joi.array().items(Joi.number().integer().positive()).min(1).required(),
+    ...validity
+  }),
+
+  assignSubgroups: Joi.object({
+    groupIds: Joi.array().items(Joi.number().integer().positive()).min(1).required()
   }),
 
   assignPermissions: Joi.object({
-    permissionIds: Joi.array().items(Joi.number().integer().positive()).min(1).required()
+    permissionIds: Joi.array().items(Joi.number().integer().positive()).min(1).required(),
+    resource
+  }),
+
+  // An empty list removes every parent
+  roleParents: Joi.object({
+    parentRoleIds: Joi.array().items(Joi.number().integer().positive()).unique().required()
+  }),
+
+  rolePolicy: Joi.object({
+    name: Joi.string().min(1).max(100).pattern(/^[\w .-]+$/).required(),
+    document: policyDocument.required()
+  }),
+
+  rolePolicyUpdate: Joi.object({
+    document: policyDocument.required()
+  }),
+
+  rolePolicyVersion: Joi.object({
+    version: Joi.number().integer().min(1).required()
+  }),
+
+  permissionBoundary: Joi.object({
+    document: policyDocument.allow(null).required()
+  }),
+
+  sodRule: Joi.object({
+    name: Joi.string().min(3).max(100).required(),
+    description: Joi.string().max(500).allow('').optional(),
+    roleIds: Joi.array().items(Joi.number().integer().positive()).length(2).unique().required()
+      .messages({ 'array.unique': 'A rule must name two different roles' })
+  }),
+
+  grantPermissions: Joi.object({
+    permissionIds: Joi.array().items(Joi.number().integer().positive()).min(1).required(),
+    effect: Joi.string().valid('allow', 'deny').optional(),
+    resource,
+    condition: Joi.string().max(1000).allow(null, '').optional(),
+    ...validity
   }),
 
   simulateAction: Joi.object({
     userId: Joi.number().integer().positive().required(),
     module: Joi.string().required(),
-    action: Joi.string().valid('create', 'read', 'update', 'delete').required()
+    action: actionName.required(),
+    resource: Joi.alternatives().try(Joi.string().max(255), Joi.number().integer()).optional(),
+    ip: Joi.string().ip({ cidr: 'forbidden' }).optional(),
+    at: Joi.date().iso().optional()
   })
 };
 
@@ -0,0 +1,31 @@
+// Data access for email verification tokens; times are stored as epoch milliseconds
+const createEmailVerificationTokensRepo = (db) => ({
+  findByHash: (tokenHash) => db.get('SELECT * FROM email_verification_tokens WHERE token_hash = ?', [tokenHash]),
+
+  create: ({ userId, email, tokenHash, expiresAt }) => db.run(
+    'INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+    [userId, email, tokenHash, expiresAt]
+  ),
+
+  // Consume a token; returns false if it was already used
+  markUsed: async (id) => {
+    const result = await db.run(
+      'UPDATE email_verification_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL',
+      [Date.now(), id]
+    );
+    return result.changes > 0;
+  },
+
+  // Retire every outstanding token for a user, e.g. when a new one is issued
+  invalidateForUser: (userId) => db.run(
+    'UPDATE email_verification_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL',
+    [Date.now(), userId]
+  ),
+
+  deleteExpiredForUser: (userId) => db.run(
+    'DELETE FROM email_verification_tokens WHERE user_id = ? AND expires_at < ?',
+    [userId, Date.now()]
+  )
+});
+
+module.exports = { createEmailVerificationTokensRepo };
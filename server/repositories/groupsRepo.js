@@ -0,0 +1,202 @@
+const { activeAt } = require('./validity');
+
+// Data access for groups, their user and role assignments and nesting.
+// Memberships and role assignments may carry a validity window (valid_from /
+// valid_until, epoch ms).
+const createGroupsRepo = (db) => ({
+  // All groups of a tenant with counts of direct members and roles, and the
+  // ids of the groups each one contains
+  findAllWithCounts: async (tenantId) => {
+    const groups = await db.all(`
+      SELECT g.id, g.name, g.description, g.mfa_required, g.created_at,
+             COUNT(DISTINCT ug.user_id) as user_count,
+             COUNT(DISTINCT gr.role_id) as role_count
+      FROM groups g
+      LEFT JOIN user_groups ug ON g.id = ug.group_id
+      LEFT JOIN group_roles gr ON g.id = gr.group_id
+      WHERE g.tenant_id = ?
+      GROUP BY g.id, g.name, g.description, g.mfa_required, g.created_at
+      ORDER BY g.name
+    `, [tenantId]);
+
+    const links = await db.all('SELECT parent_group_id, child_group_id FROM group_subgroups');
+
+    return groups.map(group => ({
+      ...group,
+      subgroup_ids: links
+        .filter(link => link.parent_group_id === group.id)
+        .map(link => link.child_group_id),
+      parent_group_ids: links
+        .filter(link => link.child_group_id === group.id)
+        .map(link => link.parent_group_id)
+    }));
+  },
+
+  findById: (tenantId, id) => db.get('SELECT * FROM groups WHERE id = ? AND tenant_id = ?', [id, tenantId]),
+
+  // The groups among ids that belong to the tenant
+  findByIds: (tenantId, ids) => {
+    const placeholders = ids.map(() => '?').join(',');
+    return db.all(`SELECT id, name, mfa_required FROM groups WHERE tenant_id = ? AND id IN (${placeholders})`, [tenantId, ...ids]);
+  },
+
+  // Groups a user was added to directly, leaving out memberships that have
+  // not started or have expired
+  findByUser: (userId, now = Date.now()) => db.all(`
+    SELECT g.id, g.tenant_id, g.name, g.mfa_required
+    FROM groups g
+    JOIN user_groups ug ON g.id = ug.group_id
+    WHERE ug.user_id = ? AND ${activeAt('ug')}
+    ORDER BY g.name
+  `, [userId, now, now]),
+
+  // Names are unique within a tenant
+  findByName: (tenantId, name) => db.get('SELECT id FROM groups WHERE tenant_id = ? AND name = ?', [tenantId, name]),
+
+  isNameTaken: async (tenantId, name, excludeId) => {
+    const row = await db.get('SELECT id FROM groups WHERE tenant_id = ? AND name = ? AND id != ?', [tenantId, name, excludeId]);
+    return !!row;
+  },
+
+  findUsers: (groupId) => db.all(`
+    SELECT u.id, u.username, u.email, ug.valid_from, ug.valid_until
+    FROM users u
+    JOIN user_groups ug ON u.id = ug.user_id
+    WHERE ug.group_id = ?
+    ORDER BY u.username
+  `, [groupId]),
+
+  // Direct members of any of the given groups, with the group
+  findUsersInGroups: (groupIds) => {
+    const placeholders = groupIds.map(() => '?').join(',');
+    return db.all(`
+      SELECT u.id, u.username, u.email, g.id as group_id, g.name as group_name
+      FROM users u
+      JOIN user_groups ug ON u.id = ug.user_id
+      JOIN groups g ON ug.group_id = g.id
+      WHERE ug.group_id IN (${placeholders})
+      ORDER BY u.username, g.name
+    `, groupIds);
+  },
+
+  // Every membership and every group role assignment, whatever their
+  // validity windows
+  findAllMemberships: () => db.all('SELECT user_id, group_id FROM user_groups'),
+
+  findAllRoleAssignments: () => db.all('SELECT group_id, role_id FROM group_roles'),
+
+  // Every nesting link as { child_id, parent_id }; see services/hierarchy
+  findAllSubgroupLinks: () => db.all('SELECT child_group_id as child_id, parent_group_id as parent_id FROM group_subgroups'),
+
+  findSubgroups: (groupId) => db.all(`
+    SELECT g.id, g.name, g.description
+    FROM groups g
+    JOIN group_subgroups gs ON g.id = gs.child_group_id
+    WHERE gs.parent_group_id = ?
+    ORDER BY g.name
+  `, [groupId]),
+
+  findParentGroups: (groupId) => db.all(`
+    SELECT g.id, g.name, g.description
+    FROM groups g
+    JOIN group_subgroups gs ON g.id = gs.parent_group_id
+    WHERE gs.child_group_id = ?
+    ORDER BY g.name
+  `, [groupId]),
+
+  findRoles: (groupId) => db.all(`
+    SELECT r.id, r.name, r.description, gr.valid_from, gr.valid_until
+    FROM roles r
+    JOIN group_roles gr ON r.id = gr.role_id
+    WHERE gr.group_id = ?
+    ORDER BY r.name
+  `, [groupId]),
+
+  // Returns the new group's id
+  create: async ({ tenantId, name, description, mfaRequired = false }) => {
+    const result = await db.run(
+      'INSERT INTO groups (tenant_id, name, description, mfa_required) VALUES (?, ?, ?, ?)',
+      [tenantId, name, description || null, mfaRequired ? 1 : 0]
+    );
+    return result.lastID;
+  },
+
+  update: (id, { name, description, mfaRequired = false }) => db.run(
+    'UPDATE groups SET name = ?, description = ?, mfa_required = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [name, description || null, mfaRequired ? 1 : 0, id]
+  ),
+
+  delete: (id) => db.run('DELETE FROM groups WHERE id = ?', [id]),
+
+  // Replace any existing membership rows for these users, then insert fresh
+  // ones valid for the given window (open-ended by default)
+  assignUsers: async (groupId, userIds, { validFrom = null, validUntil = null } = {}) => {
+    const placeholders = userIds.map(() => '?').join(',');
+    await db.run(`DELETE FROM user_groups WHERE group_id = ? AND user_id IN (${placeholders})`,
+      [groupId, ...userIds]);
+
+    for (const userId of userIds) {
+      await db.run('INSERT INTO user_groups (user_id, group_id, valid_from, valid_until) VALUES (?, ?, ?, ?)',
+        [userId, groupId, validFrom, validUntil]);
+    }
+  },
+
+  // Returns the number of memberships removed
+  removeUsers: async (groupId, userIds) => {
+    const placeholders = userIds.map(() => '?').join(',');
+    const result = await db.run(`DELETE FROM user_groups WHERE group_id = ? AND user_id IN (${placeholders})`,
+      [groupId, ...userIds]);
+    return result.changes;
+  },
+
+  assignRoles: async (groupId, roleIds, { validFrom = null, validUntil = null } = {}) => {
+    const placeholders = roleIds.map(() => '?').join(',');
+    await db.run(`DELETE FROM group_roles WHERE group_id = ? AND role_id IN (${placeholders})`,
+      [groupId, ...roleIds]);
+
+    for (const roleId of roleIds) {
+      await db.run('INSERT INTO group_roles (group_id, role_id, valid_from, valid_until) VALUES (?, ?, ?, ?)',
+        [groupId, roleId, validFrom, validUntil]);
+    }
+  },
+
+  // Replace any existing links for these subgroups, then insert fresh ones
+  addSubgroups: async (groupId, subgroupIds) => {
+    const placeholders = subgroupIds.map(() => '?').join(',');
+    await db.run(`DELETE FROM group_subgroups WHERE parent_group_id = ? AND child_group_id IN (${placeholders})`,
+      [groupId, ...subgroupIds]);
+
+    for (const subgroupId of subgroupIds) {
+      await db.run('INSERT INTO group_subgroups (parent_group_id, child_group_id) VALUES (?, ?)', [groupId, subgroupId]);
+    }
+  },
+
+  // Returns the number of subgroups removed
+  removeSubgroups: async (groupId, subgroupIds) => {
+    const placeholders = subgroupIds.map(() => '?').join(',');
+    const result = await db.run(`DELETE FROM group_subgroups WHERE parent_group_id = ? AND child_group_id IN (${placeholders})`,
+      [groupId, ...subgroupIds]);
+    return result.changes;
+  },
+
+  removeRoles: async (groupId, roleIds) => {
+    const placeholders = roleIds.map(() => '?').join(',');
+    const result = await db.run(`DELETE FROM group_roles WHERE group_id = ? AND role_id IN (${placeholders})`,
+      [groupId, ...roleIds]);
+    return result.changes;
+  },
+
+  // Delete memberships whose window has closed; returns how many
+  deleteExpiredMemberships: async (now) => {
+    const result = await db.run('DELETE FROM user_groups WHERE valid_until IS NOT NULL AND valid_until <= ?', [now]);
+    return result.changes;
+  },
+
+  // Delete role assignments whose window has closed; returns how many
+  deleteExpiredRoles: async (now) => {
+    const result = await db.run('DELETE FROM group_roles WHERE valid_until IS NOT NULL AND valid_until <= ?', [now]);
+    return result.changes;
+  }
+});
+
+module.exports = { createGroupsRepo };
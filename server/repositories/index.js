@@ -0,0 +1,47 @@
+const { db } = require('../database/connection');
+const { createUsersRepo } = require('./usersRepo');
+const { createGroupsRepo } = require('./groupsRepo');
+const { createRolesRepo } = require('./rolesRepo');
+const { createModulesRepo } = require('./modulesRepo');
+const { createPermissionsRepo } = require('./permissionsRepo');
+const { createRefreshTokensRepo } = require('./refreshTokensRepo');
+const { createMfaRecoveryCodesRepo } = require('./mfaRecoveryCodesRepo');
+const { createLoginFailuresRepo } = require('./loginFailuresRepo');
+const { createPasswordHistoryRepo } = require('./passwordHistoryRepo');
+const { createSettingsRepo } = require('./settingsRepo');
+const { createPasswordResetTokensRepo } = require('./passwordResetTokensRepo');
+const { createEmailVerificationTokensRepo } = require('./emailVerificationTokensRepo');
+const { createInvitationsRepo } = require('./invitationsRepo');
+const { createRolePoliciesRepo } = require('./rolePoliciesRepo');
+const { createSodRulesRepo } = require('./sodRulesRepo');
+const { createTenantsRepo } = require('./tenantsRepo');
+
+// Build every repository against a driver (or a transaction handle)
+const createRepositories = (driver) => ({
+  usersRepo: createUsersRepo(driver),
+  groupsRepo: createGroupsRepo(driver),
+  rolesRepo: createRolesRepo(driver),
+  modulesRepo: createModulesRepo(driver),
+  permissionsRepo: createPermissionsRepo(driver),
+  refreshTokensRepo: createRefreshTokensRepo(driver),
+  mfaRecoveryCodesRepo: createMfaRecoveryCodesRepo(driver),
+  loginFailuresRepo: createLoginFailuresRepo(driver),
+  passwordHistoryRepo: createPasswordHistoryRepo(driver),
+  settingsRepo: createSettingsRepo(driver),
+  passwordResetTokensRepo: createPasswordResetTokensRepo(driver),
+  emailVerificationTokensRepo: createEmailVerificationTokensRepo(driver),
+  invitationsRepo: createInvitationsRepo(driver),
+  rolePoliciesRepo: createRolePoliciesRepo(driver),
+  sodRulesRepo: createSodRulesRepo(driver),
+  tenantsRepo: createTenantsRepo(driver)
+});
+
+// Run fn with repositories bound to a single transaction; commits when fn
+// resolves and rolls back every statement if it throws
+const withTransaction = (fn) => db.transaction(tx => fn(createRepositories(tx)));
+
+module.exports = {
+  ...createRepositories(db),
+  createRepositories,
+  withTransaction
+};
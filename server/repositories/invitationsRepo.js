@@ -0,0 +1,85 @@
+// Data access for invitations and the groups they pre-assign; times are
+// stored as epoch milliseconds
+const createInvitationsRepo = (db) => ({
+  // Every invitation to a tenant, newest first, with the inviter and group
+  // names
+  findAllWithGroups: async (tenantId) => {
+    const invitations = await db.all(`
+      SELECT i.id, i.email, i.expires_at, i.accepted_at, i.revoked_at, i.created_at,
+             i.invited_by, inviter.username as invited_by_username,
+             i.accepted_user_id, accepted.username as accepted_username
+      FROM invitations i
+      LEFT JOIN users inviter ON i.invited_by = inviter.id
+      LEFT JOIN users accepted ON i.accepted_user_id = accepted.id
+      WHERE i.tenant_id = ?
+      ORDER BY i.id DESC
+    `, [tenantId]);
+
+    const groups = await db.all(`
+      SELECT ig.invitation_id, g.id, g.name
+      FROM invitation_groups ig
+      JOIN groups g ON ig.group_id = g.id
+      ORDER BY g.name
+    `);
+
+    return invitations.map(invitation => ({
+      ...invitation,
+      groups: groups
+        .filter(group => group.invitation_id === invitation.id)
+        .map(({ id, name }) => ({ id, name }))
+    }));
+  },
+
+  findById: (tenantId, id) => db.get('SELECT * FROM invitations WHERE id = ? AND tenant_id = ?', [id, tenantId]),
+
+  findByHash: (tokenHash) => db.get('SELECT * FROM invitations WHERE token_hash = ?', [tokenHash]),
+
+  findGroupIds: async (invitationId) => {
+    const rows = await db.all('SELECT group_id FROM invitation_groups WHERE invitation_id = ?', [invitationId]);
+    return rows.map(row => row.group_id);
+  },
+
+  // Returns the new invitation's id
+  create: async ({ tenantId, email, tokenHash, invitedBy, expiresAt }) => {
+    const result = await db.run(
+      'INSERT INTO invitations (tenant_id, email, token_hash, invited_by, expires_at) VALUES (?, ?, ?, ?, ?)',
+      [tenantId, email, tokenHash, invitedBy, expiresAt]
+    );
+    return result.lastID;
+  },
+
+  addGroups: async (invitationId, groupIds) => {
+    for (const groupId of groupIds) {
+      await db.run('INSERT INTO invitation_groups (invitation_id, group_id) VALUES (?, ?)', [invitationId, groupId]);
+    }
+  },
+
+  // Issue a new token for a still-open invitation, e.g. when it is sent again
+  renew: (id, { tokenHash, expiresAt }) => db.run(
+    'UPDATE invitations SET token_hash = ?, expires_at = ? WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL',
+    [tokenHash, expiresAt, id]
+  ),
+
+  // Redeem an invitation; returns false if it was already accepted or revoked
+  markAccepted: async (id, userId) => {
+    const result = await db.run(
+      'UPDATE invitations SET accepted_at = ?, accepted_user_id = ? WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL',
+      [Date.now(), userId, id]
+    );
+    return result.changes > 0;
+  },
+
+  revoke: (id) => db.run(
+    'UPDATE invitations SET revoked_at = ? WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL',
+    [Date.now(), id]
+  ),
+
+  // Retire a tenant's open invitations to an address, e.g. when a new one is
+  // sent
+  revokeOpenForEmail: (tenantId, email) => db.run(
+    'UPDATE invitations SET revoked_at = ? WHERE tenant_id = ? AND LOWER(email) = LOWER(?) AND accepted_at IS NULL AND revoked_at IS NULL',
+    [Date.now(), tenantId, email]
+  )
+});
+
+module.exports = { createInvitationsRepo };
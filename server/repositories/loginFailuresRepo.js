@@ -0,0 +1,18 @@
+// Data access for the failed login log; times are stored as epoch milliseconds
+const createLoginFailuresRepo = (db) => ({
+  create: ({ userId, username, ipAddress, userAgent, reason }) => db.run(
+    'INSERT INTO login_failures (user_id, username, ip_address, user_agent, reason, attempted_at) VALUES (?, ?, ?, ?, ?, ?)',
+    [userId, username, ipAddress, userAgent, reason, Date.now()]
+  ),
+
+  // Most recent failures for a user, newest first
+  findByUser: (userId, limit = 50) => db.all(`
+    SELECT id, username, ip_address, user_agent, reason, attempted_at
+    FROM login_failures
+    WHERE user_id = ?
+    ORDER BY attempted_at DESC, id DESC
+    LIMIT ?
+  `, [userId, limit])
+});
+
+module.exports = { createLoginFailuresRepo };
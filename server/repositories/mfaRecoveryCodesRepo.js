@@ -0,0 +1,31 @@
+// Data access for hashed, single-use MFA recovery codes
+const createMfaRecoveryCodesRepo = (db) => ({
+  // Discard any existing codes and store a fresh set
+  replaceForUser: async (userId, codeHashes) => {
+    await db.run('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [userId]);
+    for (const codeHash of codeHashes) {
+      await db.run('INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, codeHash]);
+    }
+  },
+
+  // Mark an unused code as used; returns false if no such code remains
+  consume: async (userId, codeHash) => {
+    const result = await db.run(
+      'UPDATE mfa_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+      [Date.now(), userId, codeHash]
+    );
+    return result.changes > 0;
+  },
+
+  countRemaining: async (userId) => {
+    const row = await db.get(
+      'SELECT COUNT(*) as count FROM mfa_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+    return row.count;
+  },
+
+  deleteForUser: (userId) => db.run('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [userId])
+});
+
+module.exports = { createMfaRecoveryCodesRepo };
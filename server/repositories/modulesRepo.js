@@ -0,0 +1,98 @@
+const DEFAULT_ACTIONS = ['create', 'read', 'update', 'delete'];
+
+// Data access for modules and their action catalogues
+const createModulesRepo = (db) => ({
+  // All modules of a tenant with their permission counts and action names
+  findAllWithCounts: async (tenantId) => {
+    const modules = await db.all(`
+      SELECT m.id, m.name, m.description, m.created_at,
+             COUNT(p.id) as permission_count
+      FROM modules m
+      LEFT JOIN permissions p ON m.id = p.module_id
+      WHERE m.tenant_id = ?
+      GROUP BY m.id, m.name, m.description, m.created_at
+      ORDER BY m.name
+    `, [tenantId]);
+
+    const actions = await db.all('SELECT module_id, name FROM module_actions ORDER BY id');
+
+    return modules.map(module => ({
+      ...module,
+      actions: actions
+        .filter(action => action.module_id === module.id)
+        .map(action => action.name)
+    }));
+  },
+
+  findById: (tenantId, id) => db.get('SELECT * FROM modules WHERE id = ? AND tenant_id = ?', [id, tenantId]),
+
+  // Names are unique within a tenant
+  findByName: (tenantId, name) => db.get('SELECT id FROM modules WHERE tenant_id = ? AND name = ?', [tenantId, name]),
+
+  isNameTaken: async (tenantId, name, excludeId) => {
+    const row = await db.get('SELECT id FROM modules WHERE tenant_id = ? AND name = ? AND id != ?', [tenantId, name, excludeId]);
+    return !!row;
+  },
+
+  findPermissions: (moduleId) => db.all(`
+    SELECT p.id, p.action, p.created_at
+    FROM permissions p
+    WHERE p.module_id = ?
+    ORDER BY p.action
+  `, [moduleId]),
+
+  findActions: (moduleId) => db.all(`
+    SELECT id, name, description, created_at
+    FROM module_actions
+    WHERE module_id = ?
+    ORDER BY id
+  `, [moduleId]),
+
+  findAction: (moduleId, name) => db.get(
+    'SELECT id, name, description FROM module_actions WHERE module_id = ? AND name = ?',
+    [moduleId, name]
+  ),
+
+  // Creates the module with an action catalogue and a permission for each
+  // action (CRUD unless told otherwise); returns the new id
+  create: async ({ tenantId, name, description, actions = DEFAULT_ACTIONS }) => {
+    const result = await db.run(
+      'INSERT INTO modules (tenant_id, name, description) VALUES (?, ?, ?)',
+      [tenantId, name, description || null]
+    );
+    const moduleId = result.lastID;
+
+    for (const action of actions) {
+      await db.run('INSERT INTO module_actions (module_id, name) VALUES (?, ?)', [moduleId, action]);
+      await db.run('INSERT INTO permissions (action, module_id) VALUES (?, ?)', [action, moduleId]);
+    }
+
+    return moduleId;
+  },
+
+  // Add an action to the catalogue; returns the new action's id
+  addAction: async (moduleId, { name, description }) => {
+    const result = await db.run(
+      'INSERT INTO module_actions (module_id, name, description) VALUES (?, ?, ?)',
+      [moduleId, name, description || null]
+    );
+    return result.lastID;
+  },
+
+  // Drop an action from the catalogue along with its permission (and so every
+  // role grant of it); returns the number of permissions removed
+  removeAction: async (moduleId, name) => {
+    const result = await db.run('DELETE FROM permissions WHERE module_id = ? AND action = ?', [moduleId, name]);
+    await db.run('DELETE FROM module_actions WHERE module_id = ? AND name = ?', [moduleId, name]);
+    return result.changes;
+  },
+
+  update: (id, { name, description }) => db.run(
+    'UPDATE modules SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [name, description || null, id]
+  ),
+
+  delete: (id) => db.run('DELETE FROM modules WHERE id = ?', [id])
+});
+
+module.exports = { createModulesRepo, DEFAULT_ACTIONS };
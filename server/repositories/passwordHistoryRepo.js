@@ -0,0 +1,23 @@
+// Data access for previous password hashes, used to stop password reuse
+const createPasswordHistoryRepo = (db) => ({
+  add: (userId, passwordHash) => db.run(
+    'INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)',
+    [userId, passwordHash]
+  ),
+
+  // Newest first
+  findRecent: (userId, limit) => db.all(
+    'SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?',
+    [userId, limit]
+  ),
+
+  // Keep only the newest entries for a user
+  prune: (userId, keep) => db.run(`
+    DELETE FROM password_history
+    WHERE user_id = ? AND id NOT IN (
+      SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+    )
+  `, [userId, userId, keep])
+});
+
+module.exports = { createPasswordHistoryRepo };
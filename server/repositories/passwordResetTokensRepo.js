@@ -0,0 +1,31 @@
+// Data access for password reset tokens; times are stored as epoch milliseconds
+const createPasswordResetTokensRepo = (db) => ({
+  findByHash: (tokenHash) => db.get('SELECT * FROM password_reset_tokens WHERE token_hash = ?', [tokenHash]),
+
+  create: ({ userId, tokenHash, expiresAt, requestedIp }) => db.run(
+    'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip) VALUES (?, ?, ?, ?)',
+    [userId, tokenHash, expiresAt, requestedIp]
+  ),
+
+  // Consume a token; returns false if it was already used
+  markUsed: async (id) => {
+    const result = await db.run(
+      'UPDATE password_reset_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL',
+      [Date.now(), id]
+    );
+    return result.changes > 0;
+  },
+
+  // Retire every outstanding token for a user, e.g. when a new one is issued
+  invalidateForUser: (userId) => db.run(
+    'UPDATE password_reset_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL',
+    [Date.now(), userId]
+  ),
+
+  deleteExpiredForUser: (userId) => db.run(
+    'DELETE FROM password_reset_tokens WHERE user_id = ? AND expires_at < ?',
+    [userId, Date.now()]
+  )
+});
+
+module.exports = { createPasswordResetTokensRepo };
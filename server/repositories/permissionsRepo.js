@@ -0,0 +1,82 @@
+// Data access for permissions and permission evaluation. Permissions belong
+// to the tenant of their module.
+const createPermissionsRepo = (db) => ({
+  findAllWithCounts: (tenantId) => db.all(`
+    SELECT p.id, p.action, p.created_at, m.name as module_name, m.id as module_id,
+           COUNT(DISTINCT rp.role_id) as role_count
+    FROM permissions p
+    JOIN modules m ON p.module_id = m.id
+    LEFT JOIN role_permissions rp ON p.id = rp.permission_id
+    WHERE m.tenant_id = ?
+    GROUP BY p.id, p.action, p.created_at, m.name, m.id
+    ORDER BY m.name, p.action
+  `, [tenantId]),
+
+  findAllWithModules: (tenantId) => db.all(`
+    SELECT p.id, p.action, m.name as module_name, m.id as module_id
+    FROM permissions p
+    JOIN modules m ON p.module_id = m.id
+    WHERE m.tenant_id = ?
+    ORDER BY m.name, p.action
+  `, [tenantId]),
+
+  findById: (tenantId, id) => db.get(`
+    SELECT p.id, p.action, p.module_id, p.created_at, m.name as module_name
+    FROM permissions p
+    JOIN modules m ON p.module_id = m.id
+    WHERE p.id = ? AND m.tenant_id = ?
+  `, [id, tenantId]),
+
+  // The permissions among ids that belong to the tenant
+  findByIds: (tenantId, ids) => {
+    const placeholders = ids.map(() => '?').join(',');
+    return db.all(`
+      SELECT p.id, p.action, m.name as module_name
+      FROM permissions p
+      JOIN modules m ON p.module_id = m.id
+      WHERE m.tenant_id = ? AND p.id IN (${placeholders})
+    `, [tenantId, ...ids]);
+  },
+
+  // Look up a permission by module and action, optionally ignoring one id
+  findByActionAndModule: (action, moduleId, excludeId = 0) => db.get(
+    'SELECT id FROM permissions WHERE action = ? AND module_id = ? AND id != ?',
+    [action, moduleId, excludeId]
+  ),
+
+  findRoles: (permissionId) => db.all(`
+    SELECT r.id, r.name, r.description, rp.effect, rp.resource, rp.condition
+    FROM roles r
+    JOIN role_permissions rp ON r.id = rp.role_id
+    WHERE rp.permission_id = ?
+    ORDER BY r.name, rp.resource
+  `, [permissionId]),
+
+  // The role grants of some permissions as { module, action, effect,
+  // resource, condition }, e.g. those deleting the permissions would remove
+  findGrants: (permissionIds) => {
+    const placeholders = permissionIds.map(() => '?').join(',');
+    return db.all(`
+      SELECT m.name as module, p.action, rp.effect, rp.resource, rp.condition
+      FROM role_permissions rp
+      JOIN permissions p ON rp.permission_id = p.id
+      JOIN modules m ON p.module_id = m.id
+      WHERE rp.permission_id IN (${placeholders})
+    `, permissionIds);
+  },
+
+  // Returns the new permission's id
+  create: async ({ action, moduleId }) => {
+    const result = await db.run(
+      'INSERT INTO permissions (action, module_id) VALUES (?, ?)',
+      [action, moduleId]
+    );
+    return result.lastID;
+  },
+
+  updateAction: (id, action) => db.run('UPDATE permissions SET action = ? WHERE id = ?', [action, id]),
+
+  delete: (id) => db.run('DELETE FROM permissions WHERE id = ?', [id])
+});
+
+module.exports = { createPermissionsRepo };
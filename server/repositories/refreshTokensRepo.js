@@ -0,0 +1,40 @@
+// Data access for refresh tokens; times are stored as epoch milliseconds
+const createRefreshTokensRepo = (db) => ({
+  findByHash: (tokenHash) => db.get('SELECT * FROM refresh_tokens WHERE token_hash = ?', [tokenHash]),
+
+  // Returns the new token's id
+  create: async ({ userId, tokenHash, familyId, expiresAt }) => {
+    const result = await db.run(
+      'INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at) VALUES (?, ?, ?, ?)',
+      [userId, tokenHash, familyId, expiresAt]
+    );
+    return result.lastID;
+  },
+
+  // Mark a still-active token as used by rotation, pointing at its successor;
+  // returns false if it was already used or revoked
+  markRotated: async (id, replacedBy) => {
+    const result = await db.run(
+      'UPDATE refresh_tokens SET revoked_at = ?, replaced_by = ? WHERE id = ? AND revoked_at IS NULL',
+      [Date.now(), replacedBy, id]
+    );
+    return result.changes > 0;
+  },
+
+  revokeFamily: (familyId) => db.run(
+    'UPDATE refresh_tokens SET revoked_at = ? WHERE family_id = ? AND revoked_at IS NULL',
+    [Date.now(), familyId]
+  ),
+
+  revokeAllForUser: (userId) => db.run(
+    'UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+    [Date.now(), userId]
+  ),
+
+  deleteExpiredForUser: (userId) => db.run(
+    'DELETE FROM refresh_tokens WHERE user_id = ? AND expires_at < ?',
+    [userId, Date.now()]
+  )
+});
+
+module.exports = { createRefreshTokensRepo };
@@ -0,0 +1,107 @@
+// Data access for the policy documents attached to roles. Each policy keeps
+// every version of its document (stored as JSON text); current_version is the
+// one in force.
+
+const parseDocument = (row) => row && { ...row, document: JSON.parse(row.document) };
+
+const createRolePoliciesRepo = (db) => ({
+  // A role's policies with their current documents
+  findByRole: async (roleId) => {
+    const rows = await db.all(`
+      SELECT pol.id, pol.role_id, pol.name, pol.current_version, pol.created_at, pol.updated_at,
+             v.document, v.created_by, u.username as created_by_username
+      FROM role_policies pol
+      JOIN role_policy_versions v ON v.policy_id = pol.id AND v.version = pol.current_version
+      LEFT JOIN users u ON v.created_by = u.id
+      WHERE pol.role_id = ?
+      ORDER BY pol.name
+    `, [roleId]);
+    return rows.map(parseDocument);
+  },
+
+  // Current documents of several roles' policies, with the role holding each
+  findForRoles: async (roleIds) => {
+    const placeholders = roleIds.map(() => '?').join(',');
+    const rows = await db.all(`
+      SELECT pol.id, pol.name, pol.current_version, v.document, r.id as role_id, r.name as role_name
+      FROM role_policies pol
+      JOIN role_policy_versions v ON v.policy_id = pol.id AND v.version = pol.current_version
+      JOIN roles r ON pol.role_id = r.id
+      WHERE pol.role_id IN (${placeholders})
+      ORDER BY pol.name
+    `, roleIds);
+    return rows.map(parseDocument);
+  },
+
+  // One of a role's policies, or undefined
+  findById: (roleId, policyId) => db.get(
+    'SELECT * FROM role_policies WHERE id = ? AND role_id = ?',
+    [policyId, roleId]
+  ),
+
+  isNameTaken: async (roleId, name) => {
+    const row = await db.get('SELECT id FROM role_policies WHERE role_id = ? AND name = ?', [roleId, name]);
+    return !!row;
+  },
+
+  // Every version of a policy, newest first
+  findVersions: async (policyId) => {
+    const rows = await db.all(`
+      SELECT v.version, v.document, v.created_by, u.username as created_by_username, v.created_at
+      FROM role_policy_versions v
+      LEFT JOIN users u ON v.created_by = u.id
+      WHERE v.policy_id = ?
+      ORDER BY v.version DESC
+    `, [policyId]);
+    return rows.map(parseDocument);
+  },
+
+  // One version of a policy, or undefined
+  findVersion: async (policyId, version) => parseDocument(await db.get(
+    'SELECT version, document, created_by, created_at FROM role_policy_versions WHERE policy_id = ? AND version = ?',
+    [policyId, version]
+  )),
+
+  // Returns the new policy's id; its document becomes version 1
+  create: async ({ roleId, name, document, createdBy }) => {
+    const result = await db.run(
+      'INSERT INTO role_policies (role_id, name, current_version) VALUES (?, ?, 1)',
+      [roleId, name]
+    );
+    await db.run(
+      'INSERT INTO role_policy_versions (policy_id, version, document, created_by) VALUES (?, 1, ?, ?)',
+      [result.lastID, JSON.stringify(document), createdBy]
+    );
+    return result.lastID;
+  },
+
+  // Save a document as the policy's next version and put it in force;
+  // returns the new version number
+  addVersion: async (policyId, { document, createdBy }) => {
+    const { latest } = await db.get(
+      'SELECT MAX(version) as latest FROM role_policy_versions WHERE policy_id = ?',
+      [policyId]
+    );
+    const version = latest + 1;
+
+    await db.run(
+      'INSERT INTO role_policy_versions (policy_id, version, document, created_by) VALUES (?, ?, ?, ?)',
+      [policyId, version, JSON.stringify(document), createdBy]
+    );
+    await db.run(
+      'UPDATE role_policies SET current_version = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [version, policyId]
+    );
+    return version;
+  },
+
+  // Put an existing version back in force
+  setCurrentVersion: (policyId, version) => db.run(
+    'UPDATE role_policies SET current_version = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [version, policyId]
+  ),
+
+  delete: (policyId) => db.run('DELETE FROM role_policies WHERE id = ?', [policyId])
+});
+
+module.exports = { createRolePoliciesRepo };
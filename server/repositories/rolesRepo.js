@@ -0,0 +1,183 @@
+const { activeAt } = require('./validity');
+
+// Data access for roles, their permission assignments and inheritance.
+// Assignments may carry a validity window (valid_from / valid_until, epoch ms),
+// and permission grants a resource ('*' for the whole module or an instance
+// id pattern) and a condition expression (see services/conditions).
+const createRolesRepo = (db) => ({
+  // All roles of a tenant with counts of groups, direct permissions and policy
+  // documents, and the ids of the roles each one inherits from
+  findAllWithCounts: async (tenantId) => {
+    const roles = await db.all(`
+      SELECT r.id, r.name, r.description, r.created_at,
+             COUNT(DISTINCT gr.group_id) as group_count,
+             COUNT(DISTINCT rp.permission_id) as permission_count,
+             COUNT(DISTINCT pol.id) as policy_count
+      FROM roles r
+      LEFT JOIN group_roles gr ON r.id = gr.role_id
+      LEFT JOIN role_permissions rp ON r.id = rp.role_id
+      LEFT JOIN role_policies pol ON r.id = pol.role_id
+      WHERE r.tenant_id = ?
+      GROUP BY r.id, r.name, r.description, r.created_at
+      ORDER BY r.name
+    `, [tenantId]);
+
+    const links = await db.all('SELECT role_id, parent_role_id FROM role_parents');
+
+    return roles.map(role => ({
+      ...role,
+      parent_ids: links
+        .filter(link => link.role_id === role.id)
+        .map(link => link.parent_role_id)
+    }));
+  },
+
+  findById: (tenantId, id) => db.get('SELECT * FROM roles WHERE id = ? AND tenant_id = ?', [id, tenantId]),
+
+  // Names are unique within a tenant
+  findByName: (tenantId, name) => db.get('SELECT id FROM roles WHERE tenant_id = ? AND name = ?', [tenantId, name]),
+
+  // The roles among ids that belong to the tenant
+  findByIds: (tenantId, ids) => {
+    const placeholders = ids.map(() => '?').join(',');
+    return db.all(`SELECT id, name FROM roles WHERE tenant_id = ? AND id IN (${placeholders})`, [tenantId, ...ids]);
+  },
+
+  isNameTaken: async (tenantId, name, excludeId) => {
+    const row = await db.get('SELECT id FROM roles WHERE tenant_id = ? AND name = ? AND id != ?', [tenantId, name, excludeId]);
+    return !!row;
+  },
+
+  // Direct grants of several roles, with the role holding each. Pass a moment
+  // to get only the grants in force then.
+  findPermissionsForRoles: (roleIds, now) => {
+    const placeholders = roleIds.map(() => '?').join(',');
+    const activeOnly = now === undefined ? '' : `AND ${activeAt('rp')}`;
+    return db.all(`
+      SELECT p.id, p.action, m.name as module_name, m.id as module_id, rp.effect, rp.resource, rp.condition,
+             rp.valid_from, rp.valid_until, r.id as role_id, r.name as role_name
+      FROM role_permissions rp
+      JOIN roles r ON rp.role_id = r.id
+      JOIN permissions p ON rp.permission_id = p.id
+      JOIN modules m ON p.module_id = m.id
+      WHERE rp.role_id IN (${placeholders}) ${activeOnly}
+      ORDER BY m.name, p.action, rp.resource
+    `, now === undefined ? roleIds : [...roleIds, now, now]);
+  },
+
+  // Roles currently assigned to any of the given groups, with the group
+  findGroupAssignments: (groupIds, now = Date.now()) => {
+    const placeholders = groupIds.map(() => '?').join(',');
+    return db.all(`
+      SELECT r.id as role_id, r.name as role_name, g.id as group_id, g.name as group_name
+      FROM group_roles gr
+      JOIN groups g ON gr.group_id = g.id
+      JOIN roles r ON gr.role_id = r.id
+      WHERE gr.group_id IN (${placeholders}) AND ${activeAt('gr')}
+      ORDER BY g.name, r.name
+    `, [...groupIds, now, now]);
+  },
+
+  // Roles currently assigned to a user directly rather than through a group
+  findUserAssignments: (userId, now = Date.now()) => db.all(`
+    SELECT r.id as role_id, r.name as role_name
+    FROM user_roles ur
+    JOIN roles r ON ur.role_id = r.id
+    WHERE ur.user_id = ? AND ${activeAt('ur')}
+    ORDER BY r.name
+  `, [userId, now, now]),
+
+  // Every inheritance link as { child_id, parent_id }; see services/hierarchy
+  findAllParentLinks: () => db.all('SELECT role_id as child_id, parent_role_id as parent_id FROM role_parents'),
+
+  findParents: (roleId) => db.all(`
+    SELECT r.id, r.name, r.description
+    FROM roles r
+    JOIN role_parents rp ON r.id = rp.parent_role_id
+    WHERE rp.role_id = ?
+    ORDER BY r.name
+  `, [roleId]),
+
+  findChildren: (roleId) => db.all(`
+    SELECT r.id, r.name, r.description
+    FROM roles r
+    JOIN role_parents rp ON r.id = rp.role_id
+    WHERE rp.parent_role_id = ?
+    ORDER BY r.name
+  `, [roleId]),
+
+  // Replace the roles a role inherits from
+  setParents: async (roleId, parentIds) => {
+    await db.run('DELETE FROM role_parents WHERE role_id = ?', [roleId]);
+
+    for (const parentId of parentIds) {
+      await db.run('INSERT INTO role_parents (role_id, parent_role_id) VALUES (?, ?)', [roleId, parentId]);
+    }
+  },
+
+  findPermissions: (roleId) => db.all(`
+    SELECT p.id, p.action, m.name as module_name, m.id as module_id, rp.effect, rp.resource, rp.condition,
+           rp.valid_from, rp.valid_until
+    FROM permissions p
+    JOIN role_permissions rp ON p.id = rp.permission_id
+    JOIN modules m ON p.module_id = m.id
+    WHERE rp.role_id = ?
+    ORDER BY m.name, p.action, rp.resource
+  `, [roleId]),
+
+  findGroups: (roleId) => db.all(`
+    SELECT g.id, g.name, g.description
+    FROM groups g
+    JOIN group_roles gr ON g.id = gr.group_id
+    WHERE gr.role_id = ?
+    ORDER BY g.name
+  `, [roleId]),
+
+  // Returns the new role's id
+  create: async ({ tenantId, name, description }) => {
+    const result = await db.run(
+      'INSERT INTO roles (tenant_id, name, description) VALUES (?, ?, ?)',
+      [tenantId, name, description || null]
+    );
+    return result.lastID;
+  },
+
+  update: (id, { name, description }) => db.run(
+    'UPDATE roles SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [name, description || null, id]
+  ),
+
+  delete: (id) => db.run('DELETE FROM roles WHERE id = ?', [id]),
+
+  // Replace any existing grants for these permissions on the resource, then
+  // insert fresh ones with the given effect ('allow' or 'deny'), condition and
+  // validity window
+  assignPermissions: async (roleId, permissionIds, effect = 'allow', { resource = '*', condition = null, validFrom = null, validUntil = null } = {}) => {
+    const placeholders = permissionIds.map(() => '?').join(',');
+    await db.run(`DELETE FROM role_permissions WHERE role_id = ? AND resource = ? AND permission_id IN (${placeholders})`,
+      [roleId, resource, ...permissionIds]);
+
+    for (const permissionId of permissionIds) {
+      await db.run('INSERT INTO role_permissions (role_id, permission_id, effect, resource, condition, valid_from, valid_until) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [roleId, permissionId, effect, resource, condition, validFrom, validUntil]);
+    }
+  },
+
+  // Remove the grants on one resource, or on every resource when none is
+  // given; returns the number of grants removed
+  removePermissions: async (roleId, permissionIds, resource) => {
+    const placeholders = permissionIds.map(() => '?').join(',');
+    const onResource = resource === undefined ? '' : 'AND resource = ?';
+    const result = await db.run(`DELETE FROM role_permissions WHERE role_id = ? ${onResource} AND permission_id IN (${placeholders})`,
+      resource === undefined ? [roleId, ...permissionIds] : [roleId, resource, ...permissionIds]);
+    return result.changes;
+  },
+
+  // Delete grants whose window has closed; returns how many
+  deleteExpiredPermissions: async (now) => {
+    const result = await db.run('DELETE FROM role_permissions WHERE valid_until IS NOT NULL AND valid_until <= ?', [now]);
+    return result.changes;
+  }
+});
+
+module.exports = { createRolesRepo };
@@ -0,0 +1,17 @@
+// Data access for admin-managed system settings stored as JSON values
+const createSettingsRepo = (db) => ({
+  // Parsed value for a key, or undefined when it has never been set
+  get: async (key) => {
+    const row = await db.get('SELECT value FROM settings WHERE key = ?', [key]);
+    return row ? JSON.parse(row.value) : undefined;
+  },
+
+  set: (key, value) => db.run(`
+    INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `, [key, JSON.stringify(value)]),
+
+  delete: (key) => db.run('DELETE FROM settings WHERE key = ?', [key])
+});
+
+module.exports = { createSettingsRepo };
@@ -0,0 +1,52 @@
+// Data access for separation-of-duties rules. Each rule names two roles,
+// stored with the lower id first.
+const orderRoles = (roleIds) => [...roleIds].sort((a, b) => a - b);
+
+const createSodRulesRepo = (db) => ({
+  // Every rule of a tenant with the names of its roles
+  findAll: (tenantId) => db.all(`
+    SELECT s.id, s.name, s.description, s.role_a_id, ra.name as role_a_name,
+           s.role_b_id, rb.name as role_b_name, s.created_at, s.updated_at
+    FROM sod_rules s
+    JOIN roles ra ON s.role_a_id = ra.id
+    JOIN roles rb ON s.role_b_id = rb.id
+    WHERE s.tenant_id = ?
+    ORDER BY s.name
+  `, [tenantId]),
+
+  findById: (tenantId, id) => db.get('SELECT * FROM sod_rules WHERE id = ? AND tenant_id = ?', [id, tenantId]),
+
+  isNameTaken: async (tenantId, name, excludeId = 0) => {
+    const row = await db.get('SELECT id FROM sod_rules WHERE tenant_id = ? AND name = ? AND id != ?', [tenantId, name, excludeId]);
+    return !!row;
+  },
+
+  // The rule already pairing two roles, if any, ignoring one id. Roles belong
+  // to one tenant, so this needs no tenant.
+  findByRoles: (roleIds, excludeId = 0) => {
+    const [roleA, roleB] = orderRoles(roleIds);
+    return db.get('SELECT id, name FROM sod_rules WHERE role_a_id = ? AND role_b_id = ? AND id != ?', [roleA, roleB, excludeId]);
+  },
+
+  // Returns the new rule's id
+  create: async ({ tenantId, name, description, roleIds }) => {
+    const [roleA, roleB] = orderRoles(roleIds);
+    const result = await db.run(
+      'INSERT INTO sod_rules (tenant_id, name, description, role_a_id, role_b_id) VALUES (?, ?, ?, ?, ?)',
+      [tenantId, name, description || null, roleA, roleB]
+    );
+    return result.lastID;
+  },
+
+  update: (id, { name, description, roleIds }) => {
+    const [roleA, roleB] = orderRoles(roleIds);
+    return db.run(
+      'UPDATE sod_rules SET name = ?, description = ?, role_a_id = ?, role_b_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [name, description || null, roleA, roleB, id]
+    );
+  },
+
+  delete: (id) => db.run('DELETE FROM sod_rules WHERE id = ?', [id])
+});
+
+module.exports = { createSodRulesRepo };
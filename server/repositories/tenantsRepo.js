@@ -0,0 +1,42 @@
+// Data access for tenants (organizations). Deleting a tenant cascades to the
+// users, groups, roles, modules, invitations and rules it owns.
+const createTenantsRepo = (db) => ({
+  // Every tenant with counts of its users, groups and roles
+  findAllWithCounts: () => db.all(`
+    SELECT t.id, t.name, t.slug, t.created_at,
+           (SELECT COUNT(*) FROM users u WHERE u.tenant_id = t.id) as user_count,
+           (SELECT COUNT(*) FROM groups g WHERE g.tenant_id = t.id) as group_count,
+           (SELECT COUNT(*) FROM roles r WHERE r.tenant_id = t.id) as role_count
+    FROM tenants t
+    ORDER BY t.name
+  `),
+
+  findById: (id) => db.get('SELECT id, name, slug, created_at FROM tenants WHERE id = ?', [id]),
+
+  findBySlug: (slug) => db.get('SELECT id, name, slug, created_at FROM tenants WHERE slug = ?', [slug]),
+
+  isNameTaken: async (name, excludeId = 0) => {
+    const row = await db.get('SELECT id FROM tenants WHERE name = ? AND id != ?', [name, excludeId]);
+    return !!row;
+  },
+
+  isSlugTaken: async (slug, excludeId = 0) => {
+    const row = await db.get('SELECT id FROM tenants WHERE slug = ? AND id != ?', [slug, excludeId]);
+    return !!row;
+  },
+
+  // Returns the new tenant's id
+  create: async ({ name, slug }) => {
+    const result = await db.run('INSERT INTO tenants (name, slug) VALUES (?, ?)', [name, slug]);
+    return result.lastID;
+  },
+
+  update: (id, { name, slug }) => db.run(
+    'UPDATE tenants SET name = ?, slug = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [name, slug, id]
+  ),
+
+  delete: (id) => db.run('DELETE FROM tenants WHERE id = ?', [id])
+});
+
+module.exports = { createTenantsRepo };
@@ -0,0 +1,299 @@
+// Free-form attributes (e.g. department) are stored as a JSON object, and a
+// permission boundary as a JSON policy document
+const parseAttributes = (value) => (value ? JSON.parse(value) : {});
+const parseBoundary = (value) => (value ? JSON.parse(value) : null);
+
+// Data access for users, their group memberships and direct roles
+const createUsersRepo = (db) => ({
+  // All users of a tenant with the names of the groups they belong to and of
+  // the roles assigned to them directly
+  findAllWithGroups: async (tenantId) => {
+    const users = await db.all(`
+      SELECT id, username, email, email_verified, must_change_password, failed_login_attempts, last_failed_login_at, locked_until, attributes,
+             permission_boundary IS NOT NULL as has_boundary, is_super_admin, created_at
+      FROM users
+      WHERE tenant_id = ?
+      ORDER BY username
+    `, [tenantId]);
+
+    const memberships = await db.all(`
+      SELECT ug.user_id, g.name
+      FROM user_groups ug
+      JOIN groups g ON ug.group_id = g.id
+      ORDER BY g.name
+    `);
+
+    const directRoles = await db.all(`
+      SELECT ur.user_id, r.name
+      FROM user_roles ur
+      JOIN roles r ON ur.role_id = r.id
+      ORDER BY r.name
+    `);
+
+    return users.map(user => ({
+      ...user,
+      attributes: parseAttributes(user.attributes),
+      groups: memberships
+        .filter(membership => membership.user_id === user.id)
+        .map(membership => membership.name),
+      roles: directRoles
+        .filter(assignment => assignment.user_id === user.id)
+        .map(assignment => assignment.name)
+    }));
+  },
+
+  // A single user of a tenant with full group and direct role details, or
+  // undefined
+  findByIdWithGroups: async (tenantId, id) => {
+    const user = await db.get(`
+      SELECT id, username, email, email_verified, must_change_password, failed_login_attempts, last_failed_login_at, locked_until,
+             attributes, permission_boundary, is_super_admin, created_at
+      FROM users
+      WHERE id = ? AND tenant_id = ?
+    `, [id, tenantId]);
+    if (!user) {
+      return undefined;
+    }
+
+    user.attributes = parseAttributes(user.attributes);
+    user.permission_boundary = parseBoundary(user.permission_boundary);
+    user.groups = await db.all(`
+      SELECT g.id, g.name, g.description
+      FROM groups g
+      JOIN user_groups ug ON g.id = ug.group_id
+      WHERE ug.user_id = ?
+      ORDER BY g.name
+    `, [id]);
+
+    user.roles = await db.all(`
+      SELECT r.id, r.name, r.description, ur.valid_from, ur.valid_until
+      FROM roles r
+      JOIN user_roles ur ON r.id = ur.role_id
+      WHERE ur.user_id = ?
+      ORDER BY r.name
+    `, [id]);
+
+    return user;
+  },
+
+  // Replace any existing direct assignments of these roles, then insert fresh
+  // ones valid for the given window (open-ended by default)
+  assignRoles: async (userId, roleIds, { validFrom = null, validUntil = null } = {}) => {
+    const placeholders = roleIds.map(() => '?').join(',');
+    await db.run(`DELETE FROM user_roles WHERE user_id = ? AND role_id IN (${placeholders})`,
+      [userId, ...roleIds]);
+
+    for (const roleId of roleIds) {
+      await db.run('INSERT INTO user_roles (user_id, role_id, valid_from, valid_until) VALUES (?, ?, ?, ?)',
+        [userId, roleId, validFrom, validUntil]);
+    }
+  },
+
+  // Returns the number of assignments removed
+  removeRoles: async (userId, roleIds) => {
+    const placeholders = roleIds.map(() => '?').join(',');
+    const result = await db.run(`DELETE FROM user_roles WHERE user_id = ? AND role_id IN (${placeholders})`,
+      [userId, ...roleIds]);
+    return result.changes;
+  },
+
+  // Delete direct role assignments whose window has closed; returns how many
+  deleteExpiredRoles: async (now) => {
+    const result = await db.run('DELETE FROM user_roles WHERE valid_until IS NOT NULL AND valid_until <= ?', [now]);
+    return result.changes;
+  },
+
+  // Every direct role assignment, whatever its validity window
+  findAllDirectRoles: () => db.all('SELECT user_id, role_id FROM user_roles'),
+
+  // Any user, whatever their tenant; for the signed-in user and for records
+  // (tokens, invitations) that already name one
+  findById: (id) => db.get('SELECT * FROM users WHERE id = ?', [id]),
+
+  // A user of the given tenant, or undefined
+  findInTenant: (tenantId, id) => db.get('SELECT * FROM users WHERE id = ? AND tenant_id = ?', [id, tenantId]),
+
+  // Identity and attributes as seen by grant conditions, or undefined
+  findConditionProfile: async (id) => {
+    const user = await db.get('SELECT id, username, email, attributes FROM users WHERE id = ?', [id]);
+    return user && { ...user, attributes: parseAttributes(user.attributes) };
+  },
+
+  // The policy document capping what a user may grant, or null
+  findPermissionBoundary: async (id) => {
+    const user = await db.get('SELECT permission_boundary FROM users WHERE id = ?', [id]);
+    return parseBoundary(user?.permission_boundary);
+  },
+
+  // Pass null to remove the boundary
+  setPermissionBoundary: (id, document) => db.run(
+    'UPDATE users SET permission_boundary = ? WHERE id = ?',
+    [document ? JSON.stringify(document) : null, id]
+  ),
+
+  // Usernames and emails are unique within a tenant
+  findByUsername: (tenantId, username) => db.get(
+    'SELECT * FROM users WHERE tenant_id = ? AND username = ?',
+    [tenantId, username]
+  ),
+
+  findByEmail: (tenantId, email) => db.get('SELECT * FROM users WHERE tenant_id = ? AND email = ?', [tenantId, email]),
+
+  findByUsernameOrEmail: (tenantId, username, email) => {
+    return db.get('SELECT id FROM users WHERE tenant_id = ? AND (username = ? OR email = ?)', [tenantId, username, email]);
+  },
+
+  // The users among ids that belong to the tenant
+  findByIds: (tenantId, ids) => {
+    const placeholders = ids.map(() => '?').join(',');
+    return db.all(`SELECT id, username FROM users WHERE tenant_id = ? AND id IN (${placeholders})`, [tenantId, ...ids]);
+  },
+
+  isUsernameTaken: async (tenantId, username, excludeId) => {
+    const row = await db.get('SELECT id FROM users WHERE tenant_id = ? AND username = ? AND id != ?', [tenantId, username, excludeId]);
+    return !!row;
+  },
+
+  isEmailTaken: async (tenantId, email, excludeId) => {
+    const row = await db.get('SELECT id FROM users WHERE tenant_id = ? AND email = ? AND id != ?', [tenantId, email, excludeId]);
+    return !!row;
+  },
+
+  count: async () => {
+    const row = await db.get('SELECT COUNT(*) as count FROM users');
+    return row.count;
+  },
+
+  // Returns the new user's id
+  // Self-registered accounts start unverified; pass emailVerified for
+  // accounts created by an administrator
+  create: async ({ tenantId, username, email, passwordHash, mustChangePassword = false, emailVerified = false, attributes, isSuperAdmin = false }) => {
+    const now = Date.now();
+    const result = await db.run(
+      'INSERT INTO users (tenant_id, username, email, password_hash, password_changed_at, must_change_password, email_verified, email_verified_at, attributes, is_super_admin) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [tenantId, username, email, passwordHash, now, mustChangePassword ? 1 : 0, emailVerified ? 1 : 0, emailVerified ? now : null,
+        attributes ? JSON.stringify(attributes) : null, isSuperAdmin ? 1 : 0]
+    );
+    return result.lastID;
+  },
+
+  // Update only the provided fields
+  update: (id, { username, email, passwordHash, mustChangePassword, attributes }) => {
+    const updates = [];
+    const values = [];
+
+    if (username) {
+      updates.push('username = ?');
+      values.push(username);
+    }
+
+    if (email) {
+      updates.push('email = ?');
+      values.push(email);
+    }
+
+    if (passwordHash) {
+      updates.push('password_hash = ?', 'password_changed_at = ?');
+      values.push(passwordHash, Date.now());
+    }
+
+    if (mustChangePassword !== undefined) {
+      updates.push('must_change_password = ?');
+      values.push(mustChangePassword ? 1 : 0);
+    }
+
+    if (attributes !== undefined) {
+      updates.push('attributes = ?');
+      values.push(JSON.stringify(attributes));
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+
+    return db.run(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`, values);
+  },
+
+  delete: (id) => db.run('DELETE FROM users WHERE id = ?', [id]),
+
+  setSuperAdmin: (id, isSuperAdmin) => db.run(
+    'UPDATE users SET is_super_admin = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [isSuperAdmin ? 1 : 0, id]
+  ),
+
+  // Mark the address verified, as long as it is still the user's address;
+  // returns false if the email has changed since
+  markEmailVerified: async (id, email) => {
+    const result = await db.run(
+      'UPDATE users SET email_verified = 1, email_verified_at = ? WHERE id = ? AND email = ?',
+      [Date.now(), id, email]
+    );
+    return result.changes > 0;
+  },
+
+  // What a request needs to trust an access token: the current token
+  // version, home tenant and super-admin flag, or undefined if the user no
+  // longer exists
+  findSessionState: (id) => db.get(
+    'SELECT token_version, tenant_id, is_super_admin FROM users WHERE id = ?',
+    [id]
+  ),
+
+  // Store a new, not yet confirmed TOTP secret
+  setMfaSecret: (id, secret) => db.run(
+    'UPDATE users SET mfa_secret = ?, mfa_enabled = 0, mfa_last_step = NULL WHERE id = ?',
+    [secret, id]
+  ),
+
+  enableMfa: (id, step) => db.run(
+    'UPDATE users SET mfa_enabled = 1, mfa_last_step = ? WHERE id = ?',
+    [step, id]
+  ),
+
+  disableMfa: (id) => db.run(
+    'UPDATE users SET mfa_enabled = 0, mfa_secret = NULL, mfa_last_step = NULL WHERE id = ?',
+    [id]
+  ),
+
+  // Record a used TOTP step; returns false if that step (or a later one) was already used
+  useMfaStep: async (id, step) => {
+    const result = await db.run(
+      'UPDATE users SET mfa_last_step = ? WHERE id = ? AND (mfa_last_step IS NULL OR mfa_last_step < ?)',
+      [step, id, step]
+    );
+    return result.changes > 0;
+  },
+
+  // Count a failed login and return the new count. A lockout that has run
+  // out starts the count again instead of adding to it.
+  recordFailedLogin: async (id, now) => {
+    await db.run(`
+      UPDATE users
+      SET failed_login_attempts = CASE
+            WHEN locked_until IS NOT NULL AND locked_until <= ? THEN 1
+            ELSE failed_login_attempts + 1
+          END,
+          locked_until = CASE WHEN locked_until IS NOT NULL AND locked_until <= ? THEN NULL ELSE locked_until END,
+          last_failed_login_at = ?
+      WHERE id = ?
+    `, [now, now, now, id]);
+
+    const row = await db.get('SELECT failed_login_attempts FROM users WHERE id = ?', [id]);
+    return row ? row.failed_login_attempts : 0;
+  },
+
+  lockUntil: (id, lockedUntil) => db.run('UPDATE users SET locked_until = ? WHERE id = ?', [lockedUntil, id]),
+
+  // Clear failed attempts and any lockout
+  resetFailedLogins: (id) => db.run(
+    'UPDATE users SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = ?',
+    [id]
+  ),
+
+  // Invalidate every access token issued so far
+  bumpTokenVersion: (id) => db.run(
+    'UPDATE users SET token_version = token_version + 1 WHERE id = ?',
+    [id]
+  )
+});
+
+module.exports = { createUsersRepo };
@@ -0,0 +1,6 @@
+// SQL condition matching assignment rows (by table alias) whose validity
+// window is open at a moment; bind the moment twice
+const activeAt = (alias) =>
+  `(${alias}.valid_from IS NULL OR ${alias}.valid_from <= ?) AND (${alias}.valid_until IS NULL OR ${alias}.valid_until > ?)`;
+
+module.exports = { activeAt };
@@ -1,147 +1,553 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { db } = require('../database/setup');
-const { generateToken, authenticateToken, getUserPermissions } = require('../middleware/auth');
+const rateLimit = require('express-rate-limit');
+const { usersRepo, tenantsRepo, withTransaction } = require('../repositories');
+const {
+  generateToken,
+  generatePurposeToken,
+  verifyPurposeToken,
+  authenticateToken,
+  evaluatePermission,
+  requestContext,
+  getUserPermissions,
+  getDeniedPermissions,
+  getResourcePermissions
+} = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
+const { describeRequest } = require('../services/conditions');
+const { rotateRefreshToken, revokeRefreshToken } = require('../services/refreshTokens');
+const { toUserInfo, createSession, completeLogin, revokeUserSessions } = require('../services/sessions');
+const { isMfaRequired, verifySecondFactor } = require('../services/mfa');
+const {
+  getLoginBlock,
+  recordLoginFailure,
+  sendLoginBlock,
+  rejectBlockedLogin
+} = require('../services/loginProtection');
+const {
+  getPasswordPolicy,
+  checkPassword,
+  recordPasswordChange,
+  isPasswordExpired
+} = require('../services/passwordPolicy');
+const { requestPasswordReset, findResetTokenUser, resetPassword } = require('../services/passwordReset');
+const {
+  getVerificationPolicy,
+  isVerificationPending,
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail
+} = require('../services/emailVerification');
+const { getRegistrationPolicy, getRegistrationError } = require('../services/registration');
+const { findOpenInvitation, acceptInvitation } = require('../services/invitations');
+const { findTenant } = require('../services/tenants');
 
 const router = express.Router();
 
-// Register new user
+// Endpoints that send mail get a much tighter limit than the API as a whole
+const mailLimiter = (message) => rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: { error: message }
+});
+
+const passwordResetLimiter = mailLimiter('Too many password reset requests, please try again later.');
+const verificationLimiter = mailLimiter('Too many verification emails requested, please try again later.');
+
+// Thrown inside the sign-up transaction to roll the new account back
+const INVITATION_USED = 'Invitation already used';
+
+// Register new user, with an invitation when registration is not open to
+// everyone. The account joins the invitation's tenant, or the one named by
+// its slug.
 router.post('/register', validate('register'), async (req, res) => {
   try {
-    const { username, email, password } = req.body;
+    const { username, email, password, inviteToken } = req.body;
+
+    let invitation = null;
+    let tenantId;
+    if (inviteToken) {
+      invitation = await findOpenInvitation(inviteToken);
+      if (!invitation) {
+        return res.status(400).json({ error: 'This invitation is invalid or has expired' });
+      }
+      if (invitation.email.toLowerCase() !== email.toLowerCase()) {
+        return res.status(400).json({ error: 'This invitation was sent to a different email address' });
+      }
+      tenantId = invitation.tenant_id;
+    } else {
+      const tenant = await findTenant(req.body.tenant);
+      if (!tenant) {
+        return res.status(400).json({ error: 'Organization not found' });
+      }
+      tenantId = tenant.id;
+
+      const registrationError = await getRegistrationError(email);
+      if (registrationError) {
+        return res.status(403).json({ error: registrationError });
+      }
+    }
 
     // Check if user already exists
-    db.get('SELECT id FROM users WHERE username = ? OR email = ?', [username, email], async (err, existingUser) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
+    const existingUser = await usersRepo.findByUsernameOrEmail(tenantId, username, email);
+    if (existingUser) {
+      return res.status(400).json({ error: 'Username or email already exists' });
+    }
+
+    const violations = await checkPassword(password, { username, email });
+    if (violations.length > 0) {
+      return res.status(400).json({ error: violations[0], details: violations });
+    }
+
+    // Hash password
+    const saltRounds = 10;
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+
+    // Insert new user. The invitation link was sent to the address, so an
+    // invited account starts verified and joins the invited groups.
+    const id = await withTransaction(async (repos) => {
+      const userId = await repos.usersRepo.create({ tenantId, username, email, passwordHash, emailVerified: !!invitation });
+      await recordPasswordChange(userId, passwordHash, repos);
+      if (invitation && !await acceptInvitation(invitation, userId, repos)) {
+        throw new Error(INVITATION_USED);
       }
+      return userId;
+    });
+    const user = await usersRepo.findById(id);
 
-      if (existingUser) {
-        return res.status(400).json({ error: 'Username or email already exists' });
+    const { mode } = await getVerificationPolicy();
+    if (!user.email_verified && mode !== 'off') {
+      // The account exists either way; the user can ask for another link
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Verification email failed:', error.message);
       }
+    }
 
-      // Hash password
-      const saltRounds = 10;
-      const passwordHash = await bcrypt.hash(password, saltRounds);
-
-      // Insert new user
-      db.run(
-        'INSERT INTO users (username, email, password_hash) VALUES (?, ?, ?)',
-        [username, email, passwordHash],
-        function(err) {
-          if (err) {
-            return res.status(500).json({ error: 'Failed to create user' });
-          }
-
-          const newUser = {
-            id: this.lastID,
-            username,
-            email
-          };
-
-          const token = generateToken(newUser);
-
-          res.status(201).json({
-            message: 'User created successfully',
-            user: newUser,
-            token
-          });
-        }
-      );
+    // Unverified accounts cannot sign in, so no session yet
+    if (!user.email_verified && mode === 'block') {
+      return res.status(201).json({
+        message: 'Account created. Check your email to verify your address before signing in.',
+        emailVerificationRequired: true,
+        user: toUserInfo(user)
+      });
+    }
+
+    res.status(201).json({
+      message: 'User created successfully',
+      ...(await createSession(user))
     });
   } catch (error) {
+    if (error.message === INVITATION_USED) {
+      return res.status(400).json({ error: 'This invitation is invalid or has expired' });
+    }
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Login user
+// Who may sign up, for the login page
+router.get('/registration', async (req, res) => {
+  try {
+    const { mode, allowedDomains } = await getRegistrationPolicy();
+    res.json({ mode, allowedDomains: mode === 'domain' ? allowedDomains : [] });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch registration settings' });
+  }
+});
+
+// Login user; usernames are looked up in the tenant named by its slug
 router.post('/login', validate('login'), async (req, res) => {
   try {
     const { username, password } = req.body;
 
-    // Find user by username
-    db.get('SELECT * FROM users WHERE username = ?', [username], async (err, user) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
+    // Find user by username. An unknown tenant fails like an unknown user.
+    const tenant = await findTenant(req.body.tenant);
+    const user = tenant && await usersRepo.findByUsername(tenant.id, username);
+    if (!user) {
+      await recordLoginFailure(req, { username, reason: 'unknown_user' });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Locked or still inside the back-off window: refuse before checking the password
+    const block = getLoginBlock(user);
+    if (block) {
+      return rejectBlockedLogin(req, res, user, block);
+    }
+
+    // Check password
+    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+    if (!isValidPassword) {
+      const lockout = await recordLoginFailure(req, { user, reason: 'invalid_password' });
+      if (lockout) {
+        return sendLoginBlock(res, lockout);
       }
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Only checked once the password is known to be right, so it reveals nothing
+    if (!user.email_verified && (await getVerificationPolicy()).mode === 'block') {
+      return res.status(403).json({
+        error: 'Verify your email address before signing in',
+        emailVerificationRequired: true
+      });
+    }
+
+    // Second factor: hand back a short-lived challenge token instead of a session
+    if (user.mfa_enabled) {
+      return res.json({
+        message: 'MFA verification required',
+        mfaRequired: true,
+        mfaToken: generatePurposeToken(user, 'mfa')
+      });
+    }
 
-      if (!user) {
-        return res.status(401).json({ error: 'Invalid credentials' });
+    // Group policy demands MFA but the user has not enrolled yet
+    if (await isMfaRequired(user.id)) {
+      return res.json({
+        message: 'MFA enrollment required',
+        mfaEnrollmentRequired: true,
+        mfaToken: generatePurposeToken(user, 'mfa_enroll', '15m')
+      });
+    }
+
+    // Each login starts a new refresh token family
+    res.json(await completeLogin(user));
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Complete a login with a TOTP code or recovery code
+router.post('/login/mfa', validate('mfaChallenge'), async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    const user = await verifyPurposeToken(mfaToken, 'mfa');
+    if (!user) {
+      return res.status(401).json({ error: 'MFA challenge expired, please sign in again' });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const block = getLoginBlock(user);
+    if (block) {
+      return rejectBlockedLogin(req, res, user, block);
+    }
+
+    if (!await verifySecondFactor(user, { code, recoveryCode })) {
+      const lockout = await recordLoginFailure(req, {
+        user,
+        reason: recoveryCode ? 'invalid_recovery_code' : 'invalid_mfa_code'
+      });
+      if (lockout) {
+        return sendLoginBlock(res, lockout);
       }
+      return res.status(401).json({ error: recoveryCode ? 'Invalid recovery code' : 'Invalid verification code' });
+    }
 
-      // Check password
-      const isValidPassword = await bcrypt.compare(password, user.password_hash);
-      if (!isValidPassword) {
-        return res.status(401).json({ error: 'Invalid credentials' });
+    res.json(await completeLogin(user));
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Password changes can be made from a normal session (confirming the current
+// password), or mid-login with the token handed out when a password has expired
+const authenticatePasswordChange = async (req, res, next) => {
+  if (!req.body.passwordChangeToken) {
+    return authenticateToken(req, res, async () => {
+      try {
+        req.passwordUser = await usersRepo.findById(req.user.id);
+        if (!req.passwordUser) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { currentPassword } = req.body;
+        if (!currentPassword || !await bcrypt.compare(currentPassword, req.passwordUser.password_hash)) {
+          return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+
+        next();
+      } catch (error) {
+        res.status(500).json({ error: 'Database error' });
       }
+    });
+  }
 
-      // Generate token
-      const userInfo = {
-        id: user.id,
-        username: user.username,
-        email: user.email
-      };
+  try {
+    const user = await verifyPurposeToken(req.body.passwordChangeToken, 'password_change');
+    if (!user) {
+      return res.status(401).json({ error: 'Password change expired, please sign in again' });
+    }
 
-      const token = generateToken(userInfo);
+    req.passwordUser = user;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+};
 
-      res.json({
-        message: 'Login successful',
-        user: userInfo,
-        token
-      });
+// Change the current user's password. Every other session is signed out and
+// a fresh session is returned.
+router.post('/change-password', validate('changePassword'), authenticatePasswordChange, async (req, res) => {
+  try {
+    const user = req.passwordUser;
+    const { newPassword } = req.body;
+
+    const violations = await checkPassword(newPassword, { username: user.username, email: user.email, user });
+    if (violations.length > 0) {
+      return res.status(400).json({ error: violations[0], details: violations });
+    }
+
+    const saltRounds = 10;
+    const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+
+    await withTransaction(async (repos) => {
+      await repos.usersRepo.update(user.id, { passwordHash, mustChangePassword: false });
+      await recordPasswordChange(user.id, passwordHash, repos);
+      await revokeUserSessions(user.id, repos);
+    });
+
+    const session = await createSession(await usersRepo.findById(user.id));
+
+    res.json({
+      message: 'Password changed successfully',
+      ...session
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Email a password reset link. The answer is the same whether or not the
+// address (or the tenant) has an account: the lookup and the email happen in
+// the background, so neither the response time nor a mail failure gives it
+// away.
+router.post('/forgot-password', passwordResetLimiter, validate('emailLink'), (req, res) => {
+  findTenant(req.body.tenant)
+    .then(tenant => tenant && requestPasswordReset(req, tenant.id, req.body.email))
+    .catch(error => console.error('Password reset email failed:', error.message));
+
+  res.json({ message: 'If an account uses that email, a reset link has been sent to it' });
+});
+
+// Check a reset link before asking for a new password
+router.post('/reset-password/verify', validate('emailToken'), async (req, res) => {
+  try {
+    const found = await findResetTokenUser(req.body.token);
+    if (!found) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+
+    res.json({ valid: true, user: toUserInfo(found.user) });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Set a new password with a reset token. Every session is signed out; the
+// user signs in again with the new password (and second factor, if enabled).
+router.post('/reset-password', validate('resetPassword'), async (req, res) => {
+  try {
+    const result = await resetPassword(req.body.token, req.body.newPassword);
+    if (result.error) {
+      return res.status(400).json({ error: result.error, ...(result.details && { details: result.details }) });
+    }
+
+    res.json({ message: 'Password has been reset, please sign in' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Confirm an email address with the token from a verification email
+router.post('/verify-email', validate('emailToken'), async (req, res) => {
+  try {
+    const result = await verifyEmail(req.body.token);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Email address verified',
+      user: toUserInfo(result.user)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to verify email address' });
+  }
+});
+
+// Send another verification email. The answer is the same whether or not the
+// address (or the tenant) has an unverified account.
+router.post('/verify-email/resend', verificationLimiter, validate('emailLink'), async (req, res) => {
+  try {
+    const tenant = await findTenant(req.body.tenant);
+    if (tenant) {
+      await resendVerificationEmail(tenant.id, req.body.email);
+    }
+    res.json({ message: 'If that address is waiting for verification, a new link has been sent to it' });
+  } catch (error) {
+    console.error('Verification email failed:', error.message);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Password rules for the client forms
+router.get('/password-policy', async (req, res) => {
+  try {
+    res.json(await getPasswordPolicy());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch password policy' });
+  }
+});
+
+// Exchange a refresh token for a new access token and a rotated refresh
+// token. A super-admin stays in the tenant they switched to by passing its
+// id; everyone else gets a token for their own tenant.
+router.post('/refresh', validate('refreshToken'), async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    const user = await usersRepo.findById(result.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    // Sessions end when the password must be changed; the next login asks for a new one
+    if (user.must_change_password || await isPasswordExpired(user)) {
+      return res.status(401).json({ error: 'Your password must be changed, please sign in again' });
+    }
+
+    const { tenantId } = req.body;
+    const switched = tenantId && tenantId !== user.tenant_id && user.is_super_admin &&
+      await tenantsRepo.findById(tenantId);
+
+    res.json({
+      user: toUserInfo(user),
+      token: generateToken(user, switched ? tenantId : user.tenant_id),
+      refreshToken: result.refreshToken
     });
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Logout - revoke the refresh token and every token rotated from the same login
+router.post('/logout', validate('refreshToken'), async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Sign the current user out of every session
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id);
+    res.json({ message: 'Signed out of all sessions' });
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get current user's permissions
-router.get('/me/permissions', authenticateToken, (req, res) => {
-  getUserPermissions(req.user.id, (err, permissions) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to fetch permissions' });
+router.get('/me/permissions', authenticateToken, async (req, res) => {
+  try {
+    const user = await usersRepo.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
+    // Conditional grants count if their conditions hold for this request
+    const context = requestContext(req);
+    const permissions = await getUserPermissions(user.id, context);
+
     res.json({
-      user: req.user,
-      permissions
+      user: toUserInfo(user),
+      // The tenant this session acts in, which a super-admin may switch
+      tenant: await tenantsRepo.findById(req.tenantId),
+      isSuperAdmin: req.user.isSuperAdmin,
+      permissions,
+      // Actions a role explicitly denies, whatever other roles allow
+      deniedPermissions: await getDeniedPermissions(user.id, context),
+      // Allows and denies that apply only to some instances of a module
+      resourcePermissions: await getResourcePermissions(user.id, context),
+      // Permissions stay empty until the address is verified
+      emailVerificationRequired: await isVerificationPending(user)
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch permissions' });
+  }
 });
 
 // Simulate action - test if user can perform action
-router.post('/simulate-action', authenticateToken, validate('simulateAction'), (req, res) => {
-  const { userId, module, action } = req.body;
-
-  // Query to check if user has permission
-  const query = `
-    SELECT COUNT(*) as count
-    FROM user_groups ug
-    JOIN group_roles gr ON ug.group_id = gr.group_id
-    JOIN role_permissions rp ON gr.role_id = rp.role_id
-    JOIN permissions p ON rp.permission_id = p.id
-    JOIN modules m ON p.module_id = m.id
-    WHERE ug.user_id = ? AND m.name = ? AND p.action = ?
-  `;
+router.post('/simulate-action', authenticateToken, validate('simulateAction'), async (req, res) => {
+  try {
+    const { userId, module, action, resource, ip, at } = req.body;
+    const target = resource === undefined ? module : `${module} ${resource}`;
 
-  db.get(query, [userId, module, action], (err, row) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
+    if (!await usersRepo.findInTenant(req.tenantId, userId)) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const hasPermission = row.count > 0;
+    // Conditions are evaluated for the given client address and moment,
+    // defaulting to this request's
+    const context = {
+      ip: ip || req.ip,
+      now: at ? new Date(at).getTime() : Date.now(),
+      tenantId: req.tenantId
+    };
+
+    const { allowed, reason, grants } = await evaluatePermission(userId, module, action,
+      resource === undefined ? undefined : String(resource), context);
+
+    // Denies whose conditions held, naming the role (and policy) behind each
+    const deniedBy = grants
+      .filter(grant => grant.effect === 'deny' && grant.condition_met !== false)
+      .map(grant => {
+        let via = `via ${grant.group_name}`;
+        if (grant.direct) {
+          via = 'assigned directly';
+        } else if (grant.via_subgroup) {
+          via = `via ${grant.group_name} through subgroup ${grant.via_subgroup}`;
+        }
+        const source = grant.policy_name ? `${grant.role_name} policy ${grant.policy_name}` : grant.role_name;
+        return grant.inherited_by
+          ? `${source} (inherited by ${grant.inherited_by}, ${via})`
+          : `${source} (${via})`;
+      });
+
+    const messages = {
+      allowed: `User can ${action} on ${target}`,
+      explicit_deny: `User cannot ${action} on ${target}: denied by ${deniedBy.join(', ')}`,
+      not_granted: `User cannot ${action} on ${target}`,
+      condition_not_met: `User cannot ${action} on ${target}: conditions not met (${grants
+        .filter(grant => grant.effect === 'allow')
+        .map(grant => grant.condition)
+        .join('; ')})`,
+      email_unverified: `User cannot ${action} on ${target} until their email address is verified`
+    };
 
     res.json({
       userId,
       module,
       action,
-      hasPermission,
-      message: hasPermission 
-        ? `User can ${action} on ${module}` 
-        : `User cannot ${action} on ${module}`
+      resource: resource === undefined ? null : String(resource),
+      // The request.* attributes the conditions were evaluated against
+      request: describeRequest(context),
+      hasPermission: allowed,
+      reason,
+      grants,
+      message: messages[reason]
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
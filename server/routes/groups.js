@@ -1,360 +1,381 @@
 const express = require('express');
-const { db } = require('../database/setup');
-const { authenticateToken, checkPermission } = require('../middleware/auth');
+const { groupsRepo, usersRepo, rolesRepo, withTransaction } = require('../repositories');
+const {
+  authenticateToken,
+  checkPermission,
+  checkResourcePermission,
+  checkPermissionOnAny,
+  filterPermitted,
+  requestContext,
+  checkGrantBoundary,
+  checkDenyRemoval,
+  loadAssignableGrants,
+  loadMembershipGrants
+} = require('../middleware/auth');
 const { validate, validateId } = require('../middleware/validation');
+const { getDescendantIds, findCycle } = require('../services/hierarchy');
+const { parseValidity } = require('../services/grantValidity');
+const { findNewConflicts, conflictResponse } = require('../services/separationOfDuties');
 
 const router = express.Router();
 
-// Get all groups
-router.get('/', authenticateToken, checkPermission('Groups', 'read'), (req, res) => {
-  const query = `
-    SELECT g.id, g.name, g.description, g.created_at,
-           COUNT(DISTINCT ug.user_id) as user_count,
-           COUNT(DISTINCT gr.role_id) as role_count
-    FROM groups g
-    LEFT JOIN user_groups ug ON g.id = ug.group_id
-    LEFT JOIN group_roles gr ON g.id = gr.group_id
-    GROUP BY g.id, g.name, g.description, g.created_at
-    ORDER BY g.name
-  `;
-
-  db.all(query, (err, groups) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to fetch groups' });
-    }
-
-    res.json(groups);
-  });
+// Get all groups, or only those the user's resource-scoped grants cover
+router.get('/', authenticateToken, checkPermissionOnAny('Groups', 'read'), async (req, res) => {
+  try {
+    const groups = await groupsRepo.findAllWithCounts(req.tenantId);
+    res.json(await filterPermitted(req.user.id, 'Groups', 'read', groups, requestContext(req)));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch groups' });
+  }
 });
 
-// Get group by ID with users and roles
-router.get('/:id', authenticateToken, checkPermission('Groups', 'read'), validateId, (req, res) => {
-  const groupId = req.params.id;
-
-  // Get group details
-  db.get('SELECT * FROM groups WHERE id = ?', [groupId], (err, group) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to fetch group' });
-    }
+// Get group by ID with direct and inherited members, subgroups and roles
+router.get('/:id', authenticateToken, checkResourcePermission('Groups', 'read'), validateId, async (req, res) => {
+  try {
+    const groupId = req.params.id;
 
+    // Get group details
+    const group = await groupsRepo.findById(req.tenantId, groupId);
     if (!group) {
       return res.status(404).json({ error: 'Group not found' });
     }
 
-    // Get users in this group
-    const usersQuery = `
-      SELECT u.id, u.username, u.email
-      FROM users u
-      JOIN user_groups ug ON u.id = ug.user_id
-      WHERE ug.group_id = ?
-      ORDER BY u.username
-    `;
-
-    db.all(usersQuery, [groupId], (err, users) => {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to fetch group users' });
-      }
+    // Get users in this group and roles assigned to it
+    const users = await groupsRepo.findUsers(groupId);
+    const roles = await groupsRepo.findRoles(groupId);
+    const subgroups = await groupsRepo.findSubgroups(groupId);
+    const parentGroups = await groupsRepo.findParentGroups(groupId);
+
+    // Members of nested subgroups, once each, with the subgroup they are in
+    const descendantIds = getDescendantIds(group.id, await groupsRepo.findAllSubgroupLinks());
+    const nestedMembers = descendantIds.length > 0
+      ? await groupsRepo.findUsersInGroups(descendantIds)
+      : [];
+    const inheritedUsers = nestedMembers.filter((member, index) =>
+      !users.some(user => user.id === member.id) &&
+      nestedMembers.findIndex(other => other.id === member.id) === index
+    );
 
-      // Get roles assigned to this group
-      const rolesQuery = `
-        SELECT r.id, r.name, r.description
-        FROM roles r
-        JOIN group_roles gr ON r.id = gr.role_id
-        WHERE gr.group_id = ?
-        ORDER BY r.name
-      `;
-
-      db.all(rolesQuery, [groupId], (err, roles) => {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to fetch group roles' });
-        }
-
-        res.json({
-          ...group,
-          users,
-          roles
-        });
-      });
+    res.json({
+      ...group,
+      users,
+      inheritedUsers,
+      subgroups,
+      parentGroups,
+      roles
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch group' });
+  }
 });
 
 // Create new group
-router.post('/', authenticateToken, checkPermission('Groups', 'create'), validate('group'), (req, res) => {
-  const { name, description } = req.body;
-
-  // Check if group name already exists
-  db.get('SELECT id FROM groups WHERE name = ?', [name], (err, existingGroup) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
+router.post('/', authenticateToken, checkPermission('Groups', 'create'), validate('group'), async (req, res) => {
+  try {
+    const { name, description, mfaRequired } = req.body;
 
-    if (existingGroup) {
+    // Check if group name already exists
+    if (await groupsRepo.findByName(req.tenantId, name)) {
       return res.status(400).json({ error: 'Group name already exists' });
     }
 
     // Insert new group
-    db.run(
-      'INSERT INTO groups (name, description) VALUES (?, ?)',
-      [name, description || null],
-      function(err) {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to create group' });
-        }
-
-        res.status(201).json({
-          id: this.lastID,
-          name,
-          description: description || null,
-          message: 'Group created successfully'
-        });
-      }
-    );
-  });
+    const id = await groupsRepo.create({ tenantId: req.tenantId, name, description, mfaRequired });
+
+    res.status(201).json({
+      id,
+      name,
+      description: description || null,
+      mfa_required: mfaRequired ? 1 : 0,
+      message: 'Group created successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create group' });
+  }
 });
 
 // Update group
-router.put('/:id', authenticateToken, checkPermission('Groups', 'update'), validateId, validate('group'), (req, res) => {
-  const groupId = req.params.id;
-  const { name, description } = req.body;
-
-  // Check if group exists
-  db.get('SELECT * FROM groups WHERE id = ?', [groupId], (err, group) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
+router.put('/:id', authenticateToken, checkResourcePermission('Groups', 'update'), validateId, validate('group'), async (req, res) => {
+  try {
+    const groupId = req.params.id;
+    const { name, description, mfaRequired } = req.body;
 
+    // Check if group exists
+    const group = await groupsRepo.findById(req.tenantId, groupId);
     if (!group) {
       return res.status(404).json({ error: 'Group not found' });
     }
 
     // Check if name is taken by another group
-    db.get('SELECT id FROM groups WHERE name = ? AND id != ?', [name, groupId], (err, existingGroup) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      if (existingGroup) {
-        return res.status(400).json({ error: 'Group name already exists' });
-      }
+    if (await groupsRepo.isNameTaken(req.tenantId, name, groupId)) {
+      return res.status(400).json({ error: 'Group name already exists' });
+    }
 
-      // Update group
-      db.run(
-        'UPDATE groups SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [name, description || null, groupId],
-        function(err) {
-          if (err) {
-            return res.status(500).json({ error: 'Failed to update group' });
-          }
-
-          res.json({ message: 'Group updated successfully' });
-        }
-      );
+    // Keep the MFA policy unless the request changes it
+    await groupsRepo.update(groupId, {
+      name,
+      description,
+      mfaRequired: mfaRequired === undefined ? !!group.mfa_required : mfaRequired
     });
-  });
+
+    res.json({ message: 'Group updated successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update group' });
+  }
 });
 
 // Delete group
-router.delete('/:id', authenticateToken, checkPermission('Groups', 'delete'), validateId, (req, res) => {
-  const groupId = req.params.id;
-
-  // Check if group exists
-  db.get('SELECT id FROM groups WHERE id = ?', [groupId], (err, group) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
+router.delete('/:id', authenticateToken, checkResourcePermission('Groups', 'delete'), validateId, async (req, res) => {
+  try {
+    const groupId = req.params.id;
 
+    // Check if group exists
+    const group = await groupsRepo.findById(req.tenantId, groupId);
     if (!group) {
       return res.status(404).json({ error: 'Group not found' });
     }
 
+    // Members lose the denies of the group's roles
+    const violation = await checkDenyRemoval(req, await loadMembershipGrants(group.id), `delete ${group.name}`);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
+
     // Delete group (CASCADE will handle related records)
-    db.run('DELETE FROM groups WHERE id = ?', [groupId], function(err) {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to delete group' });
-      }
+    await groupsRepo.delete(groupId);
 
-      res.json({ message: 'Group deleted successfully' });
-    });
-  });
+    res.json({ message: 'Group deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete group' });
+  }
 });
 
 // Assign users to group
-router.post('/:id/users', authenticateToken, checkPermission('Groups', 'update'), validateId, validate('assignUsers'), (req, res) => {
-  const groupId = req.params.id;
-  const { userIds } = req.body;
-
-  // Check if group exists
-  db.get('SELECT id FROM groups WHERE id = ?', [groupId], (err, group) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
+router.post('/:id/users', authenticateToken, checkResourcePermission('Groups', 'update'), validateId, validate('assignUsers'), async (req, res) => {
+  try {
+    const groupId = req.params.id;
+    const { userIds } = req.body;
 
+    // Check if group exists
+    const group = await groupsRepo.findById(req.tenantId, groupId);
     if (!group) {
       return res.status(404).json({ error: 'Group not found' });
     }
 
     // Verify all users exist
-    const placeholders = userIds.map(() => '?').join(',');
-    db.all(`SELECT id FROM users WHERE id IN (${placeholders})`, userIds, (err, users) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      if (users.length !== userIds.length) {
-        return res.status(400).json({ error: 'One or more users not found' });
-      }
+    const users = await usersRepo.findByIds(req.tenantId, userIds);
+    if (users.length !== userIds.length) {
+      return res.status(400).json({ error: 'One or more users not found' });
+    }
 
-      // Remove existing assignments for these users to this group
-      db.run(`DELETE FROM user_groups WHERE group_id = ? AND user_id IN (${placeholders})`, 
-        [groupId, ...userIds], (err) => {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to clear existing assignments' });
-        }
-
-        // Add new assignments
-        const stmt = db.prepare('INSERT INTO user_groups (user_id, group_id) VALUES (?, ?)');
-        let completed = 0;
-        let hasError = false;
-
-        userIds.forEach(userId => {
-          stmt.run(userId, groupId, (err) => {
-            if (err && !hasError) {
-              hasError = true;
-              return res.status(500).json({ error: 'Failed to assign users to group' });
-            }
-
-            completed++;
-            if (completed === userIds.length && !hasError) {
-              res.json({ message: 'Users assigned to group successfully' });
-            }
-          });
-        });
+    // New members receive the group's roles, so the requester must be able
+    // to grant them
+    const violation = await checkGrantBoundary(req, await loadMembershipGrants(group.id), `add members to ${group.name}`);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
 
-        stmt.finalize();
-      });
+    // Refuse members who would end up holding two roles a
+    // separation-of-duties rule keeps apart
+    const conflicts = await findNewConflicts(req.tenantId, {
+      memberships: userIds.map(userId => ({ user_id: userId, group_id: group.id }))
     });
-  });
+    if (conflicts.length > 0) {
+      return res.status(400).json(conflictResponse(conflicts));
+    }
+
+    // Replace memberships atomically so a failure leaves nothing half-assigned;
+    // re-assigning also replaces the validity window
+    await withTransaction(repos => repos.groupsRepo.assignUsers(groupId, userIds, parseValidity(req.body)));
+
+    res.json({ message: 'Users assigned to group successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to assign users to group' });
+  }
 });
 
 // Remove users from group
-router.delete('/:id/users', authenticateToken, checkPermission('Groups', 'update'), validateId, validate('assignUsers'), (req, res) => {
-  const groupId = req.params.id;
-  const { userIds } = req.body;
-
-  // Check if group exists
-  db.get('SELECT id FROM groups WHERE id = ?', [groupId], (err, group) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
+router.delete('/:id/users', authenticateToken, checkResourcePermission('Groups', 'update'), validateId, validate('assignUsers'), async (req, res) => {
+  try {
+    const groupId = req.params.id;
+    const { userIds } = req.body;
 
+    // Check if group exists
+    const group = await groupsRepo.findById(req.tenantId, groupId);
     if (!group) {
       return res.status(404).json({ error: 'Group not found' });
     }
 
-    // Remove users from group
-    const placeholders = userIds.map(() => '?').join(',');
-    db.run(`DELETE FROM user_groups WHERE group_id = ? AND user_id IN (${placeholders})`, 
-      [groupId, ...userIds], function(err) {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to remove users from group' });
-      }
+    // Removed members lose the denies of the group's roles
+    const violation = await checkDenyRemoval(req, await loadMembershipGrants(group.id), `remove members from ${group.name}`);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
 
-      res.json({ 
-        message: 'Users removed from group successfully',
-        removedCount: this.changes
-      });
+    const removedCount = await groupsRepo.removeUsers(groupId, userIds);
+
+    res.json({ 
+      message: 'Users removed from group successfully',
+      removedCount
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove users from group' });
+  }
 });
 
 // Assign roles to group
-router.post('/:id/roles', authenticateToken, checkPermission('Groups', 'update'), validateId, validate('assignRoles'), (req, res) => {
-  const groupId = req.params.id;
-  const { roleIds } = req.body;
-
-  // Check if group exists
-  db.get('SELECT id FROM groups WHERE id = ?', [groupId], (err, group) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
+router.post('/:id/roles', authenticateToken, checkResourcePermission('Groups', 'update'), validateId, validate('assignRoles'), async (req, res) => {
+  try {
+    const groupId = req.params.id;
+    const { roleIds } = req.body;
 
+    // Check if group exists
+    const group = await groupsRepo.findById(req.tenantId, groupId);
     if (!group) {
       return res.status(404).json({ error: 'Group not found' });
     }
 
     // Verify all roles exist
-    const placeholders = roleIds.map(() => '?').join(',');
-    db.all(`SELECT id FROM roles WHERE id IN (${placeholders})`, roleIds, (err, roles) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      if (roles.length !== roleIds.length) {
-        return res.status(400).json({ error: 'One or more roles not found' });
-      }
+    const roles = await rolesRepo.findByIds(req.tenantId, roleIds);
+    if (roles.length !== roleIds.length) {
+      return res.status(400).json({ error: 'One or more roles not found' });
+    }
 
-      // Remove existing assignments
-      db.run(`DELETE FROM group_roles WHERE group_id = ? AND role_id IN (${placeholders})`, 
-        [groupId, ...roleIds], (err) => {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to clear existing assignments' });
-        }
-
-        // Add new assignments
-        const stmt = db.prepare('INSERT INTO group_roles (group_id, role_id) VALUES (?, ?)');
-        let completed = 0;
-        let hasError = false;
-
-        roleIds.forEach(roleId => {
-          stmt.run(groupId, roleId, (err) => {
-            if (err && !hasError) {
-              hasError = true;
-              return res.status(500).json({ error: 'Failed to assign roles to group' });
-            }
-
-            completed++;
-            if (completed === roleIds.length && !hasError) {
-              res.json({ message: 'Roles assigned to group successfully' });
-            }
-          });
-        });
+    // Refuse roles that hold more than the requester may grant, e.g. Admin
+    // attached to the requester's own group
+    const violation = await checkGrantBoundary(req, await loadAssignableGrants(roleIds),
+      `assign ${roles.map(role => role.name).join(', ')} to ${group.name}`);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
 
-        stmt.finalize();
-      });
+    const conflicts = await findNewConflicts(req.tenantId, {
+      groupRoles: roleIds.map(roleId => ({ group_id: group.id, role_id: roleId }))
     });
-  });
+    if (conflicts.length > 0) {
+      return res.status(400).json(conflictResponse(conflicts));
+    }
+
+    // Replace role assignments (and their validity window) atomically
+    await withTransaction(repos => repos.groupsRepo.assignRoles(groupId, roleIds, parseValidity(req.body)));
+
+    res.json({ message: 'Roles assigned to group successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to assign roles to group' });
+  }
 });
 
 // Remove roles from group
-router.delete('/:id/roles', authenticateToken, checkPermission('Groups', 'update'), validateId, validate('assignRoles'), (req, res) => {
-  const groupId = req.params.id;
-  const { roleIds } = req.body;
-
-  // Check if group exists
-  db.get('SELECT id FROM groups WHERE id = ?', [groupId], (err, group) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
+router.delete('/:id/roles', authenticateToken, checkResourcePermission('Groups', 'update'), validateId, validate('assignRoles'), async (req, res) => {
+  try {
+    const groupId = req.params.id;
+    const { roleIds } = req.body;
+
+    // Check if group exists
+    const group = await groupsRepo.findById(req.tenantId, groupId);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const roles = await rolesRepo.findByIds(req.tenantId, roleIds);
+    if (roles.length > 0) {
+      const violation = await checkDenyRemoval(req, await loadAssignableGrants(roles.map(role => role.id)),
+        `remove ${roles.map(role => role.name).join(', ')} from ${group.name}`);
+      if (violation) {
+        return res.status(403).json(violation);
+      }
     }
 
+    const removedCount = await groupsRepo.removeRoles(groupId, roleIds);
+
+    res.json({ 
+      message: 'Roles removed from group successfully',
+      removedCount
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove roles from group' });
+  }
+});
+
+// Nest groups inside this group; their members become members of it
+router.post('/:id/subgroups', authenticateToken, checkResourcePermission('Groups', 'update'), validateId, validate('assignSubgroups'), async (req, res) => {
+  try {
+    const { groupIds } = req.body;
+
+    // Check if group exists
+    const group = await groupsRepo.findById(req.tenantId, req.params.id);
     if (!group) {
       return res.status(404).json({ error: 'Group not found' });
     }
 
-    // Remove roles from group
-    const placeholders = roleIds.map(() => '?').join(',');
-    db.run(`DELETE FROM group_roles WHERE group_id = ? AND role_id IN (${placeholders})`, 
-      [groupId, ...roleIds], function(err) {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to remove roles from group' });
+    // Verify all subgroups exist
+    const subgroups = await groupsRepo.findByIds(req.tenantId, groupIds);
+    if (subgroups.length !== groupIds.length) {
+      return res.status(400).json({ error: 'One or more groups not found' });
+    }
+
+    // Refuse any nesting that would put a group inside itself
+    const links = await groupsRepo.findAllSubgroupLinks();
+    for (const subgroupId of groupIds) {
+      const cycle = findCycle(subgroupId, group.id, links);
+      if (cycle) {
+        const groups = await groupsRepo.findByIds(req.tenantId, [...new Set(cycle)]);
+        const names = cycle.map(id => groups.find(g => g.id === id)?.name || id);
+        return res.status(400).json({
+          error: `Group nesting cycle: ${names.join(' → ')}`,
+          cycle: names
+        });
       }
+    }
+
+    // Members of the subgroups receive this group's roles
+    const violation = await checkGrantBoundary(req, await loadMembershipGrants(group.id), `nest groups in ${group.name}`);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
+
+    const conflicts = await findNewConflicts(req.tenantId, {
+      groupLinks: groupIds.map(subgroupId => ({ child_id: subgroupId, parent_id: group.id }))
+    });
+    if (conflicts.length > 0) {
+      return res.status(400).json(conflictResponse(conflicts));
+    }
+
+    await withTransaction(repos => repos.groupsRepo.addSubgroups(group.id, groupIds));
+
+    res.json({ message: 'Subgroups added to group successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to add subgroups to group' });
+  }
+});
+
+// Remove subgroups from group
+router.delete('/:id/subgroups', authenticateToken, checkResourcePermission('Groups', 'update'), validateId, validate('assignSubgroups'), async (req, res) => {
+  try {
+    const groupId = req.params.id;
+    const { groupIds } = req.body;
+
+    // Check if group exists
+    const group = await groupsRepo.findById(req.tenantId, groupId);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    // Members of the removed subgroups lose the denies of this group's roles
+    const violation = await checkDenyRemoval(req, await loadMembershipGrants(group.id), `remove subgroups from ${group.name}`);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
+
+    const removedCount = await groupsRepo.removeSubgroups(groupId, groupIds);
 
-      res.json({ 
-        message: 'Roles removed from group successfully',
-        removedCount: this.changes
-      });
+    res.json({
+      message: 'Subgroups removed from group successfully',
+      removedCount
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove subgroups from group' });
+  }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require('express');
+const { usersRepo, groupsRepo, invitationsRepo } = require('../repositories');
+const { authenticateToken, checkPermission, checkGrantBoundary, loadMembershipGrants } = require('../middleware/auth');
+const { validate, validateId } = require('../middleware/validation');
+const {
+  getInvitationStatus,
+  createInvitation,
+  renewInvitation,
+  findOpenInvitation
+} = require('../services/invitations');
+const { findMemberConflicts, conflictResponse } = require('../services/separationOfDuties');
+
+const router = express.Router();
+
+// Inviting people is account administration, so it is guarded by Users
+// permissions. Users:create covers managing invitations as a whole: sending,
+// resending and revoking them.
+
+// What to tell the inviter about the invitation email. When it could not be
+// sent the invitation still stands and its link is in the response.
+const deliveryMessage = ({ emailSent }, sendEmail, email, done) => {
+  if (emailSent) {
+    return `Invitation sent to ${email}`;
+  }
+  return sendEmail === false
+    ? done
+    : `${done}, but the email to ${email} could not be sent; share the link instead`;
+};
+
+// Whoever issues an invitation link hands out membership of its groups: the
+// invitee joins them on sign-up, receiving their roles. Null when the
+// requester may do so, otherwise the status and body to refuse with.
+const checkInvitedGroups = async (req, groups, email) => {
+  const grants = [];
+  for (const group of groups) {
+    grants.push(...await loadMembershipGrants(group.id));
+  }
+  const violation = await checkGrantBoundary(req, grants,
+    `invite someone into ${groups.map(group => group.name).join(', ')}`);
+  if (violation) {
+    return { status: 403, body: violation };
+  }
+
+  const conflicts = await findMemberConflicts(req.tenantId, groups.map(group => group.id));
+  if (conflicts.length > 0) {
+    return { status: 400, body: conflictResponse(conflicts, email) };
+  }
+  return null;
+};
+
+// Look up an invitation link before showing the sign-up form (no session needed)
+router.post('/verify', validate('emailToken'), async (req, res) => {
+  try {
+    const invitation = await findOpenInvitation(req.body.token);
+    if (!invitation) {
+      return res.status(400).json({ error: 'This invitation is invalid or has expired' });
+    }
+
+    res.json({
+      email: invitation.email,
+      expiresAt: invitation.expires_at
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get all invitations
+router.get('/', authenticateToken, checkPermission('Users', 'read'), async (req, res) => {
+  try {
+    const invitations = await invitationsRepo.findAllWithGroups(req.tenantId);
+    res.json(invitations.map(invitation => ({
+      ...invitation,
+      status: getInvitationStatus(invitation)
+    })));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Invite an email address, optionally into some groups. The response carries
+// the redeem link, which cannot be fetched again later.
+router.post('/', authenticateToken, checkPermission('Users', 'create'), validate('invitation'), async (req, res) => {
+  try {
+    const { email, groupIds = [], expiresInDays, sendEmail } = req.body;
+
+    if (await usersRepo.findByEmail(req.tenantId, email)) {
+      return res.status(400).json({ error: 'A user with this email already exists' });
+    }
+
+    if (groupIds.length > 0) {
+      const groups = await groupsRepo.findByIds(req.tenantId, groupIds);
+      if (groups.length !== groupIds.length) {
+        return res.status(400).json({ error: 'One or more groups not found' });
+      }
+
+      const refusal = await checkInvitedGroups(req, groups, email);
+      if (refusal) {
+        return res.status(refusal.status).json(refusal.body);
+      }
+    }
+
+    const invitation = await createInvitation({
+      tenantId: req.tenantId,
+      email,
+      groupIds,
+      expiresInDays,
+      sendEmail,
+      inviter: req.user
+    });
+
+    res.status(201).json({
+      ...invitation,
+      email,
+      message: deliveryMessage(invitation, sendEmail, email, 'Invitation created')
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+});
+
+// Send an open invitation again with a fresh link and expiry. The new link
+// hands out the invitation's groups again, so the requester must be allowed
+// to invite into them just as when creating one.
+router.post('/:id/resend', authenticateToken, checkPermission('Users', 'create'), validateId, validate('invitationResend'), async (req, res) => {
+  try {
+    const invitation = await invitationsRepo.findById(req.tenantId, req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    // Groups deleted since the invitation was sent have already dropped out
+    const groupIds = await invitationsRepo.findGroupIds(invitation.id);
+    if (groupIds.length > 0) {
+      const refusal = await checkInvitedGroups(req, await groupsRepo.findByIds(req.tenantId, groupIds), invitation.email);
+      if (refusal) {
+        return res.status(refusal.status).json(refusal.body);
+      }
+    }
+
+    const renewed = await renewInvitation(invitation, { ...req.body, inviter: req.user });
+    if (!renewed) {
+      return res.status(400).json({ error: 'Only open invitations can be sent again' });
+    }
+
+    res.json({
+      ...renewed,
+      message: deliveryMessage(renewed, req.body.sendEmail, invitation.email, 'Invitation renewed')
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to resend invitation' });
+  }
+});
+
+// Revoke an invitation so its link stops working
+router.delete('/:id', authenticateToken, checkPermission('Users', 'create'), validateId, async (req, res) => {
+  try {
+    const invitation = await invitationsRepo.findById(req.tenantId, req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const result = await invitationsRepo.revoke(invitation.id);
+    if (result.changes === 0) {
+      return res.status(400).json({ error: 'Invitation has already been accepted or revoked' });
+    }
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { usersRepo } = require('../repositories');
+const { authenticateToken, verifyPurposeToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { completeLogin } = require('../services/sessions');
+const {
+  isMfaRequired,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableMfa,
+  getMfaStatus
+} = require('../services/mfa');
+
+const router = express.Router();
+
+// Load the full user row for the signed-in user
+const loadUser = async (req, res, next) => {
+  try {
+    req.mfaUser = await usersRepo.findById(req.user.id);
+    if (!req.mfaUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+};
+
+// Enrollment can be done from a normal session, or mid-login with the
+// enrollment token handed out when group policy requires MFA
+const authenticateEnrollment = async (req, res, next) => {
+  if (!req.body.mfaToken) {
+    return authenticateToken(req, res, () => loadUser(req, res, next));
+  }
+
+  try {
+    const user = await verifyPurposeToken(req.body.mfaToken, 'mfa_enroll');
+    if (!user) {
+      return res.status(401).json({ error: 'MFA enrollment expired, please sign in again' });
+    }
+
+    req.mfaUser = user;
+    req.enrollingDuringLogin = true;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: 'Database error' });
+  }
+};
+
+// Get MFA status for the current user
+router.get('/status', authenticateToken, loadUser, async (req, res) => {
+  try {
+    res.json(await getMfaStatus(req.mfaUser));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch MFA status' });
+  }
+});
+
+// Begin enrollment - returns the secret, provisioning URI and QR code
+router.post('/setup', validate('mfaSetup'), authenticateEnrollment, async (req, res) => {
+  try {
+    if (req.mfaUser.mfa_enabled) {
+      return res.status(400).json({ error: 'MFA is already enabled' });
+    }
+
+    const enrollment = await startEnrollment(req.mfaUser);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then verify a code',
+      ...enrollment
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to start MFA enrollment' });
+  }
+});
+
+// Finish enrollment with a code from the authenticator app
+router.post('/verify', validate('mfaVerify'), authenticateEnrollment, async (req, res) => {
+  try {
+    if (req.mfaUser.mfa_enabled) {
+      return res.status(400).json({ error: 'MFA is already enabled' });
+    }
+
+    // Re-read the user to pick up the secret stored by /setup
+    const user = await usersRepo.findById(req.mfaUser.id);
+    const recoveryCodes = await confirmEnrollment(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    const response = {
+      message: 'MFA enabled successfully',
+      recoveryCodes
+    };
+
+    // Enrolling was the last step of a login: finish it now
+    if (req.enrollingDuringLogin) {
+      const { message, ...login } = await completeLogin(user);
+      Object.assign(response, login);
+    }
+
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to verify MFA code' });
+  }
+});
+
+// Replace recovery codes; requires a current TOTP code
+router.post('/recovery-codes', authenticateToken, loadUser, validate('mfaVerify'), async (req, res) => {
+  try {
+    if (!await verifySecondFactor(req.mfaUser, { code: req.body.code })) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.mfaUser.id);
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+// Turn MFA off; requires the account password and is refused when group policy requires MFA
+router.post('/disable', authenticateToken, loadUser, validate('mfaDisable'), async (req, res) => {
+  try {
+    if (!req.mfaUser.mfa_enabled) {
+      return res.status(400).json({ error: 'MFA is not enabled' });
+    }
+
+    if (await isMfaRequired(req.mfaUser.id)) {
+      return res.status(400).json({ error: 'MFA is required by your group policy' });
+    }
+
+    const isValidPassword = await bcrypt.compare(req.body.password, req.mfaUser.password_hash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    await disableMfa(req.mfaUser.id);
+
+    res.json({ message: 'MFA disabled successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to disable MFA' });
+  }
+});
+
+module.exports = router;
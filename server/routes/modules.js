@@ -1,178 +1,222 @@
 const express = require('express');
-const { db } = require('../database/setup');
-const { authenticateToken, checkPermission } = require('../middleware/auth');
+const { modulesRepo, permissionsRepo, withTransaction } = require('../repositories');
+const { DEFAULT_ACTIONS } = require('../repositories/modulesRepo');
+const { authenticateToken, checkPermission, checkGrantBoundary, checkDenyRemoval } = require('../middleware/auth');
 const { validate, validateId } = require('../middleware/validation');
+const { WILDCARD } = require('../services/permissionPatterns');
 
 const router = express.Router();
 
-// Get all modules
-router.get('/', authenticateToken, checkPermission('Modules', 'read'), (req, res) => {
-  const query = `
-    SELECT m.id, m.name, m.description, m.created_at,
-           COUNT(p.id) as permission_count
-    FROM modules m
-    LEFT JOIN permissions p ON m.id = p.module_id
-    GROUP BY m.id, m.name, m.description, m.created_at
-    ORDER BY m.name
-  `;
-
-  db.all(query, (err, modules) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to fetch modules' });
-    }
+// The role grants of a module's permissions, or of one action's
+const findModuleGrants = async (moduleId, action) => {
+  const permissionIds = (await modulesRepo.findPermissions(moduleId))
+    .filter(permission => action === undefined || permission.action === action)
+    .map(permission => permission.id);
+  return permissionIds.length > 0 ? permissionsRepo.findGrants(permissionIds) : [];
+};
 
+// Get all modules
+router.get('/', authenticateToken, checkPermission('Modules', 'read'), async (req, res) => {
+  try {
+    const modules = await modulesRepo.findAllWithCounts(req.tenantId);
     res.json(modules);
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch modules' });
+  }
 });
 
-// Get module by ID with permissions
-router.get('/:id', authenticateToken, checkPermission('Modules', 'read'), validateId, (req, res) => {
-  const moduleId = req.params.id;
-
-  // Get module details
-  db.get('SELECT * FROM modules WHERE id = ?', [moduleId], (err, module) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to fetch module' });
-    }
+// Get module by ID with its action catalogue and permissions
+router.get('/:id', authenticateToken, checkPermission('Modules', 'read'), validateId, async (req, res) => {
+  try {
+    const moduleId = req.params.id;
 
+    // Get module details
+    const module = await modulesRepo.findById(req.tenantId, moduleId);
     if (!module) {
       return res.status(404).json({ error: 'Module not found' });
     }
 
-    // Get permissions for this module
-    const permissionsQuery = `
-      SELECT p.id, p.action, p.created_at
-      FROM permissions p
-      WHERE p.module_id = ?
-      ORDER BY p.action
-    `;
-
-    db.all(permissionsQuery, [moduleId], (err, permissions) => {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to fetch module permissions' });
-      }
+    // Get actions and permissions for this module
+    const actions = await modulesRepo.findActions(moduleId);
+    const permissions = await modulesRepo.findPermissions(moduleId);
 
-      res.json({
-        ...module,
-        permissions
-      });
+    res.json({
+      ...module,
+      actions,
+      permissions
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch module' });
+  }
 });
 
 // Create new module
-router.post('/', authenticateToken, checkPermission('Modules', 'create'), validate('module'), (req, res) => {
-  const { name, description } = req.body;
+router.post('/', authenticateToken, checkPermission('Modules', 'create'), validate('moduleCreate'), async (req, res) => {
+  try {
+    const { name, description, actions = DEFAULT_ACTIONS } = req.body;
 
-  // Check if module name already exists
-  db.get('SELECT id FROM modules WHERE name = ?', [name], (err, existingModule) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
-
-    if (existingModule) {
+    // Check if module name already exists
+    if (await modulesRepo.findByName(req.tenantId, name)) {
       return res.status(400).json({ error: 'Module name already exists' });
     }
 
-    // Insert new module
-    db.run(
-      'INSERT INTO modules (name, description) VALUES (?, ?)',
-      [name, description || null],
-      function(err) {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to create module' });
-        }
-
-        const moduleId = this.lastID;
-
-        // Create default permissions for this module
-        const actions = ['create', 'read', 'update', 'delete'];
-        const stmt = db.prepare('INSERT INTO permissions (action, module_id) VALUES (?, ?)');
-        
-        let completed = 0;
-        actions.forEach(action => {
-          stmt.run(action, moduleId, (err) => {
-            completed++;
-            if (completed === actions.length) {
-              stmt.finalize();
-              res.status(201).json({
-                id: moduleId,
-                name,
-                description: description || null,
-                message: 'Module created successfully with default permissions'
-              });
-            }
-          });
-        });
-      }
-    );
-  });
+    // Insert new module along with a permission for each of its actions
+    const id = await withTransaction(repos => repos.modulesRepo.create({ tenantId: req.tenantId, name, description, actions }));
+
+    res.status(201).json({
+      id,
+      name,
+      description: description || null,
+      actions,
+      message: 'Module created successfully with a permission for each action'
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create module' });
+  }
 });
 
 // Update module
-router.put('/:id', authenticateToken, checkPermission('Modules', 'update'), validateId, validate('module'), (req, res) => {
-  const moduleId = req.params.id;
-  const { name, description } = req.body;
-
-  // Check if module exists
-  db.get('SELECT * FROM modules WHERE id = ?', [moduleId], (err, module) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
+router.put('/:id', authenticateToken, checkPermission('Modules', 'update'), validateId, validate('module'), async (req, res) => {
+  try {
+    const moduleId = req.params.id;
+    const { name, description } = req.body;
 
+    // Check if module exists
+    const module = await modulesRepo.findById(req.tenantId, moduleId);
     if (!module) {
       return res.status(404).json({ error: 'Module not found' });
     }
 
+    // The wildcard module is referenced by name when permissions are matched
+    if (module.name === WILDCARD) {
+      return res.status(400).json({ error: 'The wildcard module cannot be renamed' });
+    }
+
     // Check if name is taken by another module
-    db.get('SELECT id FROM modules WHERE name = ? AND id != ?', [name, moduleId], (err, existingModule) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
+    if (await modulesRepo.isNameTaken(req.tenantId, name, moduleId)) {
+      return res.status(400).json({ error: 'Module name already exists' });
+    }
 
-      if (existingModule) {
-        return res.status(400).json({ error: 'Module name already exists' });
+    // Grants on a parent module cover it by name, so a new name can bring it
+    // under other allows and out from under denies: the requester must be
+    // able to grant everything on both names
+    if (name !== module.name) {
+      const violation = await checkGrantBoundary(req, [module.name, name].map(moduleName => ({
+        module: moduleName,
+        action: WILDCARD,
+        effect: 'allow',
+        resource: WILDCARD
+      })), `rename ${module.name} to ${name}`);
+      if (violation) {
+        return res.status(403).json(violation);
       }
+    }
 
-      // Update module
-      db.run(
-        'UPDATE modules SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [name, description || null, moduleId],
-        function(err) {
-          if (err) {
-            return res.status(500).json({ error: 'Failed to update module' });
-          }
-
-          res.json({ message: 'Module updated successfully' });
-        }
-      );
-    });
-  });
+    await modulesRepo.update(moduleId, { name, description });
+
+    res.json({ message: 'Module updated successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update module' });
+  }
 });
 
 // Delete module
-router.delete('/:id', authenticateToken, checkPermission('Modules', 'delete'), validateId, (req, res) => {
-  const moduleId = req.params.id;
+router.delete('/:id', authenticateToken, checkPermission('Modules', 'delete'), validateId, async (req, res) => {
+  try {
+    const moduleId = req.params.id;
+
+    // Check if module exists
+    const module = await modulesRepo.findById(req.tenantId, moduleId);
+    if (!module) {
+      return res.status(404).json({ error: 'Module not found' });
+    }
 
-  // Check if module exists
-  db.get('SELECT id FROM modules WHERE id = ?', [moduleId], (err, module) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
+    if (module.name === WILDCARD) {
+      return res.status(400).json({ error: 'The wildcard module cannot be deleted' });
     }
 
+    // Deleting the module lifts every role's deny of its permissions
+    const violation = await checkDenyRemoval(req, await findModuleGrants(module.id), `delete ${module.name}`);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
+
+    // Delete module (CASCADE will handle related records)
+    await modulesRepo.delete(moduleId);
+
+    res.json({ message: 'Module deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete module' });
+  }
+});
+
+// Add an action to a module's catalogue, by default with a permission for it
+router.post('/:id/actions', authenticateToken, checkPermission('Modules', 'update'), validateId, validate('moduleAction'), async (req, res) => {
+  try {
+    const moduleId = req.params.id;
+    const { name, description, createPermission = true } = req.body;
+
+    // Check if module exists
+    const module = await modulesRepo.findById(req.tenantId, moduleId);
     if (!module) {
       return res.status(404).json({ error: 'Module not found' });
     }
 
-    // Delete module (CASCADE will handle related records)
-    db.run('DELETE FROM modules WHERE id = ?', [moduleId], function(err) {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to delete module' });
+    if (await modulesRepo.findAction(moduleId, name)) {
+      return res.status(400).json({ error: 'Action already exists for this module' });
+    }
+
+    const id = await withTransaction(async (repos) => {
+      const actionId = await repos.modulesRepo.addAction(moduleId, { name, description });
+      if (createPermission && !await repos.permissionsRepo.findByActionAndModule(name, moduleId)) {
+        await repos.permissionsRepo.create({ action: name, moduleId });
       }
+      return actionId;
+    });
+
+    res.status(201).json({
+      id,
+      name,
+      description: description || null,
+      message: 'Action added successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to add action' });
+  }
+});
+
+// Remove an action from a module's catalogue along with its permission
+router.delete('/:id/actions/:action', authenticateToken, checkPermission('Modules', 'update'), validateId, async (req, res) => {
+  try {
+    const moduleId = req.params.id;
+    const { action } = req.params;
+
+    // Check if module exists
+    const module = await modulesRepo.findById(req.tenantId, moduleId);
+    if (!module) {
+      return res.status(404).json({ error: 'Module not found' });
+    }
+
+    if (!await modulesRepo.findAction(moduleId, action)) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+
+    // Removing the action's permission lifts every role's deny of it
+    const violation = await checkDenyRemoval(req, await findModuleGrants(module.id, action),
+      `remove ${action} from ${module.name}`);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
+
+    const removedPermissions = await withTransaction(repos => repos.modulesRepo.removeAction(moduleId, action));
 
-      res.json({ message: 'Module deleted successfully' });
+    res.json({
+      message: 'Action removed successfully',
+      removedPermissions
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove action' });
+  }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -1,205 +1,150 @@
 const express = require('express');
-const { db } = require('../database/setup');
-const { authenticateToken, checkPermission } = require('../middleware/auth');
+const { permissionsRepo, modulesRepo } = require('../repositories');
+const { authenticateToken, checkPermission, checkGrantBoundary, checkDenyRemoval } = require('../middleware/auth');
 const { validate, validateId } = require('../middleware/validation');
+const { WILDCARD } = require('../services/permissionPatterns');
 
 const router = express.Router();
 
 // Get all permissions
-router.get('/', authenticateToken, checkPermission('Permissions', 'read'), (req, res) => {
-  const query = `
-    SELECT p.id, p.action, p.created_at, m.name as module_name, m.id as module_id,
-           COUNT(rp.role_id) as role_count
-    FROM permissions p
-    JOIN modules m ON p.module_id = m.id
-    LEFT JOIN role_permissions rp ON p.id = rp.permission_id
-    GROUP BY p.id, p.action, p.created_at, m.name, m.id
-    ORDER BY m.name, p.action
-  `;
-
-  db.all(query, (err, permissions) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to fetch permissions' });
-    }
-
+router.get('/', authenticateToken, checkPermission('Permissions', 'read'), async (req, res) => {
+  try {
+    const permissions = await permissionsRepo.findAllWithCounts(req.tenantId);
     res.json(permissions);
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch permissions' });
+  }
 });
 
 // Get permission by ID with roles
-router.get('/:id', authenticateToken, checkPermission('Permissions', 'read'), validateId, (req, res) => {
-  const permissionId = req.params.id;
-
-  // Get permission details
-  const query = `
-    SELECT p.id, p.action, p.created_at, m.name as module_name, m.id as module_id
-    FROM permissions p
-    JOIN modules m ON p.module_id = m.id
-    WHERE p.id = ?
-  `;
-
-  db.get(query, [permissionId], (err, permission) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to fetch permission' });
-    }
+router.get('/:id', authenticateToken, checkPermission('Permissions', 'read'), validateId, async (req, res) => {
+  try {
+    const permissionId = req.params.id;
 
+    // Get permission details
+    const permission = await permissionsRepo.findById(req.tenantId, permissionId);
     if (!permission) {
       return res.status(404).json({ error: 'Permission not found' });
     }
 
     // Get roles that have this permission
-    const rolesQuery = `
-      SELECT r.id, r.name, r.description
-      FROM roles r
-      JOIN role_permissions rp ON r.id = rp.role_id
-      WHERE rp.permission_id = ?
-      ORDER BY r.name
-    `;
-
-    db.all(rolesQuery, [permissionId], (err, roles) => {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to fetch permission roles' });
-      }
+    const roles = await permissionsRepo.findRoles(permissionId);
 
-      res.json({
-        ...permission,
-        roles
-      });
+    res.json({
+      ...permission,
+      roles
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch permission' });
+  }
 });
 
 // Create new permission
-router.post('/', authenticateToken, checkPermission('Permissions', 'create'), validate('permission'), (req, res) => {
-  const { action, module_id } = req.body;
-
-  // Check if module exists
-  db.get('SELECT id FROM modules WHERE id = ?', [module_id], (err, module) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
+router.post('/', authenticateToken, checkPermission('Permissions', 'create'), validate('permission'), async (req, res) => {
+  try {
+    const { action, module_id } = req.body;
 
+    // Check if module exists
+    const module = await modulesRepo.findById(req.tenantId, module_id);
     if (!module) {
       return res.status(400).json({ error: 'Module not found' });
     }
 
+    // Only actions from the module's catalogue (or * for all of them) can become permissions
+    if (action !== WILDCARD && !await modulesRepo.findAction(module_id, action)) {
+      return res.status(400).json({ error: `Action "${action}" is not defined for module ${module.name}` });
+    }
+
     // Check if permission already exists for this module and action
-    db.get('SELECT id FROM permissions WHERE action = ? AND module_id = ?', [action, module_id], (err, existingPermission) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
+    if (await permissionsRepo.findByActionAndModule(action, module_id)) {
+      return res.status(400).json({ error: 'Permission already exists for this module and action' });
+    }
 
-      if (existingPermission) {
-        return res.status(400).json({ error: 'Permission already exists for this module and action' });
-      }
+    // Insert new permission
+    const id = await permissionsRepo.create({ action, moduleId: module_id });
 
-      // Insert new permission
-      db.run(
-        'INSERT INTO permissions (action, module_id) VALUES (?, ?)',
-        [action, module_id],
-        function(err) {
-          if (err) {
-            return res.status(500).json({ error: 'Failed to create permission' });
-          }
-
-          res.status(201).json({
-            id: this.lastID,
-            action,
-            module_id,
-            message: 'Permission created successfully'
-          });
-        }
-      );
+    res.status(201).json({
+      id,
+      action,
+      module_id,
+      message: 'Permission created successfully'
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create permission' });
+  }
 });
 
 // Update permission (only action can be updated)
-router.put('/:id', authenticateToken, checkPermission('Permissions', 'update'), validateId, (req, res) => {
-  const permissionId = req.params.id;
-  const { action } = req.body;
-
-  // Validate action
-  const validActions = ['create', 'read', 'update', 'delete'];
-  if (!validActions.includes(action)) {
-    return res.status(400).json({ error: 'Invalid action. Must be one of: create, read, update, delete' });
-  }
-
-  // Check if permission exists
-  db.get('SELECT * FROM permissions WHERE id = ?', [permissionId], (err, permission) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
+router.put('/:id', authenticateToken, checkPermission('Permissions', 'update'), validateId, validate('permissionUpdate'), async (req, res) => {
+  try {
+    const permissionId = req.params.id;
+    const { action } = req.body;
 
+    // Check if permission exists
+    const permission = await permissionsRepo.findById(req.tenantId, permissionId);
     if (!permission) {
       return res.status(404).json({ error: 'Permission not found' });
     }
 
+    // Only actions from the module's catalogue (or * for all of them) can become permissions
+    if (action !== WILDCARD && !await modulesRepo.findAction(permission.module_id, action)) {
+      return res.status(400).json({ error: `Action "${action}" is not defined for module ${permission.module_name}` });
+    }
+
     // Check if new action conflicts with existing permission for same module
-    db.get('SELECT id FROM permissions WHERE action = ? AND module_id = ? AND id != ?', 
-      [action, permission.module_id, permissionId], (err, existingPermission) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
+    if (await permissionsRepo.findByActionAndModule(action, permission.module_id, permissionId)) {
+      return res.status(400).json({ error: 'Permission with this action already exists for this module' });
+    }
 
-      if (existingPermission) {
-        return res.status(400).json({ error: 'Permission with this action already exists for this module' });
-      }
+    // Every role holding the permission comes to hold the new action instead:
+    // its allows widen to the new action and its denies lift from the old one
+    const grants = await permissionsRepo.findGrants([permission.id]);
+    const what = `change ${permission.module_name}:${permission.action} to ${permission.module_name}:${action}`;
+    const violation = await checkGrantBoundary(req, grants.map(grant => ({ ...grant, action })), what) ||
+      await checkDenyRemoval(req, grants, what);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
 
-      // Update permission
-      db.run(
-        'UPDATE permissions SET action = ? WHERE id = ?',
-        [action, permissionId],
-        function(err) {
-          if (err) {
-            return res.status(500).json({ error: 'Failed to update permission' });
-          }
-
-          res.json({ message: 'Permission updated successfully' });
-        }
-      );
-    });
-  });
+    await permissionsRepo.updateAction(permissionId, action);
+
+    res.json({ message: 'Permission updated successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update permission' });
+  }
 });
 
 // Delete permission
-router.delete('/:id', authenticateToken, checkPermission('Permissions', 'delete'), validateId, (req, res) => {
-  const permissionId = req.params.id;
-
-  // Check if permission exists
-  db.get('SELECT id FROM permissions WHERE id = ?', [permissionId], (err, permission) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
+router.delete('/:id', authenticateToken, checkPermission('Permissions', 'delete'), validateId, async (req, res) => {
+  try {
+    const permissionId = req.params.id;
 
+    // Check if permission exists
+    const permission = await permissionsRepo.findById(req.tenantId, permissionId);
     if (!permission) {
       return res.status(404).json({ error: 'Permission not found' });
     }
 
+    // Deleting the permission lifts every role's deny of it
+    const violation = await checkDenyRemoval(req, await permissionsRepo.findGrants([permission.id]),
+      `delete ${permission.module_name}:${permission.action}`);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
+
     // Delete permission (CASCADE will handle related records)
-    db.run('DELETE FROM permissions WHERE id = ?', [permissionId], function(err) {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to delete permission' });
-      }
+    await permissionsRepo.delete(permissionId);
 
-      res.json({ message: 'Permission deleted successfully' });
-    });
-  });
+    res.json({ message: 'Permission deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete permission' });
+  }
 });
 
 // Get permissions grouped by module (for easy assignment)
-router.get('/by-module/grouped', authenticateToken, checkPermission('Permissions', 'read'), (req, res) => {
-  const query = `
-    SELECT p.id, p.action, m.name as module_name, m.id as module_id
-    FROM permissions p
-    JOIN modules m ON p.module_id = m.id
-    ORDER BY m.name, p.action
-  `;
-
-  db.all(query, (err, permissions) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to fetch permissions' });
-    }
+router.get('/by-module/grouped', authenticateToken, checkPermission('Permissions', 'read'), async (req, res) => {
+  try {
+    const permissions = await permissionsRepo.findAllWithModules(req.tenantId);
 
     // Group permissions by module
     const grouped = {};
@@ -218,7 +163,9 @@ router.get('/by-module/grouped', authenticateToken, checkPermission('Permissions
     });
 
     res.json(Object.values(grouped));
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch permissions' });
+  }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
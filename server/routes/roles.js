@@ -1,272 +1,492 @@
 const express = require('express');
-const { db } = require('../database/setup');
-const { authenticateToken, checkPermission } = require('../middleware/auth');
+const { rolesRepo, permissionsRepo, rolePoliciesRepo, withTransaction } = require('../repositories');
+const {
+  authenticateToken,
+  checkPermission,
+  checkResourcePermission,
+  checkPermissionOnAny,
+  filterPermitted,
+  requestContext,
+  checkGrantBoundary,
+  checkDenyRemoval,
+  loadAssignableGrants
+} = require('../middleware/auth');
 const { validate, validateId } = require('../middleware/validation');
+const { getAncestorIds, findCycle } = require('../services/hierarchy');
+const { parseValidity } = require('../services/grantValidity');
+const { findNewConflicts, conflictResponse } = require('../services/separationOfDuties');
+const { checkCondition } = require('../services/conditions');
+const { checkPolicyConditions, documentGrants } = require('../services/policyDocuments');
 
 const router = express.Router();
 
-// Get all roles
-router.get('/', authenticateToken, checkPermission('Roles', 'read'), (req, res) => {
-  const query = `
-    SELECT r.id, r.name, r.description, r.created_at,
-           COUNT(DISTINCT gr.group_id) as group_count,
-           COUNT(DISTINCT rp.permission_id) as permission_count
-    FROM roles r
-    LEFT JOIN group_roles gr ON r.id = gr.role_id
-    LEFT JOIN role_permissions rp ON r.id = rp.role_id
-    GROUP BY r.id, r.name, r.description, r.created_at
-    ORDER BY r.name
-  `;
-
-  db.all(query, (err, roles) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to fetch roles' });
-    }
-
-    res.json(roles);
-  });
+// Get all roles, or only those the user's resource-scoped grants cover
+router.get('/', authenticateToken, checkPermissionOnAny('Roles', 'read'), async (req, res) => {
+  try {
+    const roles = await rolesRepo.findAllWithCounts(req.tenantId);
+    res.json(await filterPermitted(req.user.id, 'Roles', 'read', roles, requestContext(req)));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch roles' });
+  }
 });
 
-// Get role by ID with permissions
-router.get('/:id', authenticateToken, checkPermission('Roles', 'read'), validateId, (req, res) => {
-  const roleId = req.params.id;
-
-  // Get role details
-  db.get('SELECT * FROM roles WHERE id = ?', [roleId], (err, role) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to fetch role' });
-    }
+// Get role by ID with its direct and inherited permissions
+router.get('/:id', authenticateToken, checkResourcePermission('Roles', 'read'), validateId, async (req, res) => {
+  try {
+    const roleId = req.params.id;
 
+    // Get role details
+    const role = await rolesRepo.findById(req.tenantId, roleId);
     if (!role) {
       return res.status(404).json({ error: 'Role not found' });
     }
 
-    // Get permissions assigned to this role
-    const permissionsQuery = `
-      SELECT p.id, p.action, m.name as module_name, m.id as module_id
-      FROM permissions p
-      JOIN role_permissions rp ON p.id = rp.permission_id
-      JOIN modules m ON p.module_id = m.id
-      WHERE rp.role_id = ?
-      ORDER BY m.name, p.action
-    `;
-
-    db.all(permissionsQuery, [roleId], (err, permissions) => {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to fetch role permissions' });
-      }
-
-      // Get groups that have this role
-      const groupsQuery = `
-        SELECT g.id, g.name, g.description
-        FROM groups g
-        JOIN group_roles gr ON g.id = gr.group_id
-        WHERE gr.role_id = ?
-        ORDER BY g.name
-      `;
-
-      db.all(groupsQuery, [roleId], (err, groups) => {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to fetch role groups' });
-        }
-
-        res.json({
-          ...role,
-          permissions,
-          groups
-        });
-      });
+    // Get permissions assigned to this role and groups that have it
+    const permissions = await rolesRepo.findPermissions(roleId);
+    const groups = await rolesRepo.findGroups(roleId);
+    const parents = await rolesRepo.findParents(roleId);
+    const children = await rolesRepo.findChildren(roleId);
+
+    // Permissions reached through ancestors, each naming the role that holds it
+    const ancestorIds = getAncestorIds(role.id, await rolesRepo.findAllParentLinks());
+    const inheritedPermissions = ancestorIds.length > 0
+      ? await rolesRepo.findPermissionsForRoles(ancestorIds)
+      : [];
+
+    res.json({
+      ...role,
+      permissions,
+      inheritedPermissions,
+      parents,
+      children,
+      groups
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch role' });
+  }
 });
 
 // Create new role
-router.post('/', authenticateToken, checkPermission('Roles', 'create'), validate('role'), (req, res) => {
-  const { name, description } = req.body;
-
-  // Check if role name already exists
-  db.get('SELECT id FROM roles WHERE name = ?', [name], (err, existingRole) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
+router.post('/', authenticateToken, checkPermission('Roles', 'create'), validate('role'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
 
-    if (existingRole) {
+    // Check if role name already exists
+    if (await rolesRepo.findByName(req.tenantId, name)) {
       return res.status(400).json({ error: 'Role name already exists' });
     }
 
     // Insert new role
-    db.run(
-      'INSERT INTO roles (name, description) VALUES (?, ?)',
-      [name, description || null],
-      function(err) {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to create role' });
-        }
-
-        res.status(201).json({
-          id: this.lastID,
-          name,
-          description: description || null,
-          message: 'Role created successfully'
-        });
-      }
-    );
-  });
+    const id = await rolesRepo.create({ tenantId: req.tenantId, name, description });
+
+    res.status(201).json({
+      id,
+      name,
+      description: description || null,
+      message: 'Role created successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create role' });
+  }
 });
 
 // Update role
-router.put('/:id', authenticateToken, checkPermission('Roles', 'update'), validateId, validate('role'), (req, res) => {
-  const roleId = req.params.id;
-  const { name, description } = req.body;
-
-  // Check if role exists
-  db.get('SELECT * FROM roles WHERE id = ?', [roleId], (err, role) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
+router.put('/:id', authenticateToken, checkResourcePermission('Roles', 'update'), validateId, validate('role'), async (req, res) => {
+  try {
+    const roleId = req.params.id;
+    const { name, description } = req.body;
 
+    // Check if role exists
+    const role = await rolesRepo.findById(req.tenantId, roleId);
     if (!role) {
       return res.status(404).json({ error: 'Role not found' });
     }
 
     // Check if name is taken by another role
-    db.get('SELECT id FROM roles WHERE name = ? AND id != ?', [name, roleId], (err, existingRole) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
+    if (await rolesRepo.isNameTaken(req.tenantId, name, roleId)) {
+      return res.status(400).json({ error: 'Role name already exists' });
+    }
 
-      if (existingRole) {
-        return res.status(400).json({ error: 'Role name already exists' });
-      }
+    await rolesRepo.update(roleId, { name, description });
 
-      // Update role
-      db.run(
-        'UPDATE roles SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [name, description || null, roleId],
-        function(err) {
-          if (err) {
-            return res.status(500).json({ error: 'Failed to update role' });
-          }
-
-          res.json({ message: 'Role updated successfully' });
-        }
-      );
-    });
-  });
+    res.json({ message: 'Role updated successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update role' });
+  }
 });
 
 // Delete role
-router.delete('/:id', authenticateToken, checkPermission('Roles', 'delete'), validateId, (req, res) => {
-  const roleId = req.params.id;
+router.delete('/:id', authenticateToken, checkResourcePermission('Roles', 'delete'), validateId, async (req, res) => {
+  try {
+    const roleId = req.params.id;
 
-  // Check if role exists
-  db.get('SELECT id FROM roles WHERE id = ?', [roleId], (err, role) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
+    // Check if role exists
+    const role = await rolesRepo.findById(req.tenantId, roleId);
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    // Holders of the role lose its denies and those it inherits
+    const violation = await checkDenyRemoval(req, await loadAssignableGrants([role.id]), `delete ${role.name}`);
+    if (violation) {
+      return res.status(403).json(violation);
     }
 
+    // Delete role (CASCADE will handle related records)
+    await rolesRepo.delete(roleId);
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete role' });
+  }
+});
+
+// Replace the roles a role inherits from
+router.put('/:id/parents', authenticateToken, checkResourcePermission('Roles', 'update'), validateId, validate('roleParents'), async (req, res) => {
+  try {
+    const { parentRoleIds } = req.body;
+
+    // Check if role exists
+    const role = await rolesRepo.findById(req.tenantId, req.params.id);
     if (!role) {
       return res.status(404).json({ error: 'Role not found' });
     }
 
-    // Delete role (CASCADE will handle related records)
-    db.run('DELETE FROM roles WHERE id = ?', [roleId], function(err) {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to delete role' });
+    // Verify all parent roles exist
+    const parents = parentRoleIds.length > 0 ? await rolesRepo.findByIds(req.tenantId, parentRoleIds) : [];
+    if (parents.length !== parentRoleIds.length) {
+      return res.status(400).json({ error: 'One or more parent roles not found' });
+    }
+
+    // Refuse any link that would let a role inherit from itself; the role's
+    // current parent links are about to be replaced
+    const allLinks = await rolesRepo.findAllParentLinks();
+    const links = allLinks.filter(link => link.child_id !== role.id);
+    for (const parentId of parentRoleIds) {
+      const cycle = findCycle(role.id, parentId, links);
+      if (cycle) {
+        const roles = await rolesRepo.findByIds(req.tenantId, [...new Set(cycle)]);
+        const names = cycle.map(id => roles.find(r => r.id === id)?.name || id);
+        return res.status(400).json({
+          error: `Inheritance cycle: ${names.join(' → ')}`,
+          cycle: names
+        });
       }
+    }
 
-      res.json({ message: 'Role deleted successfully' });
-    });
-  });
+    // Roles no longer inherited through any remaining parent take their
+    // denies with them
+    const keptIds = getAncestorIds(role.id, [
+      ...links,
+      ...parentRoleIds.map(parentId => ({ child_id: role.id, parent_id: parentId }))
+    ]);
+    const droppedIds = getAncestorIds(role.id, allLinks).filter(id => !keptIds.includes(id));
+    if (droppedIds.length > 0) {
+      const dropped = await rolesRepo.findByIds(req.tenantId, droppedIds);
+      const violation = await checkDenyRemoval(req,
+        (await loadAssignableGrants(droppedIds)).filter(grant => droppedIds.includes(grant.role_id)),
+        `stop ${role.name} inheriting from ${dropped.map(parent => parent.name).join(', ')}`);
+      if (violation) {
+        return res.status(403).json(violation);
+      }
+    }
+
+    // A new parent hands its grants to every holder of the role
+    const currentParentIds = (await rolesRepo.findParents(role.id)).map(parent => parent.id);
+    const addedParents = parents.filter(parent => !currentParentIds.includes(parent.id));
+    if (addedParents.length > 0) {
+      const violation = await checkGrantBoundary(req, await loadAssignableGrants(addedParents.map(parent => parent.id)),
+        `make ${role.name} inherit from ${addedParents.map(parent => parent.name).join(', ')}`);
+      if (violation) {
+        return res.status(403).json(violation);
+      }
+
+      // Holders of the role also come to hold the new parents, which may be
+      // kept apart from roles they already have
+      const conflicts = await findNewConflicts(req.tenantId, {
+        roleLinks: addedParents.map(parent => ({ child_id: role.id, parent_id: parent.id }))
+      });
+      if (conflicts.length > 0) {
+        return res.status(400).json(conflictResponse(conflicts));
+      }
+    }
+
+    await withTransaction(repos => repos.rolesRepo.setParents(role.id, parentRoleIds));
+
+    res.json({ message: 'Role inheritance updated successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update role inheritance' });
+  }
 });
 
 // Assign permissions to role
-router.post('/:id/permissions', authenticateToken, checkPermission('Roles', 'update'), validateId, validate('assignPermissions'), (req, res) => {
-  const roleId = req.params.id;
-  const { permissionIds } = req.body;
-
-  // Check if role exists
-  db.get('SELECT id FROM roles WHERE id = ?', [roleId], (err, role) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
+router.post('/:id/permissions', authenticateToken, checkResourcePermission('Roles', 'update'), validateId, validate('grantPermissions'), async (req, res) => {
+  try {
+    const roleId = req.params.id;
+    const { permissionIds, effect = 'allow', resource = '*' } = req.body;
+    const condition = req.body.condition?.trim() || null;
+
+    // Conditions are checked for syntax here; they are evaluated per request
+    const conditionError = condition && checkCondition(condition);
+    if (conditionError) {
+      return res.status(400).json({ error: `Invalid condition: ${conditionError}` });
     }
 
+    // Check if role exists
+    const role = await rolesRepo.findById(req.tenantId, roleId);
     if (!role) {
       return res.status(404).json({ error: 'Role not found' });
     }
 
     // Verify all permissions exist
-    const placeholders = permissionIds.map(() => '?').join(',');
-    db.all(`SELECT id FROM permissions WHERE id IN (${placeholders})`, permissionIds, (err, permissions) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      if (permissions.length !== permissionIds.length) {
-        return res.status(400).json({ error: 'One or more permissions not found' });
-      }
+    const permissions = await permissionsRepo.findByIds(req.tenantId, permissionIds);
+    if (permissions.length !== permissionIds.length) {
+      return res.status(400).json({ error: 'One or more permissions not found' });
+    }
 
-      // Remove existing assignments
-      db.run(`DELETE FROM role_permissions WHERE role_id = ? AND permission_id IN (${placeholders})`, 
-        [roleId, ...permissionIds], (err) => {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to clear existing assignments' });
-        }
-
-        // Add new assignments
-        const stmt = db.prepare('INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)');
-        let completed = 0;
-        let hasError = false;
-
-        permissionIds.forEach(permissionId => {
-          stmt.run(roleId, permissionId, (err) => {
-            if (err && !hasError) {
-              hasError = true;
-              return res.status(500).json({ error: 'Failed to assign permissions to role' });
-            }
-
-            completed++;
-            if (completed === permissionIds.length && !hasError) {
-              res.json({ message: 'Permissions assigned to role successfully' });
-            }
-          });
-        });
+    const violation = await checkGrantBoundary(req, permissions.map(permission => ({
+      module: permission.module_name,
+      action: permission.action,
+      effect,
+      resource
+    })), `grant these permissions to ${role.name}`);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
 
-        stmt.finalize();
-      });
+    // Replace permission grants on the resource atomically; re-granting
+    // switches the effect and replaces the condition and validity window
+    await withTransaction(repos => repos.rolesRepo.assignPermissions(roleId, permissionIds, effect, {
+      resource,
+      condition,
+      ...parseValidity(req.body)
+    }));
+
+    res.json({
+      message: effect === 'deny'
+        ? 'Permissions denied for role successfully'
+        : 'Permissions assigned to role successfully'
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to assign permissions to role' });
+  }
 });
 
-// Remove permissions from role
-router.delete('/:id/permissions', authenticateToken, checkPermission('Roles', 'update'), validateId, validate('assignPermissions'), (req, res) => {
-  const roleId = req.params.id;
-  const { permissionIds } = req.body;
+// Remove permissions from role, on one resource when one is given
+router.delete('/:id/permissions', authenticateToken, checkResourcePermission('Roles', 'update'), validateId, validate('assignPermissions'), async (req, res) => {
+  try {
+    const roleId = req.params.id;
+    const { permissionIds, resource } = req.body;
 
-  // Check if role exists
-  db.get('SELECT id FROM roles WHERE id = ?', [roleId], (err, role) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
+    // Check if role exists
+    const role = await rolesRepo.findById(req.tenantId, roleId);
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const removed = (await rolesRepo.findPermissions(role.id)).filter(row => permissionIds.includes(row.id) &&
+      (resource === undefined || row.resource === resource));
+    const violation = await checkDenyRemoval(req, removed.map(row => ({
+      module: row.module_name,
+      action: row.action,
+      effect: row.effect,
+      resource: row.resource
+    })), `remove these permissions from ${role.name}`);
+    if (violation) {
+      return res.status(403).json(violation);
     }
 
+    const removedCount = await rolesRepo.removePermissions(roleId, permissionIds, resource);
+
+    res.json({ 
+      message: 'Permissions removed from role successfully',
+      removedCount
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove permissions from role' });
+  }
+});
+
+// The policy a request's :policyId names on its role; sends a 404 and
+// resolves to null when the role or the policy is missing
+const findRolePolicy = async (req, res) => {
+  const role = await rolesRepo.findById(req.tenantId, req.params.id);
+  if (!role) {
+    res.status(404).json({ error: 'Role not found' });
+    return null;
+  }
+
+  const policyId = parseInt(req.params.policyId);
+  const policy = policyId > 0 && await rolePoliciesRepo.findById(role.id, policyId);
+  if (!policy) {
+    res.status(404).json({ error: 'Policy not found' });
+    return null;
+  }
+  return policy;
+};
+
+// The grants of a policy's current document that replacing it with another
+// document (or none) would drop
+const findDroppedGrants = async (policy, document) => {
+  const kept = document ? documentGrants(document) : [];
+  const current = await rolePoliciesRepo.findVersion(policy.id, policy.current_version);
+  return documentGrants(current.document).filter(grant => !kept.some(other => other.effect === grant.effect &&
+    other.module === grant.module && other.action === grant.action &&
+    other.resource === grant.resource && other.condition === grant.condition));
+};
+
+// Get the policy documents attached to a role, in their current versions
+router.get('/:id/policies', authenticateToken, checkResourcePermission('Roles', 'read'), validateId, async (req, res) => {
+  try {
+    const role = await rolesRepo.findById(req.tenantId, req.params.id);
     if (!role) {
       return res.status(404).json({ error: 'Role not found' });
     }
 
-    // Remove permissions from role
-    const placeholders = permissionIds.map(() => '?').join(',');
-    db.run(`DELETE FROM role_permissions WHERE role_id = ? AND permission_id IN (${placeholders})`, 
-      [roleId, ...permissionIds], function(err) {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to remove permissions from role' });
-      }
+    res.json(await rolePoliciesRepo.findByRole(role.id));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch role policies' });
+  }
+});
 
-      res.json({ 
-        message: 'Permissions removed from role successfully',
-        removedCount: this.changes
-      });
+// Attach a policy document to a role; it becomes the policy's version 1
+router.post('/:id/policies', authenticateToken, checkResourcePermission('Roles', 'update'), validateId, validate('rolePolicy'), async (req, res) => {
+  try {
+    const { name, document } = req.body;
+
+    const role = await rolesRepo.findById(req.tenantId, req.params.id);
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const conditionError = checkPolicyConditions(document);
+    if (conditionError) {
+      return res.status(400).json({ error: `Invalid policy: ${conditionError}` });
+    }
+
+    if (await rolePoliciesRepo.isNameTaken(role.id, name)) {
+      return res.status(400).json({ error: 'Role already has a policy with this name' });
+    }
+
+    const violation = await checkGrantBoundary(req, documentGrants(document), `attach policy ${name} to ${role.name}`);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
+
+    const id = await withTransaction(repos => repos.rolePoliciesRepo.create({
+      roleId: role.id,
+      name,
+      document,
+      createdBy: req.user.id
+    }));
+
+    res.status(201).json({
+      id,
+      name,
+      current_version: 1,
+      message: 'Policy attached to role successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to attach policy to role' });
+  }
+});
+
+// Save a new version of a policy document and put it in force
+router.put('/:id/policies/:policyId', authenticateToken, checkResourcePermission('Roles', 'update'), validateId, validate('rolePolicyUpdate'), async (req, res) => {
+  try {
+    const { document } = req.body;
+
+    const policy = await findRolePolicy(req, res);
+    if (!policy) return;
+
+    const conditionError = checkPolicyConditions(document);
+    if (conditionError) {
+      return res.status(400).json({ error: `Invalid policy: ${conditionError}` });
+    }
+
+    const violation = await checkGrantBoundary(req, documentGrants(document), `save policy ${policy.name}`) ||
+      await checkDenyRemoval(req, await findDroppedGrants(policy, document), `save policy ${policy.name}`);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
+
+    const version = await withTransaction(repos => repos.rolePoliciesRepo.addVersion(policy.id, {
+      document,
+      createdBy: req.user.id
+    }));
+
+    res.json({
+      current_version: version,
+      message: `Policy saved as version ${version}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update policy' });
+  }
+});
+
+// Get every version of a policy document, newest first
+router.get('/:id/policies/:policyId/versions', authenticateToken, checkResourcePermission('Roles', 'read'), validateId, async (req, res) => {
+  try {
+    const policy = await findRolePolicy(req, res);
+    if (!policy) return;
+
+    res.json({
+      current_version: policy.current_version,
+      versions: await rolePoliciesRepo.findVersions(policy.id)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch policy versions' });
+  }
+});
+
+// Put an earlier version of a policy document back in force
+router.put('/:id/policies/:policyId/version', authenticateToken, checkResourcePermission('Roles', 'update'), validateId, validate('rolePolicyVersion'), async (req, res) => {
+  try {
+    const { version } = req.body;
+
+    const policy = await findRolePolicy(req, res);
+    if (!policy) return;
+
+    const stored = await rolePoliciesRepo.findVersion(policy.id, version);
+    if (!stored) {
+      return res.status(404).json({ error: 'Policy version not found' });
+    }
+
+    const what = `restore version ${version} of policy ${policy.name}`;
+    const violation = await checkGrantBoundary(req, documentGrants(stored.document), what) ||
+      await checkDenyRemoval(req, await findDroppedGrants(policy, stored.document), what);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
+
+    await rolePoliciesRepo.setCurrentVersion(policy.id, version);
+
+    res.json({
+      current_version: version,
+      message: `Version ${version} is now in force`
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to restore policy version' });
+  }
+});
+
+// Detach a policy document, with all its versions, from a role
+router.delete('/:id/policies/:policyId', authenticateToken, checkResourcePermission('Roles', 'update'), validateId, async (req, res) => {
+  try {
+    const policy = await findRolePolicy(req, res);
+    if (!policy) return;
+
+    const violation = await checkDenyRemoval(req, await findDroppedGrants(policy, null), `remove policy ${policy.name}`);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
+
+    await rolePoliciesRepo.delete(policy.id);
+
+    res.json({ message: 'Policy removed from role successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove policy from role' });
+  }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const { authenticateToken, requireSuperAdmin, checkPermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const {
+  getDefaultPasswordPolicy,
+  getPasswordPolicy,
+  updatePasswordPolicy,
+  resetPasswordPolicy
+} = require('../services/passwordPolicy');
+const {
+  getDefaultVerificationPolicy,
+  getVerificationPolicy,
+  updateVerificationPolicy,
+  resetVerificationPolicy
+} = require('../services/emailVerification');
+const {
+  getDefaultRegistrationPolicy,
+  getRegistrationPolicy,
+  updateRegistrationPolicy,
+  resetRegistrationPolicy
+} = require('../services/registration');
+const {
+  getDefaultDirectRolePolicy,
+  getDirectRolePolicy,
+  updateDirectRolePolicy,
+  resetDirectRolePolicy
+} = require('../services/directRoles');
+
+const router = express.Router();
+
+// Sign-in settings are account administration, so they are guarded by Users
+// permissions. They apply to every tenant, so only super-admins change them.
+
+// Get the effective password policy and the environment defaults
+router.get('/password-policy', authenticateToken, checkPermission('Users', 'read'), async (req, res) => {
+  try {
+    res.json({
+      policy: await getPasswordPolicy(),
+      defaults: getDefaultPasswordPolicy()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch password policy' });
+  }
+});
+
+// Override some or all password policy rules
+router.put('/password-policy', authenticateToken, requireSuperAdmin, validate('passwordPolicy'), async (req, res) => {
+  try {
+    const policy = await updatePasswordPolicy(req.body);
+
+    res.json({
+      message: 'Password policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update password policy' });
+  }
+});
+
+// Drop overrides and return to the environment defaults
+router.delete('/password-policy', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const policy = await resetPasswordPolicy();
+
+    res.json({
+      message: 'Password policy reset to defaults',
+      policy
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to reset password policy' });
+  }
+});
+
+// Get the email verification policy and the environment default
+router.get('/email-verification', authenticateToken, checkPermission('Users', 'read'), async (req, res) => {
+  try {
+    res.json({
+      policy: await getVerificationPolicy(),
+      defaults: getDefaultVerificationPolicy()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch email verification policy' });
+  }
+});
+
+// Choose what unverified accounts may do
+router.put('/email-verification', authenticateToken, requireSuperAdmin, validate('verificationPolicy'), async (req, res) => {
+  try {
+    const policy = await updateVerificationPolicy(req.body);
+
+    res.json({
+      message: 'Email verification policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update email verification policy' });
+  }
+});
+
+// Drop the override and return to the environment default
+router.delete('/email-verification', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const policy = await resetVerificationPolicy();
+
+    res.json({
+      message: 'Email verification policy reset to default',
+      policy
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to reset email verification policy' });
+  }
+});
+
+// Get the registration mode and the environment default
+router.get('/registration', authenticateToken, checkPermission('Users', 'read'), async (req, res) => {
+  try {
+    res.json({
+      policy: await getRegistrationPolicy(),
+      defaults: getDefaultRegistrationPolicy()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch registration policy' });
+  }
+});
+
+// Choose who may sign up without an invitation
+router.put('/registration', authenticateToken, requireSuperAdmin, validate('registrationPolicy'), async (req, res) => {
+  try {
+    const policy = await updateRegistrationPolicy(req.body);
+
+    res.json({
+      message: 'Registration policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update registration policy' });
+  }
+});
+
+// Drop the override and return to the environment default
+router.delete('/registration', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const policy = await resetRegistrationPolicy();
+
+    res.json({
+      message: 'Registration policy reset to default',
+      policy
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to reset registration policy' });
+  }
+});
+
+// Get the direct role assignment policy and the environment default
+router.get('/direct-roles', authenticateToken, checkPermission('Users', 'read'), async (req, res) => {
+  try {
+    res.json({
+      policy: await getDirectRolePolicy(),
+      defaults: getDefaultDirectRolePolicy()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch direct role policy' });
+  }
+});
+
+// Allow or stop roles being assigned to users outside of groups
+router.put('/direct-roles', authenticateToken, requireSuperAdmin, validate('directRolePolicy'), async (req, res) => {
+  try {
+    const policy = await updateDirectRolePolicy(req.body);
+
+    res.json({
+      message: 'Direct role policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update direct role policy' });
+  }
+});
+
+// Drop the override and return to the environment default
+router.delete('/direct-roles', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const policy = await resetDirectRolePolicy();
+
+    res.json({
+      message: 'Direct role policy reset to default',
+      policy
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to reset direct role policy' });
+  }
+});
+
+module.exports = router;
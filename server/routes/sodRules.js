@@ -0,0 +1,124 @@
+const express = require('express');
+const { sodRulesRepo, rolesRepo } = require('../repositories');
+const { authenticateToken, checkPermission } = require('../middleware/auth');
+const { validate, validateId } = require('../middleware/validation');
+const { getViolations } = require('../services/separationOfDuties');
+
+const router = express.Router();
+
+// Separation-of-duties rules constrain which roles may be held together, so
+// they are guarded by Roles permissions. Rules only block new assignments;
+// conflicts that already exist show up in the violations report.
+
+// Check a rule's roles exist and no other rule pairs them; returns the 400
+// body or null
+const checkRule = async (tenantId, { name, roleIds }, excludeId = 0) => {
+  const roles = await rolesRepo.findByIds(tenantId, roleIds);
+  if (roles.length !== roleIds.length) {
+    return { error: 'One or more roles not found' };
+  }
+
+  if (await sodRulesRepo.isNameTaken(tenantId, name, excludeId)) {
+    return { error: 'Rule name already exists' };
+  }
+
+  const existing = await sodRulesRepo.findByRoles(roleIds, excludeId);
+  if (existing) {
+    return { error: `Rule ${existing.name} already keeps these roles apart` };
+  }
+
+  return null;
+};
+
+// Number of current violations of one rule, so saving a rule tells the
+// admin whether existing assignments already break it
+const countViolations = async (tenantId, ruleId) =>
+  (await getViolations(tenantId)).filter(violation => violation.rule_id === ruleId).length;
+
+// Get all rules
+router.get('/', authenticateToken, checkPermission('Roles', 'read'), async (req, res) => {
+  try {
+    res.json(await sodRulesRepo.findAll(req.tenantId));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch separation-of-duties rules' });
+  }
+});
+
+// Users and groups that hold both roles of a rule today
+router.get('/violations', authenticateToken, checkPermission('Roles', 'read'), async (req, res) => {
+  try {
+    res.json(await getViolations(req.tenantId));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch separation-of-duties violations' });
+  }
+});
+
+// Create new rule
+router.post('/', authenticateToken, checkPermission('Roles', 'update'), validate('sodRule'), async (req, res) => {
+  try {
+    const { name, description, roleIds } = req.body;
+
+    const problem = await checkRule(req.tenantId, req.body);
+    if (problem) {
+      return res.status(400).json(problem);
+    }
+
+    const id = await sodRulesRepo.create({ tenantId: req.tenantId, name, description, roleIds });
+
+    res.status(201).json({
+      id,
+      name,
+      description: description || null,
+      violations: await countViolations(req.tenantId, id),
+      message: 'Rule created successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create separation-of-duties rule' });
+  }
+});
+
+// Update rule
+router.put('/:id', authenticateToken, checkPermission('Roles', 'update'), validateId, validate('sodRule'), async (req, res) => {
+  try {
+    const { name, description, roleIds } = req.body;
+
+    // Check if rule exists
+    const rule = await sodRulesRepo.findById(req.tenantId, req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const problem = await checkRule(req.tenantId, req.body, rule.id);
+    if (problem) {
+      return res.status(400).json(problem);
+    }
+
+    await sodRulesRepo.update(rule.id, { name, description, roleIds });
+
+    res.json({
+      violations: await countViolations(req.tenantId, rule.id),
+      message: 'Rule updated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update separation-of-duties rule' });
+  }
+});
+
+// Delete rule
+router.delete('/:id', authenticateToken, checkPermission('Roles', 'update'), validateId, async (req, res) => {
+  try {
+    // Check if rule exists
+    const rule = await sodRulesRepo.findById(req.tenantId, req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    await sodRulesRepo.delete(rule.id);
+
+    res.json({ message: 'Rule deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete separation-of-duties rule' });
+  }
+});
+
+module.exports = router;
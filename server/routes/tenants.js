@@ -0,0 +1,133 @@
+const express = require('express');
+const { tenantsRepo, usersRepo, withTransaction } = require('../repositories');
+const { authenticateToken, requireSuperAdmin, generateToken } = require('../middleware/auth');
+const { validate, validateId } = require('../middleware/validation');
+const { DEFAULT_TENANT_SLUG, provisionTenant } = require('../services/tenants');
+
+const router = express.Router();
+
+// Tenants are managed by super-admins only; tenant admins never see each
+// other's organizations
+
+// Get all tenants
+router.get('/', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    res.json(await tenantsRepo.findAllWithCounts());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch tenants' });
+  }
+});
+
+// Create a tenant with the default modules, an Admin role and an
+// Administrators group; a super-admin then switches to it to add its users
+router.post('/', authenticateToken, requireSuperAdmin, validate('tenant'), async (req, res) => {
+  try {
+    const { name, slug } = req.body;
+
+    if (await tenantsRepo.isNameTaken(name)) {
+      return res.status(400).json({ error: 'Tenant name already exists' });
+    }
+
+    if (await tenantsRepo.isSlugTaken(slug)) {
+      return res.status(400).json({ error: 'Tenant slug already exists' });
+    }
+
+    const id = await withTransaction(async (repos) => {
+      const tenantId = await repos.tenantsRepo.create({ name, slug });
+      await provisionTenant(repos, tenantId);
+      return tenantId;
+    });
+
+    res.status(201).json({
+      id,
+      name,
+      slug,
+      message: 'Tenant created successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create tenant' });
+  }
+});
+
+// Update tenant
+router.put('/:id', authenticateToken, requireSuperAdmin, validateId, validate('tenant'), async (req, res) => {
+  try {
+    const { name, slug } = req.body;
+
+    // Check if tenant exists
+    const tenant = await tenantsRepo.findById(req.params.id);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    // Sign-in falls back to the default slug
+    if (tenant.slug === DEFAULT_TENANT_SLUG && slug !== DEFAULT_TENANT_SLUG) {
+      return res.status(400).json({ error: 'The default tenant\'s slug cannot be changed' });
+    }
+
+    if (await tenantsRepo.isNameTaken(name, tenant.id)) {
+      return res.status(400).json({ error: 'Tenant name already exists' });
+    }
+
+    if (await tenantsRepo.isSlugTaken(slug, tenant.id)) {
+      return res.status(400).json({ error: 'Tenant slug already exists' });
+    }
+
+    await tenantsRepo.update(tenant.id, { name, slug });
+
+    res.json({ message: 'Tenant updated successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update tenant' });
+  }
+});
+
+// Delete a tenant with all of its users, groups, roles and modules
+router.delete('/:id', authenticateToken, requireSuperAdmin, validateId, async (req, res) => {
+  try {
+    // Check if tenant exists
+    const tenant = await tenantsRepo.findById(req.params.id);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    if (tenant.slug === DEFAULT_TENANT_SLUG) {
+      return res.status(400).json({ error: 'The default tenant cannot be deleted' });
+    }
+
+    // Deleting it would delete the requester's own account
+    const user = await usersRepo.findById(req.user.id);
+    if (user.tenant_id === tenant.id) {
+      return res.status(400).json({ error: 'Cannot delete your own tenant' });
+    }
+
+    // Delete tenant (CASCADE will handle everything it owns)
+    await tenantsRepo.delete(tenant.id);
+
+    res.json({ message: 'Tenant deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete tenant' });
+  }
+});
+
+// Act in another tenant: returns an access token for it. The client passes
+// the tenant id when refreshing to stay there.
+router.post('/:id/switch', authenticateToken, requireSuperAdmin, validateId, async (req, res) => {
+  try {
+    const tenant = await tenantsRepo.findById(req.params.id);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    const user = await usersRepo.findById(req.user.id);
+
+    res.json({
+      token: generateToken(user, tenant.id),
+      tenant,
+      message: `Switched to ${tenant.name}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to switch tenant' });
+  }
+});
+
+module.exports = router;
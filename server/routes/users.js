@@ -1,111 +1,95 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { db } = require('../database/setup');
-const { authenticateToken, checkPermission } = require('../middleware/auth');
+const { usersRepo, rolesRepo, loginFailuresRepo, withTransaction } = require('../repositories');
+const {
+  authenticateToken,
+  requireSuperAdmin,
+  checkPermission,
+  checkGrantBoundary,
+  checkDenyRemoval,
+  loadAssignableGrants,
+  loadUserGrants
+} = require('../middleware/auth');
 const { validate, validateId } = require('../middleware/validation');
+const { revokeUserSessions } = require('../services/sessions');
+const { unlockAccount, getLockoutStatus } = require('../services/loginProtection');
+const { checkPassword, recordPasswordChange } = require('../services/passwordPolicy');
+const { getDirectRolePolicy } = require('../services/directRoles');
+const { parseValidity } = require('../services/grantValidity');
+const { findNewConflicts, conflictResponse } = require('../services/separationOfDuties');
+const { checkPolicyConditions, documentGrants } = require('../services/policyDocuments');
 
 const router = express.Router();
 
+// Replace the raw lockout columns with a computed status
+const withLockoutStatus = ({ failed_login_attempts, last_failed_login_at, locked_until, ...user }) => ({
+  ...user,
+  lockout: getLockoutStatus({ failed_login_attempts, locked_until })
+});
+
 // Get all users
-router.get('/', authenticateToken, checkPermission('Users', 'read'), (req, res) => {
-  const query = `
-    SELECT u.id, u.username, u.email, u.created_at,
-           GROUP_CONCAT(g.name) as groups
-    FROM users u
-    LEFT JOIN user_groups ug ON u.id = ug.user_id
-    LEFT JOIN groups g ON ug.group_id = g.id
-    GROUP BY u.id, u.username, u.email, u.created_at
-    ORDER BY u.username
-  `;
-
-  db.all(query, (err, users) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to fetch users' });
-    }
-
-    // Parse groups for each user
-    const formattedUsers = users.map(user => ({
-      ...user,
-      groups: user.groups ? user.groups.split(',') : []
-    }));
-
-    res.json(formattedUsers);
-  });
+router.get('/', authenticateToken, checkPermission('Users', 'read'), async (req, res) => {
+  try {
+    const users = await usersRepo.findAllWithGroups(req.tenantId);
+    res.json(users.map(withLockoutStatus));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
 });
 
 // Get user by ID
-router.get('/:id', authenticateToken, checkPermission('Users', 'read'), validateId, (req, res) => {
-  const query = `
-    SELECT u.id, u.username, u.email, u.created_at,
-           JSON_GROUP_ARRAY(
-             JSON_OBJECT('id', g.id, 'name', g.name, 'description', g.description)
-           ) as groups
-    FROM users u
-    LEFT JOIN user_groups ug ON u.id = ug.user_id
-    LEFT JOIN groups g ON ug.group_id = g.id
-    WHERE u.id = ?
-    GROUP BY u.id
-  `;
-
-  db.get(query, [req.params.id], (err, user) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to fetch user' });
-    }
+router.get('/:id', authenticateToken, checkPermission('Users', 'read'), validateId, async (req, res) => {
+  try {
+    const user = await usersRepo.findByIdWithGroups(req.tenantId, req.params.id);
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Parse groups JSON
-    try {
-      user.groups = JSON.parse(user.groups).filter(group => group.id !== null);
-    } catch (e) {
-      user.groups = [];
-    }
-
-    res.json(user);
-  });
+    res.json(withLockoutStatus(user));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
 });
 
 // Create new user
 router.post('/', authenticateToken, checkPermission('Users', 'create'), validate('user'), async (req, res) => {
   try {
-    const { username, email, password } = req.body;
+    // Admin-chosen passwords must be changed at first sign-in unless told otherwise
+    const { username, email, password, mustChangePassword = true, attributes } = req.body;
 
     // Check if user already exists
-    db.get('SELECT id FROM users WHERE username = ? OR email = ?', [username, email], async (err, existingUser) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
+    const existingUser = await usersRepo.findByUsernameOrEmail(req.tenantId, username, email);
+    if (existingUser) {
+      return res.status(400).json({ error: 'Username or email already exists' });
+    }
 
-      if (existingUser) {
-        return res.status(400).json({ error: 'Username or email already exists' });
-      }
+    const violations = await checkPassword(password, { username, email });
+    if (violations.length > 0) {
+      return res.status(400).json({ error: violations[0], details: violations });
+    }
 
-      // Hash password
-      const saltRounds = 10;
-      const passwordHash = await bcrypt.hash(password, saltRounds);
-
-      // Insert new user
-      db.run(
-        'INSERT INTO users (username, email, password_hash) VALUES (?, ?, ?)',
-        [username, email, passwordHash],
-        function(err) {
-          if (err) {
-            return res.status(500).json({ error: 'Failed to create user' });
-          }
-
-          res.status(201).json({
-            id: this.lastID,
-            username,
-            email,
-            message: 'User created successfully'
-          });
-        }
-      );
+    // Hash password
+    const saltRounds = 10;
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+
+    // Insert new user; addresses entered by an administrator count as verified
+    const id = await withTransaction(async (repos) => {
+      const userId = await repos.usersRepo.create({ tenantId: req.tenantId, username, email, passwordHash, mustChangePassword, emailVerified: true, attributes });
+      await recordPasswordChange(userId, passwordHash, repos);
+      return userId;
+    });
+
+    res.status(201).json({
+      id,
+      username,
+      email,
+      must_change_password: mustChangePassword,
+      attributes: attributes || {},
+      message: 'User created successfully'
     });
   } catch (error) {
-    res.status(500).json({ error: 'Server error' });
+    res.status(500).json({ error: 'Failed to create user' });
   }
 });
 
@@ -113,95 +97,85 @@ router.post('/', authenticateToken, checkPermission('Users', 'create'), validate
 router.put('/:id', authenticateToken, checkPermission('Users', 'update'), validateId, validate('userUpdate'), async (req, res) => {
   try {
     const userId = req.params.id;
-    const { username, email, password } = req.body;
+    const { username, email, password, attributes } = req.body;
 
     // Check if user exists
-    db.get('SELECT * FROM users WHERE id = ?', [userId], async (err, user) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
+    const user = await usersRepo.findInTenant(req.tenantId, userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-      if (!user) {
-        return res.status(404).json({ error: 'User not found' });
-      }
+    if (user.is_super_admin && !req.user.isSuperAdmin) {
+      return res.status(403).json({ error: 'Only a super-admin can change a super-admin' });
+    }
 
-      // Build update query dynamically
-      const updates = [];
-      const values = [];
-
-      if (username) {
-        // Check if username is taken by another user
-        const existingUser = await new Promise((resolve, reject) => {
-          db.get('SELECT id FROM users WHERE username = ? AND id != ?', [username, userId], (err, row) => {
-            if (err) reject(err);
-            else resolve(row);
-          });
-        });
-
-        if (existingUser) {
-          return res.status(400).json({ error: 'Username already exists' });
-        }
-
-        updates.push('username = ?');
-        values.push(username);
+    // Setting someone's password or email (then resetting it) takes over
+    // their account, and their attributes steer grant conditions, so changing
+    // another user needs the right to grant everything they hold
+    if (userId !== req.user.id) {
+      const violation = await checkGrantBoundary(req, await loadUserGrants(userId), `change ${user.username}`);
+      if (violation) {
+        return res.status(403).json(violation);
       }
+    }
 
-      if (email) {
-        // Check if email is taken by another user
-        const existingUser = await new Promise((resolve, reject) => {
-          db.get('SELECT id FROM users WHERE email = ? AND id != ?', [email, userId], (err, row) => {
-            if (err) reject(err);
-            else resolve(row);
-          });
-        });
-
-        if (existingUser) {
-          return res.status(400).json({ error: 'Email already exists' });
-        }
-
-        updates.push('email = ?');
-        values.push(email);
-      }
+    // Check if username is taken by another user
+    if (username && await usersRepo.isUsernameTaken(req.tenantId, username, userId)) {
+      return res.status(400).json({ error: 'Username already exists' });
+    }
 
-      if (password) {
-        const saltRounds = 10;
-        const passwordHash = await bcrypt.hash(password, saltRounds);
-        updates.push('password_hash = ?');
-        values.push(passwordHash);
-      }
+    // Check if email is taken by another user
+    if (email && await usersRepo.isEmailTaken(req.tenantId, email, userId)) {
+      return res.status(400).json({ error: 'Email already exists' });
+    }
 
-      if (updates.length === 0) {
-        return res.status(400).json({ error: 'No valid fields to update' });
+    if (!username && !email && !password && !attributes) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    let passwordHash;
+    let mustChangePassword;
+    if (password) {
+      const violations = await checkPassword(password, {
+        username: username || user.username,
+        email: email || user.email,
+        user
+      });
+      if (violations.length > 0) {
+        return res.status(400).json({ error: violations[0], details: violations });
       }
 
-      updates.push('updated_at = CURRENT_TIMESTAMP');
-      values.push(userId);
+      const saltRounds = 10;
+      passwordHash = await bcrypt.hash(password, saltRounds);
 
-      const query = `UPDATE users SET ${updates.join(', ')} WHERE id = ?`;
+      // A password set for someone else must be changed at their next
+      // sign-in unless told otherwise
+      mustChangePassword = req.body.mustChangePassword ?? userId !== req.user.id;
+    }
 
-      db.run(query, values, function(err) {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to update user' });
-        }
+    await withTransaction(async (repos) => {
+      await repos.usersRepo.update(userId, { username, email, passwordHash, mustChangePassword, attributes });
 
-        res.json({ message: 'User updated successfully' });
-      });
+      // A password change signs the user out everywhere
+      if (passwordHash) {
+        await recordPasswordChange(userId, passwordHash, repos);
+        await revokeUserSessions(userId, repos);
+      }
     });
+
+    res.json({ message: 'User updated successfully' });
   } catch (error) {
-    res.status(500).json({ error: 'Server error' });
+    res.status(500).json({ error: 'Failed to update user' });
   }
 });
 
 // Delete user
-router.delete('/:id', authenticateToken, checkPermission('Users', 'delete'), validateId, (req, res) => {
-  const userId = req.params.id;
-
-  // Check if user exists
-  db.get('SELECT id FROM users WHERE id = ?', [userId], (err, user) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
+router.delete('/:id', authenticateToken, checkPermission('Users', 'delete'), validateId, async (req, res) => {
+  try {
+    const userId = req.params.id;
 
+    // Check if user exists
+    const user = await usersRepo.findInTenant(req.tenantId, userId);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -211,15 +185,244 @@ router.delete('/:id', authenticateToken, checkPermission('Users', 'delete'), val
       return res.status(400).json({ error: 'Cannot delete your own account' });
     }
 
+    if (user.is_super_admin && !req.user.isSuperAdmin) {
+      return res.status(403).json({ error: 'Only a super-admin can delete a super-admin' });
+    }
+
     // Delete user (CASCADE will handle related records)
-    db.run('DELETE FROM users WHERE id = ?', [userId], function(err) {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to delete user' });
+    await usersRepo.delete(userId);
+
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+// Sign a user out everywhere
+router.post('/:id/revoke-sessions', authenticateToken, checkPermission('Users', 'update'), validateId, async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    // Check if user exists
+    const user = await usersRepo.findInTenant(req.tenantId, userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.is_super_admin && !req.user.isSuperAdmin) {
+      return res.status(403).json({ error: 'Only a super-admin can sign out a super-admin' });
+    }
+
+    await revokeUserSessions(userId);
+
+    res.json({ message: 'User signed out of all sessions' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to revoke user sessions' });
+  }
+});
+
+// Vouch for a user's email address without a verification link
+router.post('/:id/verify-email', authenticateToken, checkPermission('Users', 'update'), validateId, async (req, res) => {
+  try {
+    const user = await usersRepo.findInTenant(req.tenantId, req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await usersRepo.markEmailVerified(user.id, user.email);
+
+    res.json({ message: 'Email address marked as verified' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to verify email address' });
+  }
+});
+
+// Clear a user's failed login attempts and lift any lockout
+router.post('/:id/unlock', authenticateToken, checkPermission('Users', 'update'), validateId, async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    // Check if user exists
+    const user = await usersRepo.findInTenant(req.tenantId, userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.is_super_admin && !req.user.isSuperAdmin) {
+      return res.status(403).json({ error: 'Only a super-admin can unlock a super-admin' });
+    }
+
+    await unlockAccount(userId);
+
+    res.json({ message: 'User account unlocked' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to unlock user' });
+  }
+});
+
+// Assign roles to a user directly, outside of any group
+router.post('/:id/roles', authenticateToken, checkPermission('Users', 'update'), validateId, validate('assignRoles'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { roleIds } = req.body;
+
+    if (!(await getDirectRolePolicy()).enabled) {
+      return res.status(400).json({ error: 'Direct role assignment is disabled; assign roles through groups' });
+    }
+
+    // Check if user exists
+    const user = await usersRepo.findInTenant(req.tenantId, userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Verify all roles exist
+    const roles = await rolesRepo.findByIds(req.tenantId, roleIds);
+    if (roles.length !== roleIds.length) {
+      return res.status(400).json({ error: 'One or more roles not found' });
+    }
+
+    const violation = await checkGrantBoundary(req, await loadAssignableGrants(roleIds),
+      `assign ${roles.map(role => role.name).join(', ')} to ${user.username}`);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
+
+    const conflicts = await findNewConflicts(req.tenantId, {
+      userRoles: roleIds.map(roleId => ({ user_id: user.id, role_id: roleId }))
+    });
+    if (conflicts.length > 0) {
+      return res.status(400).json(conflictResponse(conflicts));
+    }
+
+    // Replace role assignments atomically
+    await withTransaction(repos => repos.usersRepo.assignRoles(userId, roleIds, parseValidity(req.body)));
+
+    res.json({ message: 'Roles assigned to user successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to assign roles to user' });
+  }
+});
+
+// Remove direct role assignments; allowed even while the policy is disabled
+// so leftover assignments can be cleaned up
+router.delete('/:id/roles', authenticateToken, checkPermission('Users', 'update'), validateId, validate('assignRoles'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { roleIds } = req.body;
+
+    // Check if user exists
+    const user = await usersRepo.findInTenant(req.tenantId, userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const roles = await rolesRepo.findByIds(req.tenantId, roleIds);
+    if (roles.length > 0) {
+      const violation = await checkDenyRemoval(req, await loadAssignableGrants(roles.map(role => role.id)),
+        `remove ${roles.map(role => role.name).join(', ')} from ${user.username}`);
+      if (violation) {
+        return res.status(403).json(violation);
+      }
+    }
+
+    const removedCount = await usersRepo.removeRoles(userId, roleIds);
+
+    res.json({
+      message: 'Roles removed from user successfully',
+      removedCount
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove roles from user' });
+  }
+});
+
+// Set or (with a null document) remove the permission boundary capping what
+// a user may grant. The requester must be able to grant everything the
+// boundary allows; removing one lets the user grant their own permissions,
+// so the requester must be able to grant those instead.
+router.put('/:id/permission-boundary', authenticateToken, checkPermission('Users', 'update'), validateId, validate('permissionBoundary'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { document } = req.body;
+
+    // Check if user exists
+    const user = await usersRepo.findInTenant(req.tenantId, userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (document) {
+      const conditionError = checkPolicyConditions(document);
+      if (conditionError) {
+        return res.status(400).json({ error: `Invalid boundary: ${conditionError}` });
       }
+    }
+
+    const violation = document
+      ? await checkGrantBoundary(req, documentGrants(document), `set this permission boundary for ${user.username}`)
+      : await checkGrantBoundary(req, await loadUserGrants(userId), `remove the permission boundary of ${user.username}`);
+    if (violation) {
+      return res.status(403).json(violation);
+    }
+
+    await usersRepo.setPermissionBoundary(userId, document);
 
-      res.json({ message: 'User deleted successfully' });
+    res.json({
+      message: document ? 'Permission boundary set successfully' : 'Permission boundary removed successfully'
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update permission boundary' });
+  }
+});
+
+// Grant or revoke super-admin rights, which reach every tenant
+router.put('/:id/super-admin', authenticateToken, requireSuperAdmin, validateId, validate('superAdmin'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { isSuperAdmin } = req.body;
+
+    // Check if user exists
+    const user = await usersRepo.findInTenant(req.tenantId, userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Keeps at least one super-admin around
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'Cannot change your own super-admin rights' });
+    }
+
+    await usersRepo.setSuperAdmin(userId, isSuperAdmin);
+
+    res.json({
+      message: isSuperAdmin ? 'User is now a super-admin' : 'Super-admin rights revoked'
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update super-admin rights' });
+  }
+});
+
+// Recent failed login attempts for a user
+router.get('/:id/login-failures', authenticateToken, checkPermission('Users', 'read'), validateId, async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    // Check if user exists
+    const user = await usersRepo.findInTenant(req.tenantId, userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const failures = await loginFailuresRepo.findByUser(userId);
+
+    res.json({
+      lockout: getLockoutStatus(user),
+      failures
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch login failures' });
+  }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
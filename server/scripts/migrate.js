@@ -0,0 +1,85 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { db } = require('../database/connection');
+const { MIGRATIONS_DIR, migrate, rollback, status } = require('../database/migrator');
+
+const usage = `Usage: node scripts/migrate.js <command> [options]
+
+Commands:
+  up [--to <version>]     Apply pending migrations
+  down [--steps <n>]      Revert the last n applied migrations (default 1)
+  status                  Show applied and pending migrations
+  make <name>             Create a new migration file`;
+
+const getOption = (args, name) => {
+  const index = args.indexOf(name);
+  if (index === -1 || !args[index + 1]) {
+    return undefined;
+  }
+  return parseInt(args[index + 1], 10);
+};
+
+// Scaffold the next numbered migration file
+const makeMigration = (name) => {
+  if (!name || !/^[\w-]+$/.test(name)) {
+    throw new Error('Migration name must contain only letters, numbers, dashes and underscores');
+  }
+
+  const versions = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => parseInt(file, 10))
+    .filter(version => !isNaN(version));
+  const next = String(Math.max(0, ...versions) + 1).padStart(3, '0');
+  const file = path.join(MIGRATIONS_DIR, `${next}_${name}.js`);
+
+  fs.writeFileSync(file, `const up = async (db) => {
+};
+
+const down = async (db) => {
+};
+
+module.exports = { up, down };
+`);
+
+  return file;
+};
+
+const run = async () => {
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrate(db, { to: getOption(args, '--to') });
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+      break;
+    }
+    case 'down': {
+      const reverted = await rollback(db, { steps: getOption(args, '--steps') || 1 });
+      console.log(reverted.length ? `✅ Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+      break;
+    }
+    case 'status': {
+      const migrations = await status(db);
+      migrations.forEach(migration => {
+        const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`  ${String(migration.version).padStart(3, '0')} ${migration.name} - ${state}`);
+      });
+      break;
+    }
+    case 'make': {
+      console.log(`✅ Created ${makeMigration(args[0])}`);
+      break;
+    }
+    default:
+      console.log(usage);
+      process.exitCode = command ? 1 : 0;
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Migration command failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -1,3 +1,5 @@
+require('dotenv').config();
+
 const { initializeDatabase } = require('../database/setup');
 
 console.log('🌱 Starting database seeding...');
@@ -0,0 +1,344 @@
+const net = require('net');
+
+// Conditions on permission grants (attribute-based access control). A grant
+// with a condition only applies while its expression is true, e.g.
+//
+//   cidr(request.ip, '10.0.0.0/8') and request.weekday in ['mon', 'tue', 'wed', 'thu', 'fri']
+//   between(request.time, '09:00', '17:30') and user.department == 'finance'
+//   resource.name != 'Administrators'
+//
+// The language is parsed here and never handed to eval. It has string,
+// number, boolean, null and list literals; the paths user.*, resource.* and
+// request.*; comparisons (==, !=, <, <=, >, >=, in); and, or, not and
+// parentheses; plus the functions listed in FUNCTIONS. A path that does not
+// exist is null, and comparisons involving null are false except == and !=.
+
+const ROOTS = ['user', 'resource', 'request'];
+const KEYWORDS = ['and', 'or', 'not', 'in', 'true', 'false', 'null'];
+const COMPARISONS = ['==', '!=', '<=', '>=', '<', '>'];
+const MAX_LENGTH = 1000;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Strip the IPv6 prefix Node puts on IPv4 clients of a dual-stack socket
+const normalizeIp = (ip) => (typeof ip === 'string' ? ip.replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1') : ip);
+
+// Whether an address lies in a CIDR range such as 10.0.0.0/8 or fd00::/8
+const inCidr = (ip, range) => {
+  const address = normalizeIp(ip);
+  if (typeof address !== 'string' || typeof range !== 'string' || !net.isIP(address)) {
+    return false;
+  }
+
+  const [network, bits] = range.split('/');
+  const version = net.isIP(network);
+  if (!version || net.isIP(address) !== version) {
+    return false;
+  }
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  const prefix = bits === undefined ? maxPrefix : Number(bits);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+    return false;
+  }
+
+  const family = version === 4 ? 'ipv4' : 'ipv6';
+  const list = new net.BlockList();
+  list.addSubnet(network, prefix, family);
+  return list.check(address, family);
+};
+
+// Whether an 'HH:MM' time falls in a window; windows may wrap past midnight
+const inWindow = (time, from, to) => {
+  if ([time, from, to].some(value => typeof value !== 'string')) {
+    return false;
+  }
+  return from <= to
+    ? time >= from && time < to
+    : time >= from || time < to;
+};
+
+// name: [arity, implementation]
+const FUNCTIONS = {
+  cidr: [2, inCidr],
+  between: [3, inWindow],
+  contains: [2, (container, value) => (Array.isArray(container) || typeof container === 'string') && container.includes(value)],
+  startsWith: [2, (text, prefix) => typeof text === 'string' && typeof prefix === 'string' && text.startsWith(prefix)],
+  lower: [1, (text) => (typeof text === 'string' ? text.toLowerCase() : null)]
+};
+
+class ConditionError extends Error {}
+
+const tokenize = (source) => {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const rest = source.slice(position);
+    let match;
+
+    if ((match = rest.match(/^\s+/))) {
+      position += match[0].length;
+      continue;
+    }
+
+    if ((match = rest.match(/^(['"])((?:\\.|(?!\1)[^\\])*)\1/))) {
+      tokens.push({ type: 'string', value: match[2].replace(/\\(.)/g, '$1'), position });
+    } else if ((match = rest.match(/^-?\d+(\.\d+)?/))) {
+      tokens.push({ type: 'number', value: Number(match[0]), position });
+    } else if ((match = rest.match(/^[A-Za-z_]\w*/))) {
+      const word = match[0];
+      tokens.push(KEYWORDS.includes(word)
+        ? { type: word, position }
+        : { type: 'identifier', value: word, position });
+    } else if ((match = rest.match(/^(==|!=|<=|>=|<|>|[()[\],.])/))) {
+      tokens.push({ type: match[0], position });
+    } else {
+      throw new ConditionError(`Unexpected character '${rest[0]}' at position ${position + 1}`);
+    }
+
+    position += match[0].length;
+  }
+
+  tokens.push({ type: 'end', position });
+  return tokens;
+};
+
+// Recursive descent over the tokens; returns the expression's syntax tree
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const accept = (type) => (peek().type === type ? tokens[index++] : null);
+  const expect = (type, what) => {
+    const token = accept(type);
+    if (!token) {
+      const found = peek();
+      throw new ConditionError(`Expected ${what} at position ${found.position + 1}`);
+    }
+    return token;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (accept('or')) {
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (accept('and')) {
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = () => (accept('not') ? { type: 'not', operand: parseNot() } : parseComparison());
+
+  const parseComparison = () => {
+    const left = parseValue();
+    const operator = COMPARISONS.find(op => peek().type === op) || (peek().type === 'in' ? 'in' : null);
+    if (!operator) {
+      return left;
+    }
+    index++;
+    return { type: 'compare', operator, left, right: parseValue() };
+  };
+
+  const parseList = (closing) => {
+    const items = [];
+    if (!accept(closing)) {
+      do {
+        items.push(parseOr());
+      } while (accept(','));
+      expect(closing, `'${closing}'`);
+    }
+    return items;
+  };
+
+  const parseValue = () => {
+    const token = peek();
+
+    if (accept('(')) {
+      const node = parseOr();
+      expect(')', "')'");
+      return node;
+    }
+    if (accept('[')) {
+      return { type: 'list', items: parseList(']') };
+    }
+    if (accept('string') || accept('number')) {
+      return { type: 'literal', value: token.value };
+    }
+    if (accept('true') || accept('false') || accept('null')) {
+      return { type: 'literal', value: { true: true, false: false, null: null }[token.type] };
+    }
+
+    const identifier = expect('identifier', 'a value');
+
+    if (accept('(')) {
+      const fn = FUNCTIONS[identifier.value];
+      if (!fn) {
+        throw new ConditionError(`Unknown function '${identifier.value}'`);
+      }
+      const args = parseList(')');
+      if (args.length !== fn[0]) {
+        throw new ConditionError(`${identifier.value}() takes ${fn[0]} argument(s)`);
+      }
+      return { type: 'call', name: identifier.value, args };
+    }
+
+    if (!ROOTS.includes(identifier.value)) {
+      throw new ConditionError(`Unknown name '${identifier.value}'; paths start with ${ROOTS.join(', ')}`);
+    }
+    const path = [identifier.value];
+    while (accept('.')) {
+      path.push(expect('identifier', 'an attribute name').value);
+    }
+    return { type: 'path', path };
+  };
+
+  const tree = parseOr();
+  expect('end', 'end of condition');
+  return tree;
+};
+
+// Parsed conditions, by source text, least recently used first. Only
+// conditions being evaluated are cached, and at most MAX_CACHED of them.
+const MAX_CACHED = 500;
+const cache = new Map();
+
+const parseCached = (source) => {
+  let tree = cache.get(source);
+  if (tree) {
+    cache.delete(source);
+  } else {
+    tree = parse(source);
+    if (cache.size >= MAX_CACHED) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+  cache.set(source, tree);
+  return tree;
+};
+
+// Follow a path through the context using own properties only
+const resolvePath = (context, path) => path.reduce((value, key) => (
+  value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)
+    ? value[key]
+    : null
+), context);
+
+// Numbers stored as strings (e.g. in user attributes) compare as numbers
+const coerce = (left, right) => {
+  if (typeof left === 'number' && typeof right === 'string' && right.trim() !== '' && !isNaN(right)) {
+    return [left, Number(right)];
+  }
+  if (typeof right === 'number' && typeof left === 'string' && left.trim() !== '' && !isNaN(left)) {
+    return [Number(left), right];
+  }
+  return [left, right];
+};
+
+const compare = (operator, rawLeft, rawRight) => {
+  if (operator === 'in') {
+    if (Array.isArray(rawRight)) {
+      return rawRight.some(item => compare('==', rawLeft, item));
+    }
+    return typeof rawRight === 'string' && typeof rawLeft === 'string' && rawRight.includes(rawLeft);
+  }
+
+  const [left, right] = coerce(rawLeft, rawRight);
+  if (operator === '==') return left === right;
+  if (operator === '!=') return left !== right;
+
+  const comparable = (typeof left === 'number' && typeof right === 'number') ||
+    (typeof left === 'string' && typeof right === 'string');
+  if (!comparable) {
+    return false;
+  }
+
+  switch (operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    default: return left >= right;
+  }
+};
+
+const evaluate = (node, context) => {
+  switch (node.type) {
+    case 'literal': return node.value;
+    case 'path': return resolvePath(context, node.path);
+    case 'list': return node.items.map(item => evaluate(item, context));
+    case 'call': return FUNCTIONS[node.name][1](...node.args.map(arg => evaluate(arg, context)));
+    case 'not': return evaluate(node.operand, context) !== true;
+    case 'and': return evaluate(node.left, context) === true && evaluate(node.right, context) === true;
+    case 'or': return evaluate(node.left, context) === true || evaluate(node.right, context) === true;
+    default: return compare(node.operator, evaluate(node.left, context), evaluate(node.right, context));
+  }
+};
+
+// Syntax error in a condition, or null when it is valid
+const checkCondition = (source) => {
+  if (source.length > MAX_LENGTH) {
+    return `Condition must be at most ${MAX_LENGTH} characters`;
+  }
+  try {
+    parse(source);
+    return null;
+  } catch (error) {
+    if (error instanceof ConditionError) {
+      return error.message;
+    }
+    throw error;
+  }
+};
+
+// Whether a condition holds in a context. One that does not parse or
+// evaluate counts as `fallback`: callers pass true for a deny so that it
+// fails closed, and false for an allow.
+const evaluateCondition = (source, context, fallback = false) => {
+  try {
+    return evaluate(parseCached(source), context) === true;
+  } catch (error) {
+    if (error instanceof ConditionError) {
+      return fallback;
+    }
+    throw error;
+  }
+};
+
+// The request.* attributes for a moment and client address. Times are local
+// to CONDITION_TIME_ZONE (an IANA name), or the server's time zone.
+const describeRequest = ({ ip, now = Date.now() } = {}) => {
+  const timeZone = process.env.CONDITION_TIME_ZONE || undefined;
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short'
+  }).formatToParts(new Date(now)).map(part => [part.type, part.value]));
+
+  return {
+    ip: normalizeIp(ip) || null,
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    hour: Number(parts.hour),
+    weekday: WEEKDAYS.find(day => parts.weekday.toLowerCase().startsWith(day))
+  };
+};
+
+module.exports = {
+  FUNCTIONS,
+  checkCondition,
+  evaluateCondition,
+  describeRequest
+};
@@ -0,0 +1,35 @@
+const { settingsRepo } = require('../repositories');
+
+const SETTINGS_KEY = 'direct_roles';
+
+// Whether roles can be assigned to users directly, alongside the roles they
+// get through group membership. While disabled, existing direct assignments
+// are kept but grant nothing.
+const getDefaultDirectRolePolicy = () => ({
+  enabled: (process.env.DIRECT_ROLE_ASSIGNMENT || 'false').toLowerCase() === 'true'
+});
+
+// Defaults come from the environment; admins can override them through the
+// settings endpoint
+const getDirectRolePolicy = async () => ({
+  ...getDefaultDirectRolePolicy(),
+  ...(await settingsRepo.get(SETTINGS_KEY))
+});
+
+const updateDirectRolePolicy = async (changes) => {
+  const overrides = { ...(await settingsRepo.get(SETTINGS_KEY)), ...changes };
+  await settingsRepo.set(SETTINGS_KEY, overrides);
+  return getDirectRolePolicy();
+};
+
+const resetDirectRolePolicy = async () => {
+  await settingsRepo.delete(SETTINGS_KEY);
+  return getDirectRolePolicy();
+};
+
+module.exports = {
+  getDefaultDirectRolePolicy,
+  getDirectRolePolicy,
+  updateDirectRolePolicy,
+  resetDirectRolePolicy
+};
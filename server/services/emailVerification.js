@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { usersRepo, settingsRepo, emailVerificationTokensRepo, withTransaction } = require('../repositories');
+const { sendMail, frontendUrl, escapeHtml } = require('./mailer');
+
+const SETTINGS_KEY = 'email_verification';
+const VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+const VERIFICATION_TTL_MS = VERIFICATION_TTL_HOURS * 60 * 60 * 1000;
+
+// What an unverified account may do:
+//   off   - everything; no verification email is sent
+//   limit - sign in, but hold no permissions until verified
+//   block - not sign in at all until verified
+const VERIFICATION_MODES = ['off', 'limit', 'block'];
+
+const getDefaultVerificationPolicy = () => {
+  const mode = (process.env.EMAIL_VERIFICATION || 'limit').toLowerCase();
+  return { mode: VERIFICATION_MODES.includes(mode) ? mode : 'limit' };
+};
+
+// Defaults come from the environment; admins can override them through the
+// settings endpoint
+const getVerificationPolicy = async () => ({
+  ...getDefaultVerificationPolicy(),
+  ...(await settingsRepo.get(SETTINGS_KEY))
+});
+
+const updateVerificationPolicy = async (changes) => {
+  const overrides = { ...(await settingsRepo.get(SETTINGS_KEY)), ...changes };
+  await settingsRepo.set(SETTINGS_KEY, overrides);
+  return getVerificationPolicy();
+};
+
+const resetVerificationPolicy = async () => {
+  await settingsRepo.delete(SETTINGS_KEY);
+  return getVerificationPolicy();
+};
+
+// Whether the policy currently holds this user back
+const isVerificationPending = async (user, policy) => {
+  if (user.email_verified) {
+    return false;
+  }
+  policy = policy || await getVerificationPolicy();
+  return policy.mode !== 'off';
+};
+
+// Whether an account may use its permissions; unverified accounts hold none
+// while the policy is 'limit' (or 'block', for sessions started before it was)
+const hasVerifiedAccess = async (userId) => {
+  const user = await usersRepo.findById(userId);
+  return !!user && !await isVerificationPending(user);
+};
+
+// Only the SHA-256 of a verification token is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sendVerificationEmail = async (user) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  // Only the newest link works
+  await withTransaction(async (repos) => {
+    await repos.emailVerificationTokensRepo.deleteExpiredForUser(user.id);
+    await repos.emailVerificationTokensRepo.invalidateForUser(user.id);
+    await repos.emailVerificationTokensRepo.create({
+      userId: user.id,
+      email: user.email,
+      tokenHash: hashToken(token),
+      expiresAt: Date.now() + VERIFICATION_TTL_MS
+    });
+  });
+
+  const url = frontendUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `Confirm that this is your email address by opening this link within ${VERIFICATION_TTL_HOURS} hours:`,
+      '',
+      url,
+      '',
+      'If you did not create an account you can ignore this email.'
+    ].join('\n'),
+    html: [
+      `<p>Hi ${escapeHtml(user.username)},</p>`,
+      `<p>Confirm that this is your email address by opening this link within ${VERIFICATION_TTL_HOURS} hours:</p>`,
+      `<p><a href="${escapeHtml(url)}">Verify your email address</a></p>`,
+      '<p>If you did not create an account you can ignore this email.</p>'
+    ].join('\n')
+  });
+};
+
+// Send a fresh link to an unverified account of the tenant. Callers must give
+// the same answer whether or not the address has an account.
+const resendVerificationEmail = async (tenantId, email) => {
+  const user = await usersRepo.findByEmail(tenantId, email);
+  if (!user || user.email_verified) {
+    return;
+  }
+  await sendVerificationEmail(user);
+};
+
+// Confirm an address with a token. Resolves to { user } or { error }.
+const verifyEmail = async (token) => {
+  const record = await emailVerificationTokensRepo.findByHash(hashToken(token));
+  if (!record || record.used_at || record.expires_at < Date.now()) {
+    return { error: 'This verification link is invalid or has expired' };
+  }
+
+  const verified = await withTransaction(async (repos) => {
+    if (!await repos.emailVerificationTokensRepo.markUsed(record.id)) {
+      return false;
+    }
+    // Fails if the address has been changed since the link was sent
+    return repos.usersRepo.markEmailVerified(record.user_id, record.email);
+  });
+
+  if (!verified) {
+    return { error: 'This verification link is invalid or has expired' };
+  }
+
+  return { user: await usersRepo.findById(record.user_id) };
+};
+
+module.exports = {
+  VERIFICATION_MODES,
+  getDefaultVerificationPolicy,
+  getVerificationPolicy,
+  updateVerificationPolicy,
+  resetVerificationPolicy,
+  isVerificationPending,
+  hasVerifiedAccess,
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail
+};
@@ -0,0 +1,57 @@
+const { withTransaction } = require('../repositories');
+
+// Expired assignments already grant nothing; the sweeper deletes them so the
+// tables do not fill up. 0 turns it off.
+const parsedInterval = parseInt(process.env.GRANT_SWEEP_INTERVAL_MINUTES, 10);
+const SWEEP_INTERVAL_MINUTES = Number.isNaN(parsedInterval) ? 5 : parsedInterval;
+
+// Validity window from a request body (ISO dates, null or absent) as epoch ms
+const parseValidity = ({ validFrom, validUntil }) => ({
+  validFrom: validFrom ? new Date(validFrom).getTime() : null,
+  validUntil: validUntil ? new Date(validUntil).getTime() : null
+});
+
+// Delete every assignment whose window has closed; resolves to counts per table
+const sweepExpiredGrants = (now = Date.now()) => withTransaction(async (repos) => ({
+  memberships: await repos.groupsRepo.deleteExpiredMemberships(now),
+  groupRoles: await repos.groupsRepo.deleteExpiredRoles(now),
+  userRoles: await repos.usersRepo.deleteExpiredRoles(now),
+  rolePermissions: await repos.rolesRepo.deleteExpiredPermissions(now)
+}));
+
+let sweepTimer = null;
+
+const sweep = async () => {
+  try {
+    const removed = await sweepExpiredGrants();
+    const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+      console.log(`Removed ${total} expired access assignment(s)`);
+    }
+  } catch (error) {
+    console.error('Failed to sweep expired access assignments:', error);
+  }
+};
+
+// Sweep once now and then on an interval that does not keep the process alive
+const startGrantSweeper = () => {
+  if (SWEEP_INTERVAL_MINUTES <= 0 || sweepTimer) {
+    return;
+  }
+
+  sweep();
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+  sweepTimer.unref();
+};
+
+const stopGrantSweeper = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  parseValidity,
+  sweepExpiredGrants,
+  startGrantSweeper,
+  stopGrantSweeper
+};
@@ -0,0 +1,30 @@
+const { groupsRepo } = require('../repositories');
+const { getAncestorIds } = require('./hierarchy');
+
+// Every group a user belongs to: the groups they were added to and, through
+// nesting, each group that contains one of those. Inherited memberships name
+// the direct group they come through in via_group_id / via_group_name.
+const getUserGroups = async (userId) => {
+  const direct = await groupsRepo.findByUser(userId);
+  if (direct.length === 0) {
+    return [];
+  }
+
+  const links = await groupsRepo.findAllSubgroupLinks();
+  const groups = new Map(direct.map(group => [group.id, { ...group, via_group_id: null, via_group_name: null }]));
+
+  for (const group of direct) {
+    const ancestorIds = getAncestorIds(group.id, links).filter(id => !groups.has(id));
+    if (ancestorIds.length === 0) {
+      continue;
+    }
+
+    for (const ancestor of await groupsRepo.findByIds(group.tenant_id, ancestorIds)) {
+      groups.set(ancestor.id, { ...ancestor, via_group_id: group.id, via_group_name: group.name });
+    }
+  }
+
+  return [...groups.values()];
+};
+
+module.exports = { getUserGroups };
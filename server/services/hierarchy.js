@@ -0,0 +1,82 @@
+// Helpers for inheritance graphs such as role inheritance and nested groups.
+// Links are { child_id, parent_id } rows, each meaning the child inherits
+// from (or is contained in) the parent.
+
+const parentsOf = (id, links) => links
+  .filter(link => link.child_id === id)
+  .map(link => link.parent_id);
+
+const childrenOf = (id, links) => links
+  .filter(link => link.parent_id === id)
+  .map(link => link.child_id);
+
+// Every node reachable by following `next` from a node, nearest first,
+// without duplicates
+const walk = (id, links, next) => {
+  const seen = new Set([id]);
+  const found = [];
+  const queue = [id];
+
+  while (queue.length > 0) {
+    for (const nextId of next(queue.shift(), links)) {
+      if (!seen.has(nextId)) {
+        seen.add(nextId);
+        found.push(nextId);
+        queue.push(nextId);
+      }
+    }
+  }
+
+  return found;
+};
+
+// Every node a node inherits from, nearest first
+const getAncestorIds = (id, links) => walk(id, links, parentsOf);
+
+// Every node inheriting from a node, nearest first
+const getDescendantIds = (id, links) => walk(id, links, childrenOf);
+
+// Shortest chain of ids from a node up to an ancestor, both ends included,
+// or null if fromId does not inherit from toId
+const findInheritancePath = (fromId, toId, links) => {
+  const previous = new Map([[fromId, null]]);
+  const queue = [fromId];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === toId) {
+      const path = [];
+      for (let id = toId; id !== null; id = previous.get(id)) {
+        path.unshift(id);
+      }
+      return path;
+    }
+
+    for (const parentId of parentsOf(current, links)) {
+      if (!previous.has(parentId)) {
+        previous.set(parentId, current);
+        queue.push(parentId);
+      }
+    }
+  }
+
+  return null;
+};
+
+// The chain of ids that adding a child → parent link would turn into a
+// cycle, or null if the link is safe
+const findCycle = (childId, parentId, links) => {
+  if (childId === parentId) {
+    return [childId, childId];
+  }
+
+  const path = findInheritancePath(parentId, childId, links);
+  return path ? [childId, ...path] : null;
+};
+
+module.exports = {
+  getAncestorIds,
+  getDescendantIds,
+  findInheritancePath,
+  findCycle
+};
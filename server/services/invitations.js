@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { invitationsRepo, withTransaction } = require('../repositories');
+const { sendMail, frontendUrl, escapeHtml } = require('./mailer');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Only the SHA-256 of an invitation token is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getInviteUrl = (token) => frontendUrl(`/login?invite=${encodeURIComponent(token)}`);
+
+// pending, accepted, revoked or expired
+const getInvitationStatus = (invitation, now = Date.now()) => {
+  if (invitation.accepted_at) {
+    return 'accepted';
+  }
+  if (invitation.revoked_at) {
+    return 'revoked';
+  }
+  return invitation.expires_at < now ? 'expired' : 'pending';
+};
+
+const sendInvitationEmail = (email, inviteUrl, { inviter, expiresAt }) => sendMail({
+  to: email,
+  subject: 'You have been invited to the IAM Access Control System',
+  text: [
+    'Hi,',
+    '',
+    `${inviter} has invited you to create an account. Open this link to sign up before ${new Date(expiresAt).toUTCString()}:`,
+    '',
+    inviteUrl,
+    '',
+    'If you were not expecting this invitation you can ignore this email.'
+  ].join('\n'),
+  html: [
+    '<p>Hi,</p>',
+    `<p>${escapeHtml(inviter)} has invited you to create an account. Open this link to sign up before ${escapeHtml(new Date(expiresAt).toUTCString())}:</p>`,
+    `<p><a href="${escapeHtml(inviteUrl)}">Accept the invitation</a></p>`,
+    '<p>If you were not expecting this invitation you can ignore this email.</p>'
+  ].join('\n')
+});
+
+// Email an invitation link after the invitation has been saved, resolving to
+// whether it went out. A failed send is logged rather than thrown, since the
+// invitation stands and the inviter can share the returned link instead.
+const deliverInvitationEmail = async (email, inviteUrl, details) => {
+  try {
+    await sendInvitationEmail(email, inviteUrl, details);
+    return true;
+  } catch (error) {
+    console.error('Invitation email failed:', error.message);
+    return false;
+  }
+};
+
+// Invite an address into a tenant, replacing any open invitation to it there.
+// Resolves to the new invitation's id, its link and whether it was emailed;
+// the link is only available now.
+const createInvitation = async ({ tenantId, email, groupIds = [], expiresInDays = INVITATION_TTL_DAYS, inviter, sendEmail = true }) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = Date.now() + expiresInDays * DAY_MS;
+
+  const id = await withTransaction(async (repos) => {
+    await repos.invitationsRepo.revokeOpenForEmail(tenantId, email);
+    const invitationId = await repos.invitationsRepo.create({
+      tenantId,
+      email,
+      tokenHash: hashToken(token),
+      invitedBy: inviter.id,
+      expiresAt
+    });
+    await repos.invitationsRepo.addGroups(invitationId, groupIds);
+    return invitationId;
+  });
+
+  const inviteUrl = getInviteUrl(token);
+  const emailSent = sendEmail && await deliverInvitationEmail(email, inviteUrl, { inviter: inviter.username, expiresAt });
+
+  return { id, inviteUrl, expiresAt, emailSent };
+};
+
+// Issue a fresh link for an open invitation and restart its expiry. Resolves
+// to { inviteUrl, expiresAt, emailSent }, or null when the invitation is
+// closed.
+const renewInvitation = async (invitation, { inviter, expiresInDays = INVITATION_TTL_DAYS, sendEmail = true }) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = Date.now() + expiresInDays * DAY_MS;
+
+  const result = await invitationsRepo.renew(invitation.id, { tokenHash: hashToken(token), expiresAt });
+  if (result.changes === 0) {
+    return null;
+  }
+
+  const inviteUrl = getInviteUrl(token);
+  const emailSent = sendEmail && await deliverInvitationEmail(invitation.email, inviteUrl, { inviter: inviter.username, expiresAt });
+
+  return { inviteUrl, expiresAt, emailSent };
+};
+
+// The open invitation a token belongs to, or null
+const findOpenInvitation = async (token) => {
+  const invitation = await invitationsRepo.findByHash(hashToken(token));
+  if (!invitation || getInvitationStatus(invitation) !== 'pending') {
+    return null;
+  }
+  return invitation;
+};
+
+// Redeem an invitation for a newly created user inside the caller's
+// transaction: the user joins the invited groups. Resolves to false if the
+// invitation was redeemed or revoked in the meantime.
+const acceptInvitation = async (invitation, userId, repos) => {
+  if (!await repos.invitationsRepo.markAccepted(invitation.id, userId)) {
+    return false;
+  }
+
+  // Groups deleted since the invitation was sent have already dropped out
+  for (const groupId of await repos.invitationsRepo.findGroupIds(invitation.id)) {
+    await repos.groupsRepo.assignUsers(groupId, [userId]);
+  }
+  return true;
+};
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  getInvitationStatus,
+  createInvitation,
+  renewInvitation,
+  findOpenInvitation,
+  acceptInvitation
+};
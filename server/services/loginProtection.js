@@ -0,0 +1,121 @@
+const { usersRepo, loginFailuresRepo } = require('../repositories');
+
+// Failed attempts before an account is locked, and for how long
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_DURATION_MS = (parseInt(process.env.LOCKOUT_DURATION_MINUTES, 10) || 15) * 60 * 1000;
+
+// Below the threshold each failure doubles the wait before the next attempt
+const LOGIN_DELAY_BASE_MS = (parseInt(process.env.LOGIN_DELAY_BASE_SECONDS, 10) || 1) * 1000;
+const LOGIN_DELAY_MAX_MS = (parseInt(process.env.LOGIN_DELAY_MAX_SECONDS, 10) || 30) * 1000;
+
+const progressiveDelay = (attempts) => {
+  if (attempts <= 0) {
+    return 0;
+  }
+  return Math.min(LOGIN_DELAY_BASE_MS * 2 ** (attempts - 1), LOGIN_DELAY_MAX_MS);
+};
+
+const formatWait = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+const lockedResponse = (lockedUntil, now) => ({
+  status: 423,
+  reason: 'account_locked',
+  error: `Account is temporarily locked after too many failed attempts. Try again in ${formatWait(lockedUntil - now)}.`,
+  retryAfter: Math.ceil((lockedUntil - now) / 1000)
+});
+
+// Whether a login attempt for this user row may go ahead; returns null or
+// { status, reason, error, retryAfter }
+const getLoginBlock = (user, now = Date.now()) => {
+  if (user.locked_until && user.locked_until > now) {
+    return lockedResponse(user.locked_until, now);
+  }
+
+  // An expired lockout resets the count on the next failure, so no delay
+  if (user.locked_until || !user.last_failed_login_at) {
+    return null;
+  }
+
+  const retryAt = user.last_failed_login_at + progressiveDelay(user.failed_login_attempts);
+  if (retryAt > now) {
+    return {
+      status: 429,
+      reason: 'throttled',
+      error: `Too many failed attempts. Try again in ${formatWait(retryAt - now)}.`,
+      retryAfter: Math.ceil((retryAt - now) / 1000)
+    };
+  }
+
+  return null;
+};
+
+// Log a failed login and, for known users, count it towards a lockout.
+// Blocked attempts are logged but not counted, so they cannot extend a lockout.
+// Returns the lockout response when this failure locked the account.
+const recordLoginFailure = async (req, { user, username, reason, counted = true }) => {
+  await loginFailuresRepo.create({
+    userId: user ? user.id : null,
+    username: user ? user.username : username,
+    ipAddress: req.ip,
+    userAgent: (req.get('user-agent') || '').slice(0, 512),
+    reason
+  });
+
+  if (!user || !counted) {
+    return null;
+  }
+
+  const now = Date.now();
+  const attempts = await usersRepo.recordFailedLogin(user.id, now);
+  if (attempts < LOCKOUT_THRESHOLD) {
+    return null;
+  }
+
+  const lockedUntil = now + LOCKOUT_DURATION_MS;
+  await usersRepo.lockUntil(user.id, lockedUntil);
+  return lockedResponse(lockedUntil, now);
+};
+
+const sendLoginBlock = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+  return res.status(block.status).json({ error: block.error, retryAfter: block.retryAfter });
+};
+
+// Reject a blocked attempt, logging it against the account
+const rejectBlockedLogin = async (req, res, user, block) => {
+  await recordLoginFailure(req, { user, reason: block.reason, counted: false });
+  return sendLoginBlock(res, block);
+};
+
+// A completed login clears the failure count
+const clearLoginFailures = async (user) => {
+  if (user.failed_login_attempts || user.locked_until) {
+    await usersRepo.resetFailedLogins(user.id);
+  }
+};
+
+const unlockAccount = (userId) => usersRepo.resetFailedLogins(userId);
+
+const getLockoutStatus = (user, now = Date.now()) => ({
+  locked: !!(user.locked_until && user.locked_until > now),
+  lockedUntil: user.locked_until && user.locked_until > now ? user.locked_until : null,
+  failedAttempts: user.locked_until && user.locked_until <= now ? 0 : user.failed_login_attempts
+});
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  getLoginBlock,
+  recordLoginFailure,
+  sendLoginBlock,
+  rejectBlockedLogin,
+  clearLoginFailures,
+  unlockAccount,
+  getLockoutStatus
+};
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing mail. MAIL_TRANSPORT picks where messages go:
+//   smtp    - a real mail server (SMTP_* settings)
+//   file    - one JSON file per message in MAIL_DIR, for local development and tests
+//   console - printed to stdout
+// A transport is an object with send({ to, subject, text, html }).
+
+const createSmtpTransport = (env) => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT, 10) || 587,
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const createFileTransport = (env) => {
+  // Relative paths are taken from the server directory
+  const dir = path.resolve(__dirname, '..', env.MAIL_DIR || './data/mail');
+
+  return {
+    name: 'file',
+    dir,
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const sentAt = Date.now();
+      const recipient = String(message.to).replace(/[^\w.@-]/g, '_');
+      const file = path.join(dir, `${sentAt}-${recipient}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt }, null, 2));
+      return { file };
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log([
+      '📧 Outgoing email',
+      `   From: ${message.from}`,
+      `   To: ${message.to}`,
+      `   Subject: ${message.subject}`,
+      '',
+      message.text
+    ].join('\n'));
+    return {};
+  }
+});
+
+const createTransport = (env = process.env) => {
+  const type = (env.MAIL_TRANSPORT || 'console').toLowerCase();
+
+  switch (type) {
+    case 'smtp':
+      return createSmtpTransport(env);
+    case 'file':
+      return createFileTransport(env);
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unsupported MAIL_TRANSPORT "${type}". Use "smtp", "file" or "console".`);
+  }
+};
+
+// Created on first use so a bad setting only fails when mail is sent
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. for a test that captures messages in memory
+const setTransport = (next) => {
+  transport = next;
+};
+
+// Absolute link into the client app, for use in email bodies
+const frontendUrl = (pathname) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}${pathname}`;
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const sendMail = (message) => getTransport().send({
+  from: process.env.MAIL_FROM || 'IAM Access Control System <no-reply@localhost>',
+  ...message
+});
+
+module.exports = { createTransport, getTransport, setTransport, sendMail, frontendUrl, escapeHtml };
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { usersRepo, mfaRecoveryCodesRepo, withTransaction } = require('../repositories');
+const totp = require('./totp');
+const { getUserGroups } = require('./groupMembership');
+
+const MFA_ISSUER = process.env.MFA_ISSUER || process.env.APP_NAME || 'IAM Access Control System';
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) => {
+  const normalized = code.replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Codes look like "a1b2c-3d4e5"
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+// Whether a user must have MFA, because a group they belong to (directly or
+// through a subgroup) requires it
+const isMfaRequired = async (userId) => {
+  const groups = await getUserGroups(userId);
+  return groups.some(group => !!group.mfa_required);
+};
+
+// Generate a fresh secret for the user and return what the authenticator app needs
+const startEnrollment = async (user) => {
+  const secret = totp.generateSecret();
+  await usersRepo.setMfaSecret(user.id, secret);
+
+  const otpauthUrl = totp.buildOtpauthUri({ secret, accountName: user.username, issuer: MFA_ISSUER });
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+// Confirm enrollment with a code from the app; returns the plaintext recovery
+// codes (shown to the user once) or null if the code is wrong
+const confirmEnrollment = async (user, code) => {
+  if (!user.mfa_secret) {
+    return null;
+  }
+
+  const step = totp.verifyCode(user.mfa_secret, code);
+  if (step === null) {
+    return null;
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await withTransaction(async (repos) => {
+    await repos.usersRepo.enableMfa(user.id, step);
+    await repos.mfaRecoveryCodesRepo.replaceForUser(user.id, recoveryCodes.map(hashRecoveryCode));
+  });
+
+  return recoveryCodes;
+};
+
+// Check a second factor for a user with MFA enabled: either a TOTP code
+// (each time step accepted once) or an unused recovery code
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.mfa_enabled || !user.mfa_secret) {
+    return false;
+  }
+
+  if (recoveryCode) {
+    return mfaRecoveryCodesRepo.consume(user.id, hashRecoveryCode(recoveryCode));
+  }
+
+  const step = totp.verifyCode(user.mfa_secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  return usersRepo.useMfaStep(user.id, step);
+};
+
+const regenerateRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await withTransaction(repos => repos.mfaRecoveryCodesRepo.replaceForUser(userId, recoveryCodes.map(hashRecoveryCode)));
+  return recoveryCodes;
+};
+
+const disableMfa = (userId) => withTransaction(async (repos) => {
+  await repos.usersRepo.disableMfa(userId);
+  await repos.mfaRecoveryCodesRepo.deleteForUser(userId);
+});
+
+const getMfaStatus = async (user) => ({
+  enabled: !!user.mfa_enabled,
+  required: await isMfaRequired(user.id),
+  recoveryCodesRemaining: user.mfa_enabled ? await mfaRecoveryCodesRepo.countRemaining(user.id) : 0
+});
+
+module.exports = {
+  isMfaRequired,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableMfa,
+  getMfaStatus
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { settingsRepo, passwordHistoryRepo } = require('../repositories');
+
+const SETTINGS_KEY = 'password_policy';
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '..', 'resources', 'common-passwords.txt');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const envFlag = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : value === 'true';
+};
+
+// Defaults come from the environment; admins can override any of them
+// through the settings endpoint
+const getDefaultPasswordPolicy = () => ({
+  minLength: envInt('PASSWORD_MIN_LENGTH', 8),
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireDigit: envFlag('PASSWORD_REQUIRE_DIGIT', true),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false),
+  disallowUserInfo: envFlag('PASSWORD_DISALLOW_USER_INFO', true),
+  blockCommon: envFlag('PASSWORD_BLOCK_COMMON', true),
+  // Number of previous passwords that may not be reused; 0 turns the check off
+  historyCount: envInt('PASSWORD_HISTORY', 5),
+  // Days before a password must be changed; 0 means passwords never expire
+  maxAgeDays: envInt('PASSWORD_MAX_AGE_DAYS', 0)
+});
+
+// Pass a transaction-bound settings repo when called inside a transaction
+const getPasswordPolicy = async (repo = settingsRepo) => ({
+  ...getDefaultPasswordPolicy(),
+  ...(await repo.get(SETTINGS_KEY))
+});
+
+// Store admin overrides on top of the current policy
+const updatePasswordPolicy = async (changes) => {
+  const overrides = { ...(await settingsRepo.get(SETTINGS_KEY)), ...changes };
+  await settingsRepo.set(SETTINGS_KEY, overrides);
+  return getPasswordPolicy();
+};
+
+// Drop admin overrides and go back to the environment defaults
+const resetPasswordPolicy = async () => {
+  await settingsRepo.delete(SETTINGS_KEY);
+  return getPasswordPolicy();
+};
+
+// Loaded on first use
+let commonPasswords = null;
+
+const isCommonPassword = (password) => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+
+  const normalized = password.toLowerCase();
+  // Also catch common words dressed up with trailing digits or symbols, e.g. "Password2024!"
+  const stem = normalized.replace(/[\d\W_]+$/, '');
+  return commonPasswords.has(normalized) || (stem.length >= 4 && commonPasswords.has(stem));
+};
+
+const containsUserInfo = (password, { username, email }) => {
+  const normalized = password.toLowerCase();
+  const parts = [username, email && email.split('@')[0]]
+    .filter(part => part && part.length >= 3)
+    .map(part => part.toLowerCase());
+  return parts.some(part => normalized.includes(part));
+};
+
+// Check a candidate password; resolves to a list of violations (empty when
+// the password is acceptable). Pass the existing user row to check reuse.
+const checkPassword = async (password, { username, email, user } = {}, policy) => {
+  policy = policy || await getPasswordPolicy();
+  const violations = [];
+
+  if (password.length < policy.minLength) {
+    violations.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    violations.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    violations.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireDigit && !/\d/.test(password)) {
+    violations.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    violations.push('Password must contain a symbol');
+  }
+  if (policy.disallowUserInfo && containsUserInfo(password, { username, email })) {
+    violations.push('Password must not contain your username or email');
+  }
+  if (policy.blockCommon && isCommonPassword(password)) {
+    violations.push('Password is too common, choose something harder to guess');
+  }
+
+  if (user && policy.historyCount > 0) {
+    const history = await passwordHistoryRepo.findRecent(user.id, policy.historyCount);
+    const hashes = new Set([user.password_hash, ...history.map(entry => entry.password_hash)]);
+
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) {
+        violations.push(`Password must not match any of your last ${policy.historyCount} passwords`);
+        break;
+      }
+    }
+  }
+
+  return violations;
+};
+
+// Remember a newly set password hash for reuse checks. Pass repos to take
+// part in a caller's transaction.
+const recordPasswordChange = async (userId, passwordHash, repos = { settingsRepo, passwordHistoryRepo }) => {
+  const { historyCount } = await getPasswordPolicy(repos.settingsRepo);
+
+  await repos.passwordHistoryRepo.add(userId, passwordHash);
+  await repos.passwordHistoryRepo.prune(userId, Math.max(historyCount, 1));
+};
+
+const isPasswordExpired = async (user, policy) => {
+  policy = policy || await getPasswordPolicy();
+  if (!policy.maxAgeDays || !user.password_changed_at) {
+    return false;
+  }
+  return Date.now() - user.password_changed_at > policy.maxAgeDays * DAY_MS;
+};
+
+// Random password containing every character class, for generated credentials
+const generateRandomPassword = (length = 20) => {
+  const sets = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnopqrstuvwxyz', '23456789', '!@#$%^&*-_'];
+  const alphabet = sets.join('');
+
+  const chars = sets.map(set => set[crypto.randomInt(set.length)]);
+  while (chars.length < length) {
+    chars.push(alphabet[crypto.randomInt(alphabet.length)]);
+  }
+
+  // Shuffle so the guaranteed characters are not always at the start
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+
+  return chars.join('');
+};
+
+module.exports = {
+  getDefaultPasswordPolicy,
+  getPasswordPolicy,
+  updatePasswordPolicy,
+  resetPasswordPolicy,
+  checkPassword,
+  recordPasswordChange,
+  isPasswordExpired,
+  generateRandomPassword
+};
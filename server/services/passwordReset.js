@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { usersRepo, passwordResetTokensRepo, withTransaction } = require('../repositories');
+const { sendMail, frontendUrl, escapeHtml } = require('./mailer');
+const { checkPassword, recordPasswordChange } = require('./passwordPolicy');
+const { revokeUserSessions } = require('./sessions');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+const RESET_TOKEN_TTL_MS = RESET_TOKEN_TTL_MINUTES * 60 * 1000;
+
+// Only the SHA-256 of a reset token is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sendResetEmail = (user, token) => {
+  const url = frontendUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `Someone asked to reset the password for your account. Open this link within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new one:`,
+      '',
+      url,
+      '',
+      'If you did not ask for this you can ignore this email; your password will not change.'
+    ].join('\n'),
+    html: [
+      `<p>Hi ${escapeHtml(user.username)},</p>`,
+      `<p>Someone asked to reset the password for your account. Open this link within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new one:</p>`,
+      `<p><a href="${escapeHtml(url)}">Reset your password</a></p>`,
+      '<p>If you did not ask for this you can ignore this email; your password will not change.</p>'
+    ].join('\n')
+  });
+};
+
+// Email a reset link if the address belongs to an account of the tenant.
+// Callers must give the same answer either way, without waiting for this,
+// so the endpoint cannot be used to find accounts.
+const requestPasswordReset = async (req, tenantId, email) => {
+  const user = await usersRepo.findByEmail(tenantId, email);
+  if (!user) {
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  // Only the newest link works
+  await withTransaction(async (repos) => {
+    await repos.passwordResetTokensRepo.deleteExpiredForUser(user.id);
+    await repos.passwordResetTokensRepo.invalidateForUser(user.id);
+    await repos.passwordResetTokensRepo.create({
+      userId: user.id,
+      tokenHash: hashToken(token),
+      expiresAt: Date.now() + RESET_TOKEN_TTL_MS,
+      requestedIp: req.ip
+    });
+  });
+
+  await sendResetEmail(user, token);
+};
+
+// The user a reset token belongs to, or null if it is unknown, used or expired
+const findResetTokenUser = async (token) => {
+  const record = await passwordResetTokensRepo.findByHash(hashToken(token));
+  if (!record || record.used_at || record.expires_at < Date.now()) {
+    return null;
+  }
+
+  const user = await usersRepo.findById(record.user_id);
+  return user ? { record, user } : null;
+};
+
+// Set a new password with a reset token. Resolves to { user } on success or
+// { error, details } when the token or password is rejected. The token is
+// only consumed once the new password has been accepted.
+const resetPassword = async (token, newPassword) => {
+  const found = await findResetTokenUser(token);
+  if (!found) {
+    return { error: 'This reset link is invalid or has expired' };
+  }
+
+  const { record, user } = found;
+  const violations = await checkPassword(newPassword, { username: user.username, email: user.email, user });
+  if (violations.length > 0) {
+    return { error: violations[0], details: violations };
+  }
+
+  const saltRounds = 10;
+  const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+
+  const consumed = await withTransaction(async (repos) => {
+    // Another request may have used the token since it was checked
+    if (!await repos.passwordResetTokensRepo.markUsed(record.id)) {
+      return false;
+    }
+
+    await repos.passwordResetTokensRepo.invalidateForUser(user.id);
+    await repos.usersRepo.update(user.id, { passwordHash, mustChangePassword: false });
+    await recordPasswordChange(user.id, passwordHash, repos);
+    // Proving control of the mailbox also lifts a lockout and ends every session
+    await repos.usersRepo.resetFailedLogins(user.id);
+    await revokeUserSessions(user.id, repos);
+    return true;
+  });
+
+  if (!consumed) {
+    return { error: 'This reset link is invalid or has expired' };
+  }
+
+  return { user };
+};
+
+module.exports = {
+  RESET_TOKEN_TTL_MINUTES,
+  requestPasswordReset,
+  findResetTokenUser,
+  resetPassword
+};
@@ -0,0 +1,56 @@
+// Matching of permission grants against concrete (module, action) pairs.
+// A grant's module may be * (every module) or a module name, which also
+// covers the modules below it: Billing covers Billing/Invoices and
+// Billing/Invoices/Refunds. A grant's action may be * (every action) or a
+// single action name. A grant's resource may be * (every instance of the
+// module) or an instance id, where * matches any run of characters (7, 1*).
+// Checks that name no instance only match module-wide (*) grants. The client
+// mirrors these rules in utils/permissions.js.
+
+const WILDCARD = '*';
+
+const moduleMatches = (pattern, module) => {
+  return pattern === WILDCARD || pattern === module || module.startsWith(`${pattern}/`);
+};
+
+const actionMatches = (pattern, action) => pattern === WILDCARD || pattern === action;
+
+const resourceMatches = (pattern = WILDCARD, resource) => {
+  if (pattern === WILDCARD) {
+    return true;
+  }
+  if (resource === undefined || resource === null) {
+    return false;
+  }
+
+  const escaped = pattern.split(WILDCARD)
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`).test(String(resource));
+};
+
+// Whether a { module, action, resource } grant applies to a concrete module
+// and action, and to an instance when one is given
+const grantMatches = (grant, module, action, resource) => {
+  return moduleMatches(grant.module, module) &&
+    actionMatches(grant.action, action) &&
+    resourceMatches(grant.resource, resource);
+};
+
+// Whether grant `outer` applies everywhere grant `inner` does
+const grantCovers = (outer, inner) => {
+  return grantMatches(outer, inner.module, inner.action, inner.resource || WILDCARD);
+};
+
+// Whether a grant applies to every instance of its module
+const isModuleWide = (grant) => grant.resource === undefined || grant.resource === WILDCARD;
+
+module.exports = {
+  WILDCARD,
+  moduleMatches,
+  actionMatches,
+  resourceMatches,
+  grantMatches,
+  isModuleWide,
+  grantCovers
+};
@@ -0,0 +1,55 @@
+const { WILDCARD } = require('./permissionPatterns');
+const { checkCondition } = require('./conditions');
+
+// Policy documents attached to roles, e.g.
+//
+//   {
+//     "Version": "2024-01-01",
+//     "Statement": [
+//       { "Sid": "ReadAll", "Effect": "Allow", "Action": "*:read" },
+//       { "Effect": "Allow", "Action": ["Groups:update", "Groups:assign"], "Resource": "7",
+//         "Condition": "cidr(request.ip, '10.0.0.0/8')" }
+//     ]
+//   }
+//
+// Their structure is validated by the rolePolicy schemas in
+// middleware/validation. Each statement expands into the same { module,
+// action, effect, resource, condition } grants that role_permissions rows
+// give, so one evaluator handles both.
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+// The first invalid condition in a document, as an error message, or null
+const checkPolicyConditions = (document) => {
+  for (const [index, statement] of document.Statement.entries()) {
+    const condition = statement.Condition?.trim();
+    const error = condition && checkCondition(condition);
+    if (error) {
+      return `Statement ${statement.Sid || index + 1}: invalid condition: ${error}`;
+    }
+  }
+  return null;
+};
+
+// The grants a document's statements make; * alone is every action of every
+// module, and a statement without Resource covers every instance
+const documentGrants = (document) => document.Statement.flatMap((statement, index) => {
+  const resources = statement.Resource === undefined ? [WILDCARD] : toList(statement.Resource);
+
+  return toList(statement.Action).flatMap(pattern => {
+    const [module, action] = pattern === WILDCARD ? [WILDCARD, WILDCARD] : pattern.split(':');
+    return resources.map(resource => ({
+      module,
+      action,
+      effect: statement.Effect === 'Deny' ? 'deny' : 'allow',
+      resource,
+      condition: statement.Condition?.trim() || null,
+      statement: statement.Sid || String(index + 1)
+    }));
+  });
+});
+
+module.exports = {
+  checkPolicyConditions,
+  documentGrants
+};
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { refreshTokensRepo, withTransaction } = require('../repositories');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 7;
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+// Only the SHA-256 of a refresh token is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createTokenValue = () => crypto.randomBytes(48).toString('base64url');
+
+// Persist a new refresh token, starting a new family unless one is given
+const issueRefreshToken = async (userId, familyId = crypto.randomUUID(), repo = refreshTokensRepo) => {
+  const token = createTokenValue();
+  const id = await repo.create({
+    userId,
+    tokenHash: hashToken(token),
+    familyId,
+    expiresAt: Date.now() + REFRESH_TOKEN_TTL_MS
+  });
+
+  return { id, token };
+};
+
+// Exchange a refresh token for a new one in the same family.
+// Presenting a token that was already rotated or revoked is treated as theft
+// and revokes every token in its family.
+const rotateRefreshToken = async (token) => {
+  const existing = await refreshTokensRepo.findByHash(hashToken(token));
+
+  if (!existing) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (existing.expires_at < Date.now()) {
+    return { error: 'Refresh token expired' };
+  }
+
+  // Revoked by logout rather than used by rotation
+  if (existing.revoked_at && !existing.replaced_by) {
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  const next = !existing.revoked_at && await withTransaction(async ({ refreshTokensRepo: repo }) => {
+    const issued = await issueRefreshToken(existing.user_id, existing.family_id, repo);
+    // A concurrent rotation may have used the token first; its family is revoked below
+    return (await repo.markRotated(existing.id, issued.id)) ? issued : null;
+  });
+
+  if (!next) {
+    await refreshTokensRepo.revokeFamily(existing.family_id);
+    return { error: 'Refresh token reuse detected; all sessions for this login have been revoked' };
+  }
+
+  return { userId: existing.user_id, refreshToken: next.token };
+};
+
+// Revoke the whole family a refresh token belongs to (server-side logout)
+const revokeRefreshToken = async (token) => {
+  const existing = await refreshTokensRepo.findByHash(hashToken(token));
+  if (existing) {
+    await refreshTokensRepo.revokeFamily(existing.family_id);
+  }
+  return !!existing;
+};
+
+module.exports = {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken
+};
@@ -0,0 +1,71 @@
+const { settingsRepo } = require('../repositories');
+
+const SETTINGS_KEY = 'registration';
+
+// Who may create an account with POST /api/auth/register:
+//   open   - anyone
+//   domain - addresses at one of allowedDomains
+//   invite - only holders of an invitation
+// An invitation always works, whatever the mode.
+const REGISTRATION_MODES = ['open', 'domain', 'invite'];
+
+const parseDomains = (value = '') => value
+  .split(',')
+  .map(domain => domain.trim().toLowerCase())
+  .filter(Boolean);
+
+const getDefaultRegistrationPolicy = () => {
+  const mode = (process.env.REGISTRATION_MODE || 'open').toLowerCase();
+  return {
+    mode: REGISTRATION_MODES.includes(mode) ? mode : 'open',
+    allowedDomains: parseDomains(process.env.REGISTRATION_ALLOWED_DOMAINS)
+  };
+};
+
+// Defaults come from the environment; admins can override them through the
+// settings endpoint
+const getRegistrationPolicy = async () => ({
+  ...getDefaultRegistrationPolicy(),
+  ...(await settingsRepo.get(SETTINGS_KEY))
+});
+
+const updateRegistrationPolicy = async (changes) => {
+  if (changes.allowedDomains) {
+    changes = { ...changes, allowedDomains: changes.allowedDomains.map(domain => domain.trim().toLowerCase()) };
+  }
+  const overrides = { ...(await settingsRepo.get(SETTINGS_KEY)), ...changes };
+  await settingsRepo.set(SETTINGS_KEY, overrides);
+  return getRegistrationPolicy();
+};
+
+const resetRegistrationPolicy = async () => {
+  await settingsRepo.delete(SETTINGS_KEY);
+  return getRegistrationPolicy();
+};
+
+// Reason an uninvited sign-up with this address is refused, or null if it is allowed
+const getRegistrationError = async (email, policy) => {
+  policy = policy || await getRegistrationPolicy();
+
+  if (policy.mode === 'invite') {
+    return 'Registration is by invitation only';
+  }
+
+  if (policy.mode === 'domain') {
+    const domain = email.split('@').pop().toLowerCase();
+    if (!policy.allowedDomains.includes(domain)) {
+      return 'Registration is not open to this email domain';
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  REGISTRATION_MODES,
+  getDefaultRegistrationPolicy,
+  getRegistrationPolicy,
+  updateRegistrationPolicy,
+  resetRegistrationPolicy,
+  getRegistrationError
+};
@@ -0,0 +1,153 @@
+const { groupsRepo, usersRepo, rolesRepo, sodRulesRepo } = require('../repositories');
+const { getAncestorIds } = require('./hierarchy');
+const { getDirectRolePolicy } = require('./directRoles');
+
+// Static separation of duties: each rule names two roles no user may hold
+// together. A user holds a role assigned to a group they belong to (directly
+// or through nesting), assigned to them directly while direct role
+// assignment is enabled, or inherited from one of those. Validity windows
+// are ignored, so a scheduled assignment conflicts as soon as it is made.
+// A group conflicts when its own roles (and those of the groups containing
+// it) cover both roles of a rule, since any member would. Rules belong to a
+// tenant and name its roles, so only its users and groups can break them.
+
+// Every row deciding which roles users and groups hold
+const loadAssignments = async () => ({
+  memberships: await groupsRepo.findAllMemberships(),
+  groupLinks: await groupsRepo.findAllSubgroupLinks(),
+  groupRoles: await groupsRepo.findAllRoleAssignments(),
+  userRoles: (await getDirectRolePolicy()).enabled ? await usersRepo.findAllDirectRoles() : [],
+  roleLinks: await rolesRepo.findAllParentLinks()
+});
+
+// Add rows about to be written to a snapshot
+const withChange = (assignments, change) => Object.fromEntries(Object.entries(assignments)
+  .map(([kind, rows]) => [kind, [...rows, ...(change[kind] || [])]]));
+
+const withInherited = (roleIds, assignments) => new Set(roleIds
+  .flatMap(id => [id, ...getAncestorIds(id, assignments.roleLinks)]));
+
+const rolesOfGroups = (groupIds, assignments) => {
+  const allGroupIds = new Set(groupIds.flatMap(id => [id, ...getAncestorIds(id, assignments.groupLinks)]));
+  return assignments.groupRoles
+    .filter(row => allGroupIds.has(row.group_id))
+    .map(row => row.role_id);
+};
+
+const heldByUser = (userId, assignments) => withInherited([
+  ...rolesOfGroups(assignments.memberships.filter(row => row.user_id === userId).map(row => row.group_id), assignments),
+  ...assignments.userRoles.filter(row => row.user_id === userId).map(row => row.role_id)
+], assignments);
+
+const heldByGroup = (groupId, assignments) => withInherited(rolesOfGroups([groupId], assignments), assignments);
+
+const breaks = (rule, held) => held.has(rule.role_a_id) && held.has(rule.role_b_id);
+
+// Every { rule, user_id } and { rule, group_id } conflict in a snapshot
+const findViolations = (assignments, rules) => {
+  const violations = [];
+
+  const userIds = new Set([...assignments.memberships, ...assignments.userRoles].map(row => row.user_id));
+  for (const userId of userIds) {
+    const held = heldByUser(userId, assignments);
+    rules.filter(rule => breaks(rule, held)).forEach(rule => violations.push({ rule, user_id: userId }));
+  }
+
+  const groupIds = new Set([
+    ...assignments.groupRoles.map(row => row.group_id),
+    ...assignments.groupLinks.map(row => row.child_id)
+  ]);
+  for (const groupId of groupIds) {
+    const held = heldByGroup(groupId, assignments);
+    rules.filter(rule => breaks(rule, held)).forEach(rule => violations.push({ rule, group_id: groupId }));
+  }
+
+  return violations;
+};
+
+// Violations with the names of their rule, roles, user or group
+const describeViolations = async (tenantId, violations) => {
+  const userIds = [...new Set(violations.map(v => v.user_id).filter(Boolean))];
+  const groupIds = [...new Set(violations.map(v => v.group_id).filter(Boolean))];
+  const users = userIds.length > 0 ? await usersRepo.findByIds(tenantId, userIds) : [];
+  const groups = groupIds.length > 0 ? await groupsRepo.findByIds(tenantId, groupIds) : [];
+
+  return violations.map(({ rule, user_id, group_id }) => ({
+    rule_id: rule.id,
+    rule_name: rule.name,
+    roles: [rule.role_a_name, rule.role_b_name],
+    ...(user_id
+      ? { user_id, username: users.find(user => user.id === user_id)?.username }
+      : { group_id, group_name: groups.find(group => group.id === group_id)?.name })
+  }));
+};
+
+// Every conflict that exists in a tenant now, users first
+const getViolations = async (tenantId) => {
+  const rules = await sodRulesRepo.findAll(tenantId);
+  if (rules.length === 0) {
+    return [];
+  }
+
+  const violations = findViolations(await loadAssignments(), rules);
+  return describeViolations(tenantId, [
+    ...violations.filter(v => v.user_id),
+    ...violations.filter(v => v.group_id)
+  ]);
+};
+
+// The conflicts that adding some rows would create, leaving out those that
+// already exist. `change` holds the rows to add, keyed like loadAssignments:
+// memberships ({ user_id, group_id }), groupRoles ({ group_id, role_id }),
+// groupLinks and roleLinks ({ child_id, parent_id }) and userRoles
+// ({ user_id, role_id }).
+const findNewConflicts = async (tenantId, change) => {
+  const rules = await sodRulesRepo.findAll(tenantId);
+  if (rules.length === 0) {
+    return [];
+  }
+
+  const before = await loadAssignments();
+  const key = (v) => `${v.rule.id}:${v.user_id || ''}:${v.group_id || ''}`;
+  const existing = new Set(findViolations(before, rules).map(key));
+
+  return describeViolations(tenantId, findViolations(withChange(before, change), rules)
+    .filter(violation => !existing.has(key(violation))));
+};
+
+// The rules someone who does not exist yet would break by joining some
+// groups of a tenant, e.g. an invitee on sign-up
+const findMemberConflicts = async (tenantId, groupIds) => {
+  const rules = await sodRulesRepo.findAll(tenantId);
+  if (rules.length === 0) {
+    return [];
+  }
+
+  const assignments = await loadAssignments();
+  const held = withInherited(rolesOfGroups(groupIds, assignments), assignments);
+  return rules.filter(rule => breaks(rule, held)).map(rule => ({
+    rule_id: rule.id,
+    rule_name: rule.name,
+    roles: [rule.role_a_name, rule.role_b_name]
+  }));
+};
+
+// The body of the 400 refusing a change that creates conflicts; `holder`
+// names who would hold the roles when the conflicts do not
+const conflictResponse = (conflicts, holder) => {
+  const [first] = conflicts;
+  holder = holder || first.username || `group ${first.group_name}`;
+  const more = conflicts.length > 1 ? ` (and ${conflicts.length - 1} more conflict(s))` : '';
+  return {
+    error: `Separation of duties: ${holder} would hold both ${first.roles[0]} and ${first.roles[1]}, ` +
+      `which rule ${first.rule_name} forbids${more}`,
+    conflicts
+  };
+};
+
+module.exports = {
+  getViolations,
+  findNewConflicts,
+  findMemberConflicts,
+  conflictResponse
+};
@@ -0,0 +1,69 @@
+const { refreshTokensRepo, withTransaction } = require('../repositories');
+const { generateToken, generatePurposeToken } = require('../middleware/auth');
+const { issueRefreshToken } = require('./refreshTokens');
+const { clearLoginFailures } = require('./loginProtection');
+const { isPasswordExpired } = require('./passwordPolicy');
+
+// Public fields of a user row
+const toUserInfo = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  emailVerified: !!user.email_verified,
+  tenantId: user.tenant_id,
+  isSuperAdmin: !!user.is_super_admin
+});
+
+// Issue an access token and start a new refresh token family for a user row
+const createSession = async (user) => {
+  await refreshTokensRepo.deleteExpiredForUser(user.id);
+  const { token: refreshToken } = await issueRefreshToken(user.id);
+
+  return {
+    user: toUserInfo(user),
+    token: generateToken(user),
+    refreshToken
+  };
+};
+
+// Finish a login whose credentials (and second factor) have been verified.
+// A password that must be changed (set by an admin, or expired) gets a token
+// that can only be used to change it.
+const completeLogin = async (user) => {
+  await clearLoginFailures(user);
+
+  let reason = null;
+  if (user.must_change_password) {
+    reason = 'must_change';
+  } else if (await isPasswordExpired(user)) {
+    reason = 'expired';
+  }
+
+  if (reason) {
+    return {
+      message: reason === 'expired' ? 'Your password has expired and must be changed' : 'You must change your password',
+      passwordChangeRequired: true,
+      reason,
+      passwordChangeToken: generatePurposeToken(user, 'password_change', '15m')
+    };
+  }
+
+  return {
+    message: 'Login successful',
+    ...(await createSession(user))
+  };
+};
+
+// Sign a user out everywhere: outstanding access tokens stop matching the
+// user's token version and every refresh token is revoked. Pass repos to
+// take part in a caller's transaction.
+const revokeUserSessions = (userId, repos) => {
+  const revoke = async ({ usersRepo, refreshTokensRepo }) => {
+    await usersRepo.bumpTokenVersion(userId);
+    await refreshTokensRepo.revokeAllForUser(userId);
+  };
+
+  return repos ? revoke(repos) : withTransaction(revoke);
+};
+
+module.exports = { toUserInfo, createSession, completeLogin, revokeUserSessions };
@@ -0,0 +1,54 @@
+const { tenantsRepo } = require('../repositories');
+
+// Tenants (organizations) each own their users, groups, roles and modules.
+// Sign-in, sign-up and the other public auth endpoints take a tenant slug
+// and fall back to the tenant created by the multi-tenancy migration.
+const DEFAULT_TENANT_SLUG = 'default';
+
+// Modules every tenant starts with (each gets create/read/update/delete
+// permissions)
+const DEFAULT_MODULES = [
+  ['Users', 'User management module'],
+  ['Groups', 'Group management module'],
+  ['Roles', 'Role management module'],
+  ['Modules', 'Module management'],
+  ['Permissions', 'Permission management']
+];
+
+// The tenant a public auth request is about, or undefined for an unknown slug
+const findTenant = (slug) => tenantsRepo.findBySlug(slug || DEFAULT_TENANT_SLUG);
+
+// Give a tenant the default modules, the * wildcard module, an Admin role
+// holding *:* and an Administrators group holding Admin. Modules it already
+// has are left alone, so this also completes the tenant the migration
+// created. Returns the ids of the Admin role and Administrators group.
+const provisionTenant = async (repos, tenantId) => {
+  const { groupsRepo, rolesRepo, modulesRepo, permissionsRepo } = repos;
+
+  for (const [name, description] of DEFAULT_MODULES) {
+    if (!await modulesRepo.findByName(tenantId, name)) {
+      await modulesRepo.create({ tenantId, name, description });
+    }
+  }
+
+  let wildcardModule = await modulesRepo.findByName(tenantId, '*');
+  if (!wildcardModule) {
+    wildcardModule = { id: await modulesRepo.create({ tenantId, name: '*', description: 'Every module (wildcard)' }) };
+    await permissionsRepo.create({ action: '*', moduleId: wildcardModule.id });
+  }
+  const allPermissions = await permissionsRepo.findByActionAndModule('*', wildcardModule.id);
+
+  const adminRoleId = await rolesRepo.create({ tenantId, name: 'Admin', description: 'Full system administrator' });
+  await rolesRepo.assignPermissions(adminRoleId, [allPermissions.id]);
+
+  const adminGroupId = await groupsRepo.create({
+    tenantId,
+    name: 'Administrators',
+    description: 'System administrators group'
+  });
+  await groupsRepo.assignRoles(adminGroupId, [adminRoleId]);
+
+  return { adminRoleId, adminGroupId };
+};
+
+module.exports = { DEFAULT_TENANT_SLUG, findTenant, provisionTenant };